@@ -1,51 +1,221 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
-const router = require('./routes');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Подключаем маршруты
-app.use('/', router);
-
-// Главная страница
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Node.js CRUD API с SQLite',
-    endpoints: {
-      'GET /': 'Этот список',
-      'GET /products': 'Получить все товары',
-      'GET /products/:id': 'Получить товар по ID',
-      'POST /products': 'Создать новый товар',
-      'PUT /products/:id': 'Обновить товар',
-      'DELETE /products/:id': 'Удалить товар'
-    },
-    example: {
-      'POST /products': {
-        body: {
-          name: 'Ноутбук',
-          description: 'Мощный игровой ноутбук',
-          price: 999.99,
-          quantity: 10
+const createProductsRouter = require('./routes');
+const defaultCache = require('./cache-middleware');
+const { createProductRepository, createApiKeyRepository } = require('./repositories');
+const { createAuthenticator } = require('./auth');
+const RateLimiter = require('./rate-limiter');
+const { ReservationSweeper } = require('./stock');
+const { loadConfig } = require('./config');
+const { configureSerialization } = require('./serialization');
+const { createStorage } = require('./storage');
+const { buildOpenApiDocument, listEndpoints, docsPage } = require('./openapi');
+
+// Предельный размер тела POST /products/bulk
+const BULK_BODY_LIMIT = '5mb';
+
+// ID запроса от клиента или прокси принимается, если он короткий и без спецсимволов
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Присвоение ID запросу (req.id, заголовок ответа X-Request-Id): он попадает в журнал изменений
+ * и связывает ответ с записями журнала
+ */
+function assignRequestId(req, res, next) {
+  const header = req.get('X-Request-Id');
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Настройки CORS по списку разрешенных источников
+ * @param {string[]} origins - Источники ('*' - любой); пустой список запрещает CORS
+ * @returns {Object} - Параметры пакета cors
+ */
+function corsOptions(origins = []) {
+  return {
+    origin: origins.includes('*') ? '*' : origins,
+    allowedHeaders: [
+      'Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match', 'Accept-Language', 'X-Request-Id'
+    ],
+    exposedHeaders: [
+      'ETag', 'Link', 'X-Total-Count', 'X-Cache', 'X-Request-Id', 'WWW-Authenticate', 'Retry-After',
+      'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'
+    ]
+  };
+}
+
+/**
+ * Создание Express-приложения без запуска сервера
+ * @param {Object} options - Зависимости
+ * @param {Object} options.db - Репозиторий товаров (см. repositories/)
+ * @param {CacheMiddleware} options.cache - Кэш ответов (по умолчанию общий экземпляр)
+ * @param {Object} options.config - Конфигурация (см. config.js): corsOrigins - разрешенные источники CORS,
+ *   requireIfMatch - требовать If-Match для изменений, auth - настройки аутентификации,
+ *   rateLimit - ограничение частоты запросов (см. rate-limiter.js; без него запросы не ограничиваются),
+ *   images - хранилище и ограничения изображений товаров, currency - валюта цен по умолчанию и курсы
+ * @param {Object} options.apiKeys - Хранилище API-ключей (по умолчанию в базе товаров)
+ * @param {RateLimiter} options.rateLimiter - Ограничитель частоты (по умолчанию создается по config.rateLimit)
+ * @param {Object} options.storage - Хранилище файлов изображений (по умолчанию создается по config.images)
+ * @returns {express.Application} - Приложение
+ */
+function createApp({
+  db,
+  cache = defaultCache,
+  config = {},
+  apiKeys = createApiKeyRepository(db),
+  rateLimiter = config.rateLimit ? new RateLimiter(config.rateLimit) : null,
+  storage = createStorage(config.images)
+}) {
+  const app = express();
+  configureSerialization(app);
+  const auth = config.auth || {};
+
+  // Middleware
+  app.use(assignRequestId);
+  app.use(cors(corsOptions(config.corsOrigins)));
+  // Неудачные попытки аутентификации ограничиваются по адресу до проверки учетных данных:
+  // подбор ключей и токенов получает 429, не доходя до базы
+  if (rateLimiter) {
+    app.use(rateLimiter.failureGuard());
+  }
+  app.use(createAuthenticator({
+    apiKeys,
+    jwt: auth.jwt,
+    onFailure: rateLimiter ? req => rateLimiter.recordFailure(req) : undefined
+  }));
+  // Остальные запросы считаются после аутентификации, чтобы клиента можно было узнать по ключу
+  if (rateLimiter) {
+    app.use(rateLimiter.middleware());
+  }
+  // Пакет операций может быть заметно больше обычного запроса;
+  // уже разобранное тело общий парсер пропускает
+  app.use('/products/bulk', express.json({ limit: BULK_BODY_LIMIT }));
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Подключаем маршруты
+  app.use('/', createProductsRouter({
+    products: db,
+    cache,
+    requireIfMatch: config.requireIfMatch,
+    publicReads: auth.publicReads !== false,
+    storage,
+    images: config.images,
+    currency: config.currency
+  }));
+
+  // Спецификация OpenAPI и интерактивная документация (см. openapi.js)
+  const apiDocument = buildOpenApiDocument({ publicReads: auth.publicReads !== false, currency: config.currency });
+  app.get('/openapi.json', (req, res) => {
+    res.json(apiDocument);
+  });
+  app.get('/docs', (req, res) => {
+    res.type('html').send(docsPage());
+  });
+
+  // Главная страница: список эндпоинтов берется из спецификации
+  app.get('/', (req, res) => {
+    res.json({
+      message: `Node.js CRUD API с ${db.client === 'postgres' ? 'PostgreSQL' : 'SQLite'}`,
+      documentation: {
+        openapi: '/openapi.json',
+        docs: '/docs'
+      },
+      endpoints: listEndpoints(apiDocument),
+      example: {
+        'POST /products': {
+          body: {
+            name: 'Ноутбук',
+            description: 'Мощный игровой ноутбук',
+            price: 999.99,
+            currency: 'USD',
+            quantity: 10
+          }
         }
       }
+    });
+  });
+
+  // Обработка ошибок
+  app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({ error: 'Что-то пошло не так!' });
+  });
+
+  return app;
+}
+
+/**
+ * Запуск сервера с фоновым снятием истекших резервов и корректным завершением по SIGTERM/SIGINT:
+ * закрываются HTTP-сервер, подключение к базе и таймеры очистки кэша, счетчиков запросов и резервов
+ * @param {Object} config - Конфигурация (по умолчанию из переменных окружения)
+ * @returns {Promise<http.Server>} - Запущенный сервер
+ */
+async function start(config = loadConfig()) {
+  // Хранилище товаров: SQLite по умолчанию, PostgreSQL при DB_CLIENT=postgres.
+  // Тестовые данные загружаются в пустую базу только при DB_SEED=true
+  const db = createProductRepository(config.database);
+  const cache = defaultCache;
+  const rateLimiter = new RateLimiter(config.rateLimit);
+
+  // Запуск сервера после подготовки хранилища (применения миграций схемы)
+  await db.init();
+
+  // Снятие резерва меняет доступное количество: кэш товаров и списков (см. routes.js) сбрасывается
+  const sweeper = new ReservationSweeper({
+    products: db,
+    intervalMs: config.reservations.sweepIntervalMs,
+    onRelease: () => cache.deleteByPrefix('products:')
+  }).start();
+
+  const app = createApp({ db, cache, config, rateLimiter });
+  const server = app.listen(config.port, () => {
+    console.log(`Сервер запущен на http://localhost:${config.port}`);
+  });
+
+  let shuttingDown = false;
+  const shutdown = (signal) => {
+    if (shuttingDown) {
+      return;
     }
+    shuttingDown = true;
+    console.log(`Получен ${signal}, завершаем работу...`);
+
+    // Новые соединения не принимаются, простаивающие keep-alive закрываются сразу
+    server.close(async (err) => {
+      try {
+        await sweeper.close();
+        await db.close();
+        cache.close();
+        rateLimiter.close();
+        console.log('Сервер остановлен');
+      } catch (closeErr) {
+        err = err || closeErr;
+      }
+      if (err) {
+        console.error('Ошибка при завершении работы:', err.message);
+      }
+      process.exit(err ? 1 : 0);
+    });
+    server.closeIdleConnections();
+  };
+
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+
+  return server;
+}
+
+if (require.main === module) {
+  start().catch((err) => {
+    console.error('Ошибка запуска сервера:', err.message);
+    process.exit(1);
   });
-});
-
-// Обработка ошибок
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Что-то пошло не так!' });
-});
-
-// Запуск сервера
-app.listen(PORT, () => {
-  console.log(`Сервер запущен на http://localhost:${PORT}`);
-});
+}
+
+module.exports = createApp;
+module.exports.createApp = createApp;
+module.exports.start = start;
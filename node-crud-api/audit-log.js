@@ -0,0 +1,168 @@
+/**
+ * Журнал изменений товаров
+ *
+ * Каждое изменение товара записывается в audit_log в той же транзакции:
+ * кто (actor), когда (created_at), в каком запросе (request_id), что сделано (action)
+ * и значения до и после для изменившихся полей (changes).
+ *
+ * Действия:
+ *   create  - создание
+ *   update  - изменение полей (PUT, PATCH, пакет, импорт)
+ *   delete  - перемещение в корзину
+ *   restore - восстановление из корзины
+ *   purge   - окончательное удаление
+ *   revert  - откат к записи журнала
+ *   adjust  - изменение остатка на величину (см. stock.js)
+ *   reserve, commit, release, expire - создание, подтверждение, снятие и истечение резерва
+ */
+
+const AUDIT_ACTIONS = [
+  'create', 'update', 'delete', 'restore', 'purge', 'revert',
+  'adjust', 'reserve', 'commit', 'release', 'expire'
+];
+
+// Поля товара, изменения которых попадают в журнал; цена - в минимальных единицах (см. currency.js),
+// categories (ID) и tags передаются только при их назначении (см. repositories/taxonomy.js)
+const AUDITED_FIELDS = [
+  'name', 'description', 'price_minor', 'currency', 'quantity', 'reserved', 'deleted_at', 'categories', 'tags'
+];
+
+// Поля, которые восстанавливает откат; нахождение в корзине меняется только restore и DELETE
+const REVERTIBLE_FIELDS = ['name', 'description', 'price_minor', 'currency', 'quantity'];
+
+const AUDIT_INSERT_SQL = `INSERT INTO audit_log (product_id, action, actor, request_id, changes, version)
+  VALUES (?, ?, ?, ?, ?, ?)`;
+
+// Даты PostgreSQL сравниваются и сохраняются в ISO 8601, списки - по значению
+function comparable(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Изменившиеся поля товара
+ * @param {Object|undefined} before - Товар до изменения (нет при создании)
+ * @param {Object|undefined} after - Товар после изменения (нет при окончательном удалении)
+ * @returns {Object} - { поле: { before, after } }
+ */
+function diffProducts(before, after) {
+  const changes = {};
+  AUDITED_FIELDS.forEach(field => {
+    const from = before ? comparable(before[field]) : null;
+    const to = after ? comparable(after[field]) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from, after: to };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Параметры AUDIT_INSERT_SQL
+ * @param {string} action - Действие
+ * @param {Object|undefined} before - Товар до изменения
+ * @param {Object|undefined} after - Товар после изменения
+ * @param {Object} context - { actor, requestId } - кто и в каком запросе внес изменение
+ * @returns {Array} - Параметры запроса
+ */
+function auditParams(action, before, after, { actor = null, requestId = null } = {}) {
+  const product = after || before;
+  return [
+    product.id,
+    action,
+    actor,
+    requestId,
+    JSON.stringify(diffProducts(before, after)),
+    after ? after.version : null
+  ];
+}
+
+/**
+ * Дата в формате CURRENT_TIMESTAMP (UTC, до секунд) для сравнения с колонками DATETIME
+ * @param {Date} date - Дата
+ * @returns {string} - 'YYYY-MM-DD HH:MM:SS'
+ */
+function toTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Запрос журнала с фильтрами, новые записи первыми
+ * @param {Object} filters - Фильтры
+ * @param {number} filters.productId - ID товара
+ * @param {string} filters.actor - Автор изменения
+ * @param {string} filters.action - Действие
+ * @param {string} filters.requestId - ID запроса
+ * @param {Date} filters.from - Не раньше (включительно)
+ * @param {Date} filters.to - Не позже (включительно)
+ * @param {number} filters.sinceId - Записи начиная с этой (включительно)
+ * @param {number} filters.limit - Размер страницы (без него - все записи)
+ * @param {number} filters.offset - Смещение
+ * @returns {Object} - { countSql, countParams, sql, params } с плейсхолдерами '?'
+ */
+function buildAuditQuery({ productId, actor, action, requestId, from, to, sinceId, limit, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    conditions.push(condition);
+    params.push(value);
+  };
+
+  if (productId !== undefined) add('product_id = ?', productId);
+  if (actor !== undefined) add('actor = ?', actor);
+  if (action !== undefined) add('action = ?', action);
+  if (requestId !== undefined) add('request_id = ?', requestId);
+  if (from !== undefined) add('created_at >= ?', toTimestamp(from));
+  if (to !== undefined) add('created_at <= ?', toTimestamp(to));
+  if (sinceId !== undefined) add('id >= ?', sinceId);
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const page = limit !== undefined ? ' LIMIT ? OFFSET ?' : '';
+  return {
+    countSql: `SELECT COUNT(*) AS total FROM audit_log${where}`,
+    countParams: params,
+    sql: `SELECT * FROM audit_log${where} ORDER BY id DESC${page}`,
+    params: limit !== undefined ? [...params, limit, offset] : params
+  };
+}
+
+/**
+ * @param {Object} row - Строка audit_log
+ * @returns {Object} - Запись журнала с разобранным changes
+ */
+function parseAuditRow(row) {
+  return { ...row, changes: JSON.parse(row.changes) };
+}
+
+/**
+ * Поля товара в состоянии после записи журнала
+ * Изменения более поздних записей отменяются от новых к старым
+ * @param {Object} product - Текущий товар
+ * @param {Array} entries - Записи товара от новых к старым, последняя - целевая
+ * @returns {Object} - { name, description, price_minor, currency, quantity }
+ */
+function revertFields(product, entries) {
+  const fields = Object.fromEntries(REVERTIBLE_FIELDS.map(field => [field, product[field]]));
+  entries.slice(0, -1).forEach(({ changes }) => {
+    REVERTIBLE_FIELDS.forEach(field => {
+      if (changes[field]) {
+        fields[field] = changes[field].before;
+      }
+    });
+  });
+  return fields;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDITED_FIELDS,
+  AUDIT_INSERT_SQL,
+  toTimestamp,
+  diffProducts,
+  auditParams,
+  buildAuditQuery,
+  parseAuditRow,
+  revertFields
+};
@@ -0,0 +1,103 @@
+const { diffProducts, auditParams, buildAuditQuery, revertFields } = require('./audit-log');
+
+describe('Журнал изменений', () => {
+  const product = {
+    id: 3, name: 'Стол', description: 'Дуб', price_minor: 10000, currency: 'USD', quantity: 2, version: 1,
+    deleted_at: null
+  };
+
+  describe('diffProducts', () => {
+    it('должен включать только измененные поля', () => {
+      expect(diffProducts(product, { ...product, price_minor: 12000, version: 2 })).toEqual({
+        price_minor: { before: 10000, after: 12000 }
+      });
+      expect(diffProducts(product, { ...product, version: 2 })).toEqual({});
+    });
+
+    it('должен описывать создание и окончательное удаление', () => {
+      expect(diffProducts(undefined, product)).toEqual({
+        name: { before: null, after: 'Стол' },
+        description: { before: null, after: 'Дуб' },
+        price_minor: { before: null, after: 10000 },
+        currency: { before: null, after: 'USD' },
+        quantity: { before: null, after: 2 }
+      });
+      expect(Object.keys(diffProducts(product, undefined)))
+        .toEqual(['name', 'description', 'price_minor', 'currency', 'quantity']);
+    });
+
+    it('должен сравнивать даты PostgreSQL по значению', () => {
+      const deletedAt = new Date('2024-05-01T10:00:00Z');
+      const before = { ...product, deleted_at: new Date(deletedAt) };
+      expect(diffProducts(before, { ...product, deleted_at: new Date(deletedAt) })).toEqual({});
+      expect(diffProducts(product, before)).toEqual({
+        deleted_at: { before: null, after: '2024-05-01T10:00:00.000Z' }
+      });
+    });
+  });
+
+  it('должен формировать параметры записи журнала', () => {
+    const after = { ...product, quantity: 1, version: 2 };
+    expect(auditParams('update', product, after, { actor: 'key:1', requestId: 'r-1' })).toEqual([
+      3, 'update', 'key:1', 'r-1', '{"quantity":{"before":2,"after":1}}', 2
+    ]);
+    expect(auditParams('purge', product, undefined)).toEqual([
+      3, 'purge', null, null, expect.any(String), null
+    ]);
+  });
+
+  describe('buildAuditQuery', () => {
+    it('должен строить условия фильтров и страницу', () => {
+      const query = buildAuditQuery({
+        productId: 3,
+        action: 'update',
+        from: new Date('2024-05-01T00:00:00Z'),
+        to: new Date('2024-05-02T12:30:00.500Z'),
+        limit: 10,
+        offset: 20
+      });
+
+      expect(query.countSql).toBe(
+        'SELECT COUNT(*) AS total FROM audit_log WHERE product_id = ? AND action = ? AND created_at >= ? AND created_at <= ?'
+      );
+      expect(query.countParams).toEqual([3, 'update', '2024-05-01 00:00:00', '2024-05-02 12:30:00']);
+      expect(query.sql).toMatch(/ORDER BY id DESC LIMIT \? OFFSET \?$/);
+      expect(query.params).toEqual([...query.countParams, 10, 20]);
+    });
+
+    it('должен возвращать все записи без limit', () => {
+      const query = buildAuditQuery({ productId: 3, sinceId: 7 });
+      expect(query.sql).toBe('SELECT * FROM audit_log WHERE product_id = ? AND id >= ? ORDER BY id DESC');
+      expect(query.params).toEqual([3, 7]);
+    });
+  });
+
+  describe('revertFields', () => {
+    it('должен отменять изменения записей после целевой', () => {
+      const current = { ...product, name: 'Стол письменный', price_minor: 15000, currency: 'EUR', quantity: 0 };
+      const entries = [
+        { id: 9, changes: { quantity: { before: 2, after: 0 } } },
+        {
+          id: 8,
+          changes: {
+            price_minor: { before: 12000, after: 15000 },
+            currency: { before: 'USD', after: 'EUR' },
+            deleted_at: { before: null, after: 'x' }
+          }
+        },
+        {
+          id: 6,
+          changes: { name: { before: 'Стол', after: 'Стол письменный' }, price_minor: { before: 10000, after: 12000 } }
+        },
+        { id: 5, changes: { price_minor: { before: 9000, after: 10000 } } }
+      ];
+
+      expect(revertFields(current, entries)).toEqual({
+        name: 'Стол', description: 'Дуб', price_minor: 10000, currency: 'USD', quantity: 2
+      });
+      expect(revertFields(current, entries.slice(0, 2))).toEqual({
+        name: 'Стол письменный', description: 'Дуб', price_minor: 15000, currency: 'EUR', quantity: 2
+      });
+    });
+  });
+});
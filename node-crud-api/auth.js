@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { verifyJwt, JwtError } = require('./jwt');
+const { translate, resolveLocale } = require('./validation-messages');
+
+/**
+ * Аутентификация и роли
+ *
+ * Клиент передает одно из:
+ *   X-API-Key: <ключ>                - ключ, выпущенный командой node keys.js issue
+ *   Authorization: Bearer <JWT>      - токен HS256/RS256 с ролью в утверждении role
+ *
+ * Роли упорядочены по возрастанию прав: viewer - чтение, editor - изменение
+ * товаров, admin - также окончательное удаление. Запрос без учетных данных
+ * выполняется анонимно, а маршруты с requireRole отвечают на него 401.
+ */
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const API_KEY_PREFIX = 'pk_';
+
+/**
+ * @param {string} key - API-ключ
+ * @returns {string} - SHA-256 ключа (hex), под которым он хранится
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Выпуск API-ключа: в хранилище попадает только хэш
+ * @param {Object} apiKeys - Хранилище ключей (см. repositories/api-keys.js)
+ * @param {Object} options - { name, role }
+ * @returns {Promise<Object>} - { id, name, role, prefix, key }; key больше нигде не сохраняется
+ */
+async function issueApiKey(apiKeys, { name, role }) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Неизвестная роль: ${role}. Доступны: ${ROLES.join(', ')}`);
+  }
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Укажите название ключа');
+  }
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const prefix = key.slice(0, API_KEY_PREFIX.length + 8);
+  const id = await apiKeys.create({ name: name.trim(), prefix, keyHash: hashApiKey(key), role });
+  return { id, name: name.trim(), role, prefix, key };
+}
+
+/**
+ * Есть ли у пользователя роль не ниже требуемой
+ * @param {Object|null} user - req.user
+ * @param {string} role - Требуемая роль
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.includes(user.role) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function sendAuthError(req, res, status, key, params) {
+  const code = status === 401 ? 'UNAUTHORIZED' : 'FORBIDDEN';
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  return res.status(status).json({ error: translate(resolveLocale(req), key, params), code });
+}
+
+/**
+ * Middleware аутентификации: req.user - { id, name, role, method } или null для анонимного запроса
+ * Неверные учетные данные отклоняются сразу (401), даже на открытых маршрутах
+ * @param {Object} options - Настройки
+ * @param {Object} options.apiKeys - Хранилище API-ключей
+ * @param {Object} options.jwt - Ключи и ожидаемые утверждения JWT (см. jwt.js verifyJwt)
+ * @param {Function} options.onFailure - (req) => void, вызывается при отклонении учетных данных
+ *   (например, RateLimiter.recordFailure)
+ * @returns {Function} - Express middleware
+ */
+function createAuthenticator({ apiKeys, jwt = {}, onFailure = () => {} }) {
+  return async (req, res, next) => {
+    const reject = (key) => {
+      onFailure(req);
+      return sendAuthError(req, res, 401, key);
+    };
+    req.user = null;
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization');
+
+    try {
+      if (apiKey !== undefined) {
+        const row = await apiKeys.findActiveByHash(hashApiKey(apiKey));
+        if (!row) {
+          return reject('auth.invalidKey');
+        }
+        req.user = { id: `key:${row.id}`, name: row.name, role: row.role, method: 'apiKey' };
+      } else if (authorization !== undefined) {
+        const [scheme, token] = authorization.split(' ');
+        if (!/^bearer$/i.test(scheme) || !token) {
+          return reject('auth.invalidToken');
+        }
+        const payload = verifyJwt(token, jwt);
+        req.user = { id: payload.sub, name: payload.name || payload.sub, role: payload.role, method: 'jwt' };
+      }
+    } catch (err) {
+      if (err instanceof JwtError) {
+        return reject('auth.invalidToken');
+      }
+      return next(err);
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware проверки роли: 401 без учетных данных, 403 при недостаточной роли
+ * @param {string} role - Минимальная роль
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendAuthError(req, res, 401, 'auth.required');
+    }
+    if (!hasRole(req.user, role)) {
+      return sendAuthError(req, res, 403, 'auth.forbidden', { role });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashApiKey,
+  issueApiKey,
+  hasRole,
+  createAuthenticator,
+  requireRole
+};
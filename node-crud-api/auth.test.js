@@ -0,0 +1,119 @@
+const { createDatabase } = require('./db');
+const { SqliteApiKeyRepository } = require('./repositories/api-keys');
+const { hashApiKey, issueApiKey, hasRole, createAuthenticator, requireRole } = require('./auth');
+const { signJwt } = require('./jwt');
+
+describe('Аутентификация', () => {
+  let db;
+  let apiKeys;
+
+  beforeAll(async () => {
+    db = createDatabase({ filename: ':memory:', logger: null });
+    await db.ready;
+    apiKeys = new SqliteApiKeyRepository(db);
+  });
+
+  afterAll(() => db.close());
+
+  // Минимальные заглушки запроса и ответа Express
+  const requestWith = (headers) => ({
+    get: name => headers[name],
+    headers: {}
+  });
+  const responseStub = () => {
+    const res = { headers: {} };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+  };
+  const runMiddleware = async (middleware, req) => {
+    const res = responseStub();
+    let nextCalled = false;
+    await middleware(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+  };
+
+  it('должен сравнивать роли по старшинству', () => {
+    expect(hasRole({ role: 'admin' }, 'editor')).toBe(true);
+    expect(hasRole({ role: 'editor' }, 'editor')).toBe(true);
+    expect(hasRole({ role: 'viewer' }, 'editor')).toBe(false);
+    expect(hasRole({ role: 'root' }, 'viewer')).toBe(false);
+    expect(hasRole(null, 'viewer')).toBe(false);
+  });
+
+  it('должен выпускать ключ и хранить только его хэш', async () => {
+    const issued = await issueApiKey(apiKeys, { name: ' Склад ', role: 'editor' });
+
+    expect(issued.key).toMatch(/^pk_[\w-]{32}$/);
+    expect(issued.key.startsWith(issued.prefix)).toBe(true);
+    expect(issued.name).toBe('Склад');
+    expect(await apiKeys.findActiveByHash(hashApiKey(issued.key))).toMatchObject({ id: issued.id, role: 'editor' });
+
+    const [stored] = await apiKeys.list();
+    expect(JSON.stringify(stored)).not.toContain(issued.key);
+  });
+
+  it('должен отклонять неизвестную роль и пустое название', async () => {
+    await expect(issueApiKey(apiKeys, { name: 'x', role: 'owner' })).rejects.toThrow('Неизвестная роль');
+    await expect(issueApiKey(apiKeys, { name: ' ', role: 'viewer' })).rejects.toThrow('Укажите название ключа');
+  });
+
+  it('должен отзывать ключ один раз', async () => {
+    const issued = await issueApiKey(apiKeys, { name: 'Временный', role: 'viewer' });
+
+    expect(await apiKeys.revoke(issued.id)).toBe(1);
+    expect(await apiKeys.revoke(issued.id)).toBe(0);
+    expect(await apiKeys.findActiveByHash(hashApiKey(issued.key))).toBeUndefined();
+  });
+
+  describe('createAuthenticator', () => {
+    const authenticate = createAuthenticator({ apiKeys: null, jwt: { secret: 'secret' } });
+
+    it('должен пропускать анонимный запрос', async () => {
+      const req = requestWith({});
+      const { nextCalled } = await runMiddleware(authenticate, req);
+
+      expect(nextCalled).toBe(true);
+      expect(req.user).toBeNull();
+    });
+
+    it('должен определять пользователя по JWT', async () => {
+      const token = signJwt({ sub: 'u1', name: 'Анна', role: 'admin' }, { secret: 'secret' });
+      const req = requestWith({ Authorization: `Bearer ${token}` });
+      await runMiddleware(authenticate, req);
+
+      expect(req.user).toEqual({ id: 'u1', name: 'Анна', role: 'admin', method: 'jwt' });
+    });
+
+    it('должен отвечать 401 на неверный токен', async () => {
+      const { res, nextCalled } = await runMiddleware(authenticate, requestWith({ Authorization: 'Bearer a.b.c' }));
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(401);
+      expect(res.headers['WWW-Authenticate']).toBe('Bearer');
+      expect(res.body.code).toBe('UNAUTHORIZED');
+
+      // Заголовок null проходит base64url и JSON, но не является объектом
+      const nullHeader = await runMiddleware(authenticate, requestWith({ Authorization: 'Bearer bnVsbA.e30.c2ln' }));
+      expect(nullHeader.nextCalled).toBe(false);
+      expect(nullHeader.res.statusCode).toBe(401);
+    });
+  });
+
+  describe('requireRole', () => {
+    const requireEditor = requireRole('editor');
+
+    it('должен различать отсутствие учетных данных и недостаток прав', async () => {
+      const anonymous = await runMiddleware(requireEditor, { ...requestWith({}), user: null });
+      expect(anonymous.res.statusCode).toBe(401);
+
+      const viewer = await runMiddleware(requireEditor, { ...requestWith({}), user: { role: 'viewer' } });
+      expect(viewer.res.statusCode).toBe(403);
+      expect(viewer.res.body.code).toBe('FORBIDDEN');
+
+      const admin = await runMiddleware(requireEditor, { ...requestWith({}), user: { role: 'admin' } });
+      expect(admin.nextCalled).toBe(true);
+    });
+  });
+});
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const MemoryBank = require('./memory-bank');
 
 /**
@@ -5,14 +6,26 @@ const MemoryBank = require('./memory-bank');
  * Интегрирует Memory Bank с Express для ускорения работы API
  */
 class CacheMiddleware {
+  /**
+   * @param {Object} options - Настройки
+   * @param {number} options.maxSize - Максимальное количество записей
+   * @param {number} options.maxBytes - Максимальный объем кэша в байтах (опционально)
+   * @param {number} options.ttl - TTL по умолчанию в миллисекундах
+   * @param {string|Object} options.evictionPolicy - Политика вытеснения (по умолчанию 'lru')
+   * @param {Array} options.cachedHeaders - Заголовки ответа, которые кэшируются вместе с телом
+   */
   constructor(options = {}) {
     this.cache = new MemoryBank({
       maxSize: options.maxSize || 100,
+      maxBytes: options.maxBytes || null,
       ttl: options.ttl || 300000, // 5 минут по умолчанию
+      evictionPolicy: options.evictionPolicy || 'lru',
       autoCleanup: true,
       cleanupInterval: 60000
     });
     
+    this.cachedHeaders = options.cachedHeaders || ['ETag', 'Link', 'X-Total-Count'];
+    
     this.stats = {
       hits: 0,
       misses: 0,
@@ -29,6 +42,7 @@ class CacheMiddleware {
   
   /**
    * Express middleware для кэширования GET запросов
+   * В кэш сохраняется запись { body, headers }: тело ответа и заголовки из cachedHeaders
    * @param {string} keyGenerator - Функция генерации ключа кэша
    * @param {number} ttl - TTL в миллисекундах (опционально)
    */
@@ -41,13 +55,16 @@ class CacheMiddleware {
       const cached = this.cache.get(cacheKey);
       
       if (cached) {
-        res.set('X-Cache', 'HIT');
-        res.set('X-Cache-Key', cacheKey);
-        return res.json(cached);
+        res.set(cached.headers);
+        this._setCacheHeaders(res, 'HIT', cacheKey);
+        // Условный запрос с совпадающим If-None-Match получает 304 без тела
+        if (req.fresh) {
+          return res.status(304).end();
+        }
+        return res.json(cached.body);
       }
       
-      res.set('X-Cache', 'MISS');
-      res.set('X-Cache-Key', cacheKey);
+      this._setCacheHeaders(res, 'MISS', cacheKey);
       
       // Сохраняем оригинальный метод json
       const originalJson = res.json;
@@ -56,7 +73,11 @@ class CacheMiddleware {
       res.json = (data) => {
         // Сохраняем в кэш только успешные ответы
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          this.cache.set(cacheKey, data, ttl);
+          // ETag, сохраненный вместе с телом, позволяет отвечать на условные запросы из кэша
+          if (!res.get('ETag')) {
+            res.set('ETag', this._weakETag(data));
+          }
+          this.cache.set(cacheKey, { body: data, headers: this._pickHeaders(res) }, ttl);
         }
         return originalJson.call(res, data);
       };
@@ -67,7 +88,8 @@ class CacheMiddleware {
   
   /**
    * Express middleware для инвалидации кэша при изменениях
-   * @param {Array|string} keys - Ключи или функция генерации ключей для инвалидации
+   * Ключ, оканчивающийся на '*', инвалидирует все ключи с этим префиксом
+   * @param {Array|string|Function} keys - Ключи или функция (req, data) генерации ключей для инвалидации
    */
   invalidateCache(keys) {
     return (req, res, next) => {
@@ -76,7 +98,7 @@ class CacheMiddleware {
       res.json = (data) => {
         // Инвалидируем кэш только при успешных изменениях
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          this._invalidateKeys(req, keys);
+          this._invalidateKeys(req, keys, data);
         }
         return originalJson.call(res, data);
       };
@@ -141,19 +163,79 @@ class CacheMiddleware {
   _generateKey(req, prefix = '') {
     const method = req.method.toUpperCase();
     const path = req.path;
-    const query = JSON.stringify(req.query || {});
-    const key = `${prefix}${method}:${path}${query}`;
+    // Параметры сортируются, чтобы ?a=1&b=2 и ?b=2&a=1 давали один ключ
+    const query = req.query || {};
+    const normalizedQuery = JSON.stringify(
+      Object.keys(query).sort().map(name => [name, query[name]])
+    );
+    const key = `${prefix}${method}:${path}${normalizedQuery}`;
     return key;
   }
   
+  /**
+   * Установка диагностических заголовков кэша
+   * Ключ может содержать не-ASCII символы из query-параметров,
+   * которые недопустимы в заголовках, поэтому он кодируется
+   * @param {Object} res - Express response
+   * @param {string} status - HIT или MISS
+   * @param {string} cacheKey - Ключ кэша
+   */
+  _setCacheHeaders(res, status, cacheKey) {
+    res.set('X-Cache', status);
+    res.set('X-Cache-Key', encodeURI(cacheKey));
+  }
+  
+  /**
+   * Заголовки ответа, которые нужно восстановить при попадании в кэш
+   * @param {Object} res - Express response
+   * @returns {Object} - Заголовки
+   */
+  _pickHeaders(res) {
+    const headers = {};
+    this.cachedHeaders.forEach(name => {
+      const value = res.get(name);
+      if (value !== undefined) {
+        headers[name] = value;
+      }
+    });
+    return headers;
+  }
+  
+  /**
+   * Слабый ETag тела ответа в формате Express (длина и хэш JSON)
+   * @param {*} data - Тело ответа
+   * @returns {string} - ETag
+   */
+  _weakETag(data) {
+    const json = JSON.stringify(data) || '';
+    const hash = crypto.createHash('sha1').update(json).digest('base64').substring(0, 27);
+    return `W/"${Buffer.byteLength(json).toString(16)}-${hash}"`;
+  }
+  
+  /**
+   * Удаление всех ключей с заданным префиксом
+   * @param {string} prefix - Префикс ключа
+   * @returns {number} - Количество удаленных записей
+   */
+  deleteByPrefix(prefix) {
+    let count = 0;
+    this.cache.keys().forEach(key => {
+      if (key.startsWith(prefix) && this.cache.delete(key)) {
+        count++;
+      }
+    });
+    return count;
+  }
+  
   /**
    * Инвалидация ключей кэша
    * @param {Object} req - Express request
    * @param {Array|string|Function} keys - Ключи для инвалидации
+   * @param {*} data - Тело успешного ответа
    */
-  _invalidateKeys(req, keys) {
+  _invalidateKeys(req, keys, data) {
     if (typeof keys === 'function') {
-      keys = keys(req);
+      keys = keys(req, data);
     }
     
     if (typeof keys === 'string') {
@@ -162,18 +244,28 @@ class CacheMiddleware {
     
     if (Array.isArray(keys)) {
       keys.forEach(key => {
-        if (typeof key === 'string') {
-          this.cache.delete(key);
-        } else if (typeof key === 'function') {
-          const generatedKey = key(req);
-          if (generatedKey) {
-            this.cache.delete(generatedKey);
-          }
+        if (typeof key === 'function') {
+          key = key(req, data);
+        }
+        if (typeof key === 'string' && key) {
+          this._deleteKey(key);
         }
       });
     }
   }
   
+  /**
+   * Удаление ключа или группы ключей по шаблону 'prefix*'
+   * @param {string} key - Ключ
+   */
+  _deleteKey(key) {
+    if (key.endsWith('*')) {
+      this.deleteByPrefix(key.slice(0, -1));
+    } else {
+      this.cache.delete(key);
+    }
+  }
+  
   /**
    * Закрытие кэша
    */
@@ -185,7 +277,13 @@ class CacheMiddleware {
 // Создание экземпляра middleware
 const cacheMiddleware = new CacheMiddleware({
   maxSize: 200,
-  ttl: 300000 // 5 минут
+  // Списки товаров весят намного больше отдельных записей, поэтому
+  // объем ограничивается отдельно от количества (по умолчанию 10 МБ)
+  maxBytes: Number(process.env.CACHE_MAX_BYTES) || 10 * 1024 * 1024,
+  ttl: 300000, // 5 минут
+  // Популярные товары не вытесняются из-за раннего добавления
+  evictionPolicy: process.env.CACHE_EVICTION_POLICY || 'lru'
 });
 
 module.exports = cacheMiddleware;
+module.exports.CacheMiddleware = CacheMiddleware;
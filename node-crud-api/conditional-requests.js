@@ -0,0 +1,84 @@
+/**
+ * Условные запросы (RFC 9110): ETag, If-Match
+ *
+ * ETag товара строится из ID и версии записи, поэтому меняется при каждом
+ * изменении. If-None-Match для GET обрабатывает Express (req.fresh),
+ * If-Match для изменений проверяется здесь строгим сравнением.
+ */
+
+const PRECONDITION_FAILED = { status: 412, code: 'PRECONDITION_FAILED', key: 'precondition.failed' };
+const PRECONDITION_REQUIRED = { status: 428, code: 'PRECONDITION_REQUIRED', key: 'precondition.required' };
+const CONFLICT = { status: 409, code: 'CONFLICT', key: 'conflict.concurrent' };
+
+/**
+ * ETag товара
+ * @param {Object} product - Запись товара с полями id и version
+ * @returns {string} - Строгий ETag
+ */
+function productETag(product) {
+  return `"${product.id}-${product.version}"`;
+}
+
+/**
+ * Разбор заголовка со списком ETag
+ * @param {string} header - Значение If-Match / If-None-Match
+ * @returns {string|Array} - '*' или список { weak, opaque }
+ */
+function parseETags(header) {
+  if (header.trim() === '*') {
+    return '*';
+  }
+  return (header.match(/(W\/)?"[^"]*"/g) || []).map(tag => ({
+    weak: tag.startsWith('W/'),
+    opaque: tag.replace(/^W\//, '')
+  }));
+}
+
+/**
+ * Выполнено ли условие If-Match для текущего ETag
+ * Сравнение строгое: слабые ETag не совпадают никогда
+ * @param {string} header - Значение If-Match
+ * @param {string} etag - Текущий ETag ресурса
+ * @returns {boolean}
+ */
+function ifMatchSatisfied(header, etag) {
+  const tags = parseETags(header);
+  if (tags === '*') {
+    return true;
+  }
+  return tags.some(tag => !tag.weak && tag.opaque === etag);
+}
+
+/**
+ * Проверка If-Match перед изменением ресурса
+ * @param {Object} req - Запрос Express
+ * @param {string} etag - Текущий ETag ресурса
+ * @param {Object} options - Настройки
+ * @param {boolean} options.required - Отклонять запросы без If-Match (428)
+ * @returns {Object|null} - Ошибка { status, code, key } или null, если условие выполнено
+ */
+function checkIfMatch(req, etag, { required = false } = {}) {
+  const header = req.get('If-Match');
+  if (header === undefined) {
+    return required ? PRECONDITION_REQUIRED : null;
+  }
+  return ifMatchSatisfied(header, etag) ? null : PRECONDITION_FAILED;
+}
+
+/**
+ * Ошибка для записи, изменившейся между чтением и сохранением
+ * С If-Match клиент ожидал конкретную версию - 412, без него - 409
+ * @param {Object} req - Запрос Express
+ * @returns {Object} - Ошибка { status, code, key }
+ */
+function writeConflict(req) {
+  return req.get('If-Match') !== undefined ? PRECONDITION_FAILED : CONFLICT;
+}
+
+module.exports = {
+  productETag,
+  parseETags,
+  ifMatchSatisfied,
+  checkIfMatch,
+  writeConflict
+};
@@ -0,0 +1,35 @@
+const { productETag, parseETags, ifMatchSatisfied, checkIfMatch, writeConflict } = require('./conditional-requests');
+
+describe('Условные запросы', () => {
+  const requestWith = (headers) => ({ get: name => headers[name] });
+
+  it('должен строить ETag из ID и версии', () => {
+    expect(productETag({ id: 5, version: 3 })).toBe('"5-3"');
+  });
+
+  it('должен разбирать список ETag', () => {
+    expect(parseETags(' * ')).toBe('*');
+    expect(parseETags('"a", W/"b"')).toEqual([
+      { weak: false, opaque: '"a"' },
+      { weak: true, opaque: '"b"' }
+    ]);
+  });
+
+  it('должен сравнивать If-Match строго', () => {
+    expect(ifMatchSatisfied('"x", "5-3"', '"5-3"')).toBe(true);
+    expect(ifMatchSatisfied('W/"5-3"', '"5-3"')).toBe(false);
+    expect(ifMatchSatisfied('*', '"5-3"')).toBe(true);
+  });
+
+  it('должен возвращать ошибку предусловия', () => {
+    expect(checkIfMatch(requestWith({}), '"1-1"')).toBeNull();
+    expect(checkIfMatch(requestWith({}), '"1-1"', { required: true })).toMatchObject({ status: 428 });
+    expect(checkIfMatch(requestWith({ 'If-Match': '"1-2"' }), '"1-1"')).toMatchObject({ status: 412 });
+    expect(checkIfMatch(requestWith({ 'If-Match': '"1-1"' }), '"1-1"')).toBeNull();
+  });
+
+  it('должен различать конфликт записи с If-Match и без него', () => {
+    expect(writeConflict(requestWith({ 'If-Match': '"1-1"' }))).toMatchObject({ status: 412 });
+    expect(writeConflict(requestWith({}))).toMatchObject({ status: 409, code: 'CONFLICT' });
+  });
+});
@@ -0,0 +1,101 @@
+const { DEFAULT_MAX_IMAGE_SIZE, DEFAULT_THUMBNAIL_SIZES } = require('./images');
+const { DEFAULT_CURRENCY, CURRENCY_CODES, parseExchangeRates } = require('./currency');
+const { parsePublicKey } = require('./jwt');
+
+// Лимит запросов из переменной окружения; пустое значение - лимит по умолчанию
+const limitFrom = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+// Список размеров через запятую; пустое значение - без уменьшенных копий
+const sizesFrom = (value, fallback) => (value === undefined ? fallback : value
+  .split(',')
+  .map(size => Number(size.trim()))
+  .filter(size => Number.isInteger(size) && size > 0));
+
+// Код валюты ISO 4217; с неизвестной валютой нельзя сохранить ни одну цену
+const currencyFrom = (value = DEFAULT_CURRENCY) => {
+  if (!CURRENCY_CODES.includes(value)) {
+    throw new Error(`Неизвестная валюта: ${value}. Ожидается код ISO 4217, например USD`);
+  }
+  return value;
+};
+
+/**
+ * Конфигурация приложения из переменных окружения
+ *
+ *   PORT          - Порт HTTP-сервера (по умолчанию 3000)
+ *   DB_CLIENT     - Хранилище: sqlite (по умолчанию) или postgres
+ *   DB_PATH       - Файл базы SQLite
+ *   DATABASE_URL  - Строка подключения PostgreSQL
+ *   DB_SEED       - Заполнить пустую базу тестовыми данными (true/false)
+ *   REQUIRE_IF_MATCH - Требовать If-Match для изменения товаров (true/false)
+ *   CORS_ORIGINS  - Источники, которым разрешен CORS, через запятую ('*' - любой);
+ *                   по умолчанию запросы с других источников не разрешаются
+ *   JWT_SECRET    - Секрет для проверки JWT HS256
+ *   JWT_PUBLIC_KEY - Открытый ключ для проверки JWT RS256 (PEM, переводы строк можно записать как \n)
+ *   JWT_ISSUER, JWT_AUDIENCE - Ожидаемые утверждения iss и aud токена
+ *   AUTH_PUBLIC_READS - Чтение без аутентификации (по умолчанию true; false - нужна роль viewer)
+ *   RATE_LIMIT_ALGORITHM - Алгоритм ограничения частоты: fixed-window (по умолчанию),
+ *                   sliding-window или token-bucket
+ *   RATE_LIMIT_KEY - Ключ счетчика: ip, apiKey (по умолчанию), route или их сочетание через запятую
+ *   RATE_LIMIT_READ, RATE_LIMIT_WRITE - Запросов чтения (по умолчанию 300) и изменения (60)
+ *                   за окно; 0 - без ограничения
+ *   RATE_LIMIT_WINDOW_MS - Окно ограничения в миллисекундах (по умолчанию 60000)
+ *   RESERVATION_SWEEP_INTERVAL_MS - Период снятия истекших резервов в миллисекундах (по умолчанию 60000)
+ *   IMAGE_STORAGE - Драйвер хранилища изображений (по умолчанию local, см. storage.js)
+ *   IMAGE_STORAGE_PATH - Каталог изображений для local (по умолчанию uploads рядом с приложением)
+ *   IMAGE_MAX_SIZE - Предельный размер файла изображения в байтах (по умолчанию 5 МБ)
+ *   IMAGE_THUMBNAIL_SIZES - Размеры уменьшенных копий в пикселях через запятую (по умолчанию 128,512)
+ *   DEFAULT_CURRENCY - Валюта цен, для которых она не указана, и база курсов (по умолчанию USD)
+ *   EXCHANGE_RATES - Курсы относительно DEFAULT_CURRENCY через запятую, например EUR=0.92,RUB=92.5
+ *                   (за 1 единицу базовой валюты); без курса цены в валюту не пересчитываются
+ *
+ * @param {Object} env - Переменные окружения (по умолчанию process.env)
+ * @returns {Object} - Конфигурация
+ * @throws {Error} - Неизвестная валюта по умолчанию, некорректные курсы или открытый ключ JWT
+ */
+function loadConfig(env = process.env) {
+  const windowMs = Number(env.RATE_LIMIT_WINDOW_MS) || 60000;
+  return {
+    port: Number(env.PORT) || 3000,
+    database: {
+      client: env.DB_CLIENT || 'sqlite',
+      filename: env.DB_PATH,
+      connectionString: env.DATABASE_URL,
+      seed: env.DB_SEED === 'true'
+    },
+    requireIfMatch: env.REQUIRE_IF_MATCH === 'true',
+    corsOrigins: (env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    auth: {
+      jwt: {
+        secret: env.JWT_SECRET,
+        publicKey: env.JWT_PUBLIC_KEY ? parsePublicKey(env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n')) : undefined,
+        issuer: env.JWT_ISSUER,
+        audience: env.JWT_AUDIENCE
+      },
+      publicReads: env.AUTH_PUBLIC_READS !== 'false'
+    },
+    rateLimit: {
+      algorithm: env.RATE_LIMIT_ALGORITHM || 'fixed-window',
+      keyBy: (env.RATE_LIMIT_KEY || 'apiKey').split(',').map(part => part.trim()),
+      limits: {
+        read: { limit: limitFrom(env.RATE_LIMIT_READ, 300), windowMs },
+        write: { limit: limitFrom(env.RATE_LIMIT_WRITE, 60), windowMs }
+      }
+    },
+    reservations: {
+      sweepIntervalMs: Number(env.RESERVATION_SWEEP_INTERVAL_MS) || 60000
+    },
+    images: {
+      driver: env.IMAGE_STORAGE || 'local',
+      path: env.IMAGE_STORAGE_PATH,
+      maxSize: Number(env.IMAGE_MAX_SIZE) || DEFAULT_MAX_IMAGE_SIZE,
+      thumbnailSizes: sizesFrom(env.IMAGE_THUMBNAIL_SIZES, DEFAULT_THUMBNAIL_SIZES)
+    },
+    currency: {
+      default: currencyFrom(env.DEFAULT_CURRENCY || undefined),
+      rates: parseExchangeRates(env.EXCHANGE_RATES)
+    }
+  };
+}
+
+module.exports = { loadConfig };
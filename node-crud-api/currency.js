@@ -0,0 +1,165 @@
+/**
+ * Цены и валюты
+ *
+ * Цена хранится целым числом минимальных единиц (price_minor: центы, копейки)
+ * вместе с кодом валюты ISO 4217 (currency), поэтому суммы не накапливают
+ * погрешность двоичных дробей. API принимает и отдает price в основных единицах
+ * (1299.99), price_minor и currency.
+ *
+ * Курсы пересчета задаются локально (см. config.js) относительно базовой валюты:
+ * { EUR: 0.92 } - за 1 единицу базовой валюты дают 0.92 EUR.
+ */
+
+// Валюта цен, для которых она не указана
+const DEFAULT_CURRENCY = 'USD';
+
+// Коды валют ISO 4217, известные Intl
+const CURRENCY_CODES = Intl.supportedValuesOf('currency');
+
+// Число знаков после запятой по ISO 4217 для валют, у которых оно отличается от 2
+const CURRENCY_EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+// Наибольшая цена в минимальных единицах - предел колонки INTEGER в PostgreSQL
+const MAX_PRICE_MINOR = 2147483647;
+
+/**
+ * @param {string} currency - Код валюты
+ * @returns {number} - Число знаков после запятой
+ */
+function currencyExponent(currency) {
+  return currency in CURRENCY_EXPONENTS ? CURRENCY_EXPONENTS[currency] : 2;
+}
+
+/**
+ * Перевод суммы в минимальные единицы валюты
+ * @param {number} amount - Сумма в основных единицах
+ * @param {string} currency - Код валюты
+ * @returns {number|null} - Целое число или null, если у суммы больше знаков,
+ *   чем допускает валюта, либо она больше MAX_PRICE_MINOR
+ */
+function toMinorUnits(amount, currency) {
+  const scale = 10 ** currencyExponent(currency);
+  const minor = Math.round(amount * scale);
+  // Произведение двоичной дроби может отличаться от целого (1299.99 * 100),
+  // поэтому сумма сравнивается после обратного перевода
+  if (minor / scale !== amount || Math.abs(minor) > MAX_PRICE_MINOR) {
+    return null;
+  }
+  return minor;
+}
+
+/**
+ * @param {number} minor - Сумма в минимальных единицах
+ * @param {string} currency - Код валюты
+ * @returns {number} - Сумма в основных единицах
+ */
+function fromMinorUnits(minor, currency) {
+  return minor / 10 ** currencyExponent(currency);
+}
+
+// Делитель минимальных единиц по валюте для SQL
+function scaleSql(currencyColumn) {
+  const byExponent = {};
+  Object.entries(CURRENCY_EXPONENTS).forEach(([currency, exponent]) => {
+    (byExponent[exponent] = byExponent[exponent] || []).push(`'${currency}'`);
+  });
+  const cases = Object.entries(byExponent)
+    .map(([exponent, currencies]) => `WHEN ${currencyColumn} IN (${currencies.join(', ')}) THEN ${10 ** exponent}.0`);
+  return `CASE ${cases.join(' ')} ELSE 100.0 END`;
+}
+
+/**
+ * Выражение SQL для цены в основных единицах (сортировка и фильтры списка)
+ * Деление на дробную константу дает точное значение в PostgreSQL (numeric)
+ * и то же значение, что fromMinorUnits, в SQLite
+ * @param {string} column - Колонка минимальных единиц
+ * @param {string} currencyColumn - Колонка валюты
+ * @returns {string} - Выражение SQL
+ */
+function majorUnitsSql(column = 'price_minor', currencyColumn = 'currency') {
+  return `(${column} / ${scaleSql(currencyColumn)})`;
+}
+
+/**
+ * Товар в ответе API с ценой в основных единицах
+ * @param {Object|undefined} row - Строка products
+ * @returns {Object|undefined} - Товар с полем price
+ */
+function withPrice(row) {
+  if (!row) {
+    return row;
+  }
+  return { ...row, price: fromMinorUnits(row.price_minor, row.currency) };
+}
+
+/**
+ * Разбор курсов из строки 'EUR=0.92,RUB=92.5'
+ * @param {string} text - Курсы через запятую
+ * @returns {Object} - { код: курс }
+ * @throws {Error} - Неизвестная валюта или курс не положительное число
+ */
+function parseExchangeRates(text = '') {
+  const rates = {};
+  text.split(',').map(part => part.trim()).filter(Boolean).forEach((part) => {
+    const [code, value] = part.split('=').map(item => item && item.trim());
+    const rate = Number(value);
+    if (!CURRENCY_CODES.includes(code) || !value || !Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Некорректный курс валюты: ${part}. Ожидается КОД=курс, например EUR=0.92`);
+    }
+    rates[code] = rate;
+  });
+  return rates;
+}
+
+/**
+ * Курс пересчета из одной валюты в другую
+ * @param {string} from - Исходная валюта
+ * @param {string} to - Целевая валюта
+ * @param {Object} exchange - { base, rates } - базовая валюта и курсы относительно нее
+ * @returns {number|null} - Курс или null, если для одной из валют он не задан
+ */
+function exchangeRate(from, to, { base = DEFAULT_CURRENCY, rates = {} } = {}) {
+  const rateOf = currency => (currency === base ? 1 : rates[currency]);
+  if (from === to) {
+    return 1;
+  }
+  if (rateOf(from) === undefined || rateOf(to) === undefined) {
+    return null;
+  }
+  return rateOf(to) / rateOf(from);
+}
+
+/**
+ * Пересчет цены в другую валюту с округлением до минимальной единицы
+ * @param {number} minor - Цена в минимальных единицах
+ * @param {string} from - Валюта цены
+ * @param {string} to - Целевая валюта
+ * @param {Object} exchange - { base, rates } (см. exchangeRate)
+ * @returns {Object|null} - { currency, price, price_minor, rate } или null без курса
+ */
+function convertPrice(minor, from, to, exchange) {
+  const rate = exchangeRate(from, to, exchange);
+  if (rate === null) {
+    return null;
+  }
+  const converted = Math.round(fromMinorUnits(minor, from) * rate * 10 ** currencyExponent(to));
+  return { currency: to, price: fromMinorUnits(converted, to), price_minor: converted, rate };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_CODES,
+  MAX_PRICE_MINOR,
+  currencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  majorUnitsSql,
+  withPrice,
+  parseExchangeRates,
+  exchangeRate,
+  convertPrice
+};
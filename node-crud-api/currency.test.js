@@ -0,0 +1,58 @@
+const {
+  CURRENCY_CODES,
+  MAX_PRICE_MINOR,
+  currencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  withPrice,
+  parseExchangeRates,
+  exchangeRate,
+  convertPrice
+} = require('./currency');
+
+describe('Цены и валюты', () => {
+  it('должен знать коды ISO 4217 и число знаков валюты', () => {
+    expect(CURRENCY_CODES).toEqual(expect.arrayContaining(['USD', 'EUR', 'RUB', 'JPY']));
+    expect(currencyExponent('USD')).toBe(2);
+    expect(currencyExponent('JPY')).toBe(0);
+    expect(currencyExponent('KWD')).toBe(3);
+  });
+
+  it('должен переводить сумму в минимальные единицы без погрешности', () => {
+    expect(toMinorUnits(1299.99, 'USD')).toBe(129999);
+    expect(toMinorUnits(0.1 + 0.2, 'USD')).toBeNull();
+    expect(toMinorUnits(0.3, 'USD')).toBe(30);
+    expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(toMinorUnits(1.5, 'JPY')).toBeNull();
+    expect(toMinorUnits(1.234, 'KWD')).toBe(1234);
+    expect(toMinorUnits(10.005, 'USD')).toBeNull();
+    expect(toMinorUnits(MAX_PRICE_MINOR / 100 + 1, 'USD')).toBeNull();
+  });
+
+  it('должен добавлять цену в основных единицах к товару', () => {
+    expect(fromMinorUnits(129999, 'USD')).toBe(1299.99);
+    expect(withPrice({ id: 1, price_minor: 1500, currency: 'JPY' }).price).toBe(1500);
+    expect(withPrice(undefined)).toBeUndefined();
+  });
+
+  it('должен разбирать курсы валют', () => {
+    expect(parseExchangeRates('EUR=0.92, RUB = 92.5')).toEqual({ EUR: 0.92, RUB: 92.5 });
+    expect(parseExchangeRates('')).toEqual({});
+    expect(() => parseExchangeRates('EUR=0')).toThrow('Некорректный курс валюты: EUR=0');
+    expect(() => parseExchangeRates('ABC=1')).toThrow('Некорректный курс валюты');
+    expect(() => parseExchangeRates('EUR')).toThrow('Некорректный курс валюты');
+  });
+
+  it('должен пересчитывать цену через базовую валюту', () => {
+    const exchange = { base: 'USD', rates: { EUR: 0.9, JPY: 150 } };
+
+    expect(exchangeRate('USD', 'USD', exchange)).toBe(1);
+    expect(exchangeRate('EUR', 'JPY', exchange)).toBeCloseTo(166.667, 3);
+    expect(exchangeRate('RUB', 'USD', exchange)).toBeNull();
+    expect(convertPrice(129999, 'USD', 'EUR', exchange)).toEqual({
+      currency: 'EUR', price: 1169.99, price_minor: 116999, rate: 0.9
+    });
+    expect(convertPrice(1000, 'USD', 'JPY', exchange)).toMatchObject({ price: 1500, price_minor: 1500 });
+    expect(convertPrice(100, 'USD', 'RUB', exchange)).toBeNull();
+  });
+});
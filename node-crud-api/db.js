@@ -1,70 +1,108 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const Migrator = require('./migrator');
+const { promisifyDb, prepareStatement } = Migrator;
 
-// Создаем базу данных в папке приложения
-const dbPath = path.join(__dirname, 'database.db');
-const db = new sqlite3.Database(dbPath);
+// База по умолчанию лежит в папке приложения (путь можно переопределить через DB_PATH)
+const DEFAULT_FILENAME = path.join(__dirname, 'database.db');
 
-// Создаем таблицу products при запуске
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS products (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    description TEXT,
-    price REAL NOT NULL,
-    quantity INTEGER DEFAULT 0,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`, (err) => {
-    if (err) {
-      console.error('Ошибка создания таблицы:', err.message);
-    } else {
-      console.log('Таблица products создана или уже существует');
-      
-      // Проверяем есть ли данные в таблице
-      db.get("SELECT COUNT(*) as count FROM products", (err, row) => {
-        if (err) {
-          console.error('Ошибка проверки данных:', err.message);
-        } else if (row.count === 0) {
-          // Заполняем тестовыми данными
-          insertTestData();
-        } else {
-          console.log(`В таблице уже есть ${row.count} записей`);
-        }
-      });
-    }
-  });
-});
+// Тестовые товары для заполнения пустой базы (цена в центах, USD)
+const TEST_DATA = [
+  ['Ноутбук', 'Мощный игровой ноутбук', 129999, 5],
+  ['Телефон', 'Смартфон с большим экраном', 69999, 10],
+  ['Планшет', '10-дюймовый планшет', 39999, 8],
+  ['Наушники', 'Беспроводные наушники', 19999, 15],
+  ['Мышь', 'Игровая оптическая мышь', 4999, 20]
+];
 
-// Функция для вставки тестовых данных
-function insertTestData() {
-  const testData = [
-    ['Ноутбук', 'Мощный игровой ноутбук', 1299.99, 5],
-    ['Телефон', 'Смартфон с большим экраном', 699.99, 10],
-    ['Планшет', '10-дюймовый планшет', 399.99, 8],
-    ['Наушники', 'Беспроводные наушники', 199.99, 15],
-    ['Мышь', 'Игровая оптическая мышь', 49.99, 20]
-  ];
+/**
+ * Создание подключения к базе SQLite
+ *
+ * Миграции применяются автоматически (отключается migrate: false или
+ * DB_AUTO_MIGRATE=false, тогда схему нужно обновлять командой npm run migrate:up).
+ * Готовность отслеживается промисом db.ready, закрытие - методом db.close().
+ *
+ * @param {Object} options - Настройки
+ * @param {string} options.filename - Файл базы или ':memory:' (по умолчанию DB_PATH или database.db)
+ * @param {boolean} options.seed - Заполнить пустую таблицу тестовыми данными (по умолчанию false)
+ * @param {boolean} options.migrate - Применить миграции при подключении
+ * @param {Function|null} options.logger - Функция логирования (по умолчанию console.log)
+ * @returns {sqlite3.Database} - Подключение с полем ready и промисным close()
+ */
+function createDatabase(options = {}) {
+  const {
+    filename = process.env.DB_PATH || DEFAULT_FILENAME,
+    seed = false,
+    migrate = process.env.DB_AUTO_MIGRATE !== 'false',
+    logger = console.log
+  } = options;
+  const log = logger || (() => {});
 
-  const sql = `INSERT INTO products (name, description, price, quantity) 
-               VALUES (?, ?, ?, ?)`;
+  const db = new sqlite3.Database(filename);
 
-  db.serialize(() => {
-    const stmt = db.prepare(sql);
-    testData.forEach(product => {
-      stmt.run(product, function(err) {
-        if (err) {
-          console.error('Ошибка вставки тестовых данных:', err.message);
-        } else {
-          console.log(`Тестовый товар добавлен: ${product[0]} (ID: ${this.lastID})`);
-        }
-      });
-    });
-    stmt.finalize(() => {
-      console.log('Тестовые данные загружены');
+  // Промис готовности базы: миграции применены, тестовые данные загружены
+  db.ready = (migrate ? new Migrator(db, { logger: log }).up() : Promise.resolve())
+    .then(() => (seed ? seedIfEmpty(db, log) : undefined))
+    .then(() => db)
+    .catch((err) => {
+      console.error('Ошибка подготовки базы данных:', err.message);
+      throw err;
     });
-  });
+
+  // Не даем процессу упасть на необработанном отказе: ошибка уже залогирована,
+  // а ожидающие ready получат ее сами
+  db.ready.catch(() => {});
+
+  // Закрытие дожидается подготовки базы, чтобы не оборвать миграции на середине
+  const closeConnection = db.close.bind(db);
+  db.close = () => db.ready
+    .catch(() => {})
+    .then(() => new Promise((resolve, reject) => {
+      closeConnection(err => (err ? reject(err) : resolve()));
+    }));
+
+  return db;
+}
+
+// Заполнение тестовыми данными, только если таблица пуста
+async function seedIfEmpty(db, log) {
+  const { count } = await promisifyDb(db).get('SELECT COUNT(*) as count FROM products');
+  if (count > 0) {
+    log(`В таблице уже есть ${count} записей`);
+    return;
+  }
+  await insertTestData(db, log);
+}
+
+/**
+ * Вставка тестовых данных
+ * @param {sqlite3.Database} db - Подключение
+ * @param {Function} log - Функция логирования
+ * @returns {Promise<number[]>} - ID добавленных товаров
+ */
+async function insertTestData(db, log = console.log) {
+  const statement = prepareStatement(db, `INSERT INTO products (name, description, price_minor, quantity, updated_at) 
+               VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`);
+  // Начальная цена открывает историю цен товара
+  const priceStatement = prepareStatement(db, `INSERT INTO price_history (product_id, price_minor, currency)
+               SELECT id, price_minor, currency FROM products WHERE id = ?`);
+
+  const ids = [];
+  try {
+    for (const product of TEST_DATA) {
+      const { lastID } = await statement.run(product);
+      await priceStatement.run([lastID]);
+      log(`Тестовый товар добавлен: ${product[0]} (ID: ${lastID})`);
+      ids.push(lastID);
+    }
+  } finally {
+    await statement.finalize();
+    await priceStatement.finalize();
+  }
+  log('Тестовые данные загружены');
+  return ids;
 }
 
-// Экспортируем функцию для использования в тестах
-module.exports = db;
+module.exports = createDatabase;
+module.exports.createDatabase = createDatabase;
 module.exports.insertTestData = insertTestData;
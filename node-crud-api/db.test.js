@@ -0,0 +1,49 @@
+const { createDatabase } = require('./db');
+const { promisifyDb } = require('./migrator');
+
+describe('createDatabase', () => {
+  const count = async (db) => {
+    const row = await promisifyDb(db).get('SELECT COUNT(*) as count FROM products');
+    return row.count;
+  };
+
+  it('должен создавать базу в памяти с примененными миграциями', async () => {
+    const db = createDatabase({ filename: ':memory:', logger: null });
+    await db.ready;
+
+    expect(await count(db)).toBe(0);
+    await db.close();
+  });
+
+  it('должен заполнять тестовыми данными только при seed: true', async () => {
+    const db = createDatabase({ filename: ':memory:', seed: true, logger: null });
+    await db.ready;
+
+    expect(await count(db)).toBe(5);
+    await db.close();
+  });
+
+  it('должен создавать независимые базы в памяти', async () => {
+    const first = createDatabase({ filename: ':memory:', seed: true, logger: null });
+    const second = createDatabase({ filename: ':memory:', logger: null });
+    await Promise.all([first.ready, second.ready]);
+
+    expect(await count(first)).toBe(5);
+    expect(await count(second)).toBe(0);
+    await Promise.all([first.close(), second.close()]);
+  });
+
+  it('должен дожидаться готовности базы перед закрытием', async () => {
+    const db = createDatabase({ filename: ':memory:', logger: null });
+
+    await expect(db.close()).resolves.toBeUndefined();
+  });
+
+  it('не должен применять миграции при migrate: false', async () => {
+    const db = createDatabase({ filename: ':memory:', migrate: false, logger: null });
+    await db.ready;
+
+    await expect(count(db)).rejects.toThrow('no such table: products');
+    await db.close();
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Политики вытеснения для Memory Bank
+ *
+ * Политика отслеживает ключи и выбирает запись для вытеснения.
+ * Интерфейс политики:
+ *   name            - Название политики (передается в событии 'eviction')
+ *   onInsert(key)   - Добавлена новая запись
+ *   onAccess(key)   - Запись прочитана или перезаписана
+ *   onDelete(key)   - Запись удалена (в том числе устарела или вытеснена)
+ *   selectVictim(exclude) - Ключ для вытеснения, отличный от exclude, или undefined
+ *                   (exclude - перезаписываемый ключ, который нельзя вытеснять)
+ *   clear()         - Сброс состояния
+ * Все операции встроенных политик выполняются за O(1).
+ */
+
+/**
+ * FIFO - вытесняется самая ранняя по времени добавления запись
+ */
+class FIFOPolicy {
+  constructor() {
+    this.name = 'fifo';
+    this.keys = new Set();
+  }
+
+  onInsert(key) {
+    this.keys.add(key);
+  }
+
+  onAccess() {}
+
+  onDelete(key) {
+    this.keys.delete(key);
+  }
+
+  selectVictim(exclude) {
+    for (const key of this.keys) {
+      if (key !== exclude) {
+        return key;
+      }
+    }
+    return undefined;
+  }
+
+  clear() {
+    this.keys.clear();
+  }
+}
+
+/**
+ * LRU - вытесняется запись, к которой дольше всего не обращались
+ * Set сохраняет порядок вставки, поэтому повторная вставка
+ * переносит ключ в конец очереди
+ */
+class LRUPolicy extends FIFOPolicy {
+  constructor() {
+    super();
+    this.name = 'lru';
+  }
+
+  onAccess(key) {
+    if (this.keys.delete(key)) {
+      this.keys.add(key);
+    }
+  }
+}
+
+/**
+ * LFU - вытесняется запись с наименьшим числом обращений,
+ * при равенстве - та, к которой дольше всего не обращались
+ *
+ * Ключи сгруппированы по частоте в двусвязный список узлов,
+ * упорядоченный по возрастанию частоты, поэтому узел с минимальной
+ * частотой всегда находится сразу после головы списка
+ */
+class LFUPolicy {
+  constructor() {
+    this.name = 'lfu';
+    this.clear();
+  }
+
+  onInsert(key) {
+    const first = this.head.next;
+    const node = first !== this.head && first.freq === 1
+      ? first
+      : this._insertNodeAfter(this.head, 1);
+
+    node.keys.add(key);
+    this.nodes.set(key, node);
+  }
+
+  onAccess(key) {
+    const node = this.nodes.get(key);
+    if (!node) {
+      return;
+    }
+
+    const next = node.next;
+    const target = next !== this.head && next.freq === node.freq + 1
+      ? next
+      : this._insertNodeAfter(node, node.freq + 1);
+
+    target.keys.add(key);
+    this.nodes.set(key, target);
+    this._removeKeyFromNode(node, key);
+  }
+
+  onDelete(key) {
+    const node = this.nodes.get(key);
+    if (!node) {
+      return;
+    }
+
+    this.nodes.delete(key);
+    this._removeKeyFromNode(node, key);
+  }
+
+  selectVictim(exclude) {
+    // Исключенный ключ пропускается без изменения его частоты: следующий кандидат -
+    // в том же узле или в следующем
+    for (let node = this.head.next; node !== this.head; node = node.next) {
+      for (const key of node.keys) {
+        if (key !== exclude) {
+          return key;
+        }
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Частота обращений к ключу
+   * @param {string} key - Ключ
+   * @returns {number} - Частота или 0, если ключ не отслеживается
+   */
+  frequency(key) {
+    const node = this.nodes.get(key);
+    return node ? node.freq : 0;
+  }
+
+  clear() {
+    // Кольцевой список с головой-заглушкой
+    this.head = { freq: 0, keys: null, prev: null, next: null };
+    this.head.prev = this.head;
+    this.head.next = this.head;
+    this.nodes = new Map();
+  }
+
+  _insertNodeAfter(node, freq) {
+    const created = { freq, keys: new Set(), prev: node, next: node.next };
+    node.next.prev = created;
+    node.next = created;
+    return created;
+  }
+
+  _removeKeyFromNode(node, key) {
+    node.keys.delete(key);
+    if (node.keys.size === 0) {
+      node.prev.next = node.next;
+      node.next.prev = node.prev;
+    }
+  }
+}
+
+const POLICIES = {
+  fifo: FIFOPolicy,
+  lru: LRUPolicy,
+  lfu: LFUPolicy
+};
+
+const REQUIRED_METHODS = ['onInsert', 'onAccess', 'onDelete', 'selectVictim', 'clear'];
+
+/**
+ * Создание политики вытеснения
+ * @param {string|Object} policy - Название встроенной политики ('fifo', 'lru', 'lfu')
+ *   или объект, реализующий интерфейс политики
+ * @returns {Object} - Экземпляр политики
+ */
+function createEvictionPolicy(policy = 'fifo') {
+  if (typeof policy === 'string') {
+    const Policy = POLICIES[policy.toLowerCase()];
+    if (!Policy) {
+      throw new TypeError(`Неизвестная политика вытеснения: ${policy}`);
+    }
+    return new Policy();
+  }
+
+  if (policy && REQUIRED_METHODS.every(method => typeof policy[method] === 'function')) {
+    return policy;
+  }
+
+  throw new TypeError(`Политика вытеснения должна реализовывать методы: ${REQUIRED_METHODS.join(', ')}`);
+}
+
+module.exports = {
+  FIFOPolicy,
+  LRUPolicy,
+  LFUPolicy,
+  createEvictionPolicy
+};
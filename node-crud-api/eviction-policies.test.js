@@ -0,0 +1,119 @@
+const { FIFOPolicy, LRUPolicy, LFUPolicy, createEvictionPolicy } = require('./eviction-policies');
+
+describe('Политики вытеснения', () => {
+  describe('createEvictionPolicy', () => {
+    it('должен создавать встроенные политики по названию', () => {
+      expect(createEvictionPolicy()).toBeInstanceOf(FIFOPolicy);
+      expect(createEvictionPolicy('lru')).toBeInstanceOf(LRUPolicy);
+      expect(createEvictionPolicy('LFU')).toBeInstanceOf(LFUPolicy);
+    });
+
+    it('должен отклонять объект без методов политики', () => {
+      expect(() => createEvictionPolicy({ name: 'broken' })).toThrow(TypeError);
+    });
+  });
+
+  describe('FIFOPolicy', () => {
+    it('должен выбирать самый ранний ключ независимо от обращений', () => {
+      const policy = new FIFOPolicy();
+      policy.onInsert('a');
+      policy.onInsert('b');
+      policy.onAccess('a');
+      expect(policy.selectVictim()).toBe('a');
+      policy.onDelete('a');
+      expect(policy.selectVictim()).toBe('b');
+    });
+
+    it('должен пропускать исключенный ключ', () => {
+      const policy = new FIFOPolicy();
+      policy.onInsert('a');
+      policy.onInsert('b');
+      expect(policy.selectVictim('a')).toBe('b');
+      expect(policy.selectVictim('b')).toBe('a');
+      policy.onDelete('b');
+      expect(policy.selectVictim('a')).toBeUndefined();
+    });
+  });
+
+  describe('LRUPolicy', () => {
+    it('должен выбирать ключ, к которому дольше всего не обращались', () => {
+      const policy = new LRUPolicy();
+      policy.onInsert('a');
+      policy.onInsert('b');
+      policy.onInsert('c');
+      policy.onAccess('a');
+      policy.onAccess('b');
+      expect(policy.selectVictim()).toBe('c');
+    });
+
+    it('не должен начинать отслеживать неизвестный ключ при обращении', () => {
+      const policy = new LRUPolicy();
+      policy.onAccess('ghost');
+      expect(policy.selectVictim()).toBeUndefined();
+    });
+  });
+
+  describe('LFUPolicy', () => {
+    it('должен выбирать ключ с минимальной частотой', () => {
+      const policy = new LFUPolicy();
+      ['a', 'b', 'c'].forEach(key => policy.onInsert(key));
+      policy.onAccess('a');
+      policy.onAccess('a');
+      policy.onAccess('b');
+
+      expect(policy.frequency('a')).toBe(3);
+      expect(policy.frequency('b')).toBe(2);
+      expect(policy.selectVictim()).toBe('c');
+    });
+
+    it('при равной частоте должен выбирать ключ с самым давним обращением', () => {
+      const policy = new LFUPolicy();
+      policy.onInsert('a');
+      policy.onInsert('b');
+      policy.onAccess('b');
+      policy.onAccess('a');
+      expect(policy.selectVictim()).toBe('b');
+    });
+
+    it('должен поддерживать минимальную частоту после удалений', () => {
+      const policy = new LFUPolicy();
+      policy.onInsert('a');
+      policy.onInsert('b');
+      policy.onAccess('b');
+      policy.onAccess('b');
+      policy.onDelete('a');
+
+      expect(policy.selectVictim()).toBe('b');
+
+      policy.onInsert('c');
+      expect(policy.selectVictim()).toBe('c');
+
+      policy.onDelete('c');
+      policy.onDelete('b');
+      expect(policy.selectVictim()).toBeUndefined();
+    });
+
+    it('должен пропускать исключенный ключ, не меняя его частоту', () => {
+      const policy = new LFUPolicy();
+      policy.onInsert('a');
+      policy.onInsert('b');
+      policy.onAccess('b');
+
+      expect(policy.selectVictim('a')).toBe('b');
+      expect(policy.frequency('a')).toBe(1);
+      policy.onInsert('c');
+      expect(policy.selectVictim('a')).toBe('c');
+      policy.onDelete('b');
+      policy.onDelete('c');
+      expect(policy.selectVictim('a')).toBeUndefined();
+    });
+
+    it('должен сбрасывать состояние', () => {
+      const policy = new LFUPolicy();
+      policy.onInsert('a');
+      policy.clear();
+      expect(policy.selectVictim()).toBeUndefined();
+      expect(policy.frequency('a')).toBe(0);
+    });
+  });
+});
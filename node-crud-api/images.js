@@ -0,0 +1,223 @@
+/**
+ * Изображения товаров
+ *
+ * Файл загружается запросом multipart/form-data (поле image), тип определяется
+ * по сигнатуре содержимого, а не по заголовкам клиента. Оригинал и уменьшенные копии
+ * (по наибольшей стороне, без увеличения) сохраняются в хранилище файлов (см. storage.js),
+ * метаданные - в таблице product_images (см. repositories/images.js).
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { translate, DEFAULT_LOCALE } = require('./validation-messages');
+
+// Допустимые типы: MIME-тип -> расширение файла
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Предельный размер файла по умолчанию - 5 МБ
+const DEFAULT_MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+// Размеры уменьшенных копий по умолчанию (наибольшая сторона в пикселях)
+const DEFAULT_THUMBNAIL_SIZES = [128, 512];
+
+// Поле формы с файлом
+const IMAGE_FIELD = 'image';
+
+/**
+ * Ошибка загрузки изображения
+ */
+class UploadError extends Error {
+  /**
+   * @param {string} key - Код сообщения (см. validation-messages.js)
+   * @param {Object} params - Подстановки
+   * @param {number} status - HTTP-статус ответа
+   */
+  constructor(key, params = {}, status = 400) {
+    super(translate(DEFAULT_LOCALE, key, params));
+    this.name = 'UploadError';
+    this.key = key;
+    this.params = params;
+    this.status = status;
+  }
+}
+
+/**
+ * Определение типа изображения по сигнатуре
+ * @param {Buffer} data - Содержимое файла
+ * @returns {string|null} - MIME-тип из IMAGE_TYPES или null
+ */
+function detectImageType(data) {
+  if (data.length >= 3 && data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'image/png';
+  }
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (data.length >= 6 && /^GIF8[79]a$/.test(data.toString('latin1', 0, 6))) {
+    return 'image/gif';
+  }
+  return null;
+}
+
+// Разбор заголовков части: имена приводятся к нижнему регистру
+function parsePartHeaders(text) {
+  const headers = {};
+  text.split('\r\n').forEach((line) => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+  return headers;
+}
+
+// Параметр заголовка Content-Disposition: name="image"; filename="photo.jpg"
+function dispositionParam(disposition, param) {
+  const match = new RegExp(`(?:^|;)\\s*${param}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition)
+    || new RegExp(`(?:^|;)\\s*${param}=([^;\\s]+)`, 'i').exec(disposition);
+  return match ? match[1].replace(/\\(.)/g, '$1') : undefined;
+}
+
+/**
+ * Разбор тела multipart/form-data (RFC 7578)
+ * @param {Buffer} body - Тело запроса
+ * @param {string} contentType - Заголовок Content-Type с параметром boundary
+ * @returns {Array} - Части { name, filename, contentType, data }
+ * @throws {UploadError} - При нарушении формата
+ */
+function parseMultipart(body, contentType = '') {
+  const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!match) {
+    throw new UploadError('image.multipart');
+  }
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const parts = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new UploadError('image.multipart');
+  }
+  for (;;) {
+    position += delimiter.length;
+    // '--' после разделителя завершает тело
+    if (body.toString('latin1', position, position + 2) === '--') {
+      return parts;
+    }
+    const headersStart = body.indexOf('\r\n', position);
+    const headersEnd = body.indexOf('\r\n\r\n', position);
+    if (headersStart !== position || headersEnd === -1) {
+      throw new UploadError('image.multipart');
+    }
+    const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), headersEnd + 4);
+    if (next === -1) {
+      throw new UploadError('image.multipart');
+    }
+
+    const headers = parsePartHeaders(body.toString('utf8', headersStart + 2, headersEnd));
+    const disposition = headers['content-disposition'] || '';
+    parts.push({
+      name: dispositionParam(disposition, 'name'),
+      filename: dispositionParam(disposition, 'filename'),
+      contentType: headers['content-type'] || null,
+      data: body.subarray(headersEnd + 4, next)
+    });
+    position = next + 2;
+  }
+}
+
+/**
+ * Файл изображения из тела запроса с проверкой типа и размера
+ * @param {Buffer} body - Тело multipart/form-data
+ * @param {string} contentType - Заголовок Content-Type
+ * @param {number} maxSize - Предельный размер файла в байтах
+ * @returns {Object} - { data, type, filename }
+ * @throws {UploadError} - Нет файла (400), слишком большой (413), недопустимый тип (415)
+ */
+function readImageUpload(body, contentType, maxSize = DEFAULT_MAX_IMAGE_SIZE) {
+  const part = parseMultipart(body, contentType).find(item => item.name === IMAGE_FIELD && item.filename !== undefined);
+  if (!part || part.data.length === 0) {
+    throw new UploadError('image.missing', { field: IMAGE_FIELD });
+  }
+  if (part.data.length > maxSize) {
+    throw new UploadError('image.tooLarge', { max: maxSize }, 413);
+  }
+  const type = detectImageType(part.data);
+  if (!type) {
+    throw new UploadError('image.type', { types: Object.keys(IMAGE_TYPES).join(', ') }, 415);
+  }
+  return { data: part.data, type, filename: part.filename.slice(0, 255) };
+}
+
+/**
+ * Размеры изображения и уменьшенные копии в формате оригинала
+ * Ориентация из EXIF применяется к копиям, размеры указываются с ее учетом
+ * @param {Buffer} data - Содержимое файла
+ * @param {number[]} sizes - Наибольшая сторона копий в пикселях
+ * @returns {Promise<Object>} - { width, height, thumbnails: [{ size, width, height, data }] }
+ * @throws {UploadError} - Файл не удалось прочитать как изображение (422)
+ */
+async function processImage(data, sizes = DEFAULT_THUMBNAIL_SIZES) {
+  // Заголовок файла может читаться, даже если данные изображения повреждены,
+  // поэтому ошибкой загрузки считается сбой на любом шаге
+  try {
+    const metadata = await sharp(data).metadata();
+    const { width, height } = metadata.autoOrient || metadata;
+
+    const thumbnails = [];
+    for (const size of sizes) {
+      const { data: thumbnail, info } = await sharp(data)
+        .rotate()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .toBuffer({ resolveWithObject: true });
+      thumbnails.push({ size, width: info.width, height: info.height, data: thumbnail });
+    }
+    return { width, height, thumbnails };
+  } catch (err) {
+    throw new UploadError('image.invalid', {}, 422);
+  }
+}
+
+/**
+ * Ключи файлов нового изображения в хранилище
+ * @param {number} productId - ID товара
+ * @param {string} type - MIME-тип
+ * @returns {Object} - { key, thumbnailKey(size) }
+ */
+function imageKeys(productId, type) {
+  const base = `products/${productId}/${crypto.randomUUID()}`;
+  const extension = IMAGE_TYPES[type];
+  return {
+    key: `${base}.${extension}`,
+    thumbnailKey: size => `${base}_${size}.${extension}`
+  };
+}
+
+/**
+ * Все ключи файлов изображения: оригинал и копии
+ * @param {Object} image - Изображение из репозитория
+ * @returns {string[]} - Ключи
+ */
+function imageFileKeys(image) {
+  return [image.storage_key, ...image.thumbnails.map(thumbnail => thumbnail.key)];
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  DEFAULT_MAX_IMAGE_SIZE,
+  DEFAULT_THUMBNAIL_SIZES,
+  IMAGE_FIELD,
+  UploadError,
+  detectImageType,
+  parseMultipart,
+  readImageUpload,
+  processImage,
+  imageKeys,
+  imageFileKeys
+};
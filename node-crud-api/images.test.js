@@ -0,0 +1,109 @@
+const sharp = require('sharp');
+const {
+  UploadError,
+  detectImageType,
+  parseMultipart,
+  readImageUpload,
+  processImage,
+  imageKeys
+} = require('./images');
+
+// Тело multipart/form-data из частей { name, filename, contentType, data }
+const multipart = (boundary, parts) => Buffer.concat([
+  ...parts.flatMap(({ name, filename, contentType, data }) => [
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"`
+      + `${filename !== undefined ? `; filename="${filename}"` : ''}\r\n`
+      + `${contentType ? `Content-Type: ${contentType}\r\n` : ''}\r\n`),
+    Buffer.from(data),
+    Buffer.from('\r\n')
+  ]),
+  Buffer.from(`--${boundary}--\r\n`)
+]);
+
+const createPng = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 50, b: 50 } }
+}).png().toBuffer();
+
+describe('Изображения товаров', () => {
+  it('должен определять тип по сигнатуре файла', async () => {
+    expect(detectImageType(await createPng(2, 2))).toBe('image/png');
+    expect(detectImageType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))).toBe('image/jpeg');
+    expect(detectImageType(Buffer.from('GIF89a...'))).toBe('image/gif');
+    expect(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+    expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+  });
+
+  describe('parseMultipart', () => {
+    it('должен разбирать поля и файлы', () => {
+      const binary = Buffer.from([0, 13, 10, 45, 45, 255]);
+      const body = multipart('XyZ', [
+        { name: 'title', data: 'Фото' },
+        { name: 'image', filename: 'фото "1".png', contentType: 'image/png', data: binary }
+      ]);
+
+      const parts = parseMultipart(body, 'multipart/form-data; boundary="XyZ"');
+      expect(parts).toHaveLength(2);
+      expect(parts[0]).toMatchObject({ name: 'title', filename: undefined, contentType: null });
+      expect(parts[0].data.toString()).toBe('Фото');
+      expect(parts[1]).toMatchObject({ name: 'image', contentType: 'image/png' });
+      expect(parts[1].data.equals(binary)).toBe(true);
+    });
+
+    it('должен отклонять тело без boundary или с обрывом', () => {
+      const body = multipart('abc', [{ name: 'image', filename: 'a.png', data: 'x' }]);
+      expect(() => parseMultipart(body, 'multipart/form-data')).toThrow(UploadError);
+      expect(() => parseMultipart(body.subarray(0, body.length - 12), 'multipart/form-data; boundary=abc'))
+        .toThrow('Некорректное тело multipart/form-data');
+    });
+  });
+
+  describe('readImageUpload', () => {
+    const contentType = 'multipart/form-data; boundary=b';
+    const upload = data => multipart('b', [{ name: 'image', filename: 'photo.png', data }]);
+
+    it('должен возвращать файл с типом по содержимому', async () => {
+      const png = await createPng(4, 4);
+      expect(readImageUpload(upload(png), contentType)).toMatchObject({ type: 'image/png', filename: 'photo.png' });
+    });
+
+    it('должен проверять наличие, размер и тип файла', async () => {
+      const error = (body, maxSize) => {
+        try {
+          readImageUpload(body, contentType, maxSize);
+        } catch (err) {
+          return { key: err.key, status: err.status };
+        }
+        return null;
+      };
+
+      expect(error(multipart('b', [{ name: 'file', filename: 'a.png', data: 'x' }])))
+        .toEqual({ key: 'image.missing', status: 400 });
+      expect(error(upload(await createPng(4, 4)), 10)).toEqual({ key: 'image.tooLarge', status: 413 });
+      expect(error(upload('<?php echo 1; ?>'))).toEqual({ key: 'image.type', status: 415 });
+    });
+  });
+
+  it('должен создавать уменьшенные копии без увеличения', async () => {
+    const { width, height, thumbnails } = await processImage(await createPng(400, 200), [100, 1000]);
+
+    expect({ width, height }).toEqual({ width: 400, height: 200 });
+    expect(thumbnails.map(({ size, width: w, height: h }) => ({ size, w, h }))).toEqual([
+      { size: 100, w: 100, h: 50 },
+      { size: 1000, w: 400, h: 200 }
+    ]);
+    expect(detectImageType(thumbnails[0].data)).toBe('image/png');
+  });
+
+  it('должен отклонять поврежденное изображение', async () => {
+    const png = await createPng(10, 10);
+    await expect(processImage(png.subarray(0, 20))).rejects.toMatchObject({ key: 'image.invalid', status: 422 });
+    // Заголовок цел, данные обрезаны
+    await expect(processImage(png.subarray(0, 40), [8])).rejects.toMatchObject({ key: 'image.invalid' });
+  });
+
+  it('должен строить ключи файлов товара', () => {
+    const { key, thumbnailKey } = imageKeys(7, 'image/jpeg');
+    expect(key).toMatch(/^products\/7\/[\w-]{36}\.jpg$/);
+    expect(thumbnailKey(128)).toBe(key.replace('.jpg', '_128.jpg'));
+  });
+});
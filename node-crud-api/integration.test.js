@@ -1,58 +1,98 @@
-const request = require('supertest');
-const express = require('express');
-const cors = require('cors');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const router = require('./routes');
-const db = require('./db');
-
-// Создаем тестовое приложение
-const createApp = () => {
-  const app = express();
-  
-  // Middleware
-  app.use(cors());
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
-  
-  // Подключаем маршруты
-  app.use('/', router);
-  
-  // Главная страница
-  app.get('/', (req, res) => {
-    res.json({
-      message: 'Node.js CRUD API с SQLite',
-      endpoints: {
-        'GET /': 'Этот список',
-        'GET /products': 'Получить все товары',
-        'GET /products/:id': 'Получить товар по ID',
-        'POST /products': 'Создать новый товар',
-        'PUT /products/:id': 'Обновить товар',
-        'DELETE /products/:id': 'Удалить товар'
-      }
-    });
-  });
-  
-  return app;
-};
+const supertest = require('supertest');
+const sharp = require('sharp');
+const { newDb, DataType } = require('pg-mem');
+const { createApp } = require('./app');
+const { createDatabase } = require('./db');
+const cacheMiddleware = require('./cache-middleware');
+const { SqliteProductRepository, PostgresProductRepository, createApiKeyRepository } = require('./repositories');
+const { issueApiKey } = require('./auth');
+const { signJwt } = require('./jwt');
+const { ReservationSweeper } = require('./stock');
+
+const JWT_SECRET = 'integration-secret';
+const tokenFor = role => signJwt({ sub: `user-${role}`, role }, { secret: JWT_SECRET, expiresIn: 600 });
+
+// Запросы по умолчанию выполняются от имени редактора; без учетных данных - supertest(app)
+const request = target => supertest.agent(target).set('Authorization', `Bearer ${tokenFor('editor')}`);
+
+// Адаптеры хранилища: весь набор тестов выполняется для каждого из них
+const adapters = [
+  {
+    name: 'SQLite',
+    rollback: true,
+    setup: async () => {
+      // Отдельная база в памяти: рабочая database.db не затрагивается
+      const products = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+      await products.init();
+      return products;
+    }
+  },
+  {
+    name: 'PostgreSQL',
+    // pg-mem не восстанавливает данные по ROLLBACK и не поддерживает точки сохранения
+    rollback: false,
+    setup: async () => {
+      // PostgreSQL в памяти; strpos отсутствует в pg-mem и регистрируется вручную
+      const mem = newDb();
+      mem.public.registerFunction({
+        name: 'strpos',
+        args: [DataType.text, DataType.text],
+        returns: DataType.integer,
+        implementation: (text, sub) => text.indexOf(sub) + 1
+      });
+      // Точки сохранения пакета bestEffort (см. repositories/bulk.js) пропускаются:
+      // откатить их изменения pg-mem все равно не может, как и при ROLLBACK
+      mem.public.interceptQueries(sql => (/^\s*(SAVEPOINT|RELEASE SAVEPOINT|ROLLBACK TO SAVEPOINT)\b/i.test(sql) ? [] : null));
+      const { Pool } = mem.adapters.createPg();
+      const products = new PostgresProductRepository(new Pool());
+      await products.init();
+      return products;
+    }
+  }
+];
+
+afterAll(() => {
+  cacheMiddleware.close();
+});
 
-describe('Интеграционные тесты CRUD API', () => {
+describe.each(adapters)('Интеграционные тесты CRUD API ($name)', ({ setup, rollback }) => {
   let app;
   let createdProductId;
-
-  beforeAll((done) => {
-    app = createApp();
-    
-    // Очищаем таблицу перед тестами
-    db.run('DELETE FROM products', () => {
-      done();
+  const repositories = [];
+
+  // Приложение поверх нового пустого хранилища; кэш сбрасывается,
+  // чтобы ответы другого хранилища не попали в выдачу
+  const createIsolatedApp = async (config = {}) => {
+    const products = await setup();
+    repositories.push(products);
+    cacheMiddleware.clear();
+    return createApp({
+      db: products,
+      cache: cacheMiddleware,
+      config: { ...config, auth: { jwt: { secret: JWT_SECRET }, ...config.auth } }
     });
+  };
+
+  beforeAll(async () => {
+    app = await createIsolatedApp();
+  });
+
+  afterAll(async () => {
+    await Promise.all(repositories.map(products => products.close()));
   });
 
-  afterAll((done) => {
-    // Очищаем таблицу после тестов
-    db.run('DELETE FROM products', () => {
-      db.close();
-      done();
+  describe('GET / - Главная страница', () => {
+    it('должен возвращать список эндпоинтов и пример запроса', async () => {
+      const response = await request(app)
+        .get('/')
+        .expect(200);
+
+      expect(response.body.message).toMatch(/^Node\.js CRUD API с (SQLite|PostgreSQL)$/);
+      expect(response.body.endpoints).toHaveProperty('GET /products/search');
+      expect(response.body.example['POST /products'].body).toHaveProperty('name', 'Ноутбук');
     });
   });
 
@@ -173,11 +213,99 @@ describe('Интеграционные тесты CRUD API', () => {
         .send(productWithHtml)
         .expect(201);
 
-      expect(response.body.data.name).not.toContain('<script>');
+      // Разметка не попадает в ответ как есть, а после разбора JSON имя совпадает с исходным
+      expect(response.text).not.toContain('<script>');
+      expect(response.text).toContain('\\u003cscript\\u003e');
       expect(response.body.data.name).toContain('<script>');
     });
   });
 
+  describe('Хранение исходного текста', () => {
+    const RAW = {
+      name: `Tom & Jerry <b>"Шоу"</b> 'классика'`,
+      description: `a < b && c > d, "кавычки" и 'апострофы' &amp;`
+    };
+    let rawApp;
+    let productId;
+
+    beforeAll(async () => {
+      rawApp = await createIsolatedApp();
+      const response = await request(rawApp)
+        .post('/products')
+        .send({ ...RAW, price: 10 })
+        .expect(201);
+      productId = response.body.data.id;
+      expect(response.body.data).toMatchObject(RAW);
+    });
+
+    it('должен возвращать исходный текст в товаре, списке и поиске', async () => {
+      const item = await request(rawApp).get(`/products/${productId}`).expect(200);
+      expect(item.body.data).toMatchObject(RAW);
+
+      const list = await request(rawApp).get('/products').expect(200);
+      expect(list.body.data[0]).toMatchObject(RAW);
+
+      const search = await request(rawApp).get('/products/search?q=Jerry').expect(200);
+      expect(search.body.data[0]).toMatchObject(RAW);
+      expect(search.body.data[0].highlights.name)
+        .toBe('Tom &amp; <mark>Jerry</mark> &lt;b&gt;&quot;Шоу&quot;&lt;/b&gt; &#039;классика&#039;');
+    });
+
+    it('должен экранировать текст по формату, согласованному через Accept', async () => {
+      const json = await request(rawApp).get(`/products/${productId}`).expect(200);
+      expect(json.headers['content-type']).toMatch(/^application\/json/);
+      expect(json.headers.vary).toMatch(/Accept/);
+      expect(json.text).not.toContain('<b>');
+
+      // Ответ из кэша тоже сериализуется по Accept
+      const html = await request(rawApp)
+        .get(`/products/${productId}`)
+        .set('Accept', 'text/html,application/xhtml+xml,*/*;q=0.8')
+        .expect(200);
+      expect(html.headers['content-type']).toMatch(/^text\/html/);
+      expect(html.headers['x-cache']).toBe('HIT');
+      expect(html.text).not.toContain('<b>');
+      expect(html.text).toContain('Tom &amp; Jerry &lt;b&gt;\\&quot;Шоу\\&quot;&lt;/b&gt; &#039;классика&#039;');
+      expect(html.text).toContain('a &lt; b &amp;&amp; c &gt; d');
+
+      const fallback = await request(rawApp).get(`/products/${productId}`).set('Accept', 'text/csv').expect(200);
+      expect(fallback.body.data).toMatchObject(RAW);
+    });
+
+    it('должен отвечать JSON вне ресурсов товаров и при ошибках', async () => {
+      const browser = 'text/html,application/xhtml+xml,*/*;q=0.8';
+      for (const url of ['/', '/openapi.json', '/categories', '/products/999999']) {
+        const response = await request(rawApp).get(url).set('Accept', browser);
+        expect(response.headers['content-type']).toMatch(/^application\/json/);
+      }
+    });
+
+    it('не должен менять текст при повторной отправке полученного товара', async () => {
+      for (let i = 0; i < 2; i++) {
+        const { body } = await request(rawApp).get(`/products/${productId}`).expect(200);
+        const { name, description, price, quantity } = body.data;
+        await request(rawApp)
+          .put(`/products/${productId}`)
+          .send({ name, description, price, quantity })
+          .expect(200);
+      }
+
+      const item = await request(rawApp).get(`/products/${productId}`).expect(200);
+      expect(item.body.data).toMatchObject(RAW);
+      expect(item.body.data.version).toBe(3);
+    });
+
+    it('должен находить товар по исходному тексту', async () => {
+      const response = await request(rawApp).get('/products').query({ q: 'Tom & Jerry' }).expect(200);
+      expect(response.body.data.map(p => p.id)).toEqual([productId]);
+    });
+
+    it('должен выгружать исходный текст', async () => {
+      const response = await request(rawApp).get('/products/export?format=json').expect(200);
+      expect(response.body[0]).toMatchObject(RAW);
+    });
+  });
+
   describe('GET /products - Получение всех товаров', () => {
     it('должен возвращать список всех товаров', async () => {
       const response = await request(app)
@@ -200,10 +328,11 @@ describe('Интеграционные тесты CRUD API', () => {
     });
 
     it('должен возвращать пустой массив если товаров нет', async () => {
-      // Сначала удалим все товары
       await request(app).delete(`/products/${createdProductId}`);
-      
-      const response = await request(app)
+
+      // Товары других тестов остаются в общем хранилище, поэтому проверяем на пустом
+      const emptyApp = await createIsolatedApp();
+      const response = await request(emptyApp)
         .get('/products')
         .expect(200);
 
@@ -211,6 +340,288 @@ describe('Интеграционные тесты CRUD API', () => {
     });
   });
 
+  describe('GET /products - Пагинация, сортировка и фильтры', () => {
+    // Уникальная метка ограничивает выборку товарами этого блока
+    const tag = 'Пагинация-тест';
+    const createdIds = [];
+
+    beforeAll(async () => {
+      const products = [
+        { price: 30, quantity: 0 },
+        { price: 10, quantity: 1 },
+        { price: 50, quantity: 3 },
+        { price: 20, quantity: 0 },
+        { price: 40, quantity: 2 }
+      ];
+      for (const [index, product] of products.entries()) {
+        const response = await request(app)
+          .post('/products')
+          .send({ name: `${tag} ${index + 1}`, description: 'Товар 100%_скидка', ...product });
+        createdIds.push(response.body.data.id);
+      }
+    });
+
+    afterAll(async () => {
+      for (const id of createdIds) {
+        await request(app).delete(`/products/${id}`);
+      }
+    });
+
+    const prices = (response) => response.body.data.map(product => product.price);
+
+    it('должен возвращать страницу по limit и offset с метаданными', async () => {
+      const response = await request(app)
+        .get('/products')
+        .query({ q: tag, sort: 'price', limit: 2, offset: 2 })
+        .expect(200);
+
+      expect(prices(response)).toEqual([30, 40]);
+      expect(response.body.pagination).toMatchObject({
+        total: 5,
+        limit: 2,
+        offset: 2,
+        sort: 'price',
+        hasMore: true
+      });
+      expect(response.headers['x-total-count']).toBe('5');
+      expect(response.headers.link).toContain('rel="next"');
+      expect(response.headers.link).toContain('rel="prev"');
+      expect(response.headers.link).toContain('offset=4>; rel="last"');
+    });
+
+    it('должен обходить все страницы по курсору', async () => {
+      const collected = [];
+      let cursor;
+      let pages = 0;
+
+      do {
+        const response = await request(app)
+          .get('/products')
+          .query({ q: tag, sort: '-price', limit: 2, ...(cursor ? { cursor } : {}) })
+          .expect(200);
+
+        collected.push(...prices(response));
+        cursor = response.body.pagination.nextCursor;
+        if (cursor) {
+          expect(response.headers.link).toContain(`cursor=${cursor}`);
+        }
+        pages++;
+      } while (cursor && pages < 10);
+
+      expect(collected).toEqual([50, 40, 30, 20, 10]);
+      expect(pages).toBe(3);
+    });
+
+    it('должен фильтровать по диапазону цены', async () => {
+      const response = await request(app)
+        .get('/products')
+        .query({ q: tag, sort: 'price', minPrice: 20, maxPrice: 40 })
+        .expect(200);
+
+      expect(prices(response)).toEqual([20, 30, 40]);
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    it('должен фильтровать по наличию на складе', async () => {
+      const inStock = await request(app)
+        .get('/products')
+        .query({ q: tag, sort: 'price', inStock: 'true' })
+        .expect(200);
+      const outOfStock = await request(app)
+        .get('/products')
+        .query({ q: tag, sort: 'price', inStock: 'false' })
+        .expect(200);
+
+      expect(prices(inStock)).toEqual([10, 40, 50]);
+      expect(prices(outOfStock)).toEqual([20, 30]);
+    });
+
+    it('должен искать подстроку буквально, не интерпретируя символы LIKE', async () => {
+      const literal = await request(app)
+        .get('/products')
+        .query({ q: '100%_скидка' })
+        .expect(200);
+      const wildcard = await request(app)
+        .get('/products')
+        .query({ q: '100%%скидка' })
+        .expect(200);
+
+      expect(literal.body.pagination.total).toBe(5);
+      expect(wildcard.body.pagination.total).toBe(0);
+    });
+
+    it('должен отклонять сортировку по неразрешенному полю', async () => {
+      const response = await request(app)
+        .get('/products')
+        .query({ sort: 'name; DROP TABLE products' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Сортировка возможна только по полям');
+    });
+
+    it('должен отклонять некорректные параметры пагинации', async () => {
+      await request(app).get('/products').query({ limit: 0 }).expect(400);
+      await request(app).get('/products').query({ limit: 1000 }).expect(400);
+      await request(app).get('/products').query({ offset: -1 }).expect(400);
+      await request(app).get('/products').query({ minPrice: 'abc' }).expect(400);
+      await request(app).get('/products').query({ inStock: 'maybe' }).expect(400);
+    });
+
+    it('должен отклонять курсор от другой сортировки', async () => {
+      const firstPage = await request(app)
+        .get('/products')
+        .query({ q: tag, sort: 'price', limit: 1 })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/products')
+        .query({ q: tag, sort: 'name', cursor: firstPage.body.pagination.nextCursor })
+        .expect(400);
+
+      expect(response.body.error).toContain('Курсор не соответствует');
+    });
+
+    it('должен кэшировать каждую комбинацию параметров отдельно', async () => {
+      cacheMiddleware.clear();
+
+      const first = await request(app)
+        .get(`/products?q=${encodeURIComponent(tag)}&limit=2&sort=price`)
+        .expect('X-Cache', 'MISS');
+      const reordered = await request(app)
+        .get(`/products?sort=price&limit=2&q=${encodeURIComponent(tag)}`)
+        .expect('X-Cache', 'HIT');
+      const otherPage = await request(app)
+        .get(`/products?sort=price&limit=2&offset=2&q=${encodeURIComponent(tag)}`)
+        .expect('X-Cache', 'MISS');
+
+      expect(reordered.headers['x-cache-key']).toBe(first.headers['x-cache-key']);
+      expect(reordered.headers.link).toBe(first.headers.link);
+      expect(reordered.body).toEqual(first.body);
+      expect(prices(otherPage)).toEqual([30, 40]);
+    });
+  });
+
+  describe('GET /products/search - Полнотекстовый поиск', () => {
+    const createdIds = [];
+    let descriptionMatchId;
+    let nameMatchId;
+
+    beforeAll(async () => {
+      cacheMiddleware.clear();
+
+      const create = async (product) => {
+        const response = await request(app).post('/products').send(product);
+        createdIds.push(response.body.data.id);
+        return response.body.data.id;
+      };
+
+      descriptionMatchId = await create({
+        name: 'Подставка',
+        description: 'Подходит для любого ноутбука-трансформера',
+        price: 15
+      });
+      nameMatchId = await create({
+        name: 'Трансформер Pro',
+        description: 'Ноутбук 2-в-1',
+        price: 900
+      });
+      await create({
+        name: 'Кабель <b>трансформер</b>',
+        description: 'Без лишних тегов',
+        price: 5
+      });
+    });
+
+    afterAll(async () => {
+      for (const id of createdIds) {
+        await request(app).delete(`/products/${id}`);
+      }
+    });
+
+    it('должен находить товары по словам из названия и описания с ранжированием', async () => {
+      const response = await request(app)
+        .get('/products/search')
+        .query({ q: 'трансформер' })
+        .expect(200);
+
+      const ids = response.body.data.map(product => product.id);
+      expect(ids).toEqual(expect.arrayContaining([nameMatchId, descriptionMatchId]));
+      // Совпадение в названии ранжируется выше совпадения в описании
+      expect(ids.indexOf(nameMatchId)).toBeLessThan(ids.indexOf(descriptionMatchId));
+      expect(response.body.pagination.total).toBe(3);
+      expect(typeof response.body.data[0].rank).toBe('number');
+    });
+
+    it('должен искать по префиксу без учета регистра', async () => {
+      const response = await request(app)
+        .get('/products/search')
+        .query({ q: 'ТРАНСФ' })
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    it('должен возвращать фрагменты с подсветкой совпадений', async () => {
+      const response = await request(app)
+        .get('/products/search')
+        .query({ q: 'трансформер' })
+        .expect(200);
+
+      const product = response.body.data.find(item => item.id === nameMatchId);
+      expect(product.highlights.name).toBe('<mark>Трансформер</mark> Pro');
+    });
+
+    it('должен экранировать HTML во фрагментах, сохраняя подсветку', async () => {
+      const response = await request(app)
+        .get('/products/search')
+        .query({ q: 'кабель' })
+        .expect(200);
+
+      const snippet = response.body.data[0].highlights.name;
+      expect(snippet).toContain('<mark>Кабель</mark>');
+      expect(snippet).not.toContain('<b>');
+      expect(snippet).toContain('&lt;b&gt;');
+    });
+
+    it('должен обновлять индекс при изменении и удалении товара', async () => {
+      await request(app)
+        .patch(`/products/${descriptionMatchId}`)
+        .send({ description: 'Подходит для планшета' })
+        .expect(200);
+
+      const afterUpdate = await request(app)
+        .get('/products/search')
+        .query({ q: 'трансформер' })
+        .expect('X-Cache', 'MISS')
+        .expect(200);
+      expect(afterUpdate.body.data.map(product => product.id)).not.toContain(descriptionMatchId);
+
+      await request(app).delete(`/products/${nameMatchId}`).expect(200);
+
+      const afterDelete = await request(app)
+        .get('/products/search')
+        .query({ q: 'трансформер' })
+        .expect(200);
+      expect(afterDelete.body.data.map(product => product.id)).not.toContain(nameMatchId);
+    });
+
+    it('не должен интерпретировать синтаксис FTS5 во вводе', async () => {
+      const response = await request(app)
+        .get('/products/search')
+        .query({ q: 'кабель" OR NEAR(* ' })
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(0);
+    });
+
+    it('должен требовать параметр q', async () => {
+      const missing = await request(app).get('/products/search').expect(400);
+      expect(missing.body.error).toBe('Параметр q обязателен');
+
+      await request(app).get('/products/search').query({ q: '*** ""' }).expect(400);
+    });
+  });
+
   describe('GET /products/:id - Получение товара по ID', () => {
     beforeAll(async () => {
       // Создаем товар для тестирования
@@ -246,12 +657,28 @@ describe('Интеграционные тесты CRUD API', () => {
       expect(response.body).toHaveProperty('message', 'Товар не найден');
     });
 
-    it('должен возвращать 404 при некорректном ID', async () => {
+    it('должен возвращать 400 при некорректном ID', async () => {
       const response = await request(app)
         .get('/products/abc')
-        .expect(404);
+        .expect(400);
 
-      expect(response.body).toHaveProperty('message', 'Товар не найден');
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.errors).toEqual([{
+        location: 'params',
+        field: 'id',
+        code: 'type',
+        message: 'ID товара должен быть положительным целым числом'
+      }]);
+    });
+
+    it('должен кэшировать товар под одним ключом для любой записи ID', async () => {
+      cacheMiddleware.clear();
+      await request(app).get(`/products/0${createdProductId}`).expect('X-Cache', 'MISS');
+      await request(app).get(`/products/${createdProductId}.0`).expect('X-Cache', 'HIT');
+
+      await request(app).patch(`/products/${createdProductId}`).send({ quantity: 4 }).expect(200);
+      const response = await request(app).get(`/products/0${createdProductId}`).expect('X-Cache', 'MISS');
+      expect(response.body.data.quantity).toBe(4);
     });
   });
 
@@ -297,8 +724,9 @@ describe('Интеграционные тесты CRUD API', () => {
       };
 
       const response = await request(app)
-        .put(`/products/${testProductId}`)
-        .send(partialUpdate)
+        .patch(`/products/${testProductId}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify(partialUpdate))
         .expect(200);
 
       expect(response.body.data.price).toBe(partialUpdate.price);
@@ -314,14 +742,42 @@ describe('Интеграционные тесты CRUD API', () => {
       };
 
       const response = await request(app)
-        .put(`/products/${testProductId}`)
-        .send(partialUpdate)
+        .patch(`/products/${testProductId}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify(partialUpdate))
         .expect(200);
 
       expect(response.body.data.name).toBe(partialUpdate.name);
       expect(response.body.data.price).toBe(399.99); // Остается предыдущее значение
     });
 
+    it('должен заменять товар целиком и возвращать запись из базы', async () => {
+      const response = await request(app)
+        .put(`/products/${testProductId}`)
+        .send({ name: 'Замененный товар', price: 150 })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        id: testProductId,
+        name: 'Замененный товар',
+        description: '',
+        price: 150,
+        quantity: 0
+      });
+      expect(response.body.data).toHaveProperty('created_at');
+    });
+
+    it('должен требовать все обязательные поля при замене', async () => {
+      const response = await request(app)
+        .put(`/products/${testProductId}`)
+        .send({ name: 'Без цены' })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        { location: 'body', field: 'price', code: 'required', message: 'Цена должна быть положительным числом' }
+      ]);
+    });
+
     it('должен возвращать 404 при попытке обновить несуществующий товар', async () => {
       const response = await request(app)
         .put('/products/99999')
@@ -341,14 +797,118 @@ describe('Интеграционные тесты CRUD API', () => {
       };
 
       const response = await request(app)
-        .put(`/products/${testProductId}`)
+        .patch(`/products/${testProductId}`)
         .send(updateData)
         .expect(200);
 
-      expect(response.body.data.name).not.toContain('<script>');
-      expect(response.body.data.name).toContain('<script>');
-      expect(response.body.data.description).not.toContain('<b>');
-      expect(response.body.data.description).toContain('<b>');
+      expect(response.text).not.toContain('<script>');
+      expect(response.text).not.toContain('<b>');
+      expect(response.body.data.name).toBe(updateData.name);
+      expect(response.body.data.description).toBe(updateData.description);
+    });
+  });
+
+  describe('PATCH /products/:id - Частичное обновление', () => {
+    let productId;
+
+    const mergePatch = (id, patch) => request(app)
+      .patch(`/products/${id}`)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify(patch));
+
+    const jsonPatch = (id, operations) => request(app)
+      .patch(`/products/${id}`)
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify(operations));
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/products')
+        .send({ name: 'Товар для патча', description: 'Описание', price: 20, quantity: 3 });
+      productId = response.body.data.id;
+    });
+
+    it('должен устанавливать нулевое количество', async () => {
+      const response = await mergePatch(productId, { quantity: 0 }).expect(200);
+
+      expect(response.body.data.quantity).toBe(0);
+      expect(response.body.data.price).toBe(20);
+    });
+
+    it('должен очищать описание через null в merge-patch', async () => {
+      await mergePatch(productId, { description: null }).expect(200);
+
+      const response = await request(app).get(`/products/${productId}`).expect(200);
+      expect(response.body.data.description).toBe('');
+    });
+
+    it('должен возвращать 422, если патч удаляет обязательное поле', async () => {
+      const response = await mergePatch(productId, { name: null, price: -1 }).expect(422);
+
+      expect(response.body.errors.map(error => [error.field, error.code])).toEqual([
+        ['name', 'required'],
+        ['price', 'exclusiveMin']
+      ]);
+    });
+
+    it('должен отклонять изменение неизвестных полей', async () => {
+      const response = await mergePatch(productId, { id: 1, color: 'red' }).expect(422);
+
+      expect(response.body.errors.map(error => [error.field, error.code])).toEqual([
+        ['id', 'unknown'],
+        ['color', 'unknown']
+      ]);
+    });
+
+    it('должен применять операции JSON Patch по порядку', async () => {
+      const response = await jsonPatch(productId, [
+        { op: 'test', path: '/quantity', value: 3 },
+        { op: 'replace', path: '/quantity', value: 0 },
+        { op: 'copy', from: '/name', path: '/description' },
+        { op: 'replace', path: '/price', value: 25.5 }
+      ]).expect(200);
+
+      expect(response.body.data).toMatchObject({
+        id: productId,
+        name: 'Товар для патча',
+        description: 'Товар для патча',
+        price: 25.5,
+        quantity: 0
+      });
+    });
+
+    it('должен возвращать 409 и не изменять товар при неудачной операции test', async () => {
+      const response = await jsonPatch(productId, [
+        { op: 'replace', path: '/quantity', value: 100 },
+        { op: 'test', path: '/price', value: 999 }
+      ]).expect(409);
+
+      expect(response.body.errors[0]).toMatchObject({ field: '/price', code: 'patch' });
+
+      const product = await request(app).get(`/products/${productId}`).expect(200);
+      expect(product.body.data.quantity).toBe(3);
+    });
+
+    it('должен возвращать 400 для некорректной операции JSON Patch', async () => {
+      const response = await jsonPatch(productId, [{ op: 'rename', path: '/name' }]).expect(400);
+
+      expect(response.body.error).toBe('Некорректная операция JSON Patch №0');
+    });
+
+    it('должен возвращать 415 для неподдерживаемого типа содержимого', async () => {
+      const response = await request(app)
+        .patch(`/products/${productId}`)
+        .set('Content-Type', 'text/plain')
+        .send('quantity=0')
+        .expect(415);
+
+      expect(response.body.error).toContain('application/merge-patch+json');
+    });
+
+    it('должен возвращать 404 для несуществующего товара', async () => {
+      const response = await mergePatch(99999, { quantity: 1 }).expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Товар не найден');
     });
   });
 
@@ -385,12 +945,18 @@ describe('Интеграционные тесты CRUD API', () => {
       expect(response.body).toHaveProperty('message', 'Товар не найден');
     });
 
-    it('должен возвращать 404 при некорректном ID', async () => {
+    it('должен возвращать 400 при некорректном ID', async () => {
       const response = await request(app)
         .delete('/products/abc')
-        .expect(404);
+        .expect(400);
 
-      expect(response.body).toHaveProperty('message', 'Товар не найден');
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.errors).toEqual([{
+        location: 'params',
+        field: 'id',
+        code: 'type',
+        message: 'ID товара должен быть положительным целым числом'
+      }]);
     });
 
     it('должен возвращать 404 при удалении уже удаленного товара', async () => {
@@ -402,39 +968,1460 @@ describe('Интеграционные тесты CRUD API', () => {
     });
   });
 
-  describe('Комплексные сценарии', () => {
-    it('должен создать, получить, обновить и удалить товар', async () => {
-      // 1. Создаем товар
-      const createResponse = await request(app)
+  describe('POST /products/bulk - Пакетные операции', () => {
+    let bulkApp;
+
+    beforeEach(async () => {
+      bulkApp = await createIsolatedApp();
+    });
+
+    const createProduct = async (name, price = 10) => {
+      const response = await request(bulkApp)
         .post('/products')
-        .send({
-          name: 'Комплексный тест',
-          description: 'Тестовый товар',
-          price: 250.00,
-          quantity: 2
-        })
+        .send({ name, price, quantity: 1 })
         .expect(201);
+      return response.body.data.id;
+    };
 
-      const productId = createResponse.body.data.id;
+    it('должен выполнять создание, обновление и удаление одним пакетом', async () => {
+      const updatedId = await createProduct('Старое имя');
+      const deletedId = await createProduct('Удаляемый');
 
-      // 2. Получаем товар
-      const getResponse = await request(app)
-        .get(`/products/${productId}`)
+      const response = await request(bulkApp)
+        .post('/products/bulk')
+        .send({
+          operations: [
+            { op: 'create', data: { name: 'Новый', price: 5 } },
+            { op: 'update', id: updatedId, data: { name: 'Новое имя', price: 15, quantity: 3 } },
+            { op: 'delete', id: deletedId }
+          ]
+        })
         .expect(200);
 
-      expect(getResponse.body.data.name).toBe('Комплексный тест');
+      expect(response.body).toMatchObject({
+        message: 'Пакет выполнен',
+        mode: 'atomic',
+        committed: true,
+        summary: { total: 3, succeeded: 3, failed: 0 }
+      });
+      const [created, updated, deleted] = response.body.results;
+      expect(created).toMatchObject({ index: 0, op: 'create', status: 201, data: { name: 'Новый', description: '', quantity: 0 } });
+      expect(created.etag).toBe(`"${created.id}-1"`);
+      expect(updated).toMatchObject({ index: 1, op: 'update', status: 200, id: updatedId, data: { name: 'Новое имя', version: 2 } });
+      expect(deleted).toEqual({ index: 2, op: 'delete', status: 200, id: deletedId });
+
+      const list = await request(bulkApp).get('/products').expect(200);
+      expect(list.body.data.map(p => p.name).sort()).toEqual(['Новое имя', 'Новый']);
+      await request(bulkApp).get('/products/trash').expect(200)
+        .then(trash => expect(trash.body.data.map(p => p.id)).toEqual([deletedId]));
+    });
 
-      // 3. Обновляем товар
-      const updateResponse = await request(app)
-        .put(`/products/${productId}`)
+    it('должен отклонять весь пакет с некорректной операцией без изменений', async () => {
+      const response = await request(bulkApp)
+        .post('/products/bulk')
         .send({
-          name: 'Обновленный комплексный тест',
-          price: 300.00
+          operations: [
+            { op: 'create', data: { name: 'Корректный', price: 5 } },
+            { op: 'create', data: { name: '', price: -1 } },
+            { op: 'rename', id: 1 },
+            'не объект'
+          ]
         })
-        .expect(200);
+        .expect(400);
 
-      expect(updateResponse.body.data.name).toBe('Обновленный комплексный тест');
-      expect(updateResponse.body.data.price).toBe(300);
+      expect(response.body).toMatchObject({ message: 'Пакет отменен', committed: false });
+      expect(response.body.error).toBe('Имя должно быть непустой строкой; Цена должна быть положительным числом');
+      const [valid, invalid, unknownOp, notObject] = response.body.results;
+      expect(valid).toMatchObject({ status: 424, code: 'FAILED_DEPENDENCY', error: 'Операция отменена из-за ошибки в операции №1' });
+      expect(invalid.status).toBe(400);
+      expect(invalid.errors.map(e => e.field)).toEqual(['data.name', 'data.price']);
+      expect(unknownOp.errors[0]).toMatchObject({ field: 'op', code: 'enum' });
+      expect(notObject.errors[0].message).toBe('Операция №3 должна быть JSON-объектом');
+
+      const list = await request(bulkApp).get('/products').expect(200);
+      expect(list.body.data).toEqual([]);
+    });
+
+    it('должен требовать id и data в зависимости от операции', async () => {
+      const response = await request(bulkApp)
+        .post('/products/bulk')
+        .send({
+          mode: 'bestEffort',
+          operations: [{ op: 'update' }, { op: 'delete', id: 'abc' }, { op: 'create', data: [] }]
+        })
+        .expect(200);
+
+      expect(response.body.results.map(r => r.errors.map(e => `${e.field}:${e.code}`))).toEqual([
+        ['id:required', 'data:required'],
+        ['id:type'],
+        ['data:type']
+      ]);
+    });
+
+    it('должен выполнять корректные операции в режиме bestEffort', async () => {
+      const productId = await createProduct('Товар');
+
+      const response = await request(bulkApp)
+        .post('/products/bulk')
+        .send({
+          mode: 'bestEffort',
+          operations: [
+            { op: 'create', data: { name: 'Первый', price: 1 } },
+            { op: 'create', data: { price: 1 } },
+            { op: 'update', id: 99999, data: { name: 'Нет такого', price: 1 } },
+            { op: 'update', id: productId, version: 5, data: { name: 'Устаревший', price: 1 } },
+            { op: 'update', id: productId, version: 1, data: { name: 'Актуальный', price: 2 } }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        committed: true,
+        summary: { total: 5, succeeded: 2, failed: 3 }
+      });
+      expect(response.body.results.map(r => r.status)).toEqual([201, 400, 404, 412, 200]);
+      expect(response.body.results[3].code).toBe('PRECONDITION_FAILED');
+      expect(response.body.results[2].error).toBe('Товар не найден');
+
+      const english = await request(bulkApp)
+        .post('/products/bulk')
+        .set('Accept-Language', 'en')
+        .send({ mode: 'bestEffort', operations: [{ op: 'delete', id: 99999 }] })
+        .expect(200);
+      expect(english.body.results[0]).toMatchObject({ status: 404, code: 'NOT_FOUND', error: 'Product not found' });
+      const single = await request(bulkApp).get('/products/99999').set('Accept-Language', 'en').expect(404);
+      expect(single.body.message).toBe('Product not found');
+
+      const list = await request(bulkApp).get('/products').expect(200);
+      expect(list.body.data.map(p => p.name).sort()).toEqual(['Актуальный', 'Первый']);
+    });
+
+    (rollback ? it : it.skip)('должен откатывать только операцию с ошибкой базы в режиме bestEffort', async () => {
+      // Ошибка на записи истории цен - после вставки товара и журнала
+      await repositories[repositories.length - 1].db.run(`CREATE TRIGGER reject_price BEFORE INSERT ON price_history
+        WHEN NEW.price_minor = 66600 BEGIN SELECT RAISE(ABORT, 'цена запрещена'); END`);
+
+      const response = await request(bulkApp)
+        .post('/products/bulk')
+        .send({
+          mode: 'bestEffort',
+          operations: [
+            { op: 'create', data: { name: 'До ошибки', price: 1 } },
+            { op: 'create', data: { name: 'С ошибкой', price: 666 } },
+            { op: 'create', data: { name: 'После ошибки', price: 2 } }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ committed: true, summary: { total: 3, succeeded: 2, failed: 1 } });
+      expect(response.body.results[1]).toMatchObject({ status: 500, code: 'OPERATION_FAILED' });
+      expect(response.body.results[1].error).toContain('цена запрещена');
+
+      const imported = await request(bulkApp)
+        .post('/products/import')
+        .set('Content-Type', 'text/csv')
+        .send('name,price\nИмпорт,3\nОтклонен,666\n')
+        .expect(200);
+      expect(imported.body.summary).toEqual({ total: 2, accepted: 1, rejected: 1 });
+      expect(imported.body.rejected).toEqual([{ line: 3, error: expect.stringContaining('цена запрещена'), code: 'IMPORT_FAILED' }]);
+
+      const list = await request(bulkApp).get('/products?limit=100').expect(200);
+      const names = list.body.data.map(p => p.name);
+      expect(names).toEqual(expect.arrayContaining(['До ошибки', 'После ошибки', 'Импорт']));
+      expect(names).not.toContain('С ошибкой');
+      expect(names).not.toContain('Отклонен');
+      const { body: audit } = await supertest(bulkApp)
+        .get('/audit?action=create&limit=100')
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .expect(200);
+      expect(audit.data.map(entry => entry.changes.name && entry.changes.name.after)).not.toContain('С ошибкой');
+    });
+
+    (rollback ? it : it.skip)('должен откатывать атомарный пакет при ошибке выполнения', async () => {
+      const productId = await createProduct('Исходный');
+
+      const response = await request(bulkApp)
+        .post('/products/bulk')
+        .send({
+          operations: [
+            { op: 'create', data: { name: 'Откатится', price: 1 } },
+            { op: 'update', id: productId, data: { name: 'Тоже откатится', price: 2 } },
+            { op: 'delete', id: 99999 },
+            { op: 'create', data: { name: 'Не выполнится', price: 3 } }
+          ]
+        })
+        .expect(404);
+
+      expect(response.body.error).toBe('Товар не найден');
+      expect(response.body.results.map(r => r.status)).toEqual([424, 424, 404, 424]);
+
+      const list = await request(bulkApp).get('/products').expect(200);
+      expect(list.body.data.map(p => p.name)).toEqual(['Исходный']);
+      expect(list.body.data[0].version).toBe(1);
+    });
+
+    it('должен проверять параметры пакета', async () => {
+      const empty = await request(bulkApp).post('/products/bulk').send({ operations: [] }).expect(400);
+      expect(empty.body.errors[0]).toMatchObject({
+        field: 'operations',
+        code: 'minLength',
+        message: 'Поле operations должно быть массивом из 1-1000 операций'
+      });
+
+      const badMode = await request(bulkApp)
+        .post('/products/bulk')
+        .send({ mode: 'sometimes', operations: [{ op: 'delete', id: 1 }] })
+        .expect(400);
+      expect(badMode.body.errors[0]).toMatchObject({ field: 'mode', code: 'enum' });
+
+      await request(bulkApp)
+        .post('/products/bulk')
+        .send({ operations: Array.from({ length: 1001 }, () => ({ op: 'delete', id: 1 })) })
+        .expect(400);
+    });
+
+    it('должен принимать пакет больше общего лимита тела запроса', async () => {
+      // ~150 КБ при стандартном лимите express.json в 100 КБ
+      const operations = Array.from({ length: 150 }, (_, index) => ({
+        op: 'create',
+        data: { name: `Товар ${index}`, description: 'Описание'.repeat(60), price: index + 1 }
+      }));
+
+      const response = await request(bulkApp).post('/products/bulk').send({ operations }).expect(200);
+
+      expect(response.body.summary.succeeded).toBe(150);
+      await request(bulkApp).get('/products').expect('X-Total-Count', '150');
+    });
+
+    it('должен инвалидировать список и затронутые товары', async () => {
+      const productId = await createProduct('Кэшируемый');
+      await request(bulkApp).get('/products').expect('X-Cache', 'MISS');
+      await request(bulkApp).get(`/products/${productId}`).expect('X-Cache', 'MISS');
+      await request(bulkApp).get(`/products/${productId}`).expect('X-Cache', 'HIT');
+
+      await request(bulkApp)
+        .post('/products/bulk')
+        .send({ operations: [{ op: 'update', id: productId, data: { name: 'Обновлен пакетом', price: 1 } }] })
+        .expect(200);
+
+      const item = await request(bulkApp).get(`/products/${productId}`).expect('X-Cache', 'MISS');
+      expect(item.body.data.name).toBe('Обновлен пакетом');
+      await request(bulkApp).get('/products').expect('X-Cache', 'MISS');
+    });
+  });
+
+  describe('Экспорт и импорт каталога', () => {
+    let ioApp;
+
+    // Ответ целиком как текст независимо от типа содержимого
+    const asText = (res, callback) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    };
+
+    beforeEach(async () => {
+      ioApp = await createIsolatedApp();
+    });
+
+    it('должен выгружать CSV без HTML-экранирования и с обезвреженными формулами', async () => {
+      await request(ioApp).post('/products').send({ name: 'Tom & "Jerry" <b>', price: 10, quantity: 2 }).expect(201);
+      await request(ioApp).post('/products').send({ name: '=1+2', description: 'строка, с запятой', price: 5 }).expect(201);
+      const deleted = await request(ioApp).post('/products').send({ name: 'В корзине', price: 1 }).expect(201);
+      await request(ioApp).delete(`/products/${deleted.body.data.id}`).expect(200);
+
+      const response = await request(ioApp)
+        .get('/products/export?format=csv')
+        .buffer(true)
+        .parse(asText)
+        .expect(200)
+        .expect('Content-Type', /text\/csv/)
+        .expect('Content-Disposition', 'attachment; filename="products.csv"');
+
+      const lines = response.body.split('\r\n');
+      expect(lines[0]).toBe('id,name,description,price,currency,quantity,version,created_at,updated_at');
+      expect(lines[1]).toMatch(/^\d+,"Tom & ""Jerry"" <b>",,10,USD,2,1,/);
+      expect(lines[2]).toMatch(/^\d+,'=1\+2,"строка, с запятой",5,USD,0,1,/);
+      expect(lines).toHaveLength(4);
+    });
+
+    it('должен загружать выгруженный CSV без апострофов перед формулами', async () => {
+      const names = ['=SUM(A1:A2)', "'=уже с апострофом", '+7 999 000-00-00', '@импорт'];
+      for (const name of names) {
+        await request(ioApp).post('/products').send({ name, description: '-1', price: 1 }).expect(201);
+      }
+      const exported = await request(ioApp).get('/products/export?format=csv').buffer(true).parse(asText).expect(200);
+
+      const targetApp = await createIsolatedApp();
+      const imported = await request(targetApp)
+        .post('/products/import')
+        .set('Content-Type', 'text/csv')
+        .send(exported.body)
+        .expect(200);
+      expect(imported.body.summary).toMatchObject({ accepted: names.length, rejected: 0 });
+
+      const list = await request(targetApp).get('/products').expect(200);
+      expect(list.body.data.map(product => product.name).sort()).toEqual([...names].sort());
+      expect(list.body.data.every(product => product.description === '-1')).toBe(true);
+    });
+
+    it('должен выгружать NDJSON и JSON', async () => {
+      await request(ioApp).post('/products').send({ name: '<i>Курсив</i>', price: 3 }).expect(201);
+      await request(ioApp).post('/products').send({ name: 'Второй', price: 4 }).expect(201);
+
+      const ndjson = await request(ioApp)
+        .get('/products/export?format=ndjson')
+        .buffer(true)
+        .parse(asText)
+        .expect(200)
+        .expect('Content-Type', /application\/x-ndjson/);
+      const rows = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+      expect(rows.map(row => row.name)).toEqual(['<i>Курсив</i>', 'Второй']);
+
+      const json = await request(ioApp).get('/products/export?format=json').expect(200);
+      expect(json.body.map(row => row.name)).toEqual(['<i>Курсив</i>', 'Второй']);
+    });
+
+    it('должен выгружать пустой каталог и проверять формат', async () => {
+      const json = await request(ioApp).get('/products/export?format=json').expect(200);
+      expect(json.body).toEqual([]);
+
+      const response = await request(ioApp).get('/products/export?format=xlsx').expect(400);
+      expect(response.body.errors[0]).toMatchObject({ field: 'format', code: 'enum' });
+    });
+
+    it('должен импортировать CSV и сообщать об отклоненных строках', async () => {
+      const csv = [
+        'name,description,price,quantity,extra',
+        'Стол,"Большой, дубовый",120.5,3,x',
+        ',Без имени,10,1,x',
+        'Стул,,abc,1,x',
+        'Лампа,,15,,x',
+        'Короткая строка',
+        '"Незакрытая,1,1,x'
+      ].join('\r\n');
+
+      const response = await request(ioApp)
+        .post('/products/import')
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        message: 'Импорт выполнен',
+        dryRun: false,
+        summary: { total: 6, accepted: 2, rejected: 4 }
+      });
+      expect(response.body.ids).toHaveLength(2);
+      expect(response.body.rejected.map(item => item.line)).toEqual([3, 4, 6, 7]);
+      expect(response.body.rejected[0].errors[0]).toMatchObject({ location: 'csv', field: 'name' });
+      expect(response.body.rejected[1].errors[0]).toMatchObject({ field: 'price', code: 'type' });
+      expect(response.body.rejected[2]).toMatchObject({
+        code: 'INVALID_LINE',
+        error: 'Количество значений (1) не совпадает с заголовком (5)'
+      });
+      expect(response.body.rejected[3].error).toBe('Незакрытая кавычка в поле CSV');
+
+      const list = await request(ioApp).get('/products?sort=name').expect(200);
+      expect(list.body.data.map(p => [p.name, p.description, p.price, p.quantity])).toEqual([
+        ['Лампа', '', 15, 0],
+        ['Стол', 'Большой, дубовый', 120.5, 3]
+      ]);
+    });
+
+    it('должен импортировать NDJSON', async () => {
+      const ndjson = [
+        JSON.stringify({ name: 'Первый', price: 1 }),
+        '',
+        JSON.stringify({ name: 'Второй', price: '2' }),
+        'не json'
+      ].join('\n');
+
+      const response = await request(ioApp)
+        .post('/products/import')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(ndjson)
+        .expect(200);
+
+      expect(response.body.summary).toEqual({ total: 3, accepted: 1, rejected: 2 });
+      expect(response.body.rejected.map(item => [item.line, item.code])).toEqual([
+        [3, 'VALIDATION_ERROR'],
+        [4, 'INVALID_LINE']
+      ]);
+    });
+
+    it('должен только проверять файл в режиме dryRun', async () => {
+      const response = await request(ioApp)
+        .post('/products/import?dryRun=true')
+        .set('Content-Type', 'text/csv')
+        .send('name,price\nСтол,10\nСтул,-1\n')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        message: 'Проверка импорта выполнена',
+        dryRun: true,
+        summary: { total: 2, accepted: 1, rejected: 1 },
+        rejected: [expect.objectContaining({ line: 3, code: 'VALIDATION_ERROR' })]
+      });
+
+      const list = await request(ioApp).get('/products').expect(200);
+      expect(list.body.data).toEqual([]);
+    });
+
+    it('должен отклонять файл без обязательных колонок, пустой файл и другой тип содержимого', async () => {
+      const header = await request(ioApp)
+        .post('/products/import')
+        .set('Content-Type', 'text/csv')
+        .send('title,cost\nСтол,10\n')
+        .expect(400);
+      expect(header.body).toEqual({
+        error: 'Заголовок CSV должен содержать колонки: name, price',
+        code: 'INVALID_IMPORT'
+      });
+
+      const empty = await request(ioApp)
+        .post('/products/import')
+        .set('Content-Type', 'text/csv')
+        .send('name,price\n')
+        .expect(400);
+      expect(empty.body.error).toBe('Файл импорта не содержит записей');
+
+      await request(ioApp)
+        .post('/products/import')
+        .send({ name: 'Стол', price: 10 })
+        .expect(415);
+    });
+
+    it('должен возвращать выгруженный CSV при повторном импорте', async () => {
+      await request(ioApp).post('/products').send({ name: 'Tom & Jerry', description: 'a "b"', price: 7, quantity: 1 }).expect(201);
+      const exported = await request(ioApp).get('/products/export').buffer(true).parse(asText).expect(200);
+
+      const target = await createIsolatedApp();
+      await request(target)
+        .post('/products/import')
+        .set('Content-Type', 'text/csv')
+        .send(exported.body)
+        .expect(200);
+
+      const reexported = await request(target).get('/products/export?format=json').expect(200);
+      expect(reexported.body.map(p => [p.name, p.description, p.price])).toEqual([['Tom & Jerry', 'a "b"', 7]]);
+    });
+  });
+
+  describe('Корзина - мягкое удаление и восстановление', () => {
+    let trashApp;
+    let productId;
+
+    beforeAll(async () => {
+      trashApp = await createIsolatedApp();
+      const response = await request(trashApp)
+        .post('/products')
+        .send({ name: 'Товар для корзины', description: 'Уникальноеслово', price: 10, quantity: 1 })
+        .expect(201);
+      productId = response.body.data.id;
+      await request(trashApp)
+        .post('/products')
+        .send({ name: 'Активный товар', price: 20, quantity: 1 })
+        .expect(201);
+    });
+
+    it('должен перемещать товар в корзину и скрывать его из выдачи', async () => {
+      await request(trashApp).delete(`/products/${productId}`).expect(200);
+
+      await request(trashApp).get(`/products/${productId}`).expect(404);
+
+      const list = await request(trashApp).get('/products').expect(200);
+      expect(list.body.data.map(p => p.name)).toEqual(['Активный товар']);
+      expect(list.body.pagination.total).toBe(1);
+
+      const search = await request(trashApp).get('/products/search?q=Уникальноеслово').expect(200);
+      expect(search.body.data).toEqual([]);
+    });
+
+    it('должен показывать удаленные товары с includeDeleted=true', async () => {
+      const response = await request(trashApp).get('/products?includeDeleted=true').expect(200);
+
+      expect(response.body.pagination.total).toBe(2);
+      const deleted = response.body.data.find(p => p.id === productId);
+      expect(deleted.deleted_at).not.toBeNull();
+    });
+
+    it('должен возвращать содержимое корзины', async () => {
+      const response = await request(trashApp).get('/products/trash').expect(200);
+
+      expect(response.body.data.map(p => p.id)).toEqual([productId]);
+      expect(response.headers['x-total-count']).toBe('1');
+    });
+
+    it('должен проверять параметры корзины', async () => {
+      const response = await request(trashApp).get('/products/trash?limit=0').expect(400);
+      expect(response.body.errors[0].field).toBe('limit');
+    });
+
+    it('должен возвращать 404 при повторном удалении товара из корзины', async () => {
+      await request(trashApp).delete(`/products/${productId}`).expect(404);
+    });
+
+    it('должен восстанавливать товар из корзины', async () => {
+      const response = await request(trashApp)
+        .post(`/products/${productId}/restore`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Товар восстановлен');
+      expect(response.body.data.deleted_at).toBeNull();
+      expect(response.headers.etag).toBe(`"${productId}-${response.body.data.version}"`);
+
+      await request(trashApp).get(`/products/${productId}`).expect(200);
+      const trash = await request(trashApp).get('/products/trash').expect(200);
+      expect(trash.body.data).toEqual([]);
+    });
+
+    it('должен возвращать 409 при восстановлении товара не из корзины', async () => {
+      const response = await request(trashApp)
+        .post(`/products/${productId}/restore`)
+        .expect(409);
+
+      expect(response.body).toEqual({ error: 'Товар не находится в корзине', code: 'NOT_IN_TRASH' });
+    });
+
+    it('должен возвращать 404 при восстановлении несуществующего товара', async () => {
+      await request(trashApp).post('/products/99999/restore').expect(404);
+    });
+
+    it('должен проверять If-Match при восстановлении', async () => {
+      const deleted = await request(trashApp).delete(`/products/${productId}`).expect(200);
+      expect(deleted.body.message).toBe('Товар успешно удален');
+
+      await request(trashApp)
+        .post(`/products/${productId}/restore`)
+        .set('If-Match', `"${productId}-1"`)
+        .expect(412);
+    });
+
+    it('должен запрещать окончательное удаление без роли администратора', async () => {
+      const asEditor = await request(trashApp)
+        .delete(`/products/${productId}?hard=true`)
+        .expect(403);
+      expect(asEditor.body).toEqual({
+        error: 'Операция доступна только администраторам',
+        code: 'FORBIDDEN'
+      });
+
+      await supertest(trashApp)
+        .delete(`/products/${productId}?hard=true`)
+        .expect(401);
+    });
+
+    it('должен окончательно удалять товар из корзины для администратора', async () => {
+      const response = await request(trashApp)
+        .delete(`/products/${productId}?hard=true`)
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Товар удален окончательно');
+
+      const all = await request(trashApp).get('/products?includeDeleted=true').expect(200);
+      expect(all.body.data.some(p => p.id === productId)).toBe(false);
+      await request(trashApp).post(`/products/${productId}/restore`).expect(404);
+    });
+
+    it('должен отклонять некорректный параметр hard', async () => {
+      const response = await request(trashApp).delete('/products/1?hard=maybe').expect(400);
+      expect(response.body.errors[0]).toMatchObject({ location: 'query', field: 'hard' });
+    });
+  });
+
+  describe('Аутентификация и роли', () => {
+    let authApp;
+    let apiKeys;
+
+    beforeAll(async () => {
+      authApp = await createIsolatedApp();
+      apiKeys = createApiKeyRepository(repositories[repositories.length - 1]);
+    });
+
+    it('должен требовать учетные данные для изменения товаров', async () => {
+      const response = await supertest(authApp)
+        .post('/products')
+        .send({ name: 'Без ключа', price: 1 })
+        .expect(401);
+
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+      expect(response.body).toEqual({
+        error: 'Требуется аутентификация: заголовок X-API-Key или Authorization: Bearer',
+        code: 'UNAUTHORIZED'
+      });
+      await supertest(authApp).post('/products/bulk').send({ operations: [] }).expect(401);
+      await supertest(authApp).delete('/products/1').expect(401);
+    });
+
+    it('должен разрешать чтение без учетных данных по умолчанию', async () => {
+      await supertest(authApp).get('/products').expect(200);
+    });
+
+    it('должен запрещать изменения роли viewer', async () => {
+      const response = await supertest(authApp)
+        .post('/products')
+        .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+        .send({ name: 'Только чтение', price: 1 })
+        .expect(403);
+
+      expect(response.body.code).toBe('FORBIDDEN');
+      expect(response.body.error).toContain('editor');
+    });
+
+    it('должен отклонять недействительный токен даже на открытых маршрутах', async () => {
+      const forged = signJwt({ sub: 'x', role: 'admin' }, { secret: 'other-secret' });
+      await supertest(authApp).get('/products').set('Authorization', `Bearer ${forged}`).expect(401);
+
+      const expired = signJwt({ sub: 'x', role: 'admin' }, { secret: JWT_SECRET, expiresIn: -3600 });
+      await supertest(authApp).get('/products').set('Authorization', `Bearer ${expired}`).expect(401);
+
+      await supertest(authApp).get('/products').set('Authorization', 'Basic dXNlcjpwYXNz').expect(401);
+    });
+
+    it('должен принимать API-ключ до его отзыва', async () => {
+      const issued = await issueApiKey(apiKeys, { name: 'Интеграция', role: 'editor' });
+
+      const response = await supertest(authApp)
+        .post('/products')
+        .set('X-API-Key', issued.key)
+        .send({ name: 'Через ключ', price: 5 })
+        .expect(201);
+      expect(response.body.data.name).toBe('Через ключ');
+
+      expect(await apiKeys.revoke(issued.id)).toBe(1);
+      const revoked = await supertest(authApp)
+        .post('/products')
+        .set('X-API-Key', issued.key)
+        .send({ name: 'Через отозванный ключ', price: 5 })
+        .expect(401);
+      expect(revoked.body.code).toBe('UNAUTHORIZED');
+
+      await supertest(authApp).get('/products').set('X-API-Key', 'pk_unknown').expect(401);
+    });
+
+    it('должен требовать роль viewer для чтения, если оно закрыто', async () => {
+      const closedApp = await createIsolatedApp({ auth: { publicReads: false } });
+
+      await supertest(closedApp).get('/products').expect(401);
+      await supertest(closedApp).get('/products/1').expect(401);
+      await supertest(closedApp).get('/products/export').expect(401);
+      await supertest(closedApp)
+        .get('/products')
+        .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+        .expect(200);
+    });
+
+    it('должен разрешать CORS только источникам из списка', async () => {
+      const corsApp = await createIsolatedApp({ corsOrigins: ['https://shop.example'] });
+
+      const allowed = await supertest(corsApp)
+        .options('/products')
+        .set('Origin', 'https://shop.example')
+        .set('Access-Control-Request-Method', 'POST')
+        .set('Access-Control-Request-Headers', 'Authorization, Content-Type')
+        .expect(204);
+      expect(allowed.headers['access-control-allow-origin']).toBe('https://shop.example');
+      expect(allowed.headers['access-control-allow-headers']).toContain('Authorization');
+
+      const denied = await supertest(corsApp)
+        .get('/products')
+        .set('Origin', 'https://evil.example')
+        .expect(200);
+      expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+
+      const byDefault = await supertest(authApp).get('/products').set('Origin', 'https://shop.example');
+      expect(byDefault.headers['access-control-allow-origin']).toBeUndefined();
+    });
+  });
+
+  describe('Журнал изменений', () => {
+    let auditApp;
+    let productId;
+    const asAdmin = target => request(target).set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+    beforeAll(async () => {
+      auditApp = await createIsolatedApp();
+      const created = await request(auditApp)
+        .post('/products')
+        .set('X-Request-Id', 'req-create-1')
+        .send({ name: 'Журнальный товар', description: 'Исходное', price: 10, quantity: 5 })
+        .expect(201);
+      productId = created.body.data.id;
+
+      await request(auditApp)
+        .put(`/products/${productId}`)
+        .send({ name: 'Журнальный товар', description: 'Исходное', price: 20, quantity: 5 })
+        .expect(200);
+      await request(auditApp)
+        .patch(`/products/${productId}`)
+        .send({ quantity: 3, description: 'Новое' })
+        .expect(200);
+    });
+
+    it('должен возвращать ID запроса и принимать ID клиента', async () => {
+      const generated = await request(auditApp).get('/products').expect(200);
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+      const own = await request(auditApp).get('/products').set('X-Request-Id', 'trace-42').expect(200);
+      expect(own.headers['x-request-id']).toBe('trace-42');
+
+      const invalid = await request(auditApp).get('/products').set('X-Request-Id', 'bad id <x>').expect(200);
+      expect(invalid.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      const long = await request(auditApp).get('/products').set('X-Request-Id', 'a'.repeat(129)).expect(200);
+      expect(long.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('должен записывать автора, запрос и измененные поля', async () => {
+      const response = await request(auditApp).get(`/products/${productId}/history`).expect(200);
+
+      expect(response.headers['x-total-count']).toBe('3');
+      const [patch, put, create] = response.body.data;
+      expect(create).toMatchObject({
+        product_id: productId,
+        action: 'create',
+        actor: 'user-editor',
+        request_id: 'req-create-1',
+        version: 1
+      });
+      expect(create.changes).toEqual({
+        name: { before: null, after: 'Журнальный товар' },
+        description: { before: null, after: 'Исходное' },
+        price_minor: { before: null, after: 1000 },
+        currency: { before: null, after: 'USD' },
+        quantity: { before: null, after: 5 },
+        reserved: { before: null, after: 0 }
+      });
+      expect(put).toMatchObject({ action: 'update', version: 2, changes: { price_minor: { before: 1000, after: 2000 } } });
+      expect(Object.keys(put.changes)).toEqual(['price_minor']);
+      expect(patch.changes).toEqual({
+        description: { before: 'Исходное', after: 'Новое' },
+        quantity: { before: 5, after: 3 }
+      });
+      expect(response.body.pagination).toEqual({ total: 3, limit: 20, offset: 0, hasMore: false });
+    });
+
+    it('должен возвращать 404 для истории несуществующего товара', async () => {
+      await request(auditApp).get('/products/999999/history').expect(404);
+    });
+
+    it('должен откатывать товар к записи журнала', async () => {
+      const { body: history } = await request(auditApp).get(`/products/${productId}/history`).expect(200);
+      const createEntry = history.data[history.data.length - 1];
+
+      const response = await request(auditApp)
+        .post(`/products/${productId}/revert`)
+        .send({ historyId: createEntry.id })
+        .expect(200);
+
+      expect(response.body.historyId).toBe(createEntry.id);
+      expect(response.body.data).toMatchObject({ description: 'Исходное', price: 10, quantity: 5, version: 4 });
+      expect(response.headers.etag).toBe(`"${productId}-4"`);
+
+      const { body: after } = await request(auditApp).get(`/products/${productId}/history?limit=1`).expect(200);
+      expect(after.data[0]).toMatchObject({ action: 'revert', version: 4 });
+      expect(after.data[0].changes).toEqual({
+        description: { before: 'Новое', after: 'Исходное' },
+        price_minor: { before: 2000, after: 1000 },
+        quantity: { before: 3, after: 5 }
+      });
+      expect(after.pagination.hasMore).toBe(true);
+    });
+
+    it('должен проверять запись журнала и If-Match при откате', async () => {
+      const other = await request(auditApp).post('/products').send({ name: 'Другой', price: 1 }).expect(201);
+      const { body: otherHistory } = await request(auditApp).get(`/products/${other.body.data.id}/history`);
+
+      const foreign = await request(auditApp)
+        .post(`/products/${productId}/revert`)
+        .send({ historyId: otherHistory.data[0].id })
+        .expect(404);
+      expect(foreign.body.code).toBe('HISTORY_NOT_FOUND');
+
+      await request(auditApp).post(`/products/${productId}/revert`).send({}).expect(400);
+      await request(auditApp)
+        .post(`/products/${productId}/revert`)
+        .set('If-Match', '"0-0"')
+        .send({ historyId: otherHistory.data[0].id })
+        .expect(412);
+      await supertest(auditApp).post(`/products/${productId}/revert`).send({ historyId: 1 }).expect(401);
+    });
+
+    it('должен записывать удаление, восстановление и окончательное удаление', async () => {
+      const created = await request(auditApp).post('/products').send({ name: 'Временный', price: 3 }).expect(201);
+      const id = created.body.data.id;
+
+      await request(auditApp).delete(`/products/${id}`).expect(200);
+      await request(auditApp).post(`/products/${id}/restore`).expect(200);
+      await asAdmin(auditApp).delete(`/products/${id}?hard=true`).expect(200);
+
+      // История остается после окончательного удаления
+      const { body } = await request(auditApp).get(`/products/${id}/history`).expect(200);
+      expect(body.data.map(entry => entry.action)).toEqual(['purge', 'restore', 'delete', 'create']);
+      expect(body.data[0]).toMatchObject({ actor: 'user-admin', version: null });
+      expect(body.data[0].changes.name).toEqual({ before: 'Временный', after: null });
+      expect(body.data[2].changes.deleted_at.before).toBeNull();
+      expect(body.data[2].changes.deleted_at.after).not.toBeNull();
+    });
+
+    it('должен записывать операции пакета и импорта', async () => {
+      const response = await request(auditApp)
+        .post('/products/bulk')
+        .set('X-Request-Id', 'req-bulk-1')
+        .send({
+          operations: [
+            { op: 'create', data: { name: 'Из пакета', price: 4 } },
+            { op: 'update', id: productId, data: { name: 'Журнальный товар', description: 'Исходное', price: 11, quantity: 5 } }
+          ]
+        })
+        .expect(200);
+      expect(response.body.committed).toBe(true);
+
+      const { body } = await asAdmin(auditApp).get('/audit?requestId=req-bulk-1').expect(200);
+      expect(body.data.map(entry => entry.action)).toEqual(['update', 'create']);
+      expect(body.data[0].changes).toEqual({ price_minor: { before: 1000, after: 1100 } });
+
+      await request(auditApp)
+        .post('/products/import')
+        .set('Content-Type', 'text/csv')
+        .set('X-Request-Id', 'req-import-1')
+        .send('name,price\nИмпортный,7\n')
+        .expect(200);
+      const imported = await asAdmin(auditApp).get('/audit?requestId=req-import-1&action=create').expect(200);
+      expect(imported.body.data).toHaveLength(1);
+      expect(imported.body.data[0].changes.name.after).toBe('Импортный');
+    });
+
+    (rollback ? it : it.skip)('не должен оставлять записей журнала после отката пакета', async () => {
+      const before = await asAdmin(auditApp).get('/audit').expect(200);
+
+      await request(auditApp)
+        .post('/products/bulk')
+        .send({
+          operations: [
+            { op: 'create', data: { name: 'Откатится', price: 1 } },
+            { op: 'delete', id: 999999 }
+          ]
+        })
+        .expect(404);
+
+      const after = await asAdmin(auditApp).get('/audit').expect(200);
+      expect(after.body.pagination.total).toBe(before.body.pagination.total);
+    });
+
+    it('должен фильтровать журнал и быть доступным только администратору', async () => {
+      await request(auditApp).get('/audit').expect(403);
+
+      const byProduct = await asAdmin(auditApp).get(`/audit?productId=${productId}&action=update`).expect(200);
+      expect(byProduct.body.data.every(entry => entry.product_id === productId && entry.action === 'update')).toBe(true);
+      expect(byProduct.body.data.length).toBeGreaterThan(0);
+
+      const byActor = await asAdmin(auditApp).get('/audit?actor=user-admin').expect(200);
+      expect(byActor.body.data.map(entry => entry.action)).toEqual(['purge']);
+
+      const hourAgo = new Date(Date.now() - 3600 * 1000).toISOString();
+      const hourAhead = new Date(Date.now() + 3600 * 1000).toISOString();
+      const recent = await asAdmin(auditApp).get('/audit').query({ from: hourAgo, to: hourAhead }).expect(200);
+      const all = await asAdmin(auditApp).get('/audit').expect(200);
+      expect(recent.body.pagination.total).toBe(all.body.pagination.total);
+      const future = await asAdmin(auditApp).get('/audit').query({ from: hourAhead }).expect(200);
+      expect(future.body.pagination.total).toBe(0);
+
+      const invalid = await asAdmin(auditApp).get('/audit?from=вчера&action=rename').expect(400);
+      expect(invalid.body.errors.map(error => error.field)).toEqual(['action', 'from']);
+    });
+  });
+
+  describe('Остатки и резервы', () => {
+    let stockApp;
+    let stockRepository;
+    let productId;
+
+    beforeAll(async () => {
+      stockApp = await createIsolatedApp();
+      stockRepository = repositories[repositories.length - 1];
+      const created = await request(stockApp)
+        .post('/products')
+        .send({ name: 'Складской товар', price: 10, quantity: 10 })
+        .expect(201);
+      expect(created.body.data).toMatchObject({ quantity: 10, reserved: 0, available: 10 });
+      productId = created.body.data.id;
+    });
+
+    it('должен изменять остаток на величину и не уводить его ниже нуля', async () => {
+      const added = await request(stockApp)
+        .post(`/products/${productId}/stock/adjust`)
+        .send({ delta: 5 })
+        .expect(200);
+      expect(added.body.data).toMatchObject({ quantity: 15, available: 15, version: 2 });
+      expect(added.headers.etag).toBe(`"${productId}-2"`);
+
+      const refused = await request(stockApp)
+        .post(`/products/${productId}/stock/adjust`)
+        .send({ delta: -16 })
+        .expect(409);
+      expect(refused.body).toMatchObject({ code: 'INSUFFICIENT_STOCK', available: 15 });
+
+      const invalid = await request(stockApp).post(`/products/${productId}/stock/adjust`).send({ delta: 0 }).expect(400);
+      expect(invalid.body.errors[0].field).toBe('delta');
+      await request(stockApp).post(`/products/${productId}/stock/adjust`).send({ delta: 1.5 }).expect(400);
+      await request(stockApp).post('/products/999999/stock/adjust').send({ delta: 1 }).expect(404);
+      await supertest(stockApp)
+        .post(`/products/${productId}/stock/adjust`)
+        .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+        .send({ delta: 1 })
+        .expect(403);
+
+      await request(stockApp).post(`/products/${productId}/stock/adjust`).send({ delta: -5 }).expect(200);
+    });
+
+    it('должен резервировать, подтверждать и снимать резерв', async () => {
+      const reserved = await request(stockApp)
+        .post(`/products/${productId}/reservations`)
+        .send({ quantity: 4, expiresIn: 600 })
+        .expect(201);
+      const reservationId = reserved.body.data.id;
+      expect(reserved.headers.location).toBe(`/reservations/${reservationId}`);
+      expect(reserved.body.data).toMatchObject({ product_id: productId, quantity: 4, status: 'active', actor: 'user-editor' });
+      expect(reserved.body.product).toMatchObject({ quantity: 10, reserved: 4, available: 6 });
+
+      const product = await request(stockApp).get(`/products/${productId}`).expect(200);
+      expect(product.body.data).toMatchObject({ quantity: 10, reserved: 4, available: 6 });
+      const list = await request(stockApp).get('/products').expect(200);
+      expect(list.body.data[0]).toMatchObject({ id: productId, available: 6 });
+
+      const tooMuch = await request(stockApp)
+        .post(`/products/${productId}/reservations`)
+        .send({ quantity: 7 })
+        .expect(409);
+      expect(tooMuch.body).toMatchObject({ code: 'INSUFFICIENT_STOCK', available: 6 });
+      // Остаток нельзя уменьшить за счет зарезервированного количества
+      await request(stockApp).post(`/products/${productId}/stock/adjust`).send({ delta: -7 }).expect(409);
+
+      const committed = await request(stockApp).post(`/reservations/${reservationId}/commit`).expect(200);
+      expect(committed.body.data.status).toBe('committed');
+      expect(committed.body.product).toMatchObject({ quantity: 6, reserved: 0, available: 6 });
+      const again = await request(stockApp).post(`/reservations/${reservationId}/release`).expect(409);
+      expect(again.body.code).toBe('RESERVATION_CLOSED');
+
+      const second = await request(stockApp).post(`/products/${productId}/reservations`).send({ quantity: 6 }).expect(201);
+      const released = await request(stockApp).post(`/reservations/${second.body.data.id}/release`).expect(200);
+      expect(released.body.product).toMatchObject({ quantity: 6, reserved: 0, available: 6 });
+
+      const fetched = await request(stockApp).get(`/reservations/${second.body.data.id}`).expect(200);
+      expect(fetched.body.data.status).toBe('released');
+      const missing = await request(stockApp).post('/reservations/999999/commit').expect(404);
+      expect(missing.body.code).toBe('RESERVATION_NOT_FOUND');
+
+      const history = await request(stockApp).get(`/products/${productId}/history?limit=4`).expect(200);
+      expect(history.body.data.map(entry => entry.action)).toEqual(['release', 'reserve', 'commit', 'reserve']);
+    });
+
+    it('не должен записывать остаток меньше зарезервированного количества', async () => {
+      const reserved = await request(stockApp).post(`/products/${productId}/reservations`).send({ quantity: 4 }).expect(201);
+
+      const replaced = await request(stockApp)
+        .put(`/products/${productId}`)
+        .send({ name: 'Складской товар', price: 10, quantity: 3 })
+        .expect(409);
+      expect(replaced.body).toMatchObject({ code: 'INSUFFICIENT_STOCK', available: 2 });
+      expect(replaced.body.error).toBe('Остаток не может быть меньше зарезервированного количества (4)');
+      const patched = await request(stockApp).patch(`/products/${productId}`).send({ quantity: 0 }).expect(409);
+      expect(patched.body.code).toBe('INSUFFICIENT_STOCK');
+      const bulk = await request(stockApp)
+        .post('/products/bulk')
+        .send({ operations: [{ op: 'update', id: productId, data: { name: 'Складской товар', price: 10, quantity: 1 } }] })
+        .expect(409);
+      expect(bulk.body.results[0]).toMatchObject({ status: 409, code: 'INSUFFICIENT_STOCK' });
+
+      await request(stockApp).patch(`/products/${productId}`).send({ quantity: 4 }).expect(200);
+      const committed = await request(stockApp).post(`/reservations/${reserved.body.data.id}/commit`).expect(200);
+      expect(committed.body.product).toMatchObject({ quantity: 0, reserved: 0, available: 0 });
+      await request(stockApp).patch(`/products/${productId}`).send({ quantity: 6 }).expect(200);
+    });
+
+    it('должен проверять количество и срок резерва', async () => {
+      const invalid = await request(stockApp)
+        .post(`/products/${productId}/reservations`)
+        .send({ quantity: 0, expiresIn: 30 * 24 * 3600 })
+        .expect(400);
+      expect(invalid.body.errors.map(error => error.field)).toEqual(['quantity', 'expiresIn']);
+      await request(stockApp).post('/products/999999/reservations').send({ quantity: 1 }).expect(404);
+    });
+
+    it('должен снимать истекшие резервы фоновой очисткой', async () => {
+      const reserved = await request(stockApp)
+        .post(`/products/${productId}/reservations`)
+        .send({ quantity: 2, expiresIn: 60 })
+        .expect(201);
+      await request(stockApp).get(`/products/${productId}`).expect(200);
+
+      // Очистка на два часа вперед, сброс кэша - как в start()
+      const sweeper = new ReservationSweeper({
+        products: stockRepository,
+        onRelease: () => cacheMiddleware.deleteByPrefix('products:'),
+        logger: null
+      });
+      expect(await sweeper.sweep(new Date(Date.now() + 2 * 3600 * 1000))).toBe(1);
+
+      const product = await request(stockApp).get(`/products/${productId}`).expect(200);
+      expect(product.body.data).toMatchObject({ reserved: 0, available: 6 });
+      const expired = await request(stockApp).post(`/reservations/${reserved.body.data.id}/commit`).expect(409);
+      expect(expired.body).toMatchObject({ code: 'RESERVATION_EXPIRED', data: { status: 'expired' } });
+    });
+  });
+
+  describe('Категории и теги', () => {
+    let taxonomyApp;
+    let laptopId;
+    let bookId;
+    let electronicsId;
+    let gamingId;
+
+    beforeAll(async () => {
+      taxonomyApp = await createIsolatedApp();
+      const laptop = await request(taxonomyApp).post('/products').send({ name: 'Ноутбук', price: 1000 }).expect(201);
+      const book = await request(taxonomyApp).post('/products').send({ name: 'Книга', price: 10 }).expect(201);
+      expect(laptop.body.data).toMatchObject({ categories: [], tags: [] });
+      laptopId = laptop.body.data.id;
+      bookId = book.body.data.id;
+
+      const electronics = await request(taxonomyApp).post('/categories').send({ name: 'Электроника' }).expect(201);
+      electronicsId = electronics.body.data.id;
+      expect(electronics.headers.location).toBe(`/categories/${electronicsId}`);
+      const laptops = await request(taxonomyApp)
+        .post('/categories')
+        .send({ name: 'Ноутбуки', parentId: electronicsId })
+        .expect(201);
+      const gaming = await request(taxonomyApp)
+        .post('/categories')
+        .send({ name: 'Игровые', parentId: laptops.body.data.id })
+        .expect(201);
+      gamingId = gaming.body.data.id;
+    });
+
+    it('должен возвращать категории списком и деревом', async () => {
+      const flat = await request(taxonomyApp).get('/categories').expect(200);
+      expect(flat.body.data.map(category => category.name)).toEqual(['Игровые', 'Ноутбуки', 'Электроника']);
+
+      const tree = await request(taxonomyApp).get('/categories?tree=true').expect(200);
+      expect(tree.body.data).toMatchObject([
+        { name: 'Электроника', children: [{ name: 'Ноутбуки', children: [{ name: 'Игровые', children: [] }] }] }
+      ]);
+
+      const category = await request(taxonomyApp).get(`/categories/${gamingId}`).expect(200);
+      expect(category.body.data).toMatchObject({ name: 'Игровые' });
+      const missing = await request(taxonomyApp).get('/categories/999999').expect(404);
+      expect(missing.body.code).toBe('CATEGORY_NOT_FOUND');
+    });
+
+    it('должен проверять название, родителя и вложенность категории', async () => {
+      const invalid = await request(taxonomyApp).post('/categories').send({ name: ' ', parentId: 0 }).expect(400);
+      expect(invalid.body.errors.map(error => error.field)).toEqual(['name', 'parentId']);
+
+      const noParent = await request(taxonomyApp).post('/categories').send({ name: 'Планшеты', parentId: 999999 }).expect(404);
+      expect(noParent.body).toMatchObject({ code: 'PARENT_NOT_FOUND', error: 'Родительская категория 999999 не найдена' });
+
+      const cycle = await request(taxonomyApp)
+        .put(`/categories/${electronicsId}`)
+        .send({ name: 'Электроника', parentId: gamingId })
+        .expect(409);
+      expect(cycle.body.code).toBe('CATEGORY_CYCLE');
+
+      const notEmpty = await request(taxonomyApp).delete(`/categories/${electronicsId}`).expect(409);
+      expect(notEmpty.body.code).toBe('CATEGORY_NOT_EMPTY');
+
+      await supertest(taxonomyApp)
+        .post('/categories')
+        .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+        .send({ name: 'Без прав' })
+        .expect(403);
+    });
+
+    it('должен назначать категории и теги товару и встраивать их в ответы', async () => {
+      const assigned = await request(taxonomyApp)
+        .put(`/products/${laptopId}/categories`)
+        .set('If-Match', `"${laptopId}-1"`)
+        .send({ categoryIds: [gamingId] })
+        .expect(200);
+      expect(assigned.body.data).toMatchObject({ version: 2, categories: [{ id: gamingId, name: 'Игровые' }], tags: [] });
+      expect(assigned.headers.etag).toBe(`"${laptopId}-2"`);
+
+      const tagged = await request(taxonomyApp)
+        .put(`/products/${laptopId}/tags`)
+        .send({ tags: [' Новинка', 'скидка', 'новинка'] })
+        .expect(200);
+      expect(tagged.body.data.tags).toEqual(['новинка', 'скидка']);
+      await request(taxonomyApp).put(`/products/${bookId}/tags`).send({ tags: ['скидка'] }).expect(200);
+
+      const product = await request(taxonomyApp).get(`/products/${laptopId}`).expect(200);
+      expect(product.body.data).toMatchObject({ categories: [{ id: gamingId }], tags: ['новинка', 'скидка'] });
+      const search = await request(taxonomyApp).get('/products/search?q=ноутбук').expect(200);
+      expect(search.body.data[0]).toMatchObject({ id: laptopId, tags: ['новинка', 'скидка'] });
+
+      const existing = await request(taxonomyApp).post('/tags').send({ name: 'Новинка ' }).expect(409);
+      expect(existing.body).toMatchObject({ code: 'TAG_EXISTS', data: { name: 'новинка' } });
+      const created = await request(taxonomyApp).post('/tags').send({ name: 'Предзаказ' }).expect(201);
+      expect(created.body.data.name).toBe('предзаказ');
+
+      const tags = await request(taxonomyApp).get('/tags').expect(200);
+      expect(tags.body.data).toMatchObject([
+        { name: 'новинка', products: 1 },
+        { name: 'предзаказ', products: 0 },
+        { name: 'скидка', products: 2 }
+      ]);
+
+      const history = await request(taxonomyApp).get(`/products/${laptopId}/history?limit=1`).expect(200);
+      expect(history.body.data[0]).toMatchObject({
+        action: 'update',
+        changes: { tags: { before: [], after: ['новинка', 'скидка'] } }
+      });
+    });
+
+    it('должен отклонять некорректное назначение', async () => {
+      const invalid = await request(taxonomyApp)
+        .put(`/products/${bookId}/categories`)
+        .send({ categoryIds: [electronicsId, 'два'] })
+        .expect(400);
+      expect(invalid.body.errors[0].field).toBe('categoryIds[1]');
+      const unknown = await request(taxonomyApp)
+        .put(`/products/${bookId}/categories`)
+        .send({ categoryIds: [999999] })
+        .expect(404);
+      expect(unknown.body).toMatchObject({ code: 'CATEGORY_NOT_FOUND', ids: [999999] });
+
+      await request(taxonomyApp).put(`/products/${bookId}/tags`).send({ tags: ['x'.repeat(51)] }).expect(400);
+      await request(taxonomyApp).put(`/products/${bookId}/tags`).set('If-Match', '"1-999"').send({ tags: [] }).expect(412);
+      await request(taxonomyApp).put('/products/999999/tags').send({ tags: [] }).expect(404);
+    });
+
+    it('должен фильтровать товары по категории с подкатегориями и по тегу', async () => {
+      const byParent = await request(taxonomyApp).get(`/products?category=${electronicsId}`).expect(200);
+      expect(byParent.body.data.map(product => product.id)).toEqual([laptopId]);
+      expect(byParent.body.pagination.total).toBe(1);
+
+      const byTag = await request(taxonomyApp).get('/products?tag=Скидка&sort=name').expect(200);
+      expect(byTag.body.data.map(product => product.id)).toEqual([bookId, laptopId]);
+
+      const both = await request(taxonomyApp).get(`/products?category=${electronicsId}&tag=новинка`).expect(200);
+      expect(both.body.data.map(product => product.id)).toEqual([laptopId]);
+
+      await request(taxonomyApp).get('/products?category=abc').expect(400);
+    });
+
+    it('должен сбрасывать кэш товаров при изменении категории или тега', async () => {
+      await request(taxonomyApp).get(`/products/${laptopId}`).expect(200);
+      await request(taxonomyApp).get(`/products?category=${electronicsId}`).expect('X-Cache', 'HIT');
+
+      await request(taxonomyApp).put(`/categories/${gamingId}`).send({ name: 'Для игр' }).expect(200);
+
+      const product = await request(taxonomyApp).get(`/products/${laptopId}`).expect('X-Cache', 'MISS');
+      expect(product.body.data.categories).toEqual([{ id: gamingId, name: 'Для игр' }]);
+      // Категория перенесена на верхний уровень и больше не входит в Электронику
+      const byParent = await request(taxonomyApp).get(`/products?category=${electronicsId}`).expect('X-Cache', 'MISS');
+      expect(byParent.body.data).toEqual([]);
+
+      const [tag] = (await request(taxonomyApp).get('/tags').expect(200)).body.data;
+      const exists = await request(taxonomyApp).put(`/tags/${tag.id}`).send({ name: 'Скидка' }).expect(409);
+      expect(exists.body.code).toBe('TAG_EXISTS');
+      await request(taxonomyApp).put(`/tags/${tag.id}`).send({ name: 'хит' }).expect(200);
+      const renamed = await request(taxonomyApp).get(`/products/${laptopId}`).expect('X-Cache', 'MISS');
+      expect(renamed.body.data.tags).toEqual(['скидка', 'хит']);
+
+      await request(taxonomyApp).delete(`/tags/${tag.id}`).expect(200);
+      await request(taxonomyApp).delete(`/categories/${gamingId}`).expect(200);
+      const cleared = await request(taxonomyApp).get(`/products/${laptopId}`).expect('X-Cache', 'MISS');
+      expect(cleared.body.data).toMatchObject({ categories: [], tags: ['скидка'] });
+      await request(taxonomyApp).delete(`/tags/${tag.id}`).expect(404);
+    });
+
+    it('должен сбрасывать кэш товаров при создании категории или тега', async () => {
+      await request(taxonomyApp).get('/products?tag=распродажа').expect(200);
+      await request(taxonomyApp).get('/products?tag=распродажа').expect('X-Cache', 'HIT');
+
+      await request(taxonomyApp).post('/tags').send({ name: 'распродажа' }).expect(201);
+      await request(taxonomyApp).get('/products?tag=распродажа').expect('X-Cache', 'MISS');
+      await request(taxonomyApp).get('/products?tag=распродажа').expect('X-Cache', 'HIT');
+
+      await request(taxonomyApp).post('/categories').send({ name: 'Сезонное' }).expect(201);
+      await request(taxonomyApp).get('/products?tag=распродажа').expect('X-Cache', 'MISS');
+    });
+  });
+
+  describe('Изображения товаров', () => {
+    let imagesApp;
+    let uploadDir;
+    let productId;
+    let png;
+
+    // Файлы хранилища относительно каталога загрузок
+    const storedFiles = () => (fs.existsSync(uploadDir)
+      ? fs.readdirSync(uploadDir, { recursive: true }).filter(file => path.extname(file)).sort()
+      : []);
+
+    beforeAll(async () => {
+      uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-test-'));
+      imagesApp = await createIsolatedApp({ images: { path: uploadDir, maxSize: 64 * 1024, thumbnailSizes: [32, 100] } });
+      png = await sharp({ create: { width: 80, height: 40, channels: 3, background: '#336699' } }).png().toBuffer();
+      const created = await request(imagesApp).post('/products').send({ name: 'Фотоаппарат', price: 300 }).expect(201);
+      productId = created.body.data.id;
+    });
+
+    afterAll(() => {
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+
+    it('должен загружать изображение с уменьшенными копиями и отдавать его с заголовками кэширования', async () => {
+      const uploaded = await request(imagesApp)
+        .post(`/products/${productId}/images`)
+        .attach('image', png, { filename: 'camera.png', contentType: 'image/png' })
+        .expect(201);
+      const image = uploaded.body.data;
+      expect(image).toMatchObject({
+        product_id: productId,
+        content_type: 'image/png',
+        size: png.length,
+        width: 80,
+        height: 40,
+        original_name: 'camera.png',
+        url: `/products/${productId}/images/${image.id}`,
+        thumbnails: [
+          { size: 32, width: 32, height: 16, url: `/products/${productId}/images/${image.id}?size=32` },
+          { size: 100, width: 80, height: 40 }
+        ]
+      });
+      expect(image.storage_key).toBeUndefined();
+      expect(uploaded.headers.location).toBe(image.url);
+      expect(storedFiles()).toHaveLength(3);
+
+      const file = await supertest(imagesApp).get(image.url).buffer(true).expect(200);
+      expect(file.headers['content-type']).toBe('image/png');
+      expect(file.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+      expect(file.headers['x-content-type-options']).toBe('nosniff');
+      expect(Buffer.compare(file.body, png)).toBe(0);
+      await supertest(imagesApp).get(image.url).set('If-None-Match', file.headers.etag).expect(304);
+
+      const thumbnail = await supertest(imagesApp).get(`${image.url}?size=32`).buffer(true).expect(200);
+      expect(await sharp(thumbnail.body).metadata()).toMatchObject({ format: 'png', width: 32, height: 16 });
+      expect(thumbnail.headers.etag).not.toBe(file.headers.etag);
+      const noSize = await supertest(imagesApp).get(`${image.url}?size=64`).expect(404);
+      expect(noSize.body).toMatchObject({ code: 'IMAGE_NOT_FOUND', error: 'Нет уменьшенной копии размера 64' });
+
+      const list = await request(imagesApp).get(`/products/${productId}/images`).expect(200);
+      expect(list.body.data.map(item => item.id)).toEqual([image.id]);
+      await request(imagesApp).get('/products/999999/images').expect(404);
+    });
+
+    it('должен проверять тип, размер и наличие файла', async () => {
+      const upload = () => request(imagesApp).post(`/products/${productId}/images`);
+
+      const wrongType = await upload()
+        .attach('image', Buffer.from('<svg onload="alert(1)"/>'), { filename: 'x.png', contentType: 'image/png' })
+        .expect(415);
+      expect(wrongType.body).toMatchObject({ code: 'INVALID_IMAGE' });
+      expect(wrongType.body.error).toContain('image/jpeg, image/png, image/webp, image/gif');
+
+      const tooLarge = await upload()
+        .attach('image', Buffer.concat([png, Buffer.alloc(70 * 1024)]), 'big.png')
+        .expect(413);
+      expect(tooLarge.body.error).toBe(`Файл изображения больше ${64 * 1024} байт`);
+      await upload().attach('image', Buffer.concat([png, Buffer.alloc(200 * 1024)]), 'huge.png').expect(413);
+
+      const missing = await upload().field('title', 'без файла').expect(400);
+      expect(missing.body.error).toBe('Файл изображения не передан в поле image');
+      const broken = await upload().attach('image', png.subarray(0, 60), 'broken.png').expect(422);
+      expect(broken.body.error).toBe('Файл не удалось прочитать как изображение');
+      await upload().send({ image: 'base64' }).expect(415);
+
+      await request(imagesApp).post('/products/999999/images').attach('image', png, 'camera.png').expect(404);
+      await supertest(imagesApp)
+        .post(`/products/${productId}/images`)
+        .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+        .attach('image', png, 'camera.png')
+        .expect(403);
+      expect(storedFiles()).toHaveLength(3);
+    });
+
+    it('должен удалять файлы вместе с изображением и с товаром', async () => {
+      const { body: { data: [first] } } = await request(imagesApp).get(`/products/${productId}/images`).expect(200);
+      const { body: { data: second } } = await request(imagesApp)
+        .post(`/products/${productId}/images`)
+        .attach('image', png, 'second.png')
+        .expect(201);
+      expect(storedFiles()).toHaveLength(6);
+
+      await request(imagesApp).delete(`/products/${productId}/images/${first.id}`).expect(200);
+      expect(storedFiles()).toHaveLength(3);
+      await supertest(imagesApp).get(first.url).expect(404);
+      await request(imagesApp).delete(`/products/${productId}/images/${first.id}`).expect(404);
+
+      // В корзине файлы сохраняются, но не отдаются, как и сам товар; окончательное удаление их убирает
+      await request(imagesApp).delete(`/products/${productId}`).expect(200);
+      expect(storedFiles()).toHaveLength(3);
+      await request(imagesApp).get(`/products/${productId}/images`).expect(404);
+      const hidden = await supertest(imagesApp).get(second.url).expect(404);
+      expect(hidden.body).toEqual({ message: 'Товар не найден' });
+      await supertest(imagesApp).get(`${second.url}?size=32`).expect(404);
+      await request(imagesApp)
+        .delete(`/products/${productId}?hard=true`)
+        .set('Authorization', `Bearer ${tokenFor('admin')}`)
+        .expect(200);
+      expect(storedFiles()).toEqual([]);
+    });
+  });
+
+  describe('Цены и валюты', () => {
+    let currencyApp;
+
+    beforeAll(async () => {
+      currencyApp = await createIsolatedApp({ currency: { default: 'USD', rates: { EUR: 0.9, JPY: 150 } } });
+    });
+
+    it('должен хранить цену в минимальных единицах валюты', async () => {
+      const usd = await request(currencyApp).post('/products').send({ name: 'Доллары', price: 1299.99 }).expect(201);
+      expect(usd.body.data).toMatchObject({ price: 1299.99, price_minor: 129999, currency: 'USD' });
+
+      const jpy = await request(currencyApp).post('/products').send({ name: 'Иены', price: 1500, currency: 'JPY' }).expect(201);
+      expect(jpy.body.data).toMatchObject({ price: 1500, price_minor: 1500, currency: 'JPY' });
+
+      const fractional = await request(currencyApp).post('/products').send({ name: 'Дробь', price: 1.5, currency: 'JPY' }).expect(400);
+      expect(fractional.body.errors[0]).toMatchObject({ field: 'price', code: 'precision' });
+      await request(currencyApp).post('/products').send({ name: 'Центы', price: 10.005 }).expect(400);
+      await request(currencyApp).post('/products').send({ name: 'Валюта', price: 1, currency: 'XYZ' }).expect(400);
+    });
+
+    it('должен проверять цену при смене валюты в PATCH', async () => {
+      const created = await request(currencyApp).post('/products').send({ name: 'Смена валюты', price: 10.5 }).expect(201);
+      const id = created.body.data.id;
+
+      const refused = await request(currencyApp).patch(`/products/${id}`).send({ currency: 'JPY' }).expect(422);
+      expect(refused.body.errors[0]).toMatchObject({ field: 'price', code: 'precision' });
+
+      const changed = await request(currencyApp).patch(`/products/${id}`).send({ currency: 'EUR' }).expect(200);
+      expect(changed.body.data).toMatchObject({ price: 10.5, price_minor: 1050, currency: 'EUR' });
+    });
+
+    it('должен сортировать и фильтровать по цене в основных единицах', async () => {
+      const tag = `валюта${Date.now()}`;
+      await request(currencyApp).post('/products').send({ name: `${tag} иены`, price: 500, currency: 'JPY' }).expect(201);
+      await request(currencyApp).post('/products').send({ name: `${tag} доллары`, price: 10 }).expect(201);
+
+      const sorted = await request(currencyApp).get(`/products?q=${encodeURIComponent(tag)}&sort=price`).expect(200);
+      expect(sorted.body.data.map(item => item.currency)).toEqual(['USD', 'JPY']);
+
+      const cheap = await request(currencyApp).get(`/products?q=${encodeURIComponent(tag)}&maxPrice=100`).expect(200);
+      expect(cheap.body.data.map(item => item.price)).toEqual([10]);
+    });
+
+    it('должен пересчитывать цены списка в запрошенную валюту', async () => {
+      const response = await request(currencyApp).get('/products?currency=EUR&limit=100').expect(200);
+      const usd = response.body.data.find(item => item.name === 'Доллары');
+      const jpy = response.body.data.find(item => item.name === 'Иены');
+      expect(usd.converted).toEqual({ currency: 'EUR', price: 1169.99, price_minor: 116999, rate: 0.9 });
+      expect(jpy.converted).toMatchObject({ currency: 'EUR', price: 9 });
+
+      const unknown = await request(currencyApp).get('/products?currency=RUB').expect(400);
+      expect(unknown.body.errors[0]).toMatchObject({ field: 'currency', message: 'Курс валюты RUB не настроен' });
+      await request(currencyApp).get('/products?currency=rub').expect(400);
+    });
+
+    it('должен вести историю цен товара', async () => {
+      const created = await request(currencyApp).post('/products').send({ name: 'История цен', price: 10 }).expect(201);
+      const id = created.body.data.id;
+      await request(currencyApp).patch(`/products/${id}`).send({ quantity: 3 }).expect(200);
+      await request(currencyApp).patch(`/products/${id}`).set('X-Request-Id', 'req-price-1').send({ price: 12.5 }).expect(200);
+
+      const response = await request(currencyApp).get(`/products/${id}/prices?currency=JPY`).expect(200);
+      expect(response.headers['x-total-count']).toBe('2');
+      expect(response.body.data.map(entry => [entry.price, entry.currency])).toEqual([[12.5, 'USD'], [10, 'USD']]);
+      expect(response.body.data[0]).toMatchObject({
+        product_id: id,
+        price_minor: 1250,
+        actor: 'user-editor',
+        request_id: 'req-price-1',
+        converted: { currency: 'JPY', price: 1875 }
+      });
+      expect(response.body.data[0].effective_at).toBeDefined();
+
+      await request(currencyApp).delete(`/products/${id}`).expect(200);
+      await request(currencyApp).get(`/products/${id}/prices`).expect(200);
+      await request(currencyApp).get('/products/999999/prices').expect(404);
+    });
+  });
+
+  describe('Ограничение частоты запросов', () => {
+    it('должен ограничивать запросы по настройкам rateLimit', async () => {
+      const limitedApp = await createIsolatedApp({
+        rateLimit: {
+          keyBy: 'apiKey',
+          limits: { read: { limit: 2, windowMs: 60000 }, write: { limit: 1, windowMs: 60000 } }
+        }
+      });
+
+      await request(limitedApp).get('/products').expect(200).expect('RateLimit-Remaining', '1');
+      await request(limitedApp).get('/products').expect(200);
+      const limited = await request(limitedApp).get('/products').expect(429);
+      expect(limited.body.code).toBe('TOO_MANY_REQUESTS');
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+      // Другой клиент и изменения учитываются отдельно
+      await supertest(limitedApp).get('/products').expect(200);
+      await request(limitedApp).post('/products').send({ name: 'Лимит', price: 1 }).expect(201);
+      await request(limitedApp).post('/products').send({ name: 'Лимит', price: 1 }).expect(429);
+    });
+
+    it('должен ограничивать подбор ключей и токенов по адресу клиента', async () => {
+      const limitedApp = await createIsolatedApp({
+        rateLimit: { keyBy: 'apiKey', limits: { read: { limit: 2, windowMs: 60000 } } }
+      });
+
+      await supertest(limitedApp).get('/products').set('X-API-Key', 'pk_guess1').expect(401);
+      await supertest(limitedApp).get('/products').set('Authorization', 'Bearer a.b.c').expect(401);
+      const limited = await supertest(limitedApp).get('/products').set('X-API-Key', 'pk_guess2').expect(429);
+      expect(limited.body.code).toBe('TOO_MANY_REQUESTS');
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+      // До конца окна адрес отклоняется до проверки учетных данных, изменения считаются отдельно
+      await request(limitedApp).get('/products').expect(429);
+      await request(limitedApp).post('/products').send({ name: 'Лимит', price: 1 }).expect(201);
+    });
+  });
+
+  describe('Комплексные сценарии', () => {
+    it('должен создать, получить, обновить и удалить товар', async () => {
+      // 1. Создаем товар
+      const createResponse = await request(app)
+        .post('/products')
+        .send({
+          name: 'Комплексный тест',
+          description: 'Тестовый товар',
+          price: 250.00,
+          quantity: 2
+        })
+        .expect(201);
+
+      const productId = createResponse.body.data.id;
+
+      // 2. Получаем товар
+      const getResponse = await request(app)
+        .get(`/products/${productId}`)
+        .expect(200);
+
+      expect(getResponse.body.data.name).toBe('Комплексный тест');
+
+      // 3. Обновляем товар
+      const updateResponse = await request(app)
+        .put(`/products/${productId}`)
+        .send({
+          name: 'Обновленный комплексный тест',
+          price: 300.00
+        })
+        .expect(200);
+
+      expect(updateResponse.body.data.name).toBe('Обновленный комплексный тест');
+      expect(updateResponse.body.data.price).toBe(300);
 
       // 4. Удаляем товар
       await request(app)
@@ -448,6 +2435,8 @@ describe('Интеграционные тесты CRUD API', () => {
     });
 
     it('должен обрабатывать большое количество товаров', async () => {
+      const app = await createIsolatedApp();
+
       // Создаем 10 товаров
       const createPromises = [];
       for (let i = 1; i <= 10; i++) {
@@ -490,4 +2479,281 @@ describe('Интеграционные тесты CRUD API', () => {
       expect(finalGetResponse.body.data.length).toBe(0);
     });
   });
+  describe('Валидация запросов', () => {
+    let productId;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/products')
+        .send({ name: 'Товар для валидации', price: 10, quantity: 1 });
+      productId = response.body.data.id;
+    });
+
+    it('должен возвращать все ошибки тела запроса сразу', async () => {
+      const response = await request(app)
+        .post('/products')
+        .send({ name: '   ', price: -5, quantity: 'много' })
+        .expect(400);
+
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+      expect(response.body.errors).toEqual([
+        { location: 'body', field: 'name', code: 'minLength', message: 'Имя должно быть непустой строкой' },
+        { location: 'body', field: 'price', code: 'exclusiveMin', message: 'Цена должна быть положительным числом' },
+        { location: 'body', field: 'quantity', code: 'type', message: 'Количество должно быть неотрицательным числом' }
+      ]);
+      expect(response.body.error).toBe(
+        'Имя должно быть непустой строкой; Цена должна быть положительным числом; Количество должно быть неотрицательным числом'
+      );
+    });
+
+    it('должен отклонять некорректные типы и значения при обновлении', async () => {
+      const response = await request(app)
+        .put(`/products/${productId}`)
+        .send({ name: 'Товар для валидации', price: '100', quantity: -1 })
+        .expect(400);
+
+      expect(response.body.errors.map(error => [error.field, error.code])).toEqual([
+        ['price', 'type'],
+        ['quantity', 'min']
+      ]);
+
+      const product = await request(app).get(`/products/${productId}`).expect(200);
+      expect(product.body.data.price).toBe(10);
+      expect(product.body.data.quantity).toBe(1);
+    });
+
+    it('должен проверять параметры строки запроса', async () => {
+      const response = await request(app)
+        .get('/products?limit=0&inStock=yes&limit=5&sort=color')
+        .expect(400);
+
+      expect(response.body.errors.map(error => [error.location, error.field, error.code])).toEqual([
+        ['query', 'limit', 'repeated'],
+        ['query', 'sort', 'enum'],
+        ['query', 'inStock', 'type']
+      ]);
+    });
+
+    it('должен возвращать ошибки разбора параметров в том же формате', async () => {
+      const response = await request(app)
+        .get('/products?minPrice=50&maxPrice=10')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Параметр minPrice не может быть больше maxPrice',
+        code: 'VALIDATION_ERROR',
+        errors: [{
+          location: 'query',
+          field: 'minPrice',
+          code: 'invalid',
+          message: 'Параметр minPrice не может быть больше maxPrice'
+        }]
+      });
+    });
+
+    it('должен отдавать сообщения на языке из Accept-Language', async () => {
+      const response = await request(app)
+        .post('/products')
+        .set('Accept-Language', 'en-US,en;q=0.9')
+        .send({ price: 10 })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe('Name must be a non-empty string');
+    });
+
+    it('должен отклонять тело запроса, не являющееся объектом', async () => {
+      const response = await request(app)
+        .post('/products')
+        .send([{ name: 'Товар', price: 10 }])
+        .expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({ location: 'body', field: null, code: 'type' });
+    });
+  });
+
+  describe('ETag и условные запросы', () => {
+    let productId;
+    let etag;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/products')
+        .send({ name: 'Товар с версией', price: 40, quantity: 2 });
+      productId = response.body.data.id;
+      etag = response.headers.etag;
+    });
+
+    it('должен отдавать ETag версии товара', async () => {
+      expect(etag).toBe(`"${productId}-1"`);
+
+      const response = await request(app).get(`/products/${productId}`).expect(200);
+      expect(response.headers.etag).toBe(etag);
+      expect(response.body.data.version).toBe(1);
+    });
+
+    it('должен отвечать 304 на If-None-Match как при MISS, так и при HIT кэша', async () => {
+      const miss = await request(app)
+        .get(`/products/${productId}`)
+        .set('If-None-Match', etag)
+        .expect(304);
+      expect(miss.headers['x-cache']).toBe('MISS');
+
+      const hit = await request(app)
+        .get(`/products/${productId}`)
+        .set('If-None-Match', `"other", ${etag}`)
+        .expect(304);
+      expect(hit.headers['x-cache']).toBe('HIT');
+      expect(hit.headers.etag).toBe(etag);
+    });
+
+    it('должен отвечать 304 для закэшированного списка', async () => {
+      const first = await request(app).get('/products?limit=5').expect(200);
+      expect(first.headers.etag).toMatch(/^W\//);
+
+      const second = await request(app)
+        .get('/products?limit=5')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+      expect(second.headers['x-cache']).toBe('HIT');
+    });
+
+    it('должен обновлять товар при совпадающем If-Match и менять ETag', async () => {
+      const response = await request(app)
+        .put(`/products/${productId}`)
+        .set('If-Match', etag)
+        .send({ name: 'Новая версия', price: 45, quantity: 2 })
+        .expect(200);
+
+      expect(response.headers.etag).toBe(`"${productId}-2"`);
+      expect(response.body.data.version).toBe(2);
+    });
+
+    it('должен возвращать 412 при устаревшем If-Match и не изменять товар', async () => {
+      await request(app)
+        .patch(`/products/${productId}`)
+        .send({ quantity: 10 })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/products/${productId}`)
+        .set('If-Match', etag)
+        .send({ quantity: 0 })
+        .expect(412);
+
+      expect(response.body.code).toBe('PRECONDITION_FAILED');
+      expect(response.headers.etag).toBe(`"${productId}-2"`);
+
+      const product = await request(app).get(`/products/${productId}`).expect(200);
+      expect(product.body.data.quantity).toBe(10);
+    });
+
+    it('должен сравнивать If-Match строго и принимать *', async () => {
+      await request(app)
+        .delete(`/products/${productId}`)
+        .set('If-Match', `W/${etag}`)
+        .expect(412);
+
+      await request(app)
+        .delete(`/products/${productId}`)
+        .set('If-Match', '*')
+        .expect(200);
+    });
+
+    it('должен требовать If-Match, если это включено в конфигурации', async () => {
+      const strictApp = await createIsolatedApp({ requireIfMatch: true });
+      const created = await request(strictApp)
+        .post('/products')
+        .send({ name: 'Строгий товар', price: 10 })
+        .expect(201);
+
+      const response = await request(strictApp)
+        .delete(`/products/${created.body.data.id}`)
+        .expect(428);
+      expect(response.body.code).toBe('PRECONDITION_REQUIRED');
+
+      await request(strictApp)
+        .delete(`/products/${created.body.data.id}`)
+        .set('If-Match', created.headers.etag)
+        .expect(200);
+    });
+  });
+
+  describe('Кэширование - X-Cache', () => {
+    beforeAll(() => {
+      cacheMiddleware.clear();
+    });
+
+    it('должен кэшировать список и товар и инвалидировать их при изменениях', async () => {
+      // 1. Первый запрос списка идет в базу, второй - из кэша
+      await request(app).get('/products').expect('X-Cache', 'MISS');
+      await request(app).get('/products').expect('X-Cache', 'HIT');
+
+      // 2. Создание товара инвалидирует список
+      const createResponse = await request(app)
+        .post('/products')
+        .send({ name: 'Кэшируемый товар', price: 10, quantity: 1 })
+        .expect(201);
+      const productId = createResponse.body.data.id;
+
+      const listAfterCreate = await request(app).get('/products').expect('X-Cache', 'MISS');
+      expect(listAfterCreate.body.data.some(p => p.id === productId)).toBe(true);
+      await request(app).get('/products').expect('X-Cache', 'HIT');
+
+      // 3. Товар по ID кэшируется отдельно
+      await request(app).get(`/products/${productId}`).expect('X-Cache', 'MISS');
+      await request(app).get(`/products/${productId}`).expect('X-Cache', 'HIT');
+
+      // 4. Обновление инвалидирует и список, и товар
+      await request(app)
+        .patch(`/products/${productId}`)
+        .send({ name: 'Обновленный кэшируемый товар' })
+        .expect(200);
+
+      const itemAfterUpdate = await request(app)
+        .get(`/products/${productId}`)
+        .expect('X-Cache', 'MISS');
+      expect(itemAfterUpdate.body.data.name).toBe('Обновленный кэшируемый товар');
+
+      const listAfterUpdate = await request(app).get('/products').expect('X-Cache', 'MISS');
+      expect(listAfterUpdate.body.data.find(p => p.id === productId).name)
+        .toBe('Обновленный кэшируемый товар');
+
+      await request(app).get(`/products/${productId}`).expect('X-Cache', 'HIT');
+      await request(app).get('/products').expect('X-Cache', 'HIT');
+
+      // 5. Удаление инвалидирует и список, и товар
+      await request(app).delete(`/products/${productId}`).expect(200);
+
+      const itemAfterDelete = await request(app).get(`/products/${productId}`).expect(404);
+      expect(itemAfterDelete.headers['x-cache']).toBe('MISS');
+
+      const listAfterDelete = await request(app).get('/products').expect('X-Cache', 'MISS');
+      expect(listAfterDelete.body.data.some(p => p.id === productId)).toBe(false);
+
+      // 6. Корзина кэшируется как список и инвалидируется при восстановлении
+      await request(app).get('/products/trash').expect('X-Cache', 'MISS');
+      await request(app).get('/products/trash').expect('X-Cache', 'HIT');
+
+      await request(app).post(`/products/${productId}/restore`).expect(200);
+
+      const trashAfterRestore = await request(app).get('/products/trash').expect('X-Cache', 'MISS');
+      expect(trashAfterRestore.body.data.some(p => p.id === productId)).toBe(false);
+      const itemAfterRestore = await request(app).get(`/products/${productId}`).expect(200);
+      expect(itemAfterRestore.headers['x-cache']).toBe('MISS');
+      const listAfterRestore = await request(app).get('/products').expect('X-Cache', 'MISS');
+      expect(listAfterRestore.body.data.some(p => p.id === productId)).toBe(true);
+    });
+
+    it('не должен кэшировать ответы с ошибкой', async () => {
+      await request(app).get('/products/99999').expect(404).expect('X-Cache', 'MISS');
+      await request(app).get('/products/99999').expect(404).expect('X-Cache', 'MISS');
+    });
+
+    it('не должен инвалидировать кэш при неудачном изменении', async () => {
+      cacheMiddleware.clear();
+      await request(app).get('/products').expect('X-Cache', 'MISS');
+      await request(app).post('/products').send({ price: 10 }).expect(400);
+      await request(app).get('/products').expect('X-Cache', 'HIT');
+    });
+  });
 });
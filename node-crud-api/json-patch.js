@@ -0,0 +1,243 @@
+/**
+ * Применение патчей к JSON-документам
+ *
+ *   applyMergePatch - JSON Merge Patch (RFC 7396): объект патча накладывается
+ *                     на документ, null удаляет поле
+ *   applyJsonPatch  - JSON Patch (RFC 6902): последовательность операций
+ *                     add, remove, replace, move, copy, test по путям JSON Pointer
+ *
+ * Исходный документ не изменяется, возвращается новый.
+ */
+
+const { translate, DEFAULT_LOCALE } = require('./validation-messages');
+
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Ошибка применения патча
+ * Текст формируется в локали по умолчанию; key и params позволяют
+ * перевести сообщение на язык запроса
+ */
+class PatchError extends Error {
+  /**
+   * @param {string} key - Код сообщения (см. validation-messages.js)
+   * @param {Object} params - Подстановки, params.path - путь операции
+   * @param {number} status - HTTP-статус ответа (409 - не пройдена операция test)
+   */
+  constructor(key, params = {}, status = 400) {
+    super(translate(DEFAULT_LOCALE, key, params));
+    this.name = 'PatchError';
+    this.key = key;
+    this.params = params;
+    this.status = status;
+    this.path = params.path !== undefined ? params.path : null;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b)
+      && a.length === b.length
+      && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+      && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+/**
+ * Применение JSON Merge Patch (RFC 7396)
+ * @param {*} target - Исходный документ
+ * @param {*} patch - Патч; не объект заменяет документ целиком
+ * @returns {*} - Новый документ
+ */
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Разбор JSON Pointer (RFC 6901) на сегменты
+ * @param {string} pointer - Путь вида '/a/b~1c'
+ * @returns {Array} - Сегменты; пустой массив - корень документа
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new PatchError('patch.path', { path: String(pointer) });
+  }
+  if (pointer === '') {
+    return [];
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Индекс элемента массива; '-' (после последнего) допустим только для add
+function arrayIndex(array, token, pointer, { allowEnd = false } = {}) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new PatchError('patch.path', { path: pointer });
+  }
+  const index = Number(token);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new PatchError('patch.pathNotFound', { path: pointer });
+  }
+  return index;
+}
+
+function hasChild(container, token) {
+  return (Array.isArray(container) || isPlainObject(container))
+    && Object.prototype.hasOwnProperty.call(container, token);
+}
+
+// Значение по сегментам пути
+function getValue(document, tokens, pointer) {
+  return tokens.reduce((current, token) => {
+    if (Array.isArray(current)) {
+      return current[arrayIndex(current, token, pointer)];
+    }
+    if (!hasChild(current, token)) {
+      throw new PatchError('patch.pathNotFound', { path: pointer });
+    }
+    return current[token];
+  }, document);
+}
+
+// Родительский контейнер и последний сегмент пути
+function resolveParent(document, tokens, pointer) {
+  const parent = getValue(document, tokens.slice(0, -1), pointer);
+  if (!Array.isArray(parent) && !isPlainObject(parent)) {
+    throw new PatchError('patch.pathNotFound', { path: pointer });
+  }
+  return { parent, token: tokens[tokens.length - 1] };
+}
+
+function addValue(document, tokens, pointer, value) {
+  if (tokens.length === 0) {
+    return value;
+  }
+  const { parent, token } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer, { allowEnd: true }), 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return document;
+}
+
+function removeValue(document, tokens, pointer) {
+  if (tokens.length === 0) {
+    return undefined;
+  }
+  const { parent, token } = resolveParent(document, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, token, pointer), 1);
+  } else {
+    if (!hasChild(parent, token)) {
+      throw new PatchError('patch.pathNotFound', { path: pointer });
+    }
+    delete parent[token];
+  }
+  return document;
+}
+
+function checkOperation(operation, index) {
+  if (!isPlainObject(operation) || !PATCH_OPERATIONS.includes(operation.op) || typeof operation.path !== 'string') {
+    throw new PatchError('patch.operation', { index });
+  }
+  if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+    throw new PatchError('patch.operation', { index });
+  }
+  if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+    throw new PatchError('patch.operation', { index });
+  }
+}
+
+/**
+ * Применение JSON Patch (RFC 6902)
+ * Операции выполняются по порядку; при ошибке любой из них
+ * документ не изменяется (изменения применяются к копии)
+ * @param {*} document - Исходный документ
+ * @param {Array} operations - Операции патча
+ * @returns {*} - Новый документ
+ * @throws {PatchError} - При некорректной операции, отсутствующем пути
+ *   или не пройденной операции test (status 409)
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('patch.jsonPatchBody');
+  }
+
+  return operations.reduce((current, operation, index) => {
+    checkOperation(operation, index);
+    const { op, path } = operation;
+    const tokens = parsePointer(path);
+
+    switch (op) {
+      case 'add':
+        return addValue(current, tokens, path, clone(operation.value));
+      case 'remove':
+        return removeValue(current, tokens, path);
+      case 'replace':
+        getValue(current, tokens, path);
+        return addValue(removeValue(current, tokens, path), tokens, path, clone(operation.value));
+      case 'move': {
+        const fromTokens = parsePointer(operation.from);
+        if (path !== operation.from && path.startsWith(`${operation.from}/`)) {
+          throw new PatchError('patch.moveIntoChild', { path, from: operation.from });
+        }
+        const value = getValue(current, fromTokens, operation.from);
+        return addValue(removeValue(current, fromTokens, operation.from), tokens, path, value);
+      }
+      case 'copy': {
+        const value = getValue(current, parsePointer(operation.from), operation.from);
+        return addValue(current, tokens, path, clone(value));
+      }
+      case 'test':
+        if (!deepEqual(getValue(current, tokens, path), operation.value)) {
+          throw new PatchError('patch.testFailed', { path }, 409);
+        }
+        return current;
+      default:
+        return current;
+    }
+  }, clone(document));
+}
+
+module.exports = {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  PATCH_OPERATIONS,
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch
+};
@@ -0,0 +1,91 @@
+const { applyMergePatch, applyJsonPatch, PatchError } = require('./json-patch');
+
+describe('JSON Merge Patch (RFC 7396)', () => {
+  it('должен заменять, добавлять и удалять поля', () => {
+    const target = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'] };
+    const patch = { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: ['example'] };
+
+    expect(applyMergePatch(target, patch)).toEqual({
+      title: 'Hello!',
+      author: { givenName: 'John' },
+      tags: ['example'],
+      phoneNumber: '+01-123-456-7890'
+    });
+  });
+
+  it('не должен изменять исходный документ', () => {
+    const target = { a: { b: 1 } };
+    applyMergePatch(target, { a: { b: 2 } });
+
+    expect(target).toEqual({ a: { b: 1 } });
+  });
+
+  it('должен заменять документ целиком патчем, не являющимся объектом', () => {
+    expect(applyMergePatch({ a: 1 }, ['b'])).toEqual(['b']);
+    expect(applyMergePatch({ a: 1 }, 'text')).toBe('text');
+  });
+});
+
+describe('JSON Patch (RFC 6902)', () => {
+  it('должен выполнять add, remove и replace', () => {
+    const result = applyJsonPatch({ foo: ['bar', 'baz'], qux: 1 }, [
+      { op: 'add', path: '/foo/1', value: 'qux' },
+      { op: 'add', path: '/foo/-', value: 'end' },
+      { op: 'remove', path: '/qux' },
+      { op: 'replace', path: '/foo/0', value: 'first' }
+    ]);
+
+    expect(result).toEqual({ foo: ['first', 'qux', 'baz', 'end'] });
+  });
+
+  it('должен выполнять move и copy', () => {
+    const result = applyJsonPatch({ foo: { bar: 'baz', waldo: 'fred' }, qux: { corge: 'grault' } }, [
+      { op: 'move', from: '/foo/waldo', path: '/qux/thud' },
+      { op: 'copy', from: '/foo/bar', path: '/copied' }
+    ]);
+
+    expect(result).toEqual({
+      foo: { bar: 'baz' },
+      qux: { corge: 'grault', thud: 'fred' },
+      copied: 'baz'
+    });
+  });
+
+  it('должен разбирать экранированные сегменты JSON Pointer', () => {
+    const result = applyJsonPatch({ 'a/b': 1, 'm~n': 2 }, [
+      { op: 'replace', path: '/a~1b', value: 10 },
+      { op: 'remove', path: '/m~0n' }
+    ]);
+
+    expect(result).toEqual({ 'a/b': 10 });
+  });
+
+  it('должен сравнивать значения в операции test структурно', () => {
+    const document = { tags: ['a', { b: 1 }] };
+
+    expect(applyJsonPatch(document, [{ op: 'test', path: '/tags', value: ['a', { b: 1 }] }])).toEqual(document);
+    expect(() => applyJsonPatch(document, [{ op: 'test', path: '/tags/1', value: { b: 2 } }]))
+      .toThrow(expect.objectContaining({ name: 'PatchError', status: 409, path: '/tags/1' }));
+  });
+
+  it('не должен изменять исходный документ при ошибке в середине патча', () => {
+    const document = { quantity: 1 };
+
+    expect(() => applyJsonPatch(document, [
+      { op: 'replace', path: '/quantity', value: 5 },
+      { op: 'remove', path: '/missing' }
+    ])).toThrow('Путь /missing не найден');
+    expect(document).toEqual({ quantity: 1 });
+  });
+
+  it('должен отклонять некорректные операции', () => {
+    expect(() => applyJsonPatch({}, { op: 'add' })).toThrow(PatchError);
+    expect(() => applyJsonPatch({}, [{ op: 'add', path: '/a' }])).toThrow('Некорректная операция JSON Patch №0');
+    expect(() => applyJsonPatch({}, [{ op: 'copy', path: '/a' }])).toThrow('Некорректная операция JSON Patch №0');
+    expect(() => applyJsonPatch({}, [{ op: 'add', path: 'a', value: 1 }])).toThrow('Некорректный путь a');
+    expect(() => applyJsonPatch({ a: { b: 1 } }, [{ op: 'move', from: '/a', path: '/a/c' }]))
+      .toThrow('Нельзя переместить /a внутрь самого себя');
+    expect(() => applyJsonPatch({ list: [1] }, [{ op: 'add', path: '/list/5', value: 2 }]))
+      .toThrow('Путь /list/5 не найден');
+  });
+});
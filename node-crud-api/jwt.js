@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+/**
+ * JSON Web Token (RFC 7519) с подписью HS256 или RS256
+ *
+ * Ключи настраиваются локально: секрет HS256 и/или открытый ключ RS256 (PEM).
+ * Алгоритм токена должен соответствовать настроенному ключу, поэтому
+ * токен HS256 не примет открытый ключ RS256 за секрет, а alg: none не принимается никогда.
+ */
+
+class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+const encodeSegment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Заголовок и утверждения токена - JSON-объекты; null, массив или строка - ошибка структуры
+function decodeSegment(segment) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new JwtError('Некорректная структура токена');
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new JwtError('Некорректная структура токена');
+  }
+  return value;
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+/**
+ * Подпись токена
+ * @param {Object} payload - Утверждения токена
+ * @param {Object} options - Ключ подписи
+ * @param {string} options.algorithm - 'HS256' (по умолчанию) или 'RS256'
+ * @param {string} options.secret - Секрет HS256
+ * @param {string} options.privateKey - Закрытый ключ RS256 (PEM)
+ * @param {number} options.expiresIn - Срок действия в секундах (добавляет exp)
+ * @returns {string} - Токен
+ */
+function signJwt(payload, { algorithm = 'HS256', secret, privateKey, expiresIn } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iat: now, ...payload, ...(expiresIn !== undefined ? { exp: now + expiresIn } : {}) };
+  const data = `${encodeSegment({ alg: algorithm, typ: 'JWT' })}.${encodeSegment(claims)}`;
+
+  let signature;
+  if (algorithm === 'HS256') {
+    signature = hmac(secret, data);
+  } else if (algorithm === 'RS256') {
+    signature = crypto.sign('RSA-SHA256', Buffer.from(data), privateKey);
+  } else {
+    throw new JwtError(`Неподдерживаемый алгоритм ${algorithm}`);
+  }
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Разбор открытого ключа RS256 при загрузке конфигурации: с некорректным ключом
+ * не проходил бы проверку ни один токен RS256
+ * @param {string} pem - Открытый ключ (PEM)
+ * @returns {crypto.KeyObject} - Ключ RSA
+ * @throws {Error} - Ключ не разбирается или это не ключ RSA
+ */
+function parsePublicKey(pem) {
+  let key;
+  try {
+    key = crypto.createPublicKey(pem);
+  } catch (err) {
+    throw new Error(`Некорректный открытый ключ JWT: ${err.message}`);
+  }
+  if (key.asymmetricKeyType !== 'rsa') {
+    throw new Error(`Открытый ключ JWT должен быть ключом RSA, получен ${key.asymmetricKeyType}`);
+  }
+  return key;
+}
+
+function verifySignature(alg, data, signature, { secret, publicKey }) {
+  if (alg === 'HS256' && secret) {
+    const expected = hmac(secret, data);
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  }
+  if (alg === 'RS256' && publicKey) {
+    // Ключ, переданный строкой в обход parsePublicKey, может не разобраться
+    try {
+      return crypto.verify('RSA-SHA256', Buffer.from(data), publicKey, signature);
+    } catch (err) {
+      throw new JwtError('Не удалось проверить подпись токена');
+    }
+  }
+  throw new JwtError(`Алгоритм ${alg} не настроен`);
+}
+
+/**
+ * Проверка подписи и утверждений токена
+ * @param {string} token - Токен
+ * @param {Object} options - Настройки проверки
+ * @param {string} options.secret - Секрет HS256
+ * @param {string|crypto.KeyObject} options.publicKey - Открытый ключ RS256 (PEM или результат parsePublicKey)
+ * @param {string} options.issuer - Ожидаемый iss (опционально)
+ * @param {string} options.audience - Ожидаемый aud (опционально)
+ * @param {number} options.clockTolerance - Допустимое расхождение часов в секундах
+ * @returns {Object} - Утверждения токена
+ * @throws {JwtError} - Токен недействителен
+ */
+function verifyJwt(token, { secret, publicKey, issuer, audience, clockTolerance = 30 } = {}) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new JwtError('Некорректная структура токена');
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+  const header = decodeSegment(headerSegment);
+  const payload = decodeSegment(payloadSegment);
+
+  const signature = Buffer.from(signatureSegment, 'base64url');
+  if (!verifySignature(header.alg, `${headerSegment}.${payloadSegment}`, signature, { secret, publicKey })) {
+    throw new JwtError('Неверная подпись токена');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && !(now - clockTolerance < payload.exp)) {
+    throw new JwtError('Срок действия токена истек');
+  }
+  if (payload.nbf !== undefined && !(payload.nbf <= now + clockTolerance)) {
+    throw new JwtError('Токен еще не действует');
+  }
+  if (issuer !== undefined && payload.iss !== issuer) {
+    throw new JwtError('Неверный издатель токена');
+  }
+  if (audience !== undefined && ![].concat(payload.aud).includes(audience)) {
+    throw new JwtError('Токен выпущен для другого получателя');
+  }
+  return payload;
+}
+
+module.exports = {
+  JwtError,
+  signJwt,
+  verifyJwt,
+  parsePublicKey
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { signJwt, verifyJwt, parsePublicKey, JwtError } = require('./jwt');
+const { loadConfig } = require('./config');
+
+describe('JWT', () => {
+  const secret = 'test-secret';
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  // Токен с произвольным заголовком и подписью
+  const forge = (header, payload, signature = '') => [
+    Buffer.from(JSON.stringify(header)).toString('base64url'),
+    Buffer.from(JSON.stringify(payload)).toString('base64url'),
+    signature
+  ].join('.');
+
+  it('должен подписывать и проверять токен HS256', () => {
+    const token = signJwt({ sub: 'u1', role: 'editor' }, { secret, expiresIn: 60 });
+    const payload = verifyJwt(token, { secret });
+
+    expect(payload).toMatchObject({ sub: 'u1', role: 'editor' });
+    expect(payload.exp - payload.iat).toBe(60);
+    expect(() => verifyJwt(token, { secret: 'other' })).toThrow(JwtError);
+  });
+
+  it('должен подписывать и проверять токен RS256', () => {
+    const token = signJwt({ sub: 'u2' }, { algorithm: 'RS256', privateKey });
+    expect(verifyJwt(token, { publicKey }).sub).toBe('u2');
+
+    const [header, , signature] = token.split('.');
+    const tampered = `${header}.${Buffer.from('{"sub":"admin"}').toString('base64url')}.${signature}`;
+    expect(() => verifyJwt(tampered, { publicKey })).toThrow('Неверная подпись токена');
+  });
+
+  it('должен разбирать открытый ключ при загрузке конфигурации', () => {
+    const { jwt } = loadConfig({ JWT_PUBLIC_KEY: publicKey.replace(/\n/g, '\\n') }).auth;
+    const token = signJwt({ sub: 'u3' }, { algorithm: 'RS256', privateKey });
+    expect(verifyJwt(token, jwt).sub).toBe('u3');
+
+    expect(() => loadConfig({ JWT_PUBLIC_KEY: 'not a key' })).toThrow('Некорректный открытый ключ JWT');
+    const { publicKey: ecKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'P-256',
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    expect(() => parsePublicKey(ecKey)).toThrow('Открытый ключ JWT должен быть ключом RSA');
+  });
+
+  it('должен отклонять токен RS256, если открытый ключ не разбирается', () => {
+    const token = signJwt({ sub: 'u4' }, { algorithm: 'RS256', privateKey });
+    expect(() => verifyJwt(token, { publicKey: 'not a key' })).toThrow(JwtError);
+  });
+
+  it('должен отклонять alg: none и неподходящий алгоритм', () => {
+    expect(() => verifyJwt(forge({ alg: 'none' }, { sub: 'x' }), { secret, publicKey }))
+      .toThrow('Алгоритм none не настроен');
+
+    // Открытый ключ RS256 не должен использоваться как секрет HS256
+    const confused = signJwt({ sub: 'x' }, { secret: publicKey });
+    expect(() => verifyJwt(confused, { publicKey })).toThrow(JwtError);
+  });
+
+  it('должен проверять срок действия с допуском расхождения часов', () => {
+    const expired = signJwt({ sub: 'x' }, { secret, expiresIn: -60 });
+    expect(() => verifyJwt(expired, { secret })).toThrow('Срок действия токена истек');
+
+    const justExpired = signJwt({ sub: 'x' }, { secret, expiresIn: -10 });
+    expect(verifyJwt(justExpired, { secret }).sub).toBe('x');
+    expect(() => verifyJwt(justExpired, { secret, clockTolerance: 0 })).toThrow(JwtError);
+
+    const future = signJwt({ sub: 'x', nbf: Math.floor(Date.now() / 1000) + 3600 }, { secret });
+    expect(() => verifyJwt(future, { secret })).toThrow('Токен еще не действует');
+  });
+
+  it('должен проверять издателя и получателя', () => {
+    const token = signJwt({ sub: 'x', iss: 'shop', aud: ['api', 'admin'] }, { secret });
+
+    expect(verifyJwt(token, { secret, issuer: 'shop', audience: 'api' }).sub).toBe('x');
+    expect(() => verifyJwt(token, { secret, issuer: 'other' })).toThrow('Неверный издатель токена');
+    expect(() => verifyJwt(token, { secret, audience: 'web' })).toThrow(JwtError);
+  });
+
+  it('должен отклонять токены некорректной структуры', () => {
+    expect(() => verifyJwt('abc', { secret })).toThrow('Некорректная структура токена');
+    expect(() => verifyJwt('a.b.c', { secret })).toThrow(JwtError);
+    expect(() => verifyJwt(undefined, { secret })).toThrow(JwtError);
+    expect(() => verifyJwt(forge({ alg: 'HS256' }, [1]), { secret })).toThrow(JwtError);
+    // Заголовок null и утверждения-массив - корректный base64url, но не JSON-объекты
+    expect(() => verifyJwt(forge(null, { sub: 'x' }), { secret })).toThrow('Некорректная структура токена');
+    expect(() => verifyJwt(`bnVsbA.${signJwt({ sub: 'x' }, { secret }).split('.')[1]}.c2ln`, { secret })).toThrow(JwtError);
+    expect(() => verifyJwt(forge({ alg: 'HS256' }, ['admin']), { secret })).toThrow('Некорректная структура токена');
+    expect(() => verifyJwt(forge('HS256', { sub: 'x' }), { secret })).toThrow(JwtError);
+  });
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+const { loadConfig } = require('./config');
+const { createProductRepository, createApiKeyRepository } = require('./repositories');
+const { ROLES, issueApiKey } = require('./auth');
+
+/**
+ * CLI для управления API-ключами
+ *
+ * Использование:
+ *   node keys.js issue --name <название> --role <viewer|editor|admin>
+ *   node keys.js revoke <id>
+ *   node keys.js list
+ *
+ * Хранилище берется из конфигурации (DB_CLIENT, DB_PATH, DATABASE_URL) или --db <файл SQLite>.
+ * Выпущенный ключ выводится один раз: в базе хранится только его хэш
+ */
+
+function parseArgs(argv) {
+  const [command = 'list', ...rest] = argv;
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const value = rest[i + 1];
+    if (!['--name', '--role', '--db'].includes(arg) || value === undefined) {
+      throw new Error(`Неизвестный аргумент: ${arg}`);
+    }
+    options[arg.slice(2)] = value;
+    i++;
+  }
+
+  return { command, options, positional };
+}
+
+function printKeys(rows) {
+  if (rows.length === 0) {
+    console.log('Ключи не найдены');
+    return;
+  }
+  rows.forEach(({ id, name, prefix, role, created_at: createdAt, revoked_at: revokedAt }) => {
+    const status = revokedAt ? `отозван ${revokedAt}` : 'активен';
+    console.log(`${String(id).padStart(4)} ${prefix}... ${role.padEnd(6)} ${name} (${createdAt}, ${status})`);
+  });
+}
+
+async function run(command, options, positional, apiKeys) {
+  switch (command) {
+    case 'issue': {
+      if (!options.role) {
+        throw new Error(`Укажите --role: ${ROLES.join(', ')}`);
+      }
+      const issued = await issueApiKey(apiKeys, { name: options.name, role: options.role });
+      console.log(`Ключ ${issued.id} (${issued.role}) выпущен для "${issued.name}":`);
+      console.log(issued.key);
+      console.log('Сохраните его: повторно ключ показан не будет');
+      break;
+    }
+    case 'revoke': {
+      const id = Number(positional[0]);
+      if (!Number.isInteger(id) || id <= 0) {
+        throw new Error('Укажите ID ключа: node keys.js revoke <id>');
+      }
+      if (await apiKeys.revoke(id) === 0) {
+        throw new Error(`Действующий ключ ${id} не найден`);
+      }
+      console.log(`Ключ ${id} отозван`);
+      break;
+    }
+    case 'list':
+      printKeys(await apiKeys.list());
+      break;
+    default:
+      throw new Error(`Неизвестная команда: ${command}. Доступны: issue, revoke, list`);
+  }
+}
+
+async function main() {
+  const { command, options, positional } = parseArgs(process.argv.slice(2));
+  const { database } = loadConfig();
+  const products = createProductRepository({
+    ...database,
+    ...(options.db ? { client: 'sqlite', filename: options.db } : {}),
+    seed: false
+  });
+
+  try {
+    await products.init();
+    await run(command, options, positional, createApiKeyRepository(products));
+  } finally {
+    await products.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Ошибка:', err.message);
+  process.exitCode = 1;
+});
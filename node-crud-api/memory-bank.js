@@ -0,0 +1,500 @@
+const EventEmitter = require('events');
+const { createEvictionPolicy } = require('./eviction-policies');
+
+/**
+ * Memory Bank - система управления данными в оперативной памяти
+ * Хранит записи в Map с поддержкой TTL, ограничения размера,
+ * фоновой очистки, статистики и событий для мониторинга
+ */
+class MemoryBank extends EventEmitter {
+  /**
+   * @param {Object} options - Настройки
+   * @param {number} options.maxSize - Максимальное количество записей (по умолчанию 1000)
+   * @param {number} options.maxBytes - Максимальный суммарный размер записей в байтах
+   *   (по умолчанию не ограничен)
+   * @param {number} options.ttl - TTL по умолчанию в миллисекундах (0 - бессрочно)
+   * @param {boolean} options.autoCleanup - Фоновая очистка устаревших записей
+   * @param {number} options.cleanupInterval - Интервал фоновой очистки в миллисекундах
+   * @param {string|Object} options.evictionPolicy - Политика вытеснения: 'fifo' (по умолчанию),
+   *   'lru', 'lfu' или собственная реализация (см. eviction-policies.js)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.maxSize = options.maxSize > 0 ? options.maxSize : 1000;
+    this.maxBytes = options.maxBytes > 0 ? options.maxBytes : null;
+    this.defaultTTL = options.ttl > 0 ? options.ttl : 0;
+    this.autoCleanup = options.autoCleanup !== false;
+    this.cleanupInterval = options.cleanupInterval > 0 ? options.cleanupInterval : 60000;
+    this.evictionPolicy = createEvictionPolicy(options.evictionPolicy);
+
+    this.store = new Map();
+    this.totalBytes = 0;
+    this.closed = false;
+    this.cleanupTimer = null;
+
+    this.stats = {
+      totalOperations: 0,
+      reads: 0,
+      writes: 0,
+      deletes: 0,
+      evictions: 0,
+      hits: 0,
+      misses: 0
+    };
+
+    if (this.autoCleanup) {
+      this.cleanupTimer = setInterval(() => this.cleanup(), this.cleanupInterval);
+      // Таймер очистки не должен удерживать процесс от завершения
+      if (typeof this.cleanupTimer.unref === 'function') {
+        this.cleanupTimer.unref();
+      }
+    }
+
+    // Откладываем событие, чтобы подписчики успели его получить
+    process.nextTick(() => {
+      this.emit('initialized', {
+        maxSize: this.maxSize,
+        maxBytes: this.maxBytes,
+        ttl: this.defaultTTL,
+        autoCleanup: this.autoCleanup,
+        cleanupInterval: this.cleanupInterval,
+        evictionPolicy: this.evictionPolicy.name
+      });
+    });
+  }
+
+  /**
+   * Сохранение данных
+   * @param {string} key - Ключ
+   * @param {*} value - Значение
+   * @param {number} ttl - TTL в миллисекундах (опционально, 0 - бессрочно)
+   * @returns {boolean} - Успешность операции
+   */
+  set(key, value, ttl = null) {
+    try {
+      this._assertOpen();
+      this.stats.totalOperations++;
+      this.stats.writes++;
+
+      const effectiveTTL = this._normalizeTTL(ttl);
+      const bytes = this._estimateBytes(key, value);
+
+      if (this.maxBytes !== null && bytes > this.maxBytes) {
+        throw new RangeError(`Размер записи (${bytes} байт) превышает maxBytes (${this.maxBytes})`);
+      }
+
+      const now = Date.now();
+      const existing = this.store.get(key);
+
+      if (existing) {
+        while (this._exceedsBytes(bytes - existing.metadata.bytes)) {
+          this._evictOne('maxBytes', key);
+        }
+
+        // Перезапись считается обращением к записи
+        this.totalBytes += bytes - existing.metadata.bytes;
+        existing.value = value;
+        existing.metadata.ttl = effectiveTTL;
+        existing.metadata.expiresAt = effectiveTTL > 0 ? now + effectiveTTL : null;
+        existing.metadata.bytes = bytes;
+        this.evictionPolicy.onAccess(key);
+      } else {
+        while (this.store.size >= this.maxSize) {
+          this._evictOne('maxSize');
+        }
+        while (this._exceedsBytes(bytes)) {
+          this._evictOne('maxBytes');
+        }
+
+        this.store.set(key, {
+          value,
+          metadata: {
+            createdAt: now,
+            ttl: effectiveTTL,
+            expiresAt: effectiveTTL > 0 ? now + effectiveTTL : null,
+            accessCount: 0,
+            lastAccess: now,
+            bytes
+          }
+        });
+        this.totalBytes += bytes;
+        this.evictionPolicy.onInsert(key);
+      }
+
+      this.emit('set', { key, size: this.store.size, ttl: effectiveTTL, bytes });
+      return true;
+    } catch (err) {
+      this._handleError(err, 'set', key);
+      return false;
+    }
+  }
+
+  /**
+   * Получение данных
+   * @param {string} key - Ключ
+   * @returns {*} - Значение или undefined
+   */
+  get(key) {
+    try {
+      this._assertOpen();
+      this.stats.totalOperations++;
+      this.stats.reads++;
+
+      const entry = this.store.get(key);
+
+      if (!entry) {
+        this.stats.misses++;
+        this.emit('miss', { key, reason: 'not_found' });
+        return undefined;
+      }
+
+      if (this._isExpired(entry)) {
+        this._removeEntry(key);
+        this.stats.misses++;
+        this.emit('miss', { key, reason: 'expired' });
+        return undefined;
+      }
+
+      entry.metadata.accessCount++;
+      entry.metadata.lastAccess = Date.now();
+      this.evictionPolicy.onAccess(key);
+      this.stats.hits++;
+      this.emit('hit', { key, accessCount: entry.metadata.accessCount });
+      return entry.value;
+    } catch (err) {
+      this._handleError(err, 'get', key);
+      return undefined;
+    }
+  }
+
+  /**
+   * Проверка существования ключа (устаревшие записи не учитываются)
+   * @param {string} key - Ключ
+   * @returns {boolean} - Существует ли ключ
+   */
+  has(key) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      return false;
+    }
+    if (this._isExpired(entry)) {
+      this._removeEntry(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Удаление данных
+   * @param {string} key - Ключ
+   * @returns {boolean} - Успешность операции
+   */
+  delete(key) {
+    try {
+      this._assertOpen();
+      this.stats.totalOperations++;
+
+      if (!this._removeEntry(key)) {
+        return false;
+      }
+
+      this.stats.deletes++;
+      this.emit('delete', { key, size: this.store.size });
+      return true;
+    } catch (err) {
+      this._handleError(err, 'delete', key);
+      return false;
+    }
+  }
+
+  /**
+   * Очистка всего memory bank
+   * @returns {number} - Количество удаленных записей
+   */
+  clear() {
+    const count = this.store.size;
+    this.store.clear();
+    this.totalBytes = 0;
+    this.evictionPolicy.clear();
+    return count;
+  }
+
+  /**
+   * Получение всех актуальных ключей
+   * @returns {Array} - Массив ключей
+   */
+  keys() {
+    return this._liveEntries().map(([key]) => key);
+  }
+
+  /**
+   * Получение всех актуальных значений
+   * @returns {Array} - Массив значений
+   */
+  values() {
+    return this._liveEntries().map(([, entry]) => entry.value);
+  }
+
+  /**
+   * Получение всех актуальных записей
+   * @returns {Array} - Массив записей {key, value, metadata}
+   */
+  entries() {
+    return this._liveEntries().map(([key, entry]) => ({
+      key,
+      value: entry.value,
+      metadata: { ...entry.metadata }
+    }));
+  }
+
+  /**
+   * Установка TTL для существующей записи
+   * @param {string} key - Ключ
+   * @param {number} ttl - TTL в миллисекундах (0 - бессрочно)
+   * @returns {boolean} - Успешность операции
+   */
+  setTTL(key, ttl) {
+    if (!this.has(key)) {
+      return false;
+    }
+
+    const entry = this.store.get(key);
+    const effectiveTTL = ttl > 0 ? ttl : 0;
+    entry.metadata.ttl = effectiveTTL;
+    entry.metadata.expiresAt = effectiveTTL > 0 ? Date.now() + effectiveTTL : null;
+
+    this.emit('ttlUpdated', { key, ttl: effectiveTTL, expiresAt: entry.metadata.expiresAt });
+    return true;
+  }
+
+  /**
+   * Получение оставшегося времени жизни записи
+   * @param {string} key - Ключ
+   * @returns {number|null} - Оставшееся время в миллисекундах или null,
+   *   если записи нет или она бессрочная
+   */
+  getTTL(key) {
+    if (!this.has(key)) {
+      return null;
+    }
+
+    const { expiresAt } = this.store.get(key).metadata;
+    if (expiresAt === null) {
+      return null;
+    }
+    return Math.max(0, expiresAt - Date.now());
+  }
+
+  /**
+   * Получение подробной информации о записи
+   * @param {string} key - Ключ
+   * @returns {Object|null} - Информация о записи
+   */
+  getInfo(key) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      key,
+      value: entry.value,
+      metadata: {
+        ...entry.metadata,
+        isExpired: this._isExpired(entry)
+      }
+    };
+  }
+
+  /**
+   * Получение статистики использования
+   * @returns {Object} - Статистика
+   */
+  getStats() {
+    let expiredCount = 0;
+    const bytesByKey = {};
+    for (const [key, entry] of this.store) {
+      if (this._isExpired(entry)) {
+        expiredCount++;
+      }
+      bytesByKey[key] = entry.metadata.bytes;
+    }
+
+    const lookups = this.stats.hits + this.stats.misses;
+    const hitRate = lookups > 0 ? (this.stats.hits / lookups) * 100 : 0;
+
+    return {
+      ...this.stats,
+      size: this.store.size,
+      maxSize: this.maxSize,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      bytesByKey,
+      evictionPolicy: this.evictionPolicy.name,
+      expiredCount,
+      hitRate: Math.round(hitRate * 100) / 100
+    };
+  }
+
+  /**
+   * Удаление всех устаревших записей
+   * Вызывается по таймеру при autoCleanup, но может вызываться вручную
+   * @returns {number} - Количество удаленных записей
+   */
+  cleanup() {
+    try {
+      let expiredCount = 0;
+      for (const [key, entry] of this.store) {
+        if (this._isExpired(entry)) {
+          this._removeEntry(key);
+          expiredCount++;
+        }
+      }
+
+      this.emit('cleanup', { expiredCount, size: this.store.size });
+      return expiredCount;
+    } catch (err) {
+      this._handleError(err, 'cleanup');
+      return 0;
+    }
+  }
+
+  /**
+   * Закрытие memory bank и остановка фоновых процессов
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+
+    this.closed = true;
+    this.store.clear();
+    this.totalBytes = 0;
+    this.evictionPolicy.clear();
+    this.emit('closed', { stats: { ...this.stats } });
+  }
+
+  /**
+   * Вытеснение одной записи, выбранной политикой вытеснения
+   * @param {string} reason - Причина вытеснения ('maxSize' или 'maxBytes')
+   * @param {string} protectedKey - Перезаписываемый ключ, который нельзя вытеснять
+   */
+  _evictOne(reason, protectedKey) {
+    let key = this.evictionPolicy.selectVictim(protectedKey);
+
+    // Собственная политика может не знать о записи или не учитывать исключение - вытесняем по FIFO
+    if (!this.store.has(key) || key === protectedKey) {
+      for (const candidate of this.store.keys()) {
+        if (candidate !== protectedKey) {
+          key = candidate;
+          break;
+        }
+      }
+    }
+
+    this._removeEntry(key);
+    this.stats.evictions++;
+    this.emit('eviction', {
+      key,
+      reason,
+      policy: this.evictionPolicy.name,
+      size: this.store.size
+    });
+  }
+
+  /**
+   * Удаление записи из хранилища и из политики вытеснения
+   * @param {string} key - Ключ
+   * @returns {boolean} - Была ли запись удалена
+   */
+  _removeEntry(key) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.store.delete(key);
+    this.totalBytes -= entry.metadata.bytes;
+    this.evictionPolicy.onDelete(key);
+    return true;
+  }
+
+  /**
+   * Превысит ли суммарный размер лимит maxBytes после добавления
+   * @param {number} additionalBytes - Изменение размера в байтах
+   * @returns {boolean}
+   */
+  _exceedsBytes(additionalBytes) {
+    return this.maxBytes !== null && this.totalBytes + additionalBytes > this.maxBytes;
+  }
+
+  /**
+   * Оценка размера записи: ключ и значение, сериализованное в JSON, в UTF-8
+   * Значения, которые нельзя сериализовать (циклические ссылки, функции),
+   * оцениваются по строковому представлению
+   * @param {string} key - Ключ
+   * @param {*} value - Значение
+   * @returns {number} - Размер в байтах
+   */
+  _estimateBytes(key, value) {
+    let serialized;
+    try {
+      serialized = JSON.stringify(value);
+    } catch (err) {
+      serialized = undefined;
+    }
+    if (serialized === undefined) {
+      serialized = String(value);
+    }
+    return Buffer.byteLength(String(key)) + Buffer.byteLength(serialized);
+  }
+
+  /**
+   * Актуальные (не устаревшие) записи в порядке добавления
+   * @returns {Array} - Пары [key, entry]
+   */
+  _liveEntries() {
+    return Array.from(this.store).filter(([, entry]) => !this._isExpired(entry));
+  }
+
+  _isExpired(entry) {
+    return entry.metadata.expiresAt !== null && entry.metadata.expiresAt <= Date.now();
+  }
+
+  _normalizeTTL(ttl) {
+    if (ttl === null || ttl === undefined) {
+      return this.defaultTTL;
+    }
+    if (typeof ttl !== 'number' || Number.isNaN(ttl) || ttl < 0) {
+      throw new TypeError(`Некорректный TTL: ${ttl}`);
+    }
+    return ttl;
+  }
+
+  _assertOpen() {
+    if (this.closed) {
+      throw new Error('Memory Bank закрыт');
+    }
+  }
+
+  /**
+   * Ошибки не пробрасываются наружу: операции возвращают признак неудачи,
+   * а ошибка передается подписчикам события 'error' (если они есть)
+   */
+  _handleError(err, operation, key) {
+    err.operation = operation;
+    if (key !== undefined) {
+      err.key = key;
+    }
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    }
+  }
+}
+
+module.exports = MemoryBank;
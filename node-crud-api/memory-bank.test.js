@@ -0,0 +1,538 @@
+const MemoryBank = require('./memory-bank');
+
+describe('MemoryBank', () => {
+  let bank;
+
+  afterEach(() => {
+    if (bank) {
+      bank.close();
+      bank = null;
+    }
+  });
+
+  describe('Базовые операции', () => {
+    beforeEach(() => {
+      bank = new MemoryBank({ autoCleanup: false });
+    });
+
+    it('должен сохранять и возвращать значения', () => {
+      expect(bank.set('user:1', { id: 1, name: 'Иван' })).toBe(true);
+      expect(bank.get('user:1')).toEqual({ id: 1, name: 'Иван' });
+    });
+
+    it('должен возвращать undefined для отсутствующего ключа', () => {
+      expect(bank.get('missing')).toBeUndefined();
+    });
+
+    it('должен сохранять falsy значения', () => {
+      bank.set('zero', 0);
+      bank.set('empty', '');
+      expect(bank.has('zero')).toBe(true);
+      expect(bank.get('zero')).toBe(0);
+      expect(bank.get('empty')).toBe('');
+    });
+
+    it('должен проверять существование ключа', () => {
+      bank.set('key', 'value');
+      expect(bank.has('key')).toBe(true);
+      expect(bank.has('other')).toBe(false);
+    });
+
+    it('должен удалять записи', () => {
+      bank.set('key', 'value');
+      expect(bank.delete('key')).toBe(true);
+      expect(bank.delete('key')).toBe(false);
+      expect(bank.has('key')).toBe(false);
+    });
+
+    it('должен очищать все записи и возвращать их количество', () => {
+      bank.set('a', 1);
+      bank.set('b', 2);
+      expect(bank.clear()).toBe(2);
+      expect(bank.keys()).toEqual([]);
+    });
+
+    it('должен возвращать ключи, значения и записи', () => {
+      bank.set('a', 1);
+      bank.set('b', 2);
+
+      expect(bank.keys()).toEqual(['a', 'b']);
+      expect(bank.values()).toEqual([1, 2]);
+
+      const entries = bank.entries();
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({ key: 'a', value: 1 });
+      expect(entries[0].metadata).toHaveProperty('createdAt');
+    });
+
+    it('должен отклонять некорректный TTL', () => {
+      expect(bank.set('key', 'value', -1)).toBe(false);
+      expect(bank.has('key')).toBe(false);
+    });
+  });
+
+  describe('TTL', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      bank = new MemoryBank({ ttl: 1000, autoCleanup: false });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('должен удалять записи после истечения TTL по умолчанию', () => {
+      bank.set('key', 'value');
+      jest.advanceTimersByTime(999);
+      expect(bank.get('key')).toBe('value');
+      jest.advanceTimersByTime(1);
+      expect(bank.get('key')).toBeUndefined();
+    });
+
+    it('должен учитывать индивидуальный TTL записи', () => {
+      bank.set('short', 'value', 100);
+      bank.set('forever', 'value', 0);
+      jest.advanceTimersByTime(5000);
+      expect(bank.has('short')).toBe(false);
+      expect(bank.has('forever')).toBe(true);
+    });
+
+    it('должен возвращать оставшееся время жизни', () => {
+      bank.set('key', 'value');
+      jest.advanceTimersByTime(400);
+      expect(bank.getTTL('key')).toBe(600);
+      expect(bank.getTTL('missing')).toBeNull();
+    });
+
+    it('должен возвращать null для бессрочной записи', () => {
+      bank.set('key', 'value', 0);
+      expect(bank.getTTL('key')).toBeNull();
+    });
+
+    it('должен обновлять TTL существующей записи', () => {
+      const listener = jest.fn();
+      bank.on('ttlUpdated', listener);
+
+      bank.set('key', 'value');
+      jest.advanceTimersByTime(900);
+      expect(bank.setTTL('key', 5000)).toBe(true);
+      jest.advanceTimersByTime(1000);
+
+      expect(bank.get('key')).toBe('value');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ key: 'key', ttl: 5000 }));
+      expect(bank.setTTL('missing', 5000)).toBe(false);
+    });
+
+    it('не должен возвращать устаревшие записи в коллекциях', () => {
+      bank.set('old', 1, 100);
+      bank.set('new', 2, 0);
+      jest.advanceTimersByTime(200);
+      expect(bank.keys()).toEqual(['new']);
+      expect(bank.values()).toEqual([2]);
+    });
+  });
+
+  describe('Информация о записи', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      bank = new MemoryBank({ autoCleanup: false });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('должен возвращать метаданные записи', () => {
+      bank.set('key', 'value', 5000);
+      bank.get('key');
+      bank.get('key');
+
+      const info = bank.getInfo('key');
+      expect(info.key).toBe('key');
+      expect(info.value).toBe('value');
+      expect(info.metadata).toMatchObject({
+        ttl: 5000,
+        accessCount: 2,
+        isExpired: false
+      });
+      expect(info.metadata.expiresAt).toBe(info.metadata.createdAt + 5000);
+    });
+
+    it('должен помечать устаревшую запись', () => {
+      bank.set('key', 'value', 100);
+      jest.advanceTimersByTime(200);
+      expect(bank.getInfo('key').metadata.isExpired).toBe(true);
+    });
+
+    it('должен возвращать null для отсутствующего ключа', () => {
+      expect(bank.getInfo('missing')).toBeNull();
+    });
+  });
+
+  describe('Ограничение размера', () => {
+    beforeEach(() => {
+      bank = new MemoryBank({ maxSize: 3, autoCleanup: false });
+    });
+
+    it('должен вытеснять самые ранние записи по FIFO', () => {
+      const listener = jest.fn();
+      bank.on('eviction', listener);
+
+      bank.set('a', 1);
+      bank.set('b', 2);
+      bank.set('c', 3);
+      bank.get('a');
+      bank.set('d', 4);
+
+      expect(bank.keys()).toEqual(['b', 'c', 'd']);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ key: 'a', reason: 'maxSize', policy: 'fifo' }));
+      expect(bank.getStats().evictions).toBe(1);
+    });
+
+    it('не должен вытеснять записи при перезаписи существующего ключа', () => {
+      bank.set('a', 1);
+      bank.set('b', 2);
+      bank.set('c', 3);
+      bank.set('a', 10);
+
+      expect(bank.keys()).toEqual(['a', 'b', 'c']);
+      expect(bank.get('a')).toBe(10);
+    });
+  });
+
+  describe('Политики вытеснения', () => {
+    it('LRU должен вытеснять запись, к которой дольше всего не обращались', () => {
+      bank = new MemoryBank({ maxSize: 3, autoCleanup: false, evictionPolicy: 'lru' });
+      const listener = jest.fn();
+      bank.on('eviction', listener);
+
+      bank.set('a', 1);
+      bank.set('b', 2);
+      bank.set('c', 3);
+      bank.get('a');
+      bank.set('d', 4);
+
+      expect(bank.has('a')).toBe(true);
+      expect(bank.has('b')).toBe(false);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ key: 'b', policy: 'lru' }));
+    });
+
+    it('LRU должен считать перезапись обращением', () => {
+      bank = new MemoryBank({ maxSize: 2, autoCleanup: false, evictionPolicy: 'lru' });
+
+      bank.set('a', 1);
+      bank.set('b', 2);
+      bank.set('a', 10);
+      bank.set('c', 3);
+
+      expect(bank.keys().sort()).toEqual(['a', 'c']);
+    });
+
+    it('LFU должен вытеснять наименее используемую запись', () => {
+      bank = new MemoryBank({ maxSize: 3, autoCleanup: false, evictionPolicy: 'lfu' });
+      const listener = jest.fn();
+      bank.on('eviction', listener);
+
+      bank.set('a', 1);
+      bank.set('b', 2);
+      bank.set('c', 3);
+      bank.get('a');
+      bank.get('a');
+      bank.get('b');
+      bank.set('d', 4);
+
+      expect(bank.keys().sort()).toEqual(['a', 'b', 'd']);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ key: 'c', policy: 'lfu' }));
+    });
+
+    it('не должен вытеснять удаленные или устаревшие записи повторно', () => {
+      jest.useFakeTimers();
+      bank = new MemoryBank({ maxSize: 2, autoCleanup: false, evictionPolicy: 'lfu' });
+      const listener = jest.fn();
+      bank.on('eviction', listener);
+
+      bank.set('a', 1, 100);
+      bank.set('b', 2);
+      jest.advanceTimersByTime(100);
+      bank.cleanup();
+      bank.set('c', 3);
+      jest.useRealTimers();
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(bank.keys()).toEqual(['b', 'c']);
+    });
+
+    it('должен принимать собственную политику', () => {
+      const policy = {
+        name: 'newest',
+        keys: [],
+        onInsert(key) { this.keys.push(key); },
+        onAccess() {},
+        onDelete(key) { this.keys = this.keys.filter(k => k !== key); },
+        selectVictim() { return this.keys[this.keys.length - 1]; },
+        clear() { this.keys = []; }
+      };
+      bank = new MemoryBank({ maxSize: 2, autoCleanup: false, evictionPolicy: policy });
+      const listener = jest.fn();
+      bank.on('eviction', listener);
+
+      bank.set('a', 1);
+      bank.set('b', 2);
+      bank.set('c', 3);
+
+      expect(bank.keys()).toEqual(['a', 'c']);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ key: 'b', policy: 'newest' }));
+    });
+
+    it('должен отклонять неизвестную политику', () => {
+      expect(() => new MemoryBank({ evictionPolicy: 'random' })).toThrow(TypeError);
+    });
+  });
+
+  describe('Ограничение по объему памяти', () => {
+    it('должен оценивать размер записи по сериализованному значению', () => {
+      bank = new MemoryBank({ autoCleanup: false });
+
+      bank.set('key', { name: 'Мышь' });
+
+      // 'key' - 3 байта, '{"name":"Мышь"}' - 19 байт в UTF-8
+      expect(bank.getInfo('key').metadata.bytes).toBe(22);
+      expect(bank.getStats()).toMatchObject({ bytes: 22, bytesByKey: { key: 22 } });
+    });
+
+    it('должен вытеснять записи, пока суммарный размер не уложится в maxBytes', () => {
+      bank = new MemoryBank({ maxBytes: 30, autoCleanup: false });
+      const listener = jest.fn();
+      bank.on('eviction', listener);
+
+      bank.set('a', 'x'.repeat(8));  // 1 + 10 байт
+      bank.set('b', 'x'.repeat(8));  // 11 байт
+      bank.set('c', 'x'.repeat(18)); // 21 байт
+
+      expect(bank.keys()).toEqual(['c']);
+      expect(bank.getStats().bytes).toBe(21);
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ key: 'a', reason: 'maxBytes' }));
+    });
+
+    it('должен учитывать изменение размера при перезаписи', () => {
+      bank = new MemoryBank({ maxBytes: 30, autoCleanup: false });
+
+      bank.set('a', 'x'.repeat(8));
+      bank.set('b', 'x'.repeat(8));
+      bank.set('a', 'x'.repeat(18));
+
+      expect(bank.keys()).toEqual(['a']);
+      expect(bank.getStats().bytes).toBe(21);
+    });
+
+    it('не должен сбрасывать частоту перезаписываемой записи при вытеснении (LFU)', () => {
+      bank = new MemoryBank({ maxBytes: 30, autoCleanup: false, evictionPolicy: 'lfu' });
+
+      bank.set('a', 'x'.repeat(8));
+      bank.set('b', 'x'.repeat(8));
+      bank.get('a');
+      bank.get('a');
+      ['b', 'b', 'b'].forEach(key => bank.get(key));
+      // 'a' - кандидат на вытеснение, но перезаписывается: вытесняется 'b'
+      bank.set('a', 'x'.repeat(18));
+
+      expect(bank.keys()).toEqual(['a']);
+      expect(bank.evictionPolicy.frequency('a')).toBe(4);
+    });
+
+    it('должен отклонять запись больше maxBytes без вытеснения', () => {
+      bank = new MemoryBank({ maxBytes: 20, autoCleanup: false });
+      const listener = jest.fn();
+      bank.on('error', listener);
+
+      bank.set('a', 'small');
+      expect(bank.set('big', 'x'.repeat(100))).toBe(false);
+
+      expect(bank.keys()).toEqual(['a']);
+      expect(listener).toHaveBeenCalledWith(expect.any(RangeError));
+    });
+
+    it('должен освобождать объем при удалении, очистке и устаревании', () => {
+      jest.useFakeTimers();
+      bank = new MemoryBank({ maxBytes: 100, autoCleanup: false });
+
+      bank.set('a', 'value');
+      bank.set('b', 'value', 100);
+      bank.delete('a');
+      jest.advanceTimersByTime(100);
+      bank.cleanup();
+      jest.useRealTimers();
+
+      expect(bank.getStats().bytes).toBe(0);
+
+      bank.set('c', 'value');
+      bank.clear();
+      expect(bank.getStats().bytes).toBe(0);
+    });
+
+    it('должен оценивать несериализуемые значения', () => {
+      bank = new MemoryBank({ autoCleanup: false });
+      const circular = {};
+      circular.self = circular;
+
+      expect(bank.set('circular', circular)).toBe(true);
+      expect(bank.getInfo('circular').metadata.bytes).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Фоновая очистка', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('должен периодически удалять устаревшие записи', () => {
+      bank = new MemoryBank({ ttl: 1000, cleanupInterval: 5000 });
+      const listener = jest.fn();
+      bank.on('cleanup', listener);
+
+      bank.set('a', 1);
+      bank.set('b', 2, 0);
+      jest.advanceTimersByTime(5000);
+
+      expect(listener).toHaveBeenCalledWith({ expiredCount: 1, size: 1 });
+      expect(bank.getStats().size).toBe(1);
+    });
+
+    it('должен останавливать очистку после закрытия', () => {
+      bank = new MemoryBank({ cleanupInterval: 5000 });
+      const listener = jest.fn();
+      bank.on('cleanup', listener);
+
+      bank.close();
+      jest.advanceTimersByTime(20000);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Статистика', () => {
+    beforeEach(() => {
+      bank = new MemoryBank({ maxSize: 10, autoCleanup: false });
+    });
+
+    it('должен считать операции и процент попаданий', () => {
+      bank.set('a', 1);
+      bank.set('b', 2);
+      bank.get('a');
+      bank.get('a');
+      bank.get('a');
+      bank.get('missing');
+      bank.delete('b');
+
+      expect(bank.getStats()).toEqual({
+        totalOperations: 7,
+        reads: 4,
+        writes: 2,
+        deletes: 1,
+        evictions: 0,
+        hits: 3,
+        misses: 1,
+        size: 1,
+        maxSize: 10,
+        bytes: 2,
+        maxBytes: null,
+        bytesByKey: { a: 2 },
+        evictionPolicy: 'fifo',
+        expiredCount: 0,
+        hitRate: 75
+      });
+    });
+  });
+
+  describe('События', () => {
+    beforeEach(() => {
+      bank = new MemoryBank({ autoCleanup: false });
+    });
+
+    it('должен генерировать initialized после создания', async () => {
+      const listener = jest.fn();
+      bank.on('initialized', listener);
+      await new Promise(resolve => process.nextTick(resolve));
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ maxSize: 1000, ttl: 0 }));
+    });
+
+    it('должен генерировать set, hit, miss и delete', () => {
+      const events = [];
+      ['set', 'hit', 'miss', 'delete'].forEach(name => {
+        bank.on(name, info => events.push([name, info]));
+      });
+
+      bank.set('key', 'value');
+      bank.get('key');
+      bank.get('missing');
+      bank.delete('key');
+
+      expect(events).toEqual([
+        ['set', { key: 'key', size: 1, ttl: 0, bytes: 10 }],
+        ['hit', { key: 'key', accessCount: 1 }],
+        ['miss', { key: 'missing', reason: 'not_found' }],
+        ['delete', { key: 'key', size: 0 }]
+      ]);
+    });
+
+    it('должен сообщать причину промаха для устаревшей записи', () => {
+      jest.useFakeTimers();
+      const listener = jest.fn();
+      bank.on('miss', listener);
+
+      bank.set('key', 'value', 100);
+      jest.advanceTimersByTime(100);
+      bank.get('key');
+      jest.useRealTimers();
+
+      expect(listener).toHaveBeenCalledWith({ key: 'key', reason: 'expired' });
+    });
+
+    it('должен генерировать closed только один раз', () => {
+      const listener = jest.fn();
+      bank.on('closed', listener);
+      bank.close();
+      bank.close();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('должен передавать ошибки подписчикам вместо исключений', () => {
+      const listener = jest.fn();
+      bank.on('error', listener);
+
+      expect(bank.set('key', 'value', 'abc')).toBe(false);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ operation: 'set', key: 'key' }));
+    });
+
+    it('не должен бросать исключение без подписчиков на error', () => {
+      bank.close();
+      expect(() => bank.set('key', 'value')).not.toThrow();
+      expect(bank.get('key')).toBeUndefined();
+    });
+  });
+
+  describe('Интеграция с CacheMiddleware', () => {
+    const cacheMiddleware = require('./cache-middleware');
+
+    afterAll(() => {
+      cacheMiddleware.close();
+    });
+
+    it('должен учитывать события кэша в статистике middleware', () => {
+      cacheMiddleware.set('products', [{ id: 1 }]);
+      cacheMiddleware.get('products');
+      cacheMiddleware.get('missing');
+      cacheMiddleware.delete('products');
+
+      const stats = cacheMiddleware.getStats();
+      expect(stats).toMatchObject({ hits: 1, misses: 1, sets: 1, deletes: 1, hitRate: 50 });
+      expect(stats.cache.maxSize).toBe(200);
+      expect(stats.cache.evictionPolicy).toBe('lru');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+const { createDatabase } = require('./db');
+const Migrator = require('./migrator');
+const { createMigrator } = require('./repositories/postgres');
+
+/**
+ * CLI для управления миграциями схемы
+ *
+ * Использование:
+ *   node migrate.js up [--to <версия>]
+ *   node migrate.js down [--steps <количество>] [--to <версия>]
+ *   node migrate.js status
+ *
+ * База данных берется из DB_PATH или --db <файл>, по умолчанию database.db;
+ * при DB_CLIENT=postgres - из DATABASE_URL (миграции migrations/postgres/)
+ */
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const flag = rest[i];
+    const value = rest[i + 1];
+    if (!['--to', '--steps', '--db'].includes(flag) || value === undefined) {
+      throw new Error(`Неизвестный аргумент: ${flag}`);
+    }
+    options[flag.slice(2)] = flag === '--db' ? value : Number(value);
+  }
+
+  if (Number.isNaN(options.to) || Number.isNaN(options.steps)) {
+    throw new Error('Параметры --to и --steps должны быть числами');
+  }
+
+  return { command, options };
+}
+
+function printStatus(rows) {
+  if (rows.length === 0) {
+    console.log('Миграции не найдены');
+    return;
+  }
+  rows.forEach(({ version, name, status, appliedAt }) => {
+    const label = `${String(version).padStart(3, '0')}_${name}`;
+    console.log(`${status.padEnd(8)} ${label}${appliedAt ? ` (${appliedAt})` : ''}`);
+  });
+}
+
+async function run(command, options, migrator) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.up({ to: options.to });
+      if (applied.length === 0) {
+        console.log('Нет ожидающих миграций');
+      }
+      break;
+    }
+    case 'down': {
+      const reverted = await migrator.down({ steps: options.steps, to: options.to });
+      if (reverted.length === 0) {
+        console.log('Нет миграций для отката');
+      }
+      break;
+    }
+    case 'status':
+      printStatus(await migrator.status());
+      break;
+    default:
+      throw new Error(`Неизвестная команда: ${command}. Доступны: up, down, status`);
+  }
+}
+
+// Миграции PostgreSQL выполняются на одном подключении из пула
+async function runPostgres(command, options) {
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    const client = await pool.connect();
+    try {
+      await run(command, options, createMigrator(client, { logger: console.log }));
+    } finally {
+      client.release();
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (process.env.DB_CLIENT === 'postgres') {
+    return runPostgres(command, options);
+  }
+  // Автоматические миграции отключены: CLI управляет ими сам
+  const db = createDatabase({ filename: options.db, migrate: false });
+
+  try {
+    await run(command, options, new Migrator(db, { logger: console.log }));
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Ошибка миграции:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,19 @@
+// Исходная таблица products
+// IF NOT EXISTS позволяет принять под управление миграций базы,
+// созданные до их появления
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      price REAL NOT NULL,
+      quantity INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS products');
+  }
+};
@@ -0,0 +1,42 @@
+// Полнотекстовый индекс FTS5 по name и description
+// Индекс хранит только токены (external content), сами данные читаются из products.
+// Триггеры поддерживают индекс в актуальном состоянии; при обновлении строка
+// переиндексируется только если изменились индексируемые колонки
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+      name,
+      description,
+      content='products',
+      content_rowid='id',
+      tokenize='unicode61 remove_diacritics 2'
+    )`);
+
+    await db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+      INSERT INTO products_fts(rowid, name, description)
+      VALUES (new.id, new.name, new.description);
+    END`);
+
+    await db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+      INSERT INTO products_fts(products_fts, rowid, name, description)
+      VALUES ('delete', old.id, old.name, old.description);
+    END`);
+
+    await db.run(`CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE OF name, description ON products BEGIN
+      INSERT INTO products_fts(products_fts, rowid, name, description)
+      VALUES ('delete', old.id, old.name, old.description);
+      INSERT INTO products_fts(rowid, name, description)
+      VALUES (new.id, new.name, new.description);
+    END`);
+
+    // Индексируем строки, созданные до появления индекса
+    await db.run("INSERT INTO products_fts(products_fts) VALUES ('rebuild')");
+  },
+
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS products_fts_update');
+    await db.run('DROP TRIGGER IF EXISTS products_fts_delete');
+    await db.run('DROP TRIGGER IF EXISTS products_fts_insert');
+    await db.run('DROP TABLE IF EXISTS products_fts');
+  }
+};
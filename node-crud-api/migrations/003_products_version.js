@@ -0,0 +1,16 @@
+// Версия записи для оптимистичной блокировки (ETag, If-Match)
+// и время последнего изменения.
+// SQLite не позволяет добавить колонку с DEFAULT CURRENT_TIMESTAMP,
+// поэтому updated_at заполняется при вставке и обновлении
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    await db.run('ALTER TABLE products ADD COLUMN updated_at DATETIME');
+    await db.run('UPDATE products SET updated_at = created_at');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE products DROP COLUMN updated_at');
+    await db.run('ALTER TABLE products DROP COLUMN version');
+  }
+};
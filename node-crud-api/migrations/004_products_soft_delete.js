@@ -0,0 +1,13 @@
+// Мягкое удаление: товар с заполненным deleted_at находится в корзине
+// и скрыт из списков и поиска, пока его не восстановят или не удалят окончательно
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products ADD COLUMN deleted_at DATETIME');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_products_deleted_at ON products (deleted_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_products_deleted_at');
+    await db.run('ALTER TABLE products DROP COLUMN deleted_at');
+  }
+};
@@ -0,0 +1,56 @@
+// Текст товаров хранится в исходном виде, экранирование выполняется при выводе.
+// Прежде name и description экранировались при записи, а значения, отправленные
+// клиентом обратно после GET, экранировались повторно - такие строки
+// раскодируются, пока в них остаются сущности.
+// Версия записи увеличивается: представление товара меняется, и старые ETag
+// не должны подтверждать закэшированные у клиентов копии
+const ENTITIES = [['&lt;', '<'], ['&gt;', '>'], ['&quot;', '"'], ['&#039;', "'"], ['&amp;', '&']];
+const ENTITY_PATTERN = /&(lt|gt|quot|#039|amp);/;
+
+function unescapeHtml(text) {
+  return ENTITIES.reduce((result, [entity, char]) => result.split(entity).join(char), text);
+}
+
+function decode(text) {
+  let result = text;
+  while (typeof result === 'string' && ENTITY_PATTERN.test(result)) {
+    result = unescapeHtml(result);
+  }
+  return result;
+}
+
+function escapeHtml(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Перезапись name и description у строк, которые меняет преобразование
+async function convert(db, where, transform) {
+  const rows = await db.all(`SELECT id, name, description FROM products WHERE ${where}`);
+  for (const row of rows) {
+    const name = transform(row.name);
+    const description = transform(row.description);
+    if (name !== row.name || description !== row.description) {
+      await db.run(
+        'UPDATE products SET name = ?, description = ?, version = version + 1 WHERE id = ?',
+        [name, description, row.id]
+      );
+    }
+  }
+}
+
+module.exports = {
+  async up(db) {
+    await convert(db, "name LIKE '%&%' OR description LIKE '%&%'", decode);
+  },
+
+  // Возврат к однократному экранированию при записи
+  async down(db) {
+    await convert(db, '1 = 1', escapeHtml);
+  }
+};
@@ -0,0 +1,19 @@
+// API-ключи для записи через API (см. auth.js).
+// Хранится только SHA-256 ключа; prefix - начало ключа, чтобы его можно было узнать в списке
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE api_keys');
+  }
+};
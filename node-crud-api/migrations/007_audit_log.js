@@ -0,0 +1,23 @@
+// Журнал изменений товаров: одна запись на каждое изменение.
+// changes - JSON { поле: { before, after } } только по измененным полям;
+// product_id без внешнего ключа, чтобы история пережила окончательное удаление товара
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      actor TEXT,
+      request_id TEXT,
+      changes TEXT NOT NULL,
+      version INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX idx_audit_log_product ON audit_log (product_id, id)');
+    await db.run('CREATE INDEX idx_audit_log_created_at ON audit_log (created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE audit_log');
+  }
+};
@@ -0,0 +1,26 @@
+// Резервирование остатков: products.reserved - сумма активных резервов товара,
+// доступно к резервированию quantity - reserved. Резерв подтверждается (списание со склада),
+// снимается клиентом или истекает по expires_at (UTC, формат CURRENT_TIMESTAMP)
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products ADD COLUMN reserved INTEGER NOT NULL DEFAULT 0');
+    await db.run(`CREATE TABLE stock_reservations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'committed', 'released', 'expired')),
+      actor TEXT,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX idx_stock_reservations_product ON stock_reservations (product_id, status)');
+    await db.run('CREATE INDEX idx_stock_reservations_expires ON stock_reservations (status, expires_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE stock_reservations');
+    await db.run('ALTER TABLE products DROP COLUMN reserved');
+  }
+};
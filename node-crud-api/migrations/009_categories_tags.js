@@ -0,0 +1,38 @@
+// Категории (дерево по parent_id) и теги товаров со связями многие-ко-многим.
+// Связи удаляются вместе с категорией, тегом или окончательно удаленным товаром (см. repositories/)
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      parent_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX idx_categories_parent ON categories (parent_id)');
+    await db.run(`CREATE TABLE tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run(`CREATE TABLE product_categories (
+      product_id INTEGER NOT NULL,
+      category_id INTEGER NOT NULL,
+      PRIMARY KEY (product_id, category_id)
+    )`);
+    await db.run('CREATE INDEX idx_product_categories_category ON product_categories (category_id)');
+    await db.run(`CREATE TABLE product_tags (
+      product_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (product_id, tag_id)
+    )`);
+    await db.run('CREATE INDEX idx_product_tags_tag ON product_tags (tag_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE product_tags');
+    await db.run('DROP TABLE product_categories');
+    await db.run('DROP TABLE tags');
+    await db.run('DROP TABLE categories');
+  }
+};
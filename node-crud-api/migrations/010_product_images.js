@@ -0,0 +1,23 @@
+// Метаданные изображений товаров; файлы лежат в хранилище (см. storage.js) под storage_key.
+// thumbnails - JSON [{ size, width, height, key }] уменьшенных копий
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE product_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      storage_key TEXT NOT NULL,
+      content_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      width INTEGER NOT NULL,
+      height INTEGER NOT NULL,
+      original_name TEXT,
+      thumbnails TEXT NOT NULL DEFAULT '[]',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX idx_product_images_product ON product_images (product_id, id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE product_images');
+  }
+};
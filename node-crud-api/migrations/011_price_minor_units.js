@@ -0,0 +1,62 @@
+// Цена хранится целым числом минимальных единиц (price_minor) с кодом валюты ISO 4217
+// вместо REAL (см. currency.js). До этой миграции валюта не указывалась:
+// существующие цены считаются ценами в USD с двумя знаками после запятой.
+// Изменения price в журнале переводятся в price_minor, чтобы откат к старым записям
+// восстанавливал цену. История цен начинается с текущей цены каждого товара,
+// ее дата - последнее изменение цены по журналу или создание товара
+const toMinor = value => (typeof value === 'number' ? Math.round(value * 100) : value);
+const toMajor = value => (typeof value === 'number' ? value / 100 : value);
+
+// Замена поля цены в changes записей журнала
+async function renameAuditField(db, from, to, convert) {
+  const rows = await db.all(`SELECT id, changes FROM audit_log WHERE changes LIKE '%"${from}"%'`);
+  for (const row of rows) {
+    const { [from]: change, ...changes } = JSON.parse(row.changes);
+    if (!change) {
+      continue;
+    }
+    changes[to] = { before: convert(change.before), after: convert(change.after) };
+    await db.run('UPDATE audit_log SET changes = ? WHERE id = ?', [JSON.stringify(changes), row.id]);
+  }
+}
+
+module.exports = {
+  toMinor,
+  toMajor,
+  renameAuditField,
+
+  async up(db) {
+    // SQLite добавляет колонку NOT NULL только со значением по умолчанию
+    await db.run('ALTER TABLE products ADD COLUMN price_minor INTEGER NOT NULL DEFAULT 0');
+    await db.run("ALTER TABLE products ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD'");
+    await db.run('UPDATE products SET price_minor = CAST(ROUND(price * 100) AS INTEGER)');
+    await db.run('ALTER TABLE products DROP COLUMN price');
+    await renameAuditField(db, 'price', 'price_minor', toMinor);
+
+    await db.run(`CREATE TABLE price_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      price_minor INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      effective_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      actor TEXT,
+      request_id TEXT
+    )`);
+    await db.run('CREATE INDEX idx_price_history_product ON price_history (product_id, id)');
+    await db.run(`INSERT INTO price_history (product_id, price_minor, currency, effective_at)
+      SELECT p.id, p.price_minor, p.currency, COALESCE((
+        SELECT MAX(a.created_at) FROM audit_log a
+        WHERE a.product_id = p.id AND a.changes LIKE '%"price_minor"%'
+      ), p.created_at)
+      FROM products p ORDER BY p.id`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE price_history');
+    await renameAuditField(db, 'price_minor', 'price', toMajor);
+    await db.run('ALTER TABLE products ADD COLUMN price REAL NOT NULL DEFAULT 0');
+    await db.run('UPDATE products SET price = price_minor / 100.0');
+    await db.run('ALTER TABLE products DROP COLUMN currency');
+    await db.run('ALTER TABLE products DROP COLUMN price_minor');
+  }
+};
@@ -0,0 +1,20 @@
+// Исходная таблица products (версии совпадают с миграциями SQLite в migrations/;
+// AUTOINCREMENT → SERIAL, REAL → DOUBLE PRECISION, DATETIME → TIMESTAMP).
+// IF NOT EXISTS в миграциях PostgreSQL позволяет принять под управление базы,
+// созданные схемой репозитория до появления миграций
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      price DOUBLE PRECISION NOT NULL,
+      quantity INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS products');
+  }
+};
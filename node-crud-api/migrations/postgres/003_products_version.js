@@ -0,0 +1,13 @@
+// Версия записи для оптимистичной блокировки (ETag, If-Match)
+// и время последнего изменения
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1');
+    await db.run('ALTER TABLE products ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE products DROP COLUMN updated_at');
+    await db.run('ALTER TABLE products DROP COLUMN version');
+  }
+};
@@ -0,0 +1,12 @@
+// Мягкое удаление: товар с заполненным deleted_at находится в корзине.
+// Индекса по deleted_at, как в SQLite, нет: pg-mem в тестах не находит по нему
+// строки после восстановления из корзины
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE products DROP COLUMN deleted_at');
+  }
+};
@@ -0,0 +1,18 @@
+// API-ключи для записи через API (см. auth.js): хранится только SHA-256 ключа
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'editor', 'admin')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE api_keys');
+  }
+};
@@ -0,0 +1,21 @@
+// Журнал изменений товаров (см. audit-log.js)
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      actor TEXT,
+      request_id TEXT,
+      changes TEXT NOT NULL,
+      version INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_product ON audit_log (product_id, id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE audit_log');
+  }
+};
@@ -0,0 +1,24 @@
+// Резервирование остатков: products.reserved - сумма активных резервов товара (см. repositories/stock.js)
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products ADD COLUMN IF NOT EXISTS reserved INTEGER NOT NULL DEFAULT 0');
+    await db.run(`CREATE TABLE IF NOT EXISTS stock_reservations (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      status TEXT NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'committed', 'released', 'expired')),
+      actor TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_stock_reservations_product ON stock_reservations (product_id, status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_stock_reservations_expires ON stock_reservations (status, expires_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE stock_reservations');
+    await db.run('ALTER TABLE products DROP COLUMN reserved');
+  }
+};
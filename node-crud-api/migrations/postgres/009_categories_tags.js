@@ -0,0 +1,37 @@
+// Категории (дерево по parent_id) и теги товаров со связями многие-ко-многим
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS categories (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      parent_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories (parent_id)');
+    await db.run(`CREATE TABLE IF NOT EXISTS tags (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run(`CREATE TABLE IF NOT EXISTS product_categories (
+      product_id INTEGER NOT NULL,
+      category_id INTEGER NOT NULL,
+      PRIMARY KEY (product_id, category_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_product_categories_category ON product_categories (category_id)');
+    await db.run(`CREATE TABLE IF NOT EXISTS product_tags (
+      product_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (product_id, tag_id)
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_product_tags_tag ON product_tags (tag_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE product_tags');
+    await db.run('DROP TABLE product_categories');
+    await db.run('DROP TABLE tags');
+    await db.run('DROP TABLE categories');
+  }
+};
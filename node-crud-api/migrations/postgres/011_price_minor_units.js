@@ -0,0 +1,54 @@
+// Цена в минимальных единицах валюты и история цен (см. migrations/011_price_minor_units.js).
+// Перенос цен выполняется построчно: pg-mem в тестах не поддерживает ROUND(double precision)
+// и коррелированные подзапросы в INSERT ... SELECT. В базе, созданной схемой репозитория
+// после перехода на price_minor, колонки price уже нет и переносить нечего
+const { toMinor, toMajor, renameAuditField } = require('../011_price_minor_units');
+
+const hasColumn = async (db, column) => Boolean(await db.get(
+  "SELECT column_name FROM information_schema.columns WHERE table_name = 'products' AND column_name = ?",
+  [column]
+));
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products ADD COLUMN IF NOT EXISTS price_minor INTEGER');
+    await db.run("ALTER TABLE products ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD'");
+    await db.run(`CREATE TABLE IF NOT EXISTS price_history (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL,
+      price_minor INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      effective_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      actor TEXT,
+      request_id TEXT
+    )`);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_price_history_product ON price_history (product_id, id)');
+
+    if (await hasColumn(db, 'price')) {
+      await renameAuditField(db, 'price', 'price_minor', toMinor);
+      const products = await db.all('SELECT id, price, created_at FROM products ORDER BY id');
+      for (const product of products) {
+        const changed = await db.get(
+          `SELECT MAX(created_at) AS changed_at FROM audit_log WHERE product_id = ? AND changes LIKE '%"price_minor"%'`,
+          [product.id]
+        );
+        await db.run('UPDATE products SET price_minor = ? WHERE id = ?', [toMinor(product.price), product.id]);
+        await db.run(
+          "INSERT INTO price_history (product_id, price_minor, currency, effective_at) VALUES (?, ?, 'USD', ?)",
+          [product.id, toMinor(product.price), (changed && changed.changed_at) || product.created_at]
+        );
+      }
+      await db.run('ALTER TABLE products DROP COLUMN price');
+    }
+    await db.run('ALTER TABLE products ALTER COLUMN price_minor SET NOT NULL');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE price_history');
+    await renameAuditField(db, 'price_minor', 'price', toMajor);
+    await db.run('ALTER TABLE products ADD COLUMN price DOUBLE PRECISION NOT NULL DEFAULT 0');
+    await db.run('UPDATE products SET price = price_minor / 100.0');
+    await db.run('ALTER TABLE products DROP COLUMN currency');
+    await db.run('ALTER TABLE products DROP COLUMN price_minor');
+  }
+};
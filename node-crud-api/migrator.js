@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Обертка над sqlite3 с промисами для использования в миграциях
+ * @param {Object} db - Экземпляр sqlite3.Database
+ * @returns {Object} - { run, get, all, exec }
+ */
+function promisifyDb(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    exec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    })
+  };
+}
+
+/**
+ * Подготовленный запрос sqlite3 с промисами
+ * SQL компилируется один раз и выполняется многократно с разными параметрами;
+ * повторный get() без параметров возвращает следующую строку результата.
+ * После использования запрос нужно закрыть через finalize()
+ * @param {Object} db - Экземпляр sqlite3.Database
+ * @param {string} sql - SQL с плейсхолдерами '?'
+ * @returns {Object} - { run, get, finalize }
+ */
+function prepareStatement(db, sql) {
+  const statement = db.prepare(sql);
+  return {
+    run: (params = []) => new Promise((resolve, reject) => {
+      statement.run(params, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (params = []) => new Promise((resolve, reject) => {
+      statement.get(params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    finalize: () => new Promise((resolve, reject) => {
+      statement.finalize(err => (err ? reject(err) : resolve()));
+    })
+  };
+}
+
+/**
+ * Версионные миграции схемы базы данных
+ *
+ * Миграция - файл migrations/NNN_name.js, экспортирующий асинхронные
+ * функции up(db) и down(db), где db - обертка с методами run/get/all/exec.
+ * Примененные версии хранятся в таблице schema_migrations,
+ * каждая миграция выполняется в отдельной транзакции.
+ * Миграции PostgreSQL лежат в migrations/postgres/ (см. repositories/postgres.js)
+ */
+class Migrator {
+  /**
+   * @param {Object} db - Экземпляр sqlite3.Database или обертка с методами run/get/all/exec
+   *   над одним подключением (транзакции миграций выполняются на нем)
+   * @param {Object} options - Настройки
+   * @param {string} options.directory - Каталог с файлами миграций
+   * @param {Function} options.logger - Функция логирования (по умолчанию логирование отключено)
+   */
+  constructor(db, options = {}) {
+    this.db = db instanceof sqlite3.Database ? promisifyDb(db) : db;
+    this.directory = options.directory || MIGRATIONS_DIR;
+    this.log = options.logger || (() => {});
+  }
+
+  /**
+   * Загрузка файлов миграций, отсортированных по версии
+   * @returns {Array} - Массив { version, name, up, down }
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.directory, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Миграция ${file} должна экспортировать функции up и down`);
+        }
+        return { version: Number(match[1]), name: match[2], up: migration.up, down: migration.down };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Повторяющаяся версия миграции: ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  // TIMESTAMP понимают и SQLite, и PostgreSQL
+  async ensureTable() {
+    await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  async appliedMigrations() {
+    await this.ensureTable();
+    return this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  /**
+   * Состояние миграций
+   * @returns {Promise<Array>} - Массив { version, name, status: 'applied'|'pending'|'missing', appliedAt }
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+    const applied = new Map((await this.appliedMigrations()).map(row => [row.version, row]));
+
+    const result = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      status: applied.has(version) ? 'applied' : 'pending',
+      appliedAt: applied.has(version) ? applied.get(version).applied_at : null
+    }));
+
+    // Версии, примененные к базе, но отсутствующие в каталоге миграций
+    applied.forEach((row, version) => {
+      if (!migrations.some(migration => migration.version === version)) {
+        result.push({ version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+      }
+    });
+
+    return result.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Применение ожидающих миграций
+   * @param {Object} options - Настройки
+   * @param {number} options.to - Применить миграции до этой версии включительно
+   * @returns {Promise<Array>} - Примененные миграции
+   */
+  async up({ to = Infinity } = {}) {
+    const migrations = this.loadMigrations();
+    const applied = new Set((await this.appliedMigrations()).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      await this._transaction(async () => {
+        await migration.up(this.db);
+        await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+      this.log(`Миграция применена: ${this._label(migration)}`);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Откат примененных миграций в обратном порядке
+   * @param {Object} options - Настройки
+   * @param {number} options.steps - Количество откатываемых миграций (по умолчанию 1)
+   * @param {number} options.to - Откатить все миграции новее этой версии (0 - все)
+   * @returns {Promise<Array>} - Откаченные миграции
+   */
+  async down({ steps = 1, to } = {}) {
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+    const applied = (await this.appliedMigrations()).map(row => row.version).reverse();
+    const targets = to !== undefined
+      ? applied.filter(version => version > to)
+      : applied.slice(0, steps);
+
+    const reverted = [];
+    for (const version of targets) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Файл миграции версии ${version} не найден, откат невозможен`);
+      }
+
+      await this._transaction(async () => {
+        await migration.down(this.db);
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      });
+      this.log(`Миграция откачена: ${this._label(migration)}`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  }
+
+  async _transaction(callback) {
+    await this.db.run('BEGIN');
+    try {
+      await callback();
+      await this.db.run('COMMIT');
+    } catch (err) {
+      await this.db.run('ROLLBACK');
+      throw err;
+    }
+  }
+
+  _label({ version, name }) {
+    return `${String(version).padStart(3, '0')}_${name}`;
+  }
+}
+
+module.exports = Migrator;
+module.exports.promisifyDb = promisifyDb;
+module.exports.prepareStatement = prepareStatement;
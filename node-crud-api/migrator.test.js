@@ -0,0 +1,326 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { newDb } = require('pg-mem');
+const Migrator = require('./migrator');
+const { createMigrator } = require('./repositories/postgres');
+
+describe('Миграции схемы', () => {
+  let tmpDir;
+  let db;
+  let migrator;
+
+  const query = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  const tableExists = async (name) => {
+    const rows = await query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]);
+    return rows.length > 0;
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    db = new sqlite3.Database(path.join(tmpDir, 'test.db'));
+    migrator = new Migrator(db);
+  });
+
+  afterEach((done) => {
+    db.close(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      done();
+    });
+  });
+
+  it('должен показывать все миграции как ожидающие на пустой базе', async () => {
+    const status = await migrator.status();
+
+    expect(status.map(row => row.version)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    expect(status.every(row => row.status === 'pending')).toBe(true);
+    expect(await tableExists('schema_migrations')).toBe(true);
+  });
+
+  it('должен применять миграции и записывать их в schema_migrations', async () => {
+    const applied = await migrator.up();
+
+    expect(applied.map(migration => migration.name)).toEqual([
+      'create_products',
+      'products_search_index',
+      'products_version',
+      'products_soft_delete',
+      'products_raw_text',
+      'api_keys',
+      'audit_log',
+      'stock_reservations',
+      'categories_tags',
+      'product_images',
+      'price_minor_units'
+    ]);
+    expect(await tableExists('products')).toBe(true);
+    expect(await tableExists('products_fts')).toBe(true);
+    expect(await tableExists('api_keys')).toBe(true);
+    expect(await tableExists('audit_log')).toBe(true);
+    expect(await tableExists('stock_reservations')).toBe(true);
+    expect(await tableExists('categories')).toBe(true);
+    expect(await tableExists('product_tags')).toBe(true);
+    expect(await tableExists('product_images')).toBe(true);
+    expect(await tableExists('price_history')).toBe(true);
+
+    const rows = await query('SELECT version, name FROM schema_migrations ORDER BY version');
+    expect(rows).toEqual([
+      { version: 1, name: 'create_products' },
+      { version: 2, name: 'products_search_index' },
+      { version: 3, name: 'products_version' },
+      { version: 4, name: 'products_soft_delete' },
+      { version: 5, name: 'products_raw_text' },
+      { version: 6, name: 'api_keys' },
+      { version: 7, name: 'audit_log' },
+      { version: 8, name: 'stock_reservations' },
+      { version: 9, name: 'categories_tags' },
+      { version: 10, name: 'product_images' },
+      { version: 11, name: 'price_minor_units' }
+    ]);
+
+    const status = await migrator.status();
+    expect(status.every(row => row.status === 'applied' && row.appliedAt)).toBe(true);
+  });
+
+  it('не должен применять миграции повторно', async () => {
+    await migrator.up();
+    expect(await migrator.up()).toEqual([]);
+  });
+
+  it('должен применять миграции до указанной версии', async () => {
+    await migrator.up({ to: 1 });
+
+    expect(await tableExists('products')).toBe(true);
+    expect(await tableExists('products_fts')).toBe(false);
+
+    const status = await migrator.status();
+    expect(status.map(row => row.status)).toEqual(['applied', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending', 'pending']);
+  });
+
+  it('должен откатывать последнюю миграцию', async () => {
+    await migrator.up();
+    const reverted = await migrator.down({ to: 3 });
+
+    expect(reverted.map(migration => migration.version)).toEqual([11, 10, 9, 8, 7, 6, 5, 4]);
+    const columns = await query('PRAGMA table_info(products)');
+    expect(columns.map(column => column.name)).not.toContain('deleted_at');
+    expect(columns.map(column => column.name)).toContain('version');
+    expect(await tableExists('products_fts')).toBe(true);
+    expect(await tableExists('api_keys')).toBe(false);
+  });
+
+  it('должен откатывать все миграции и применять их заново', async () => {
+    await migrator.up();
+    await query("INSERT INTO products (name, price_minor) VALUES ('Товар', 1000)");
+
+    const reverted = await migrator.down({ to: 0 });
+    expect(reverted.map(migration => migration.version)).toEqual([11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    expect(await tableExists('products')).toBe(false);
+    expect(await query('SELECT * FROM schema_migrations')).toEqual([]);
+
+    await migrator.up();
+    expect(await tableExists('products')).toBe(true);
+    expect(await query('SELECT * FROM products')).toEqual([]);
+  });
+
+  it('должен принимать под управление базу, созданную до миграций', async () => {
+    await query(`CREATE TABLE products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      price REAL NOT NULL,
+      quantity INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await query("INSERT INTO products (name, description, price) VALUES ('Старый ноутбук', 'Из старой базы', 10)");
+
+    await migrator.up();
+
+    const found = await query("SELECT rowid FROM products_fts WHERE products_fts MATCH 'ноутбук'");
+    expect(found).toHaveLength(1);
+
+    const [row] = await query('SELECT version, updated_at, created_at FROM products');
+    expect(row.version).toBe(1);
+    expect(row.updated_at).toBe(row.created_at);
+  });
+
+  it('должен переиндексировать товар только при изменении name или description', async () => {
+    await migrator.up();
+    await query("INSERT INTO products (name, description, price_minor) VALUES ('Ноутбук', 'Игровой', 100)");
+    const changesAfter = async (sql) => {
+      const [{ before }] = await query('SELECT total_changes() AS before');
+      await query(sql);
+      const [{ after }] = await query('SELECT total_changes() AS after');
+      return after - before;
+    };
+
+    expect(await changesAfter('UPDATE products SET price_minor = 200, quantity = 5')).toBe(1);
+    expect(await changesAfter("UPDATE products SET name = 'Планшет'")).toBeGreaterThan(1);
+
+    expect(await query("SELECT rowid FROM products_fts WHERE products_fts MATCH 'ноутбук'")).toHaveLength(0);
+    expect(await query("SELECT rowid FROM products_fts WHERE products_fts MATCH 'планшет'")).toHaveLength(1);
+  });
+
+  it('должен раскодировать текст, экранированный при записи', async () => {
+    await migrator.up({ to: 4 });
+    await query(`INSERT INTO products (name, description, price) VALUES
+      ('Tom &amp; Jerry', '&lt;b&gt;&quot;Шоу&quot;&lt;/b&gt; &#039;1&#039;', 10),
+      ('Tom &amp;amp; Jerry', NULL, 10),
+      ('Без сущностей & амперсанд', 'Обычный текст', 10)`);
+
+    await migrator.up();
+
+    const rows = await query('SELECT name, description, version FROM products ORDER BY id');
+    expect(rows).toEqual([
+      { name: 'Tom & Jerry', description: `<b>"Шоу"</b> '1'`, version: 2 },
+      { name: 'Tom & Jerry', description: null, version: 2 },
+      { name: 'Без сущностей & амперсанд', description: 'Обычный текст', version: 1 }
+    ]);
+    const found = await query("SELECT rowid FROM products_fts WHERE products_fts MATCH 'Шоу'");
+    expect(found).toHaveLength(1);
+
+    await migrator.down({ to: 4 });
+    const [escaped] = await query('SELECT name, description FROM products ORDER BY id LIMIT 1');
+    expect(escaped).toEqual({ name: 'Tom &amp; Jerry', description: '&lt;b&gt;&quot;Шоу&quot;&lt;/b&gt; &#039;1&#039;' });
+  });
+
+  it('должен переводить цены и журнал в минимальные единицы', async () => {
+    await migrator.up({ to: 10 });
+    await query(`INSERT INTO products (name, price, created_at) VALUES
+      ('Ноутбук', 1299.99, '2024-01-01 00:00:00'),
+      ('Мышь', 0.29, '2024-01-02 00:00:00')`);
+    await query(`INSERT INTO audit_log (product_id, action, version, changes, created_at) VALUES
+      (1, 'update', 2, '{"price":{"before":1000,"after":1299.99},"quantity":{"before":1,"after":2}}', '2024-02-01 00:00:00'),
+      (2, 'update', 2, '{"name":{"before":"Мыш","after":"Мышь"}}', '2024-02-02 00:00:00')`);
+
+    await migrator.up();
+
+    expect(await query('SELECT price_minor, currency FROM products ORDER BY id')).toEqual([
+      { price_minor: 129999, currency: 'USD' },
+      { price_minor: 29, currency: 'USD' }
+    ]);
+    const [changes] = await query('SELECT changes FROM audit_log WHERE id = 1');
+    expect(JSON.parse(changes.changes)).toEqual({
+      quantity: { before: 1, after: 2 },
+      price_minor: { before: 100000, after: 129999 }
+    });
+    expect(await query('SELECT product_id, price_minor, currency, effective_at FROM price_history ORDER BY id')).toEqual([
+      { product_id: 1, price_minor: 129999, currency: 'USD', effective_at: '2024-02-01 00:00:00' },
+      { product_id: 2, price_minor: 29, currency: 'USD', effective_at: '2024-01-02 00:00:00' }
+    ]);
+
+    await migrator.down({ to: 10 });
+    expect(await query('SELECT price FROM products ORDER BY id')).toEqual([{ price: 1299.99 }, { price: 0.29 }]);
+    const [restored] = await query('SELECT changes FROM audit_log WHERE id = 1');
+    expect(JSON.parse(restored.changes).price).toEqual({ before: 1000, after: 1299.99 });
+    expect(await tableExists('price_history')).toBe(false);
+  });
+
+  it('должен откатывать транзакцию при ошибке миграции', async () => {
+    const migrationsDir = path.join(tmpDir, 'migrations');
+    fs.mkdirSync(migrationsDir);
+    fs.writeFileSync(path.join(migrationsDir, '001_broken.js'), `
+      module.exports = {
+        async up(db) {
+          await db.run('CREATE TABLE half_done (id INTEGER)');
+          await db.run('INVALID SQL');
+        },
+        async down() {}
+      };
+    `);
+
+    const broken = new Migrator(db, { directory: migrationsDir });
+    await expect(broken.up()).rejects.toThrow();
+
+    expect(await tableExists('half_done')).toBe(false);
+    expect((await broken.status())[0].status).toBe('pending');
+  });
+
+  it('должен сообщать о примененных миграциях без файла', async () => {
+    await migrator.up();
+    await query("INSERT INTO schema_migrations (version, name) VALUES (99, 'removed')");
+
+    const status = await migrator.status();
+    expect(status[status.length - 1]).toMatchObject({ version: 99, status: 'missing' });
+    await expect(migrator.down()).rejects.toThrow('Файл миграции версии 99 не найден');
+  });
+});
+
+describe('Миграции PostgreSQL', () => {
+  let pool;
+  let client;
+  let migrator;
+
+  const query = async (sql, params = []) => (await client.query(sql, params)).rows;
+  const columnsOf = async table => (await query(
+    'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+    [table]
+  )).map(row => row.column_name);
+
+  beforeEach(async () => {
+    // Без проверки разбора запроса pg-mem отвергает CREATE TABLE IF NOT EXISTS для существующей таблицы
+    const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+    pool = new Pool();
+    client = await pool.connect();
+    migrator = createMigrator(client);
+  });
+
+  afterEach(async () => {
+    client.release();
+    await pool.end();
+  });
+
+  it('должен применять миграции и записывать их в schema_migrations', async () => {
+    const applied = await migrator.up();
+
+    expect(applied.map(migration => migration.version)).toEqual([1, 3, 4, 6, 7, 8, 9, 10, 11]);
+    expect(await query('SELECT version FROM schema_migrations ORDER BY version'))
+      .toEqual(applied.map(({ version }) => ({ version })));
+    expect(await columnsOf('products')).toEqual(expect.arrayContaining([
+      'version', 'updated_at', 'deleted_at', 'reserved', 'price_minor', 'currency'
+    ]));
+    expect(await columnsOf('products')).not.toContain('price');
+    expect(await migrator.up()).toEqual([]);
+  });
+
+  it('должен принимать под управление базу, созданную схемой без миграций', async () => {
+    await query(`CREATE TABLE products (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      price DOUBLE PRECISION NOT NULL,
+      quantity INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      version INTEGER NOT NULL DEFAULT 1
+    )`);
+    await query("INSERT INTO products (name, price) VALUES ('Ноутбук', 1299.99)");
+
+    await migrator.up();
+
+    expect(await query('SELECT name, price_minor, currency, version FROM products')).toEqual([
+      { name: 'Ноутбук', price_minor: 129999, currency: 'USD', version: 1 }
+    ]);
+    expect(await query('SELECT product_id, price_minor FROM price_history')).toEqual([
+      { product_id: 1, price_minor: 129999 }
+    ]);
+  });
+
+  // Повторно применить откаченные миграции здесь нельзя: pg-mem не освобождает имена
+  // ограничений удаленных таблиц
+  it('должен откатывать миграции', async () => {
+    await migrator.up();
+    await query("INSERT INTO products (name, price_minor) VALUES ('Товар', 1050)");
+
+    expect((await migrator.down({ to: 10 })).map(migration => migration.version)).toEqual([11]);
+    expect(await query('SELECT price FROM products')).toEqual([{ price: 10.5 }]);
+
+    const reverted = await migrator.down({ to: 0 });
+    expect(reverted.map(migration => migration.version)).toEqual([10, 9, 8, 7, 6, 4, 3, 1]);
+    expect(await query('SELECT * FROM schema_migrations')).toEqual([]);
+    expect(await columnsOf('products')).toEqual([]);
+  });
+});
@@ -0,0 +1,823 @@
+/**
+ * Спецификация API в формате OpenAPI 3.1
+ *
+ * Параметры и тела запросов строятся из схем валидации маршрутов (см. product-schemas.js
+ * и формат правил в validation.js), поэтому документ не расходится с проверками.
+ * Операции перечислены в OPERATIONS в порядке регистрации маршрутов; соответствие
+ * маршрутов и ответов спецификации проверяет контрактный тест (см. openapi.test.js).
+ * Документ отдается по /openapi.json, интерактивная документация - по /docs.
+ */
+
+const { version } = require('./package.json');
+const schemas = require('./product-schemas');
+const { ISO_DATE_PATTERN } = require('./validation');
+const { AUDIT_ACTIONS } = require('./audit-log');
+const { RESERVATION_STATUSES } = require('./stock');
+const { IMAGE_TYPES } = require('./images');
+const { EXPORT_COLUMNS, EXPORT_FORMATS, IMPORT_MEDIA_TYPES } = require('./products-io');
+const { MERGE_PATCH_TYPE, JSON_PATCH_TYPE, PATCH_OPERATIONS } = require('./json-patch');
+const { DEFAULT_CURRENCY } = require('./currency');
+
+const OPENAPI_VERSION = '3.1.0';
+
+// Swagger UI для /docs загружается с CDN, сам документ - с этого же сервера
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const arrayOf = items => ({ type: 'array', items });
+
+// Объект с перечисленными полями; лишние поля в ответе - расхождение со спецификацией
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 ? { required } : {}),
+  additionalProperties: false
+});
+
+/**
+ * JSON Schema значения по правилу валидации
+ * @param {Object} rule - Правило поля (см. validation.js)
+ * @returns {Object} - Схема
+ */
+function ruleToSchema(rule) {
+  const schema = rule.type === 'date'
+    ? { type: 'string', pattern: ISO_DATE_PATTERN.source }
+    : { type: rule.type };
+
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.exclusiveMin !== undefined) schema.exclusiveMinimum = rule.exclusiveMin;
+  const lengthKeys = rule.type === 'array' ? ['minItems', 'maxItems'] : ['minLength', 'maxLength'];
+  if (rule.minLength !== undefined) schema[lengthKeys[0]] = rule.minLength;
+  if (rule.maxLength !== undefined) schema[lengthKeys[1]] = rule.maxLength;
+
+  return rule.nullable ? nullable(schema) : schema;
+}
+
+/**
+ * JSON Schema тела запроса по правилам полей
+ * Лишние поля тела валидация отбрасывает, поэтому они допускаются
+ * @param {Object} fields - Правила полей
+ * @param {Object} overrides - Схемы полей, уточняющие правила (например, элементы массива)
+ * @returns {Object} - Схема объекта
+ */
+function fieldsToSchema(fields, overrides = {}) {
+  const properties = {};
+  const required = [];
+  Object.entries(fields).forEach(([field, rule]) => {
+    properties[field] = { ...ruleToSchema(rule), ...overrides[field] };
+    if (rule.required) {
+      required.push(field);
+    }
+  });
+  return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+}
+
+/**
+ * Параметры пути и строки запроса по схеме маршрута
+ * @param {Object} schema - Схема маршрута { params, query }
+ * @returns {Array} - Объекты Parameter
+ */
+function routeParameters(schema = {}) {
+  return ['params', 'query'].flatMap(location => Object.entries(schema[location] || {}).map(([name, rule]) => ({
+    name,
+    in: location === 'params' ? 'path' : 'query',
+    required: location === 'params' || Boolean(rule.required),
+    schema: ruleToSchema(rule)
+  })));
+}
+
+// Сущности API
+const productProperties = {
+  id: { type: 'integer' },
+  name: { type: 'string' },
+  description: { type: ['string', 'null'] },
+  price: { type: 'number', description: 'Цена в основных единицах валюты' },
+  price_minor: { type: 'integer', description: 'Цена в минимальных единицах валюты (центы, копейки)' },
+  currency: { type: 'string', description: 'Код валюты ISO 4217' },
+  quantity: { type: 'number' },
+  reserved: { type: 'integer', description: 'Количество в активных резервах' },
+  available: { type: 'number', description: 'Доступно для резерва: quantity - reserved' },
+  version: { type: 'integer', description: 'Версия для If-Match (см. ETag)' },
+  created_at: { type: 'string' },
+  updated_at: { type: ['string', 'null'] },
+  deleted_at: { type: ['string', 'null'], description: 'Время перемещения в корзину' },
+  categories: arrayOf(object({ id: { type: 'integer' }, name: { type: 'string' } }, ['id', 'name'])),
+  tags: arrayOf({ type: 'string' }),
+  converted: {
+    anyOf: [ref('ConvertedPrice'), { type: 'null' }],
+    description: 'Цена в валюте параметра currency; null - курс для валюты товара не настроен'
+  }
+};
+const productRequired = ['id', 'name', 'description', 'price', 'price_minor', 'currency', 'quantity', 'available', 'categories', 'tags'];
+
+const page = (items, pagination = 'Pagination') => object({
+  message: { type: 'string' },
+  data: arrayOf(items),
+  pagination: ref(pagination)
+}, ['message', 'data', 'pagination']);
+
+const single = (data, extra = {}) => object({ message: { type: 'string' }, data, ...extra }, ['message', 'data']);
+
+const categoryProperties = {
+  id: { type: 'integer' },
+  name: { type: 'string' },
+  parent_id: { type: ['integer', 'null'] },
+  created_at: { type: 'string' },
+  updated_at: { type: 'string' }
+};
+
+// Результат операции пакета: успешной (data, etag) или неудачной (error, code, errors)
+const bulkResultProperties = {
+  index: { type: 'integer' },
+  op: { description: 'Вид операции из запроса' },
+  status: { type: 'integer', description: 'HTTP-статус операции' },
+  id: { type: 'integer' },
+  etag: { type: 'string' },
+  data: ref('Product'),
+  error: { type: 'string' },
+  code: { type: 'string' },
+  errors: arrayOf(ref('FieldError'))
+};
+
+function componentSchemas() {
+  // Патч может содержать любое подмножество полей товара
+  const { required, ...productPatch } = fieldsToSchema(schemas.patchedProduct);
+
+  return {
+    Product: object(productProperties, productRequired),
+    SearchResult: object({
+      ...productProperties,
+      rank: { type: 'number', description: 'Релевантность: чем меньше, тем выше в выдаче' },
+      highlights: object({ name: { type: 'string' }, description: { type: 'string' } }, ['name', 'description'])
+    }, [...productRequired, 'rank', 'highlights']),
+    ExportedProduct: object(
+      Object.fromEntries(EXPORT_COLUMNS.map(column => [column, productProperties[column]])),
+      EXPORT_COLUMNS
+    ),
+    ConvertedPrice: object({
+      currency: { type: 'string' },
+      price: { type: 'number' },
+      price_minor: { type: 'integer' },
+      rate: { type: 'number' }
+    }, ['currency', 'price', 'price_minor', 'rate']),
+    ProductInput: fieldsToSchema(schemas.createProduct.body),
+    ProductPatch: productPatch,
+    JsonPatch: arrayOf({
+      type: 'object',
+      properties: {
+        op: { type: 'string', enum: PATCH_OPERATIONS },
+        path: { type: 'string' },
+        from: { type: 'string' },
+        value: {}
+      },
+      required: ['op', 'path']
+    }),
+    BulkRequest: fieldsToSchema(schemas.bulkProducts.body, {
+      operations: { items: fieldsToSchema(schemas.bulkOperation, { data: ref('ProductInput') }) }
+    }),
+    BulkResponse: object({
+      message: { type: 'string' },
+      error: { type: 'string' },
+      mode: { type: 'string', enum: schemas.BULK_MODES },
+      committed: { type: 'boolean' },
+      summary: object({
+        total: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' }
+      }, ['total', 'succeeded', 'failed']),
+      results: arrayOf(object(bulkResultProperties, ['index', 'status']))
+    }, ['message', 'mode', 'committed', 'summary', 'results']),
+    ImportResult: object({
+      message: { type: 'string' },
+      dryRun: { type: 'boolean' },
+      summary: object({
+        total: { type: 'integer' },
+        accepted: { type: 'integer' },
+        rejected: { type: 'integer' }
+      }, ['total', 'accepted', 'rejected']),
+      ids: arrayOf({ type: 'integer' }),
+      rejected: arrayOf(object({
+        line: { type: 'integer' },
+        error: { type: 'string' },
+        code: { type: 'string' },
+        errors: arrayOf(ref('FieldError'))
+      }, ['line', 'error', 'code']))
+    }, ['message', 'dryRun', 'summary', 'rejected']),
+    Pagination: object({
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      hasMore: { type: 'boolean' }
+    }, ['total', 'limit', 'offset', 'hasMore']),
+    ListPagination: object({
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: ['integer', 'null'], description: 'null при переходе по курсору' },
+      sort: { type: 'string' },
+      hasMore: { type: 'boolean' },
+      nextCursor: { type: ['string', 'null'], description: 'Параметр cursor следующей страницы' }
+    }, ['total', 'limit', 'offset', 'sort', 'hasMore', 'nextCursor']),
+    AuditEntry: object({
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      actor: { type: ['string', 'null'] },
+      request_id: { type: ['string', 'null'] },
+      changes: {
+        type: 'object',
+        description: 'Измененные поля: { поле: { before, after } }',
+        additionalProperties: object({ before: {}, after: {} }, ['before', 'after'])
+      },
+      version: { type: ['integer', 'null'] },
+      created_at: { type: 'string' }
+    }, ['id', 'product_id', 'action', 'changes', 'created_at']),
+    PriceEntry: object({
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      price: { type: 'number' },
+      price_minor: { type: 'integer' },
+      currency: { type: 'string' },
+      effective_at: { type: 'string', description: 'С какого момента действует цена' },
+      actor: { type: ['string', 'null'] },
+      request_id: { type: ['string', 'null'] },
+      converted: productProperties.converted
+    }, ['id', 'product_id', 'price', 'price_minor', 'currency', 'effective_at']),
+    Reservation: object({
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      quantity: { type: 'integer' },
+      status: { type: 'string', enum: RESERVATION_STATUSES },
+      actor: { type: ['string', 'null'] },
+      expires_at: { type: 'string' },
+      created_at: { type: 'string' },
+      updated_at: { type: 'string' }
+    }, ['id', 'product_id', 'quantity', 'status', 'expires_at']),
+    Category: object(categoryProperties, ['id', 'name', 'parent_id']),
+    CategoryNode: object(
+      { ...categoryProperties, children: arrayOf(ref('CategoryNode')) },
+      ['id', 'name', 'parent_id', 'children']
+    ),
+    Tag: object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      created_at: { type: 'string' },
+      products: { type: 'integer', description: 'Количество товаров с тегом (в списке тегов)' }
+    }, ['id', 'name']),
+    Image: object({
+      id: { type: 'integer' },
+      product_id: { type: 'integer' },
+      content_type: { type: 'string', enum: Object.keys(IMAGE_TYPES) },
+      size: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      original_name: { type: ['string', 'null'] },
+      created_at: { type: 'string' },
+      url: { type: 'string' },
+      thumbnails: arrayOf(object({
+        size: { type: 'integer' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        url: { type: 'string' }
+      }, ['size', 'width', 'height', 'url']))
+    }, ['id', 'product_id', 'content_type', 'size', 'width', 'height', 'url', 'thumbnails']),
+    Deleted: object({
+      message: { type: 'string' },
+      id: { type: ['integer', 'string'], description: 'ID удаленной записи (DELETE /products/{id} - строкой из пути)' }
+    }, ['message', 'id']),
+    FieldError: object({
+      location: { type: 'string', enum: ['params', 'query', 'body', 'csv'] },
+      field: { type: ['string', 'null'] },
+      code: { type: 'string' },
+      message: { type: 'string' }
+    }, ['location', 'field', 'code', 'message']),
+    ValidationError: object({
+      error: { type: 'string' },
+      code: { type: 'string', enum: ['VALIDATION_ERROR'] },
+      errors: arrayOf(ref('FieldError'))
+    }, ['error', 'code', 'errors']),
+    Error: object({ error: { type: 'string' }, code: { type: 'string' } }, ['error']),
+    NotFound: {
+      ...object({ message: { type: 'string' }, error: { type: 'string' }, code: { type: 'string' }, ids: arrayOf({ type: 'integer' }) }),
+      anyOf: [{ required: ['message'] }, { required: ['error', 'code'] }]
+    },
+    Conflict: object({
+      error: { type: 'string' },
+      code: { type: 'string' },
+      available: { type: 'number', description: 'Доступное количество при нехватке товара' },
+      data: { anyOf: [ref('Reservation'), ref('Tag')] }
+    }, ['error', 'code'])
+  };
+}
+
+const json = (schema, description, headers) => ({
+  description,
+  ...(headers ? { headers: Object.fromEntries(headers.map(name => [name, { $ref: `#/components/headers/${name}` }])) } : {}),
+  content: { 'application/json': { schema } }
+});
+const anyOf = (...names) => ({ anyOf: names.map(ref) });
+// Тип выгрузки без параметра charset
+const mediaType = format => format.contentType.split(';')[0];
+
+const ERROR_RESPONSES = {
+  304: { $ref: '#/components/responses/NotModified' },
+  400: { $ref: '#/components/responses/BadRequest' },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  404: { $ref: '#/components/responses/NotFound' },
+  409: { $ref: '#/components/responses/Conflict' },
+  412: { $ref: '#/components/responses/PreconditionFailed' },
+  413: { $ref: '#/components/responses/PayloadTooLarge' },
+  415: { $ref: '#/components/responses/UnsupportedMediaType' },
+  422: { $ref: '#/components/responses/UnprocessableEntity' },
+  428: { $ref: '#/components/responses/PreconditionRequired' },
+  429: { $ref: '#/components/responses/TooManyRequests' },
+  500: { $ref: '#/components/responses/ServerError' }
+};
+
+function componentResponses() {
+  return {
+    NotModified: { description: 'Не изменилось с версии из If-None-Match' },
+    BadRequest: json({ anyOf: [ref('ValidationError'), ref('Error')] }, 'Некорректный запрос'),
+    Unauthorized: json(ref('Error'), 'Неверные или отсутствующие учетные данные'),
+    Forbidden: json(ref('Error'), 'Недостаточно прав'),
+    NotFound: json(ref('NotFound'), 'Не найдено'),
+    Conflict: json(anyOf('Conflict', 'ValidationError'), 'Конфликт с текущим состоянием'),
+    PreconditionFailed: json(ref('Error'), 'If-Match не совпадает с текущей версией'),
+    PayloadTooLarge: json(ref('Error'), 'Слишком большое тело запроса'),
+    UnsupportedMediaType: json(ref('Error'), 'Неподдерживаемый тип тела запроса'),
+    UnprocessableEntity: json(anyOf('ValidationError', 'Error'), 'Запрос корректен, но не может быть выполнен'),
+    PreconditionRequired: json(ref('Error'), 'Требуется заголовок If-Match'),
+    TooManyRequests: {
+      ...json(ref('Error'), 'Превышена частота запросов'),
+      headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Через сколько секунд повторить запрос' } }
+    },
+    ServerError: json(ref('Error'), 'Ошибка сервера')
+  };
+}
+
+const productResponse = (description, status = 200) => ({
+  [status]: json(single(ref('Product')), description, ['ETag'])
+});
+const reservationResponse = description => json(single(ref('Reservation'), { product: ref('Product') }), description);
+const bulkResponse = json(ref('BulkResponse'), 'Результат пакета; при отмене статус - статус неудачной операции');
+
+// Операции API: access - 'public' (без проверки роли), 'read' (viewer, если чтение закрыто),
+// 'write' (editor), 'admin'; errors - статусы ответов сверх общих для всех операций
+const OPERATIONS = [
+  {
+    method: 'get', path: '/', tag: 'Документация', access: 'public',
+    summary: 'Описание API и список эндпоинтов',
+    responses: {
+      200: json(object({
+        message: { type: 'string' },
+        documentation: object({ openapi: { type: 'string' }, docs: { type: 'string' } }, ['openapi', 'docs']),
+        endpoints: { type: 'object', additionalProperties: { type: 'string' } },
+        example: { type: 'object' }
+      }, ['message', 'documentation', 'endpoints', 'example']), 'Описание API')
+    }
+  },
+  {
+    method: 'get', path: '/openapi.json', tag: 'Документация', access: 'public',
+    summary: 'Спецификация OpenAPI',
+    responses: { 200: json({ type: 'object' }, 'Этот документ') }
+  },
+  {
+    method: 'get', path: '/docs', tag: 'Документация', access: 'public',
+    summary: 'Интерактивная документация (Swagger UI)',
+    responses: { 200: { description: 'Страница документации', content: { 'text/html': { schema: { type: 'string' } } } } }
+  },
+  {
+    method: 'get', path: '/products', tag: 'Товары', access: 'read', schema: schemas.listProducts,
+    summary: 'Получить товары (пагинация, сортировка, фильтры, includeDeleted, currency - пересчет цен)',
+    description: 'Сортировка и фильтры по цене сравнивают суммы в валютах товаров без пересчета',
+    responses: { 200: json(page(ref('Product'), 'ListPagination'), 'Страница товаров', ['Link', 'X-Total-Count']) }
+  },
+  {
+    method: 'get', path: '/products/trash', tag: 'Товары', access: 'read', schema: schemas.listTrash,
+    summary: 'Товары в корзине',
+    responses: { 200: json(page(ref('Product'), 'ListPagination'), 'Страница товаров', ['Link', 'X-Total-Count']) }
+  },
+  {
+    method: 'get', path: '/products/search', tag: 'Товары', access: 'read', schema: schemas.searchProducts,
+    summary: 'Полнотекстовый поиск товаров',
+    responses: { 200: json(page(ref('SearchResult')), 'Найденные товары с подсветкой совпадений (<mark>)') }
+  },
+  {
+    method: 'get', path: '/products/export', tag: 'Каталог', access: 'read', schema: schemas.exportProducts,
+    summary: 'Выгрузка каталога (format: csv, ndjson, json)',
+    responses: {
+      200: {
+        description: 'Файл каталога',
+        content: {
+          [mediaType(EXPORT_FORMATS.csv)]: { schema: { type: 'string' } },
+          [mediaType(EXPORT_FORMATS.ndjson)]: { schema: { type: 'string' } },
+          [mediaType(EXPORT_FORMATS.json)]: { schema: arrayOf(ref('ExportedProduct')) }
+        }
+      }
+    }
+  },
+  {
+    method: 'post', path: '/products/import', tag: 'Каталог', access: 'write', schema: schemas.importProducts,
+    summary: 'Загрузка товаров из CSV или NDJSON (dryRun - только проверка)',
+    description: 'Каждая строка проверяется правилами POST /products',
+    requestBody: {
+      required: true,
+      content: Object.fromEntries(IMPORT_MEDIA_TYPES.map(type => [type, { schema: { type: 'string' } }]))
+    },
+    responses: { 200: json(ref('ImportResult'), 'Итог импорта и отклоненные строки') },
+    errors: [415]
+  },
+  {
+    method: 'get', path: '/products/:id', tag: 'Товары', access: 'read', schema: schemas.productById,
+    summary: 'Получить товар по ID',
+    headers: ['If-None-Match'],
+    responses: productResponse('Товар'),
+    errors: [304, 404]
+  },
+  {
+    method: 'post', path: '/products', tag: 'Товары', access: 'write', schema: schemas.createProduct,
+    summary: 'Создать новый товар',
+    body: ref('ProductInput'),
+    responses: productResponse('Товар создан', 201)
+  },
+  {
+    method: 'post', path: '/products/bulk', tag: 'Товары', access: 'write', schema: schemas.bulkProducts,
+    summary: 'Пакет операций create/update/delete (mode: atomic или bestEffort)',
+    body: ref('BulkRequest'),
+    responses: {
+      200: bulkResponse,
+      400: json(anyOf('ValidationError', 'BulkResponse'), 'Некорректный запрос или операция пакета'),
+      404: bulkResponse,
+      409: bulkResponse,
+      412: bulkResponse
+    }
+  },
+  {
+    method: 'put', path: '/products/:id', tag: 'Товары', access: 'write', schema: schemas.replaceProduct,
+    summary: 'Заменить товар целиком',
+    headers: ['If-Match'],
+    body: ref('ProductInput'),
+    responses: productResponse('Товар обновлен'),
+    errors: [404, 409, 412, 428]
+  },
+  {
+    method: 'patch', path: '/products/:id', tag: 'Товары', access: 'write', schema: schemas.patchProduct,
+    summary: 'Частично обновить товар (merge-patch или JSON Patch)',
+    headers: ['If-Match'],
+    requestBody: {
+      required: true,
+      content: {
+        [MERGE_PATCH_TYPE]: { schema: ref('ProductPatch') },
+        [JSON_PATCH_TYPE]: { schema: ref('JsonPatch') },
+        'application/json': { schema: ref('ProductPatch') }
+      }
+    },
+    responses: productResponse('Товар обновлен'),
+    errors: [404, 409, 412, 415, 422, 428]
+  },
+  {
+    method: 'post', path: '/products/:id/restore', tag: 'Корзина', access: 'write', schema: schemas.productById,
+    summary: 'Восстановить товар из корзины',
+    headers: ['If-Match'],
+    responses: productResponse('Товар восстановлен'),
+    errors: [404, 409, 412, 428]
+  },
+  {
+    method: 'get', path: '/products/:id/history', tag: 'Журнал', access: 'read', schema: schemas.productHistory,
+    summary: 'Журнал изменений товара',
+    responses: { 200: json(page(ref('AuditEntry')), 'Записи журнала, новые первыми', ['X-Total-Count']) },
+    errors: [404]
+  },
+  {
+    method: 'get', path: '/products/:id/prices', tag: 'Журнал', access: 'read', schema: schemas.productPrices,
+    summary: 'История цен товара (currency - пересчет цен)',
+    responses: { 200: json(page(ref('PriceEntry')), 'Цены, новые первыми', ['X-Total-Count']) },
+    errors: [404]
+  },
+  {
+    method: 'post', path: '/products/:id/revert', tag: 'Журнал', access: 'write', schema: schemas.revertProduct,
+    summary: 'Вернуть товар к состоянию из журнала (historyId)',
+    headers: ['If-Match'],
+    responses: {
+      200: json(single(ref('Product'), { historyId: { type: 'integer' } }), 'Товар возвращен', ['ETag'])
+    },
+    errors: [404, 409, 412, 428]
+  },
+  {
+    method: 'post', path: '/products/:id/stock/adjust', tag: 'Остатки', access: 'write', schema: schemas.adjustStock,
+    summary: 'Изменить остаток на delta (приход > 0, расход < 0)',
+    responses: productResponse('Остаток изменен'),
+    errors: [404, 409]
+  },
+  {
+    method: 'post', path: '/products/:id/reservations', tag: 'Остатки', access: 'write', schema: schemas.reserveStock,
+    summary: 'Зарезервировать товар (quantity, expiresIn - срок в секундах)',
+    responses: { 201: { ...reservationResponse('Товар зарезервирован'), headers: { Location: { $ref: '#/components/headers/Location' } } } },
+    errors: [404, 409]
+  },
+  {
+    method: 'get', path: '/reservations/:id', tag: 'Остатки', access: 'read', schema: schemas.reservationById,
+    summary: 'Получить резерв',
+    responses: { 200: json(single(ref('Reservation')), 'Резерв') },
+    errors: [404]
+  },
+  {
+    method: 'post', path: '/reservations/:id/commit', tag: 'Остатки', access: 'write', schema: schemas.reservationById,
+    summary: 'Подтвердить резерв и списать товар со склада',
+    responses: { 200: reservationResponse('Резерв подтвержден') },
+    errors: [404, 409]
+  },
+  {
+    method: 'post', path: '/reservations/:id/release', tag: 'Остатки', access: 'write', schema: schemas.reservationById,
+    summary: 'Снять резерв',
+    responses: { 200: reservationResponse('Резерв снят') },
+    errors: [404, 409]
+  },
+  {
+    method: 'put', path: '/products/:id/categories', tag: 'Категории и теги', access: 'write',
+    schema: schemas.setProductCategories,
+    summary: 'Заменить категории товара (categoryIds)',
+    headers: ['If-Match'],
+    bodyItems: { categoryIds: ruleToSchema(schemas.categoryId) },
+    responses: productResponse('Категории товара обновлены'),
+    errors: [404, 409, 412, 428]
+  },
+  {
+    method: 'put', path: '/products/:id/tags', tag: 'Категории и теги', access: 'write', schema: schemas.setProductTags,
+    summary: 'Заменить теги товара (tags); новые теги создаются',
+    headers: ['If-Match'],
+    bodyItems: { tags: ruleToSchema(schemas.tagName) },
+    responses: productResponse('Теги товара обновлены'),
+    errors: [404, 409, 412, 428]
+  },
+  {
+    method: 'post', path: '/products/:id/images', tag: 'Изображения', access: 'write', schema: schemas.productImages,
+    summary: 'Загрузить изображение товара (multipart/form-data, поле image)',
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: { type: 'object', properties: { image: { type: 'string', contentMediaType: 'application/octet-stream' } }, required: ['image'] }
+        }
+      }
+    },
+    responses: {
+      201: json(single(ref('Image')), 'Изображение загружено', ['Location'])
+    },
+    errors: [404, 413, 415, 422]
+  },
+  {
+    method: 'get', path: '/products/:id/images', tag: 'Изображения', access: 'read', schema: schemas.productImages,
+    summary: 'Изображения товара',
+    responses: { 200: json(object({ message: { type: 'string' }, data: arrayOf(ref('Image')) }, ['message', 'data']), 'Изображения в порядке загрузки') },
+    errors: [404]
+  },
+  {
+    method: 'get', path: '/products/:id/images/:imageId', tag: 'Изображения', access: 'read', schema: schemas.getImage,
+    summary: 'Файл изображения (size - уменьшенная копия)',
+    headers: ['If-None-Match'],
+    responses: {
+      200: {
+        description: 'Файл изображения',
+        headers: { ETag: { $ref: '#/components/headers/ETag' } },
+        content: Object.fromEntries(Object.keys(IMAGE_TYPES).map(type => [type, { schema: { type: 'string', contentMediaType: type } }]))
+      }
+    },
+    errors: [304, 404]
+  },
+  {
+    method: 'delete', path: '/products/:id/images/:imageId', tag: 'Изображения', access: 'write', schema: schemas.deleteImage,
+    summary: 'Удалить изображение',
+    responses: { 200: json(ref('Deleted'), 'Изображение удалено') },
+    errors: [404]
+  },
+  {
+    method: 'get', path: '/categories', tag: 'Категории и теги', access: 'read', schema: schemas.listCategories,
+    summary: 'Все категории (tree=true - дерево)',
+    responses: {
+      200: json(object({
+        message: { type: 'string' },
+        data: { anyOf: [arrayOf(ref('Category')), arrayOf(ref('CategoryNode'))] }
+      }, ['message', 'data']), 'Категории по названию или дерево категорий')
+    }
+  },
+  {
+    method: 'post', path: '/categories', tag: 'Категории и теги', access: 'write', schema: schemas.createCategory,
+    summary: 'Создать категорию (name, parentId)',
+    responses: { 201: json(single(ref('Category')), 'Категория создана', ['Location']) },
+    errors: [404]
+  },
+  {
+    method: 'get', path: '/categories/:id', tag: 'Категории и теги', access: 'read', schema: schemas.categoryById,
+    summary: 'Получить категорию',
+    responses: { 200: json(single(ref('Category')), 'Категория') },
+    errors: [404]
+  },
+  {
+    method: 'put', path: '/categories/:id', tag: 'Категории и теги', access: 'write', schema: schemas.updateCategory,
+    summary: 'Переименовать или перенести категорию',
+    responses: { 200: json(single(ref('Category')), 'Категория обновлена') },
+    errors: [404, 409]
+  },
+  {
+    method: 'delete', path: '/categories/:id', tag: 'Категории и теги', access: 'write', schema: schemas.categoryById,
+    summary: 'Удалить категорию без подкатегорий',
+    responses: { 200: json(ref('Deleted'), 'Категория удалена') },
+    errors: [404, 409]
+  },
+  {
+    method: 'get', path: '/tags', tag: 'Категории и теги', access: 'read',
+    summary: 'Все теги с количеством товаров',
+    responses: { 200: json(object({ message: { type: 'string' }, data: arrayOf(ref('Tag')) }, ['message', 'data']), 'Теги') }
+  },
+  {
+    method: 'post', path: '/tags', tag: 'Категории и теги', access: 'write', schema: schemas.createTag,
+    summary: 'Создать тег',
+    responses: { 201: json(single(ref('Tag')), 'Тег создан') },
+    errors: [409]
+  },
+  {
+    method: 'put', path: '/tags/:id', tag: 'Категории и теги', access: 'write', schema: schemas.renameTag,
+    summary: 'Переименовать тег',
+    responses: { 200: json(single(ref('Tag')), 'Тег переименован') },
+    errors: [404, 409]
+  },
+  {
+    method: 'delete', path: '/tags/:id', tag: 'Категории и теги', access: 'write', schema: schemas.tagById,
+    summary: 'Удалить тег',
+    responses: { 200: json(ref('Deleted'), 'Тег удален') },
+    errors: [404]
+  },
+  {
+    method: 'get', path: '/audit', tag: 'Журнал', access: 'admin', schema: schemas.auditLog,
+    summary: 'Журнал изменений всех товаров (productId, actor, action, requestId, from, to)',
+    responses: { 200: json(page(ref('AuditEntry')), 'Записи журнала, новые первыми', ['X-Total-Count']) }
+  },
+  {
+    method: 'delete', path: '/products/:id', tag: 'Корзина', access: 'write', schema: schemas.deleteProduct,
+    summary: 'Переместить товар в корзину (hard=true - удалить окончательно, только администратор)',
+    headers: ['If-Match'],
+    responses: { 200: json(ref('Deleted'), 'Товар удален') },
+    errors: [404, 409, 412, 428]
+  }
+];
+
+/**
+ * Путь OpenAPI по пути Express: /products/:id -> /products/{id}
+ * @param {string} path - Путь маршрута Express
+ * @returns {string}
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// Тело запроса: явное (requestBody, body) или по правилам схемы маршрута
+function operationRequestBody({ requestBody, body, bodyItems, schema = {} }) {
+  if (requestBody) {
+    return requestBody;
+  }
+  if (!body && !schema.body) {
+    return undefined;
+  }
+  const items = Object.fromEntries(Object.entries(bodyItems || {}).map(([field, item]) => [field, { items: item }]));
+  return {
+    required: true,
+    content: { 'application/json': { schema: body || fieldsToSchema(schema.body, items) } }
+  };
+}
+
+// Роли операции для описания и схем безопасности
+const ACCESS_ROLES = { read: 'viewer', write: 'editor', admin: 'admin' };
+
+/**
+ * Документ OpenAPI 3.1
+ * @param {Object} options - Настройки приложения
+ * @param {boolean} options.publicReads - Чтение без аутентификации
+ * @param {Object} options.currency - { default } - валюта цен, для которых она не указана
+ * @returns {Object} - Документ
+ */
+function buildOpenApiDocument({ publicReads = true, currency = {} } = {}) {
+  const paths = {};
+  const credentials = [{ bearerAuth: [] }, { apiKey: [] }];
+
+  OPERATIONS.forEach((operation) => {
+    const { method, path, access, schema, errors = [], headers = [] } = operation;
+    const open = access === 'public' || (access === 'read' && publicReads);
+    const statuses = [
+      ...(schema ? [400] : []),
+      401,
+      ...(open ? [] : [403]),
+      ...errors,
+      429,
+      500
+    ];
+
+    const role = ACCESS_ROLES[access];
+    const description = [operation.description, !open && role ? `Требуется роль ${role}` : null].filter(Boolean).join('. ');
+    const requestBody = operationRequestBody(operation);
+    const key = toOpenApiPath(path);
+    paths[key] = paths[key] || {};
+    paths[key][method] = {
+      tags: [operation.tag],
+      summary: operation.summary,
+      ...(description ? { description } : {}),
+      operationId: `${method}${key.replace(/[{}]/g, '').split(/[/.]/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}`,
+      parameters: [
+        ...routeParameters(schema),
+        ...headers.map(name => ({ $ref: `#/components/parameters/${name}` }))
+      ],
+      ...(requestBody ? { requestBody } : {}),
+      responses: {
+        ...Object.fromEntries(statuses.map(status => [status, ERROR_RESPONSES[status]])),
+        ...operation.responses
+      },
+      // Без учетных данных - пустое требование: операция открыта
+      security: open ? [{}, ...credentials] : credentials
+    };
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Node.js CRUD API',
+      version,
+      description: 'Каталог товаров: остатки и резервы, категории и теги, изображения, журнал изменений. '
+        + `Цены без указанной валюты считаются ценами в ${currency.default || DEFAULT_CURRENCY}. `
+        + 'Каждый ответ содержит X-Request-Id; сообщения об ошибках - на языке из Accept-Language. '
+        + 'Клиент, предпочитающий text/html (Accept), получает успешные ответы /products HTML-страницей с экранированным текстом'
+    },
+    tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: componentSchemas(),
+      responses: componentResponses(),
+      parameters: {
+        'If-Match': { name: 'If-Match', in: 'header', schema: { type: 'string' }, description: 'ETag прочитанной версии товара' },
+        'If-None-Match': { name: 'If-None-Match', in: 'header', schema: { type: 'string' } }
+      },
+      headers: {
+        ETag: { schema: { type: 'string' }, description: 'Версия товара: "<id>-<version>"' },
+        Location: { schema: { type: 'string' }, description: 'Адрес созданного ресурса' },
+        Link: { schema: { type: 'string' }, description: 'Ссылки на соседние страницы (RFC 8288)' },
+        'X-Total-Count': { schema: { type: 'integer' }, description: 'Всего записей' }
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+/**
+ * Список эндпоинтов для главной страницы: { 'GET /products/:id': описание }
+ * @param {Object} document - Документ OpenAPI
+ * @returns {Object}
+ */
+function listEndpoints(document) {
+  const endpoints = {};
+  Object.entries(document.paths).forEach(([path, operations]) => {
+    Object.entries(operations).forEach(([method, operation]) => {
+      endpoints[`${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`] = operation.summary;
+    });
+  });
+  return endpoints;
+}
+
+/**
+ * Страница Swagger UI
+ * @param {string} specUrl - Адрес документа OpenAPI относительно страницы
+ * @returns {string} - HTML
+ */
+function docsPage(specUrl = 'openapi.json') {
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>Node.js CRUD API - документация</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  OPERATIONS,
+  ruleToSchema,
+  fieldsToSchema,
+  toOpenApiPath,
+  buildOpenApiDocument,
+  listEndpoints,
+  docsPage
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const supertest = require('supertest');
+const sharp = require('sharp');
+const { createApp } = require('./app');
+const { createDatabase } = require('./db');
+const cacheMiddleware = require('./cache-middleware');
+const { SqliteProductRepository } = require('./repositories');
+const { signJwt } = require('./jwt');
+const { buildOpenApiDocument, listEndpoints, ruleToSchema, fieldsToSchema, toOpenApiPath } = require('./openapi');
+
+const JWT_SECRET = 'openapi-secret';
+const tokenFor = role => signJwt({ sub: `user-${role}`, role }, { secret: JWT_SECRET, expiresIn: 600 });
+
+function matchesJsonType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Проверка значения по JSON Schema документа: поддерживается то, что использует openapi.js
+function schemaErrors(document, schema, value, at = '$') {
+  if (schema.$ref) {
+    const { $ref, ...rest } = schema;
+    const target = $ref.slice(2).split('/').reduce((node, key) => node[key], document);
+    return [...schemaErrors(document, target, value, at), ...schemaErrors(document, rest, value, at)];
+  }
+  if (schema.type !== undefined && ![].concat(schema.type).some(type => matchesJsonType(value, type))) {
+    return [`${at}: ожидается ${[].concat(schema.type).join(' | ')}, получено ${JSON.stringify(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} нет среди допустимых значений`);
+  }
+  if (schema.anyOf && schema.anyOf.every(option => schemaErrors(document, option, value, at).length > 0)) {
+    errors.push(`${at}: не подходит ни один вариант anyOf`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: меньше ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: больше ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at}: не соответствует шаблону`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...schemaErrors(document, schema.items, item, `${at}[${index}]`)));
+  }
+  if (matchesJsonType(value, 'object')) {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${at}: нет поля ${key}`));
+    Object.entries(value).forEach(([key, item]) => {
+      const property = schema.properties && schema.properties[key];
+      if (property) {
+        errors.push(...schemaErrors(document, property, item, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: поле ${key} не описано`);
+      } else if (schema.additionalProperties) {
+        errors.push(...schemaErrors(document, schema.additionalProperties, item, `${at}.${key}`));
+      }
+    });
+  }
+  return errors;
+}
+
+describe('Спецификация OpenAPI', () => {
+  it('должен строить схемы параметров и тел из правил валидации', () => {
+    expect(ruleToSchema({ type: 'integer', required: true, min: 1, max: 100, message: 'query.integerRange' }))
+      .toEqual({ type: 'integer', minimum: 1, maximum: 100 });
+    expect(ruleToSchema({ type: 'string', nullable: true, minLength: 1 })).toEqual({ type: ['string', 'null'], minLength: 1 });
+    expect(ruleToSchema({ type: 'array', minLength: 1, maxLength: 5 })).toEqual({ type: 'array', minItems: 1, maxItems: 5 });
+    expect(ruleToSchema({ type: 'date' })).toMatchObject({ type: 'string', pattern: expect.any(String) });
+    expect(fieldsToSchema({
+      name: { type: 'string', required: true, trim: true },
+      price: { type: 'number', exclusiveMin: 0 }
+    })).toEqual({
+      type: 'object',
+      properties: { name: { type: 'string' }, price: { type: 'number', exclusiveMinimum: 0 } },
+      required: ['name']
+    });
+    expect(toOpenApiPath('/products/:id/images/:imageId')).toBe('/products/{id}/images/{imageId}');
+  });
+
+  it('должен описывать параметры, тело и права операции', () => {
+    const document = buildOpenApiDocument({ publicReads: false });
+    const list = document.paths['/products'].get;
+    expect(list.parameters).toContainEqual({ name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } });
+    expect(list.responses).toHaveProperty('403');
+    expect(list.security).toEqual([{ bearerAuth: [] }, { apiKey: [] }]);
+
+    const create = document.paths['/products'].post;
+    expect(create.requestBody.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/ProductInput' });
+    expect(document.components.schemas.ProductInput.required).toEqual(['name', 'price']);
+    expect(create.description).toBe('Требуется роль editor');
+
+    const open = buildOpenApiDocument({ publicReads: true }).paths['/products/{id}'].get;
+    expect(open.parameters[0]).toMatchObject({ name: 'id', in: 'path', required: true });
+    expect(open.responses).not.toHaveProperty('403');
+    expect(open.security[0]).toEqual({});
+  });
+});
+
+describe('Контракт OpenAPI', () => {
+  let app;
+  let document;
+  let repository;
+  let uploadDir;
+  const covered = new Set();
+
+  const editor = () => supertest.agent(app).set('Authorization', `Bearer ${tokenFor('editor')}`);
+  const admin = () => supertest.agent(app).set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+  // Операция документа по методу и пути запроса; точный путь предпочтительнее шаблона
+  const findOperation = (method, pathname) => Object.keys(document.paths)
+    .filter(key => new RegExp(`^${key.replace(/\{\w+\}/g, '[^/]+')}$`).test(pathname))
+    .sort((a, b) => a.split('{').length - b.split('{').length)
+    .map(key => ({ key, operation: document.paths[key][method] }))
+    .find(match => match.operation);
+
+  // Ответ должен иметь описанный статус, тип содержимого и тело по схеме
+  const contract = async (test) => {
+    const response = await test;
+    const method = response.req.method.toLowerCase();
+    const { pathname } = new URL(response.req.path, 'http://localhost');
+    const match = findOperation(method, pathname);
+    const label = `${method.toUpperCase()} ${pathname} → ${response.status}`;
+    if (!match) {
+      throw new Error(`${label}: операция не описана`);
+    }
+    covered.add(`${method} ${match.key}`);
+
+    let documented = match.operation.responses[response.status];
+    if (!documented) {
+      throw new Error(`${label}: статус не описан`);
+    }
+    if (documented.$ref) {
+      documented = document.components.responses[documented.$ref.split('/').pop()];
+    }
+
+    const problems = [];
+    if (!documented.content) {
+      if (response.text) {
+        problems.push('тело ответа не описано');
+      }
+    } else {
+      const type = (response.headers['content-type'] || '').split(';')[0];
+      const media = documented.content[type];
+      if (!media) {
+        problems.push(`тип ${type} не описан`);
+      } else if (type === 'application/json') {
+        problems.push(...schemaErrors(document, media.schema, response.body));
+      }
+    }
+    expect({ label, problems }).toEqual({ label, problems: [] });
+    return response;
+  };
+
+  beforeAll(async () => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-test-'));
+    repository = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+    await repository.init();
+    cacheMiddleware.clear();
+    const config = {
+      auth: { jwt: { secret: JWT_SECRET } },
+      images: { path: uploadDir, maxSize: 64 * 1024, thumbnailSizes: [32] },
+      currency: { default: 'USD', rates: { EUR: 0.9 } }
+    };
+    app = createApp({ db: repository, cache: cacheMiddleware, config });
+    document = buildOpenApiDocument({ currency: config.currency });
+  });
+
+  afterAll(async () => {
+    await repository.close();
+    cacheMiddleware.close();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  it('должен описывать все маршруты приложения и только их', () => {
+    const routes = [];
+    const collect = stack => stack.forEach((layer) => {
+      if (layer.route) {
+        Object.keys(layer.route.methods).forEach(method => routes.push(`${method} ${toOpenApiPath(layer.route.path)}`));
+      } else if (layer.handle && layer.handle.stack) {
+        collect(layer.handle.stack);
+      }
+    });
+    collect(app.router.stack);
+
+    const operations = Object.entries(document.paths)
+      .flatMap(([key, methods]) => Object.keys(methods).map(method => `${method} ${key}`));
+    expect(operations.sort()).toEqual(routes.sort());
+  });
+
+  it('должен отдавать спецификацию, документацию и список эндпоинтов', async () => {
+    const spec = await contract(supertest(app).get('/openapi.json').expect(200));
+    expect(spec.body).toEqual(JSON.parse(JSON.stringify(document)));
+    expect(spec.body.openapi).toBe('3.1.0');
+
+    const docs = await contract(supertest(app).get('/docs').expect(200));
+    expect(docs.text).toContain('SwaggerUIBundle');
+    expect(docs.text).toContain('"openapi.json"');
+
+    const index = await contract(supertest(app).get('/').expect(200));
+    expect(index.body.endpoints).toEqual(listEndpoints(document));
+    expect(index.body.endpoints['GET /products/:id/prices']).toBe('История цен товара (currency - пересчет цен)');
+  });
+
+  it('должен соответствовать спецификации в операциях с товарами', async () => {
+    const created = await contract(editor().post('/products').send({ name: 'Контракт', price: 10.5, quantity: 5 }).expect(201));
+    const id = created.body.data.id;
+    await contract(editor().post('/products').send({ name: '', price: -1 }).expect(400));
+    await contract(supertest(app).post('/products').send({ name: 'Без прав', price: 1 }).expect(401));
+    await contract(supertest(app).get('/products').set('Authorization', 'Bearer broken').expect(401));
+    await contract(supertest(app)
+      .post('/products')
+      .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+      .send({ name: 'Только чтение', price: 1 })
+      .expect(403));
+
+    await contract(supertest(app).get('/products?limit=1&currency=EUR').expect(200));
+    await contract(supertest(app).get('/products?currency=RUB').expect(400));
+    await contract(supertest(app).get('/products/trash').expect(200));
+    await contract(supertest(app).get('/products/search?q=Контракт').expect(200));
+    await contract(supertest(app).get('/products/search').expect(400));
+
+    const item = await contract(supertest(app).get(`/products/${id}`).expect(200));
+    await contract(supertest(app).get(`/products/${id}`).set('If-None-Match', item.headers.etag).expect(304));
+    await contract(supertest(app).get('/products/999999').expect(404));
+
+    await contract(editor().put(`/products/${id}`).send({ name: 'Контракт', price: 12, quantity: 5 }).expect(200));
+    await contract(editor().put(`/products/${id}`).set('If-Match', '"0-0"').send({ name: 'Контракт', price: 12 }).expect(412));
+    await contract(editor().patch(`/products/${id}`).send({ description: 'Описание' }).expect(200));
+    await contract(editor()
+      .patch(`/products/${id}`)
+      .set('Content-Type', 'application/json-patch+json')
+      .send([{ op: 'replace', path: '/quantity', value: 7 }])
+      .expect(200));
+    await contract(editor()
+      .patch(`/products/${id}`)
+      .set('Content-Type', 'application/json-patch+json')
+      .send([{ op: 'test', path: '/quantity', value: 1 }])
+      .expect(409));
+    await contract(editor().patch(`/products/${id}`).send({ price: null }).expect(422));
+    await contract(editor().patch(`/products/${id}`).set('Content-Type', 'text/plain').send('price=1').expect(415));
+
+    const history = await contract(supertest(app).get(`/products/${id}/history`).expect(200));
+    await contract(supertest(app).get('/products/999999/history').expect(404));
+    await contract(supertest(app).get(`/products/${id}/prices?currency=EUR`).expect(200));
+    await contract(supertest(app).get('/products/999999/prices').expect(404));
+    const first = history.body.data[history.body.data.length - 1];
+    await contract(editor().post(`/products/${id}/revert`).send({ historyId: first.id }).expect(200));
+    await contract(editor().post(`/products/${id}/revert`).send({ historyId: 999999 }).expect(404));
+  });
+
+  it('должен соответствовать спецификации в пакетных операциях, импорте и экспорте', async () => {
+    await contract(editor()
+      .post('/products/bulk')
+      .send({ operations: [{ op: 'create', data: { name: 'Из пакета', price: 3 } }] })
+      .expect(200));
+    await contract(editor()
+      .post('/products/bulk')
+      .send({ operations: [{ op: 'create', data: { name: 'Откатится', price: 3 } }, { op: 'delete', id: 999999 }] })
+      .expect(404));
+    await contract(editor().post('/products/bulk').send({ operations: [{ op: 'rename' }] }).expect(400));
+    await contract(editor().post('/products/bulk').send({}).expect(400));
+
+    await contract(editor()
+      .post('/products/import')
+      .set('Content-Type', 'text/csv')
+      .send('name,price\nИмпорт,7\nОшибка,-1\n')
+      .expect(200));
+    await contract(editor().post('/products/import?dryRun=true').set('Content-Type', 'application/x-ndjson').send('{"name":"Проверка","price":1}\n').expect(200));
+    await contract(editor().post('/products/import').set('Content-Type', 'text/csv').send('name\nБез цены\n').expect(400));
+    await contract(editor().post('/products/import').send({ name: 'JSON' }).expect(415));
+
+    await contract(supertest(app).get('/products/export').expect(200));
+    await contract(supertest(app).get('/products/export?format=ndjson').expect(200));
+    await contract(supertest(app).get('/products/export?format=json').expect(200));
+    await contract(supertest(app).get('/products/export?format=xml').expect(400));
+  });
+
+  it('должен соответствовать спецификации в операциях с остатками и резервами', async () => {
+    const { body: { data: { id } } } = await editor().post('/products').send({ name: 'Склад', price: 1, quantity: 2 });
+
+    await contract(editor().post(`/products/${id}/stock/adjust`).send({ delta: 3 }).expect(200));
+    await contract(editor().post(`/products/${id}/stock/adjust`).send({ delta: -100 }).expect(409));
+    await contract(editor().post('/products/999999/stock/adjust').send({ delta: 1 }).expect(404));
+
+    const reserved = await contract(editor().post(`/products/${id}/reservations`).send({ quantity: 1 }).expect(201));
+    const reservationId = reserved.body.data.id;
+    await contract(editor().post(`/products/${id}/reservations`).send({ quantity: 100 }).expect(409));
+    await contract(supertest(app).get(`/reservations/${reservationId}`).expect(200));
+    await contract(supertest(app).get('/reservations/999999').expect(404));
+    await contract(editor().post(`/reservations/${reservationId}/commit`).expect(200));
+    await contract(editor().post(`/reservations/${reservationId}/release`).expect(409));
+
+    const second = await editor().post(`/products/${id}/reservations`).send({ quantity: 1 });
+    await contract(editor().post(`/reservations/${second.body.data.id}/release`).expect(200));
+    await contract(editor().post('/reservations/999999/commit').expect(404));
+  });
+
+  it('должен соответствовать спецификации в операциях с категориями и тегами', async () => {
+    const { body: { data: { id } } } = await editor().post('/products').send({ name: 'С категориями', price: 1 });
+
+    const parent = await contract(editor().post('/categories').send({ name: 'Электроника' }).expect(201));
+    const child = await contract(editor().post('/categories').send({ name: 'Ноутбуки', parentId: parent.body.data.id }).expect(201));
+    await contract(editor().post('/categories').send({ name: 'Сирота', parentId: 999999 }).expect(404));
+    await contract(supertest(app).get('/categories').expect(200));
+    await contract(supertest(app).get('/categories?tree=true').expect(200));
+    await contract(supertest(app).get(`/categories/${child.body.data.id}`).expect(200));
+    await contract(supertest(app).get('/categories/999999').expect(404));
+    await contract(editor()
+      .put(`/categories/${parent.body.data.id}`)
+      .send({ name: 'Электроника', parentId: child.body.data.id })
+      .expect(409));
+    await contract(editor().put(`/categories/${child.body.data.id}`).send({ name: 'Ультрабуки', parentId: null }).expect(200));
+    await contract(editor().put(`/products/${id}/categories`).send({ categoryIds: [child.body.data.id] }).expect(200));
+    await contract(editor().put(`/products/${id}/categories`).send({ categoryIds: [999999] }).expect(404));
+    await contract(editor().delete(`/categories/${child.body.data.id}`).expect(200));
+
+    await contract(editor().put(`/products/${id}/tags`).send({ tags: ['Новинка'] }).expect(200));
+    await contract(editor().put(`/products/${id}/tags`).send({ tags: [''] }).expect(400));
+    const tag = await contract(editor().post('/tags').send({ name: 'Скидка' }).expect(201));
+    await contract(editor().post('/tags').send({ name: 'Скидка' }).expect(409));
+    await contract(supertest(app).get('/tags').expect(200));
+    await contract(editor().put(`/tags/${tag.body.data.id}`).send({ name: 'новинка' }).expect(409));
+    await contract(editor().put(`/tags/${tag.body.data.id}`).send({ name: 'Распродажа' }).expect(200));
+    await contract(editor().delete(`/tags/${tag.body.data.id}`).expect(200));
+    await contract(editor().delete(`/tags/${tag.body.data.id}`).expect(404));
+  });
+
+  it('должен соответствовать спецификации в операциях с изображениями', async () => {
+    const { body: { data: { id } } } = await editor().post('/products').send({ name: 'С фото', price: 1 });
+    const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#336699' } }).png().toBuffer();
+
+    const uploaded = await contract(editor().post(`/products/${id}/images`).attach('image', png, 'photo.png').expect(201));
+    const image = uploaded.body.data;
+    await contract(editor().post(`/products/${id}/images`).attach('image', png.subarray(0, 60), 'broken.png').expect(422));
+    await contract(editor().post(`/products/${id}/images`).send({ image: 'base64' }).expect(415));
+    await contract(editor().post('/products/999999/images').attach('image', png, 'photo.png').expect(404));
+
+    await contract(supertest(app).get(`/products/${id}/images`).expect(200));
+    const file = await contract(supertest(app).get(image.thumbnails[0].url).expect(200));
+    await contract(supertest(app).get(image.url).set('If-None-Match', file.headers.etag.replace('32', 'original')).expect(304));
+    await contract(supertest(app).get(`${image.url}?size=999`).expect(404));
+    await contract(editor().delete(image.url).expect(200));
+    await contract(editor().delete(image.url).expect(404));
+  });
+
+  it('должен соответствовать спецификации в корзине и журнале', async () => {
+    const { body: { data: { id } } } = await editor().post('/products').send({ name: 'В корзину', price: 1 });
+
+    await contract(editor().post(`/products/${id}/restore`).expect(409));
+    await contract(editor().delete(`/products/${id}`).expect(200));
+    await contract(editor().post(`/products/${id}/restore`).expect(200));
+    await contract(editor().delete(`/products/${id}?hard=true`).expect(403));
+    await contract(editor().delete(`/products/${id}`).set('If-Match', '"0-0"').expect(412));
+    await contract(admin().delete(`/products/${id}?hard=true`).expect(200));
+    await contract(editor().delete(`/products/${id}`).expect(404));
+
+    await contract(admin().get(`/audit?productId=${id}`).expect(200));
+    await contract(admin().get('/audit?action=rename').expect(400));
+    await contract(editor().get('/audit').expect(403));
+  });
+
+  it('должен проверить ответы каждой описанной операции', () => {
+    const operations = Object.entries(document.paths)
+      .flatMap(([key, methods]) => Object.keys(methods).map(method => `${method} ${key}`));
+    expect(operations.filter(operation => !covered.has(operation))).toEqual([]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * История цен товаров
+ *
+ * Цена записывается в price_history при создании товара и при каждом изменении
+ * price_minor или currency - в той же транзакции, что и запись журнала изменений
+ * (см. audit-log.js). effective_at - момент, с которого действует цена.
+ */
+
+const PRICE_HISTORY_INSERT_SQL = `INSERT INTO price_history (product_id, price_minor, currency, actor, request_id)
+  VALUES (?, ?, ?, ?, ?)`;
+
+/**
+ * Изменилась ли цена товара
+ * @param {Object|undefined} before - Товар до изменения (нет при создании)
+ * @param {Object|undefined} after - Товар после изменения (нет при окончательном удалении)
+ * @returns {boolean}
+ */
+function priceChanged(before, after) {
+  if (!after) {
+    return false;
+  }
+  return !before || before.price_minor !== after.price_minor || before.currency !== after.currency;
+}
+
+/**
+ * Параметры PRICE_HISTORY_INSERT_SQL
+ * @param {Object} product - Товар после изменения
+ * @param {Object} context - { actor, requestId } - кто и в каком запросе изменил цену
+ * @returns {Array} - Параметры запроса
+ */
+function priceHistoryParams(product, { actor = null, requestId = null } = {}) {
+  return [product.id, product.price_minor, product.currency, actor, requestId];
+}
+
+/**
+ * Запрос истории цен товара, новые цены первыми
+ * @param {Object} filters - { productId, limit, offset }
+ * @returns {Object} - { countSql, countParams, sql, params } с плейсхолдерами '?'
+ */
+function buildPriceHistoryQuery({ productId, limit, offset = 0 }) {
+  return {
+    countSql: 'SELECT COUNT(*) AS total FROM price_history WHERE product_id = ?',
+    countParams: [productId],
+    sql: 'SELECT * FROM price_history WHERE product_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+    params: [productId, limit, offset]
+  };
+}
+
+module.exports = {
+  PRICE_HISTORY_INSERT_SQL,
+  priceChanged,
+  priceHistoryParams,
+  buildPriceHistoryQuery
+};
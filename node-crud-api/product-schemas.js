@@ -0,0 +1,390 @@
+/**
+ * Схемы валидации маршрутов товаров (формат правил - см. validation.js)
+ */
+
+const { MAX_LIMIT, SORTABLE_COLUMNS } = require('./products-query');
+const { EXPORT_FORMATS } = require('./products-io');
+const { AUDIT_ACTIONS } = require('./audit-log');
+const { MAX_RESERVATION_TTL } = require('./stock');
+const { MAX_CATEGORY_NAME_LENGTH, MAX_TAG_LENGTH, MAX_PRODUCT_LINKS } = require('./taxonomy');
+const { CURRENCY_CODES } = require('./currency');
+
+// Пакетные операции: режимы, виды операций и предельный размер пакета
+const BULK_MODES = ['atomic', 'bestEffort'];
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+const MAX_BULK_OPERATIONS = 1000;
+
+// Значения sort: 'price', '+price' (по возрастанию) или '-price' (по убыванию)
+const SORT_VALUES = SORTABLE_COLUMNS.flatMap(column => [column, `+${column}`, `-${column}`]);
+
+const idParams = {
+  id: { type: 'integer', required: true, min: 1, message: 'product.id' }
+};
+
+const pageQuery = {
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT, message: 'query.integerRange' },
+  offset: { type: 'integer', min: 0, message: 'query.integerMin' }
+};
+
+// Цена - в основных единицах валюты; число знаков после запятой
+// зависит от валюты и проверяется маршрутом (см. currency.js)
+const productFields = {
+  name: { type: 'string', trim: true, minLength: 1, message: 'product.name' },
+  description: { type: 'string', nullable: true, message: 'product.description' },
+  price: { type: 'number', exclusiveMin: 0, message: 'product.price' },
+  currency: { type: 'string', enum: CURRENCY_CODES, message: 'product.currency' },
+  quantity: { type: 'number', min: 0, message: 'product.quantity' }
+};
+
+// Валюта пересчета цен по настроенным курсам
+const currencyQuery = {
+  currency: { type: 'string', enum: CURRENCY_CODES, message: 'query.currency' }
+};
+
+const listFilters = {
+  ...pageQuery,
+  cursor: { type: 'string' },
+  sort: {
+    type: 'string',
+    enum: SORT_VALUES,
+    message: 'query.sort',
+    messageParams: { columns: SORTABLE_COLUMNS.join(', ') }
+  },
+  minPrice: { type: 'number', min: 0, message: 'query.nonNegative' },
+  maxPrice: { type: 'number', min: 0, message: 'query.nonNegative' },
+  inStock: { type: 'boolean', message: 'query.boolean' },
+  q: { type: 'string' },
+  category: { type: 'integer', min: 1, message: 'category.id' },
+  tag: { type: 'string' },
+  ...currencyQuery
+};
+
+// GET /products
+const listProducts = {
+  query: {
+    ...listFilters,
+    includeDeleted: { type: 'boolean', message: 'query.boolean' }
+  }
+};
+
+// GET /products/trash
+const listTrash = {
+  query: listFilters
+};
+
+// GET /products/search
+const searchProducts = {
+  query: {
+    ...pageQuery,
+    q: { type: 'string', required: true, message: 'query.qRequired' }
+  }
+};
+
+// GET /products/export - формат по умолчанию csv
+const exportProducts = {
+  query: {
+    format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) }
+  }
+};
+
+// POST /products/import - строки проверяются схемой createProduct
+const importProducts = {
+  query: {
+    dryRun: { type: 'boolean', message: 'query.boolean' }
+  }
+};
+
+// GET /products/:id, POST /products/:id/restore
+const productById = {
+  params: idParams
+};
+
+// DELETE /products/:id - в корзину, ?hard=true - окончательно (только администратор)
+const deleteProduct = {
+  params: idParams,
+  query: {
+    hard: { type: 'boolean', message: 'query.boolean' }
+  }
+};
+
+// POST /products
+const createProduct = {
+  body: {
+    ...productFields,
+    name: { ...productFields.name, required: true },
+    price: { ...productFields.price, required: true }
+  }
+};
+
+// PUT /products/:id - полная замена: отсутствующие необязательные поля
+// получают значения по умолчанию, как при создании
+const replaceProduct = {
+  params: idParams,
+  body: createProduct.body
+};
+
+// PATCH /products/:id - проверяется только ID, тело зависит от типа патча
+const patchProduct = {
+  params: idParams
+};
+
+// POST /products/bulk - пакет операций; mode по умолчанию atomic
+const bulkProducts = {
+  body: {
+    mode: { type: 'string', enum: BULK_MODES },
+    operations: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      maxLength: MAX_BULK_OPERATIONS,
+      message: 'bulk.operations'
+    }
+  }
+};
+
+// GET /products/:id/history
+const productHistory = {
+  params: idParams,
+  query: pageQuery
+};
+
+// GET /products/:id/prices - история цен, currency - пересчет по текущему курсу
+const productPrices = {
+  params: idParams,
+  query: {
+    ...pageQuery,
+    ...currencyQuery
+  }
+};
+
+// GET /audit - даты принимаются в ISO 8601, границы включаются
+const auditLog = {
+  query: {
+    ...pageQuery,
+    productId: { type: 'integer', min: 1, message: 'product.id' },
+    actor: { type: 'string' },
+    action: { type: 'string', enum: AUDIT_ACTIONS },
+    requestId: { type: 'string' },
+    from: { type: 'date', message: 'query.date' },
+    to: { type: 'date', message: 'query.date' }
+  }
+};
+
+// POST /products/:id/revert - вернуть поля товара к состоянию после записи журнала
+const revertProduct = {
+  params: idParams,
+  body: {
+    historyId: { type: 'integer', required: true, min: 1, message: 'audit.historyId' }
+  }
+};
+
+// POST /products/:id/stock/adjust - приход (delta > 0) или расход (delta < 0)
+const adjustStock = {
+  params: idParams,
+  body: {
+    delta: { type: 'integer', required: true, message: 'stock.delta' }
+  }
+};
+
+// POST /products/:id/reservations - резерв на expiresIn секунд
+const reserveStock = {
+  params: idParams,
+  body: {
+    quantity: { type: 'integer', required: true, min: 1, message: 'stock.quantity' },
+    expiresIn: {
+      type: 'integer',
+      min: 1,
+      max: MAX_RESERVATION_TTL,
+      message: 'stock.expiresIn',
+      messageParams: { max: MAX_RESERVATION_TTL }
+    }
+  }
+};
+
+// GET /reservations/:id, POST /reservations/:id/commit и /release
+const reservationById = {
+  params: {
+    id: { type: 'integer', required: true, min: 1, message: 'stock.reservationId' }
+  }
+};
+
+// PUT /products/:id/categories - замена категорий товара
+const setProductCategories = {
+  params: idParams,
+  body: {
+    categoryIds: {
+      type: 'array',
+      required: true,
+      maxLength: MAX_PRODUCT_LINKS,
+      message: 'category.ids',
+      messageParams: { max: MAX_PRODUCT_LINKS }
+    }
+  }
+};
+
+// PUT /products/:id/tags - замена тегов товара
+const setProductTags = {
+  params: idParams,
+  body: {
+    tags: {
+      type: 'array',
+      required: true,
+      maxLength: MAX_PRODUCT_LINKS,
+      message: 'tag.list',
+      messageParams: { max: MAX_PRODUCT_LINKS }
+    }
+  }
+};
+
+const categoryParams = {
+  id: { type: 'integer', required: true, min: 1, message: 'category.id' }
+};
+
+// Элемент categoryIds проверяется правилом ID категории
+const categoryId = categoryParams.id;
+
+const categoryFields = {
+  name: {
+    type: 'string',
+    required: true,
+    trim: true,
+    minLength: 1,
+    maxLength: MAX_CATEGORY_NAME_LENGTH,
+    message: 'category.name',
+    messageParams: { max: MAX_CATEGORY_NAME_LENGTH }
+  },
+  parentId: { type: 'integer', nullable: true, min: 1, message: 'category.parentId' }
+};
+
+// GET /categories - tree=true - дерево вместо плоского списка
+const listCategories = {
+  query: {
+    tree: { type: 'boolean', message: 'query.boolean' }
+  }
+};
+
+// POST /categories
+const createCategory = {
+  body: categoryFields
+};
+
+// GET /categories/:id, DELETE /categories/:id
+const categoryById = {
+  params: categoryParams
+};
+
+// PUT /categories/:id - отсутствующий parentId переносит категорию на верхний уровень
+const updateCategory = {
+  params: categoryParams,
+  body: categoryFields
+};
+
+const tagName = {
+  type: 'string',
+  required: true,
+  trim: true,
+  minLength: 1,
+  maxLength: MAX_TAG_LENGTH,
+  message: 'tag.name',
+  messageParams: { max: MAX_TAG_LENGTH }
+};
+
+const tagParams = {
+  id: { type: 'integer', required: true, min: 1, message: 'tag.id' }
+};
+
+// POST /tags
+const createTag = {
+  body: { name: tagName }
+};
+
+// PUT /tags/:id - переименование
+const renameTag = {
+  params: tagParams,
+  body: { name: tagName }
+};
+
+// DELETE /tags/:id
+const tagById = {
+  params: tagParams
+};
+
+// POST /products/:id/images, GET /products/:id/images - тело загрузки проверяется в маршруте
+const productImages = {
+  params: idParams
+};
+
+const imageParams = {
+  ...idParams,
+  imageId: { type: 'integer', required: true, min: 1, message: 'image.id' }
+};
+
+// GET /products/:id/images/:imageId - оригинал или уменьшенная копия (size)
+const getImage = {
+  params: imageParams,
+  query: {
+    size: { type: 'integer', min: 1, message: 'image.size' }
+  }
+};
+
+// DELETE /products/:id/images/:imageId
+const deleteImage = {
+  params: imageParams
+};
+
+// Операция пакета; data проверяется схемой createProduct, как в POST и PUT
+const bulkOperation = {
+  op: { type: 'string', required: true, enum: BULK_OPERATIONS },
+  id: { ...idParams.id, required: false },
+  version: { type: 'integer', min: 1, message: 'bulk.version' },
+  data: { type: 'object', message: 'bulk.data' }
+};
+
+// Товар после применения патча: все поля должны присутствовать,
+// null допустим только для description
+const patchedProduct = {
+  ...productFields,
+  name: { ...productFields.name, required: true },
+  price: { ...productFields.price, required: true },
+  currency: { ...productFields.currency, required: true },
+  quantity: { ...productFields.quantity, required: true }
+};
+
+module.exports = {
+  BULK_MODES,
+  MAX_BULK_OPERATIONS,
+  listProducts,
+  listTrash,
+  searchProducts,
+  exportProducts,
+  importProducts,
+  productById,
+  deleteProduct,
+  createProduct,
+  replaceProduct,
+  patchProduct,
+  patchedProduct,
+  bulkProducts,
+  bulkOperation,
+  productHistory,
+  productPrices,
+  auditLog,
+  revertProduct,
+  adjustStock,
+  reserveStock,
+  reservationById,
+  setProductCategories,
+  setProductTags,
+  categoryId,
+  tagName,
+  listCategories,
+  createCategory,
+  categoryById,
+  updateCategory,
+  createTag,
+  renameTag,
+  tagById,
+  productImages,
+  getImage,
+  deleteImage
+};
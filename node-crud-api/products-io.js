@@ -0,0 +1,202 @@
+/**
+ * Экспорт и импорт каталога товаров: CSV (RFC 4180), NDJSON и JSON
+ *
+ * Экспорт сериализует строки по одной, поэтому таблица целиком в памяти не держится.
+ * CSV рассчитан на электронные таблицы: текстовые значения, начинающиеся
+ * с =, +, -, @, табуляции или возврата каретки, предваряются апострофом, чтобы не выполнялись
+ * как формулы. Импорт CSV снимает этот апостроф, так что выгруженный файл загружается без изменений.
+ * Цена выгружается в основных единицах вместе с валютой - в том виде, в каком ее принимает импорт.
+ */
+
+const { withPrice } = require('./currency');
+
+const EXPORT_COLUMNS = ['id', 'name', 'description', 'price', 'currency', 'quantity', 'version', 'created_at', 'updated_at'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Типы тела POST /products/import
+const CSV_TYPE = 'text/csv';
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+const IMPORT_MEDIA_TYPES = [CSV_TYPE, ...NDJSON_TYPES];
+
+// Первые символы, с которых электронные таблицы начинают формулу; апострофы перед ними
+// тоже учитываются, чтобы текст, уже начинающийся с апострофа, пережил выгрузку и загрузку
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// Значение колонки экспорта: даты PostgreSQL приводятся к ISO 8601
+function exportValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Поле CSV: обезвреживание формул и экранирование кавычками по RFC 4180
+ * @param {*} value - Значение
+ * @returns {string} - Поле CSV
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Значение поля CSV при импорте: снимается апостроф, которым formatCsvField обезвреживает формулу
+ * @param {string} text - Разобранное поле
+ * @returns {string} - Исходное значение
+ */
+function parseCsvField(text) {
+  return text[0] === "'" && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Сериализация товаров в выбранный формат по одной строке
+ * @param {AsyncIterable<Object>} rows - Записи товаров
+ * @param {string} format - 'csv' | 'ndjson' | 'json'
+ * @returns {AsyncGenerator<string>} - Фрагменты ответа
+ */
+async function* serializeProducts(rows, format) {
+  const pick = (row) => {
+    const product = withPrice(row);
+    return Object.fromEntries(EXPORT_COLUMNS.map(column => [column, exportValue(product[column])]));
+  };
+
+  if (format === 'csv') {
+    yield `${EXPORT_COLUMNS.join(',')}\r\n`;
+    for await (const row of rows) {
+      const product = pick(row);
+      yield `${EXPORT_COLUMNS.map(column => formatCsvField(product[column])).join(',')}\r\n`;
+    }
+  } else if (format === 'ndjson') {
+    for await (const row of rows) {
+      yield `${JSON.stringify(pick(row))}\n`;
+    }
+  } else {
+    let first = true;
+    yield '[';
+    for await (const row of rows) {
+      yield `${first ? '\n' : ',\n'}${JSON.stringify(pick(row))}`;
+      first = false;
+    }
+    yield '\n]\n';
+  }
+}
+
+/**
+ * Разбор CSV (RFC 4180): поля в кавычках могут содержать запятые, кавычки и переводы строк
+ * Пустые строки пропускаются, BOM в начале файла отбрасывается
+ * @param {string} text - Содержимое файла
+ * @returns {Array} - Записи { line, values } или { line, error } для незакрытой кавычки,
+ *   line - номер строки файла, с которой начинается запись
+ */
+function parseCsv(text) {
+  const records = [];
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+    fieldStarted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // Пустая строка файла - не запись
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) {
+    records.push({ line: recordLine, error: 'import.quote' });
+  } else if (fieldStarted || values.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Разбор NDJSON: каждая непустая строка - JSON-объект
+ * @param {string} text - Содержимое файла
+ * @returns {Array} - Записи { line, value } или { line, error } для некорректной строки
+ */
+function parseNdjson(text) {
+  const records = [];
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') {
+      return;
+    }
+    const line = index + 1;
+    try {
+      const value = JSON.parse(content);
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        records.push({ line, error: 'import.json' });
+      } else {
+        records.push({ line, value });
+      }
+    } catch (err) {
+      records.push({ line, error: 'import.json' });
+    }
+  });
+  return records;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  CSV_TYPE,
+  NDJSON_TYPES,
+  IMPORT_MEDIA_TYPES,
+  formatCsvField,
+  parseCsvField,
+  serializeProducts,
+  parseCsv,
+  parseNdjson
+};
@@ -0,0 +1,107 @@
+const { formatCsvField, parseCsvField, serializeProducts, parseCsv, parseNdjson } = require('./products-io');
+
+// Сбор фрагментов асинхронного генератора в строку
+const collect = async (chunks) => {
+  let text = '';
+  for await (const chunk of chunks) {
+    text += chunk;
+  }
+  return text;
+};
+
+async function* rowsOf(rows) {
+  yield* rows;
+}
+
+describe('Экспорт и импорт товаров', () => {
+  describe('formatCsvField', () => {
+    it('должен экранировать кавычки, запятые и переводы строк', () => {
+      expect(formatCsvField('просто текст')).toBe('просто текст');
+      expect(formatCsvField('a, "b"')).toBe('"a, ""b"""');
+      expect(formatCsvField('две\nстроки')).toBe('"две\nстроки"');
+      expect(formatCsvField(null)).toBe('');
+      expect(formatCsvField(12.5)).toBe('12.5');
+    });
+
+    it('должен обезвреживать формулы в текстовых значениях', () => {
+      expect(formatCsvField('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+      expect(formatCsvField('+1')).toBe("'+1");
+      expect(formatCsvField('-1')).toBe("'-1");
+      expect(formatCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(formatCsvField('\t=1+1')).toBe("'\t=1+1");
+      expect(formatCsvField('\r=1+1')).toBe('"\'\r=1+1"');
+      expect(formatCsvField("'=уже с апострофом")).toBe("''=уже с апострофом");
+      expect(formatCsvField("'просто апостроф")).toBe("'просто апостроф");
+      // Числа не являются формулами
+      expect(formatCsvField(-1)).toBe('-1');
+    });
+  });
+
+  describe('parseCsvField', () => {
+    it('должен возвращать выгруженные значения без изменений', () => {
+      const values = ['=SUM(A1:A2)', '+1', '-1', '@x', '\tтаб', '\rвозврат', "'=SUM(A1)", "'текст", 'текст', ''];
+      const [{ values: parsed }] = parseCsv(values.map(formatCsvField).join(','));
+
+      expect(parsed.map(parseCsvField)).toEqual(values);
+    });
+  });
+
+  describe('serializeProducts', () => {
+    const rows = [
+      { id: 1, name: 'Ноутбук', description: 'a, b', price_minor: 129999, currency: 'USD', quantity: 1, version: 1, created_at: '2024-01-01 00:00:00', updated_at: null },
+      { id: 2, name: 'Мышь', description: '', price_minor: 500, currency: 'JPY', quantity: 0, version: 2, created_at: new Date('2024-01-02T00:00:00Z'), updated_at: null }
+    ];
+
+    it('должен формировать CSV с заголовком', async () => {
+      const csv = await collect(serializeProducts(rowsOf(rows), 'csv'));
+      expect(csv.split('\r\n')).toEqual([
+        'id,name,description,price,currency,quantity,version,created_at,updated_at',
+        '1,Ноутбук,"a, b",1299.99,USD,1,1,2024-01-01 00:00:00,',
+        '2,Мышь,,500,JPY,0,2,2024-01-02T00:00:00.000Z,',
+        ''
+      ]);
+    });
+
+    it('должен формировать NDJSON и JSON', async () => {
+      const ndjson = await collect(serializeProducts(rowsOf(rows), 'ndjson'));
+      expect(ndjson.trim().split('\n').map(line => JSON.parse(line).id)).toEqual([1, 2]);
+
+      const json = JSON.parse(await collect(serializeProducts(rowsOf(rows), 'json')));
+      expect(json.map(product => product.name)).toEqual(['Ноутбук', 'Мышь']);
+      expect(JSON.parse(await collect(serializeProducts(rowsOf([]), 'json')))).toEqual([]);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('должен разбирать поля в кавычках и запоминать номер строки записи', () => {
+      const records = parseCsv('\uFEFFname,price\r\n"Стол, большой",10\n\n"Две\nстроки ""цитата""",5\nСтул,3');
+      expect(records).toEqual([
+        { line: 1, values: ['name', 'price'] },
+        { line: 2, values: ['Стол, большой', '10'] },
+        { line: 4, values: ['Две\nстроки "цитата"', '5'] },
+        { line: 6, values: ['Стул', '3'] }
+      ]);
+    });
+
+    it('должен сохранять пустые значения', () => {
+      expect(parseCsv('a,,\n')).toEqual([{ line: 1, values: ['a', '', ''] }]);
+    });
+
+    it('должен сообщать о незакрытой кавычке', () => {
+      expect(parseCsv('name,price\n"Стол,10\n')).toEqual([
+        { line: 1, values: ['name', 'price'] },
+        { line: 2, error: 'import.quote' }
+      ]);
+    });
+  });
+
+  describe('parseNdjson', () => {
+    it('должен разбирать объекты и отмечать некорректные строки', () => {
+      expect(parseNdjson('{"name":"Стол"}\n\n[1]\n{oops\n')).toEqual([
+        { line: 1, value: { name: 'Стол' } },
+        { line: 3, error: 'import.json' },
+        { line: 4, error: 'import.json' }
+      ]);
+    });
+  });
+});
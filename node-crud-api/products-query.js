@@ -0,0 +1,422 @@
+/**
+ * Разбор параметров списка товаров и построение параметризованного SQL
+ * Поддерживает limit/offset, курсорную пагинацию, сортировку, фильтры
+ * и полнотекстовый поиск по индексу FTS5
+ */
+
+const { translate, DEFAULT_LOCALE } = require('./validation-messages');
+const { normalizeTag } = require('./taxonomy');
+const { majorUnitsSql, fromMinorUnits } = require('./currency');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_SORT = '-created_at';
+
+// Колонки, по которым разрешена сортировка
+const SORTABLE_COLUMNS = ['name', 'price', 'quantity', 'created_at'];
+
+// Цена хранится в минимальных единицах валюты (см. currency.js): сортировка,
+// фильтры и курсор используют цену в основных единицах без пересчета по курсу
+const PRICE_SQL = majorUnitsSql();
+const sortExpression = column => (column === 'price' ? PRICE_SQL : column);
+
+/**
+ * Ошибка в параметрах запроса
+ * Текст формируется в локали по умолчанию; key и params позволяют
+ * перевести сообщение на язык запроса
+ */
+class QueryError extends Error {
+  /**
+   * @param {string} key - Код сообщения (см. validation-messages.js)
+   * @param {Object} params - Подстановки, params.field - имя параметра
+   */
+  constructor(key, params = {}) {
+    super(translate(DEFAULT_LOCALE, key, params));
+    this.name = 'QueryError';
+    this.key = key;
+    this.params = params;
+    this.field = params.field || null;
+  }
+}
+
+/**
+ * Получение строкового параметра запроса
+ * Повторяющиеся параметры (?limit=1&limit=2) не допускаются
+ */
+function getParam(query, name) {
+  const value = query[name];
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string') {
+    throw new QueryError('query.repeated', { field: name });
+  }
+  return value;
+}
+
+function parseInteger(query, name, { min, max, defaultValue }) {
+  const raw = getParam(query, name);
+  if (raw === undefined) {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || (max !== undefined && value > max)) {
+    const key = max !== undefined ? 'query.integerRange' : 'query.integerMin';
+    throw new QueryError(key, { field: name, min, max });
+  }
+  return value;
+}
+
+function parseNumber(query, name) {
+  const raw = getParam(query, name);
+  if (raw === undefined) {
+    return undefined;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new QueryError('query.nonNegative', { field: name });
+  }
+  return value;
+}
+
+function parseBoolean(query, name) {
+  const raw = getParam(query, name);
+  if (raw === undefined) {
+    return undefined;
+  }
+  if (raw === 'true' || raw === '1') {
+    return true;
+  }
+  if (raw === 'false' || raw === '0') {
+    return false;
+  }
+  throw new QueryError('query.boolean', { field: name });
+}
+
+/**
+ * Разбор сортировки вида 'price' (по возрастанию) или '-price' (по убыванию)
+ */
+function parseSort(query) {
+  const raw = getParam(query, 'sort') || DEFAULT_SORT;
+  const direction = raw.startsWith('-') ? 'DESC' : 'ASC';
+  const column = raw.replace(/^[-+]/, '');
+
+  if (!SORTABLE_COLUMNS.includes(column)) {
+    throw new QueryError('query.sort', { field: 'sort', columns: SORTABLE_COLUMNS.join(', ') });
+  }
+  return { column, direction, value: direction === 'DESC' ? `-${column}` : column };
+}
+
+/**
+ * Кодирование курсора: позиция последней записи страницы в текущей сортировке
+ * @param {Object} sort - Сортировка
+ * @param {Object} row - Последняя запись страницы
+ * @returns {string} - Курсор в base64url
+ */
+function encodeCursor(sort, row) {
+  const value = sort.column === 'price' ? fromMinorUnits(row.price_minor, row.currency) : row[sort.column];
+  const payload = { sort: sort.value, value, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(raw, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new QueryError('query.cursor', { field: 'cursor' });
+  }
+
+  if (!payload || typeof payload !== 'object' || !Number.isInteger(payload.id) || !('value' in payload)) {
+    throw new QueryError('query.cursor', { field: 'cursor' });
+  }
+  if (payload.sort !== sort.value) {
+    throw new QueryError('query.cursorSort', { field: 'cursor' });
+  }
+  return payload;
+}
+
+/**
+ * Разбор параметров GET /products
+ * @param {Object} query - req.query
+ * @returns {Object} - { limit, offset, cursor, sort, filters }
+ * @throws {QueryError} - При некорректных параметрах
+ */
+function parseListQuery(query = {}) {
+  const limit = parseInteger(query, 'limit', { min: 1, max: MAX_LIMIT, defaultValue: DEFAULT_LIMIT });
+  const offset = parseInteger(query, 'offset', { min: 0, defaultValue: 0 });
+  const sort = parseSort(query);
+
+  const rawCursor = getParam(query, 'cursor');
+  if (rawCursor !== undefined && offset > 0) {
+    throw new QueryError('query.cursorOffset', { field: 'cursor' });
+  }
+  const cursor = rawCursor !== undefined ? decodeCursor(rawCursor, sort) : null;
+
+  const filters = {
+    minPrice: parseNumber(query, 'minPrice'),
+    maxPrice: parseNumber(query, 'maxPrice'),
+    inStock: parseBoolean(query, 'inStock'),
+    q: getParam(query, 'q'),
+    // ID категории; маршрут дополняет фильтр ID ее подкатегорий (categoryIds)
+    category: parseInteger(query, 'category', { min: 1 }),
+    tag: getParam(query, 'tag') !== undefined ? normalizeTag(getParam(query, 'tag')) : undefined,
+    // Удаленные в корзину товары: exclude (по умолчанию), include или only
+    deleted: parseBoolean(query, 'includeDeleted') ? 'include' : 'exclude'
+  };
+
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    throw new QueryError('query.priceRange', { field: 'minPrice' });
+  }
+
+  return { limit, offset, cursor, sort, filters };
+}
+
+/**
+ * Экранирование спецсимволов LIKE
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Условие поиска подстроки без учета регистра
+ * В PostgreSQL используется strpos: ESCAPE в LIKE поддерживается не везде,
+ * а strpos не интерпретирует спецсимволы
+ */
+function containsCondition(dialect, column) {
+  if (dialect === 'postgres') {
+    return `strpos(lower(COALESCE(${column}, '')), lower(?)) > 0`;
+  }
+  return `${column} LIKE ? ESCAPE '\\'`;
+}
+
+function containsParam(dialect, text) {
+  return dialect === 'postgres' ? text : `%${escapeLike(text)}%`;
+}
+
+/**
+ * Построение условий WHERE для фильтров
+ * @param {Object} filters - Фильтры из parseListQuery
+ * @param {string} dialect - 'sqlite' или 'postgres'
+ * @returns {Object} - { conditions, params }
+ */
+function buildFilterConditions(filters, dialect) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.deleted === 'only') {
+    conditions.push('deleted_at IS NOT NULL');
+  } else if (filters.deleted !== 'include') {
+    conditions.push('deleted_at IS NULL');
+  }
+  if (filters.minPrice !== undefined) {
+    conditions.push(`${PRICE_SQL} >= ?`);
+    params.push(filters.minPrice);
+  }
+  if (filters.maxPrice !== undefined) {
+    conditions.push(`${PRICE_SQL} <= ?`);
+    params.push(filters.maxPrice);
+  }
+  if (filters.inStock !== undefined) {
+    conditions.push(filters.inStock ? 'quantity > 0' : 'quantity <= 0');
+  }
+  if (filters.q !== undefined) {
+    const param = containsParam(dialect, filters.q);
+    conditions.push(`(${containsCondition(dialect, 'name')} OR ${containsCondition(dialect, 'description')})`);
+    params.push(param, param);
+  }
+  if (filters.category !== undefined) {
+    const ids = filters.categoryIds || [filters.category];
+    conditions.push(`id IN (SELECT product_id FROM product_categories WHERE category_id IN (${ids.map(() => '?').join(', ')}))`);
+    params.push(...ids);
+  }
+  if (filters.tag !== undefined) {
+    conditions.push('id IN (SELECT pt.product_id FROM product_tags pt JOIN tags t ON t.id = pt.tag_id WHERE t.name = ?)');
+    params.push(filters.tag);
+  }
+
+  return { conditions, params };
+}
+
+function whereClause(conditions) {
+  return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Построение SQL для подсчета и выборки страницы
+ * Имя колонки сортировки берется только из белого списка,
+ * все значения передаются через параметры-плейсхолдеры '?'
+ * @param {Object} options - Результат parseListQuery
+ * @param {string} dialect - 'sqlite' (по умолчанию) или 'postgres'
+ * @returns {Object} - { countSql, countParams, sql, params }
+ */
+function buildListQuery({ limit, offset, cursor, sort, filters }, dialect = 'sqlite') {
+  const { conditions, params } = buildFilterConditions(filters, dialect);
+  const countSql = `SELECT COUNT(*) AS total FROM products${whereClause(conditions)}`;
+  const countParams = [...params];
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+
+  if (cursor) {
+    // Keyset-пагинация: следующая страница начинается строго после курсора,
+    // id используется для однозначного порядка при равных значениях
+    const op = sort.direction === 'DESC' ? '<' : '>';
+    const column = sortExpression(sort.column);
+    pageConditions.push(`(${column} ${op} ? OR (${column} = ? AND id ${op} ?))`);
+    pageParams.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  // Запрашиваем на одну запись больше, чтобы узнать, есть ли следующая страница
+  const sql = `SELECT * FROM products${whereClause(pageConditions)}
+               ORDER BY ${sortExpression(sort.column)} ${sort.direction}, id ${sort.direction}
+               LIMIT ? OFFSET ?`;
+  pageParams.push(limit + 1, cursor ? 0 : offset);
+
+  return { countSql, countParams, sql, params: pageParams };
+}
+
+// Маркеры подсветки в snippet(): управляющие символы не затрагиваются
+// escapeHtml и заменяются на теги только после экранирования
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+/**
+ * Разбиение поисковой строки на слова (не более 10)
+ * @param {string} text - Поисковая строка
+ * @returns {Array} - Слова
+ */
+function toSearchTerms(text) {
+  return (text.match(/[\p{L}\p{N}]+/gu) || []).slice(0, 10);
+}
+
+/**
+ * Преобразование слов в запрос FTS5
+ * Каждое слово берется в кавычки и ищется по префиксу, поэтому операторы
+ * и спецсимволы синтаксиса FTS5 во вводе не интерпретируются
+ * @param {Array} terms - Слова
+ * @returns {string} - Запрос MATCH
+ */
+function toFtsQuery(terms) {
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * Разбор параметров GET /products/search
+ * @param {Object} query - req.query
+ * @returns {Object} - { terms, match, limit, offset }
+ * @throws {QueryError} - При некорректных параметрах
+ */
+function parseSearchQuery(query = {}) {
+  const q = getParam(query, 'q');
+  if (q === undefined) {
+    throw new QueryError('query.qRequired', { field: 'q' });
+  }
+
+  const terms = toSearchTerms(q);
+  if (terms.length === 0) {
+    throw new QueryError('query.qWords', { field: 'q' });
+  }
+
+  return {
+    terms,
+    match: toFtsQuery(terms),
+    limit: parseInteger(query, 'limit', { min: 1, max: MAX_LIMIT, defaultValue: DEFAULT_LIMIT }),
+    offset: parseInteger(query, 'offset', { min: 0, defaultValue: 0 })
+  };
+}
+
+/**
+ * Построение SQL полнотекстового поиска
+ * SQLite: индекс FTS5, ранжирование по bm25 (совпадение в названии весит больше,
+ * чем в описании), фрагменты с подсветкой строит snippet().
+ * PostgreSQL: каждое слово ищется как подстрока в названии или описании,
+ * выше ранжируются товары, у которых все слова есть в названии;
+ * фрагменты строятся на стороне приложения функцией highlightTerms
+ * @param {Object} options - Результат parseSearchQuery
+ * @param {string} dialect - 'sqlite' (по умолчанию) или 'postgres'
+ * @returns {Object} - { countSql, countParams, sql, params }
+ */
+function buildSearchQuery({ terms, match, limit, offset }, dialect = 'sqlite') {
+  if (dialect === 'postgres') {
+    return buildPostgresSearchQuery({ terms, limit, offset });
+  }
+
+  // Товары из корзины в поиск не попадают
+  const countSql = `SELECT COUNT(*) AS total
+                    FROM products_fts
+                    JOIN products p ON p.id = products_fts.rowid
+                    WHERE products_fts MATCH ? AND p.deleted_at IS NULL`;
+  const sql = `SELECT p.*,
+                 bm25(products_fts, 10.0, 1.0) AS rank,
+                 snippet(products_fts, 0, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 10) AS name_snippet,
+                 snippet(products_fts, 1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', 16) AS description_snippet
+               FROM products_fts
+               JOIN products p ON p.id = products_fts.rowid
+               WHERE products_fts MATCH ? AND p.deleted_at IS NULL
+               ORDER BY rank, p.id
+               LIMIT ? OFFSET ?`;
+
+  return {
+    countSql,
+    countParams: [match],
+    sql,
+    params: [match, limit, offset]
+  };
+}
+
+function buildPostgresSearchQuery({ terms, limit, offset }) {
+  const inName = terms.map(() => containsCondition('postgres', 'name'));
+  const matches = terms.map(() => `(${containsCondition('postgres', 'name')} OR ${containsCondition('postgres', 'description')})`);
+  const where = ` WHERE deleted_at IS NULL AND ${matches.join(' AND ')}`;
+  const whereParams = terms.flatMap(term => [term, term]);
+
+  return {
+    countSql: `SELECT COUNT(*) AS total FROM products${where}`,
+    countParams: whereParams,
+    sql: `SELECT *, CASE WHEN ${inName.join(' AND ')} THEN 0 ELSE 1 END AS rank
+          FROM products${where}
+          ORDER BY rank, id
+          LIMIT ? OFFSET ?`,
+    params: [...terms, ...whereParams, limit, offset]
+  };
+}
+
+/**
+ * Подсветка слов, начинающихся с поисковых слов, маркерами HIGHLIGHT_*
+ * (как snippet() в FTS5, слово подсвечивается целиком).
+ * Используется там, где нет snippet() из FTS5
+ * @param {string} text - Текст
+ * @param {Array} terms - Поисковые слова
+ * @returns {string} - Текст с маркерами
+ */
+function highlightTerms(text, terms) {
+  if (!text) {
+    return '';
+  }
+  const lowerTerms = terms.map(term => term.toLowerCase());
+  return String(text).replace(/[\p{L}\p{N}]+/gu, (word) => {
+    const lowerWord = word.toLowerCase();
+    return lowerTerms.some(term => lowerWord.startsWith(term))
+      ? `${HIGHLIGHT_START}${word}${HIGHLIGHT_END}`
+      : word;
+  });
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORTABLE_COLUMNS,
+  QueryError,
+  parseListQuery,
+  buildListQuery,
+  encodeCursor,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  parseSearchQuery,
+  buildSearchQuery,
+  highlightTerms
+};
@@ -0,0 +1,295 @@
+const MemoryBank = require('./memory-bank');
+const { translate, resolveLocale } = require('./validation-messages');
+
+/**
+ * Ограничение частоты запросов со счетчиками в Memory Bank
+ *
+ * Алгоритмы:
+ *   fixed-window   - не более limit запросов в каждом окне windowMs
+ *   sliding-window - счетчик текущего окна плюс доля счетчика предыдущего,
+ *                    пропорциональная еще не истекшей части скользящего окна
+ *   token-bucket   - корзина на limit токенов, пополняемая равномерно за windowMs
+ *
+ * Чтение (GET, HEAD) и изменение ограничиваются раздельно. Ответы содержат заголовки
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset и RateLimit-Policy
+ * (draft-ietf-httpapi-ratelimit-headers), отказ - 429 с Retry-After.
+ *
+ * Неудачные попытки аутентификации считаются отдельно по адресу клиента
+ * (failureGuard, recordFailure), чтобы подбор ключей и токенов не доходил до базы.
+ */
+
+const ALGORITHMS = ['fixed-window', 'sliding-window', 'token-bucket'];
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Части ключа счетчика
+ *   ip     - адрес клиента (req.ip)
+ *   apiKey - аутентифицированный клиент (API-ключ или субъект JWT), без учетных данных - адрес
+ *   route  - метод и шаблон маршрута (путь запроса, если лимит подключен до маршрутизации)
+ */
+const KEY_PARTS = {
+  ip: req => `ip:${req.ip}`,
+  apiKey: req => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  route: req => `route:${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`
+};
+
+/**
+ * Состояние счетчика после запроса: { allowed, remaining, resetMs, retryMs }
+ * Каждый алгоритм сам читает и сохраняет свои записи в store
+ */
+const algorithms = {
+  'fixed-window'(store, key, { limit, windowMs }, now) {
+    const windowEnd = (Math.floor(now / windowMs) + 1) * windowMs;
+    const windowKey = `${key}:${windowEnd}`;
+    const count = store.get(windowKey) || 0;
+    const resetMs = windowEnd - now;
+
+    if (count >= limit) {
+      return { allowed: false, remaining: 0, resetMs, retryMs: resetMs };
+    }
+    store.set(windowKey, count + 1, resetMs);
+    return { allowed: true, remaining: limit - count - 1, resetMs, retryMs: 0 };
+  },
+
+  'sliding-window'(store, key, { limit, windowMs }, now) {
+    const index = Math.floor(now / windowMs);
+    const elapsed = now - index * windowMs;
+    const current = store.get(`${key}:${index}`) || 0;
+    const previous = store.get(`${key}:${index - 1}`) || 0;
+    const weight = (windowMs - elapsed) / windowMs;
+    const estimate = previous * weight + current;
+
+    if (estimate + 1 > limit) {
+      let retryMs;
+      if (current + 1 <= limit) {
+        // Хватит того, что доля предыдущего окна уменьшится
+        retryMs = windowMs * (1 - (limit - current - 1) / previous) - elapsed;
+      } else {
+        // Текущее окно станет предыдущим: ждем его конца и уменьшения его доли
+        retryMs = (windowMs - elapsed) + windowMs * (1 - (limit - 1) / current);
+      }
+      retryMs = Math.max(1, Math.ceil(retryMs));
+      return { allowed: false, remaining: 0, resetMs: retryMs, retryMs };
+    }
+
+    // Запись нужна до конца следующего окна, где она станет предыдущей
+    store.set(`${key}:${index}`, current + 1, 2 * windowMs - elapsed);
+    return {
+      allowed: true,
+      remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+      resetMs: windowMs - elapsed,
+      retryMs: 0
+    };
+  },
+
+  'token-bucket'(store, key, { limit, windowMs }, now) {
+    const rate = limit / windowMs;
+    const bucket = store.get(key);
+    const tokens = bucket
+      ? Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * rate)
+      : limit;
+
+    if (tokens < 1) {
+      const retryMs = Math.ceil((1 - tokens) / rate);
+      return { allowed: false, remaining: 0, resetMs: retryMs, retryMs };
+    }
+    const left = tokens - 1;
+    // Полная корзина равносильна отсутствию записи
+    const fullMs = Math.ceil((limit - left) / rate);
+    store.set(key, { tokens: left, updatedAt: now }, fullMs);
+    return { allowed: true, remaining: Math.floor(left), resetMs: fullMs, retryMs: 0 };
+  }
+};
+
+class RateLimiter {
+  /**
+   * @param {Object} options - Настройки
+   * @param {string} options.algorithm - Алгоритм: 'fixed-window' (по умолчанию),
+   *   'sliding-window' или 'token-bucket'
+   * @param {Object} options.limits - Лимиты { read, write }: { limit, windowMs } или null - без ограничения
+   * @param {string|Array|Function} options.keyBy - Части ключа (ip, apiKey, route) или функция (req) => ключ;
+   *   по умолчанию 'apiKey'
+   * @param {number} options.maxKeys - Максимальное количество счетчиков в памяти
+   * @param {MemoryBank} options.store - Хранилище счетчиков (по умолчанию собственный MemoryBank)
+   */
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || 'fixed-window';
+    if (!ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Неизвестный алгоритм ограничения: ${this.algorithm}. Доступны: ${ALGORITHMS.join(', ')}`);
+    }
+    this.limits = normalizeLimits(options.limits);
+    this.keyBy = createKeyGenerator(options.keyBy || 'apiKey');
+
+    // При нехватке места вытесняются давно не обновлявшиеся счетчики
+    this.store = options.store || new MemoryBank({
+      maxSize: options.maxKeys || 10000,
+      evictionPolicy: 'lru',
+      autoCleanup: true,
+      cleanupInterval: 60000
+    });
+  }
+
+  /**
+   * Учет запроса
+   * @param {string} key - Ключ клиента
+   * @param {Object} rule - { limit, windowMs }
+   * @param {number} now - Текущее время в миллисекундах
+   * @returns {Object} - { allowed, limit, remaining, resetMs, retryMs }
+   */
+  consume(key, rule, now = Date.now()) {
+    const state = algorithms[this.algorithm](this.store, key, rule, now);
+    return { limit: rule.limit, ...state };
+  }
+
+  /**
+   * Проверка счетчика без учета запроса
+   * Алгоритмы сохраняют состояние только при допуске, поэтому без записи в store ничего не меняется
+   * @param {string} key - Ключ клиента
+   * @param {Object} rule - { limit, windowMs }
+   * @param {number} now - Текущее время в миллисекундах
+   * @returns {Object} - { allowed, limit, remaining, resetMs, retryMs }
+   */
+  check(key, rule, now = Date.now()) {
+    const readOnly = { get: storeKey => this.store.get(storeKey), set: () => {} };
+    const state = algorithms[this.algorithm](readOnly, key, rule, now);
+    return { limit: rule.limit, ...state };
+  }
+
+  /**
+   * Express middleware
+   * Несколько middleware одного экземпляра ведут общие счетчики, если не задан scope
+   * @param {Object} overrides - Лимиты ({ limits }), ключ ({ keyBy }) и пространство счетчиков ({ scope })
+   *   для отдельного маршрута
+   * @returns {Function} - Express middleware
+   */
+  middleware(overrides = {}) {
+    const limits = overrides.limits ? normalizeLimits(overrides.limits) : this.limits;
+    const keyBy = overrides.keyBy ? createKeyGenerator(overrides.keyBy) : this.keyBy;
+    const scope = overrides.scope || 'global';
+
+    return (req, res, next) => {
+      const kind = READ_METHODS.includes(req.method) ? 'read' : 'write';
+      const rule = limits[kind];
+      if (!rule) {
+        return next();
+      }
+
+      const state = this.consume(`rate:${scope}:${kind}:${keyBy(req)}`, rule);
+      setHeaders(res, rule, state);
+      if (!state.allowed) {
+        return sendLimited(req, res, state);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Express middleware ограничения неудачных попыток аутентификации
+   * Подключается до аутентификации: адрес, исчерпавший лимит неудач, получает 429,
+   * не доходя до проверки ключа или токена. Лимиты те же, что у middleware(), счетчики отдельные
+   * @returns {Function} - Express middleware
+   */
+  failureGuard() {
+    return (req, res, next) => {
+      const { key, rule } = this._failureCounter(req);
+      const state = rule ? this.check(key, rule) : { allowed: true };
+      if (!state.allowed) {
+        setHeaders(res, rule, state);
+        return sendLimited(req, res, state);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Учет неудачной попытки аутентификации (см. failureGuard)
+   * @param {Object} req - Запрос Express
+   */
+  recordFailure(req) {
+    const { key, rule } = this._failureCounter(req);
+    if (rule) {
+      this.consume(key, rule);
+    }
+  }
+
+  // Счетчик неудач адреса клиента для вида запроса
+  _failureCounter(req) {
+    const kind = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    return { key: `rate:auth:${kind}:${KEY_PARTS.ip(req)}`, rule: this.limits[kind] };
+  }
+
+  /**
+   * Сброс всех счетчиков
+   */
+  reset() {
+    this.store.clear();
+  }
+
+  /**
+   * Остановка фоновой очистки счетчиков
+   */
+  close() {
+    this.store.close();
+  }
+}
+
+// Заголовки RateLimit-* по состоянию счетчика
+function setHeaders(res, rule, state) {
+  res.set({
+    'RateLimit-Limit': String(state.limit),
+    'RateLimit-Remaining': String(state.remaining),
+    'RateLimit-Reset': String(Math.ceil(state.resetMs / 1000)),
+    'RateLimit-Policy': `${rule.limit};w=${Math.ceil(rule.windowMs / 1000)}`
+  });
+}
+
+// Отказ 429 с Retry-After
+function sendLimited(req, res, state) {
+  const seconds = Math.max(1, Math.ceil(state.retryMs / 1000));
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: translate(resolveLocale(req), 'rateLimit.exceeded', { seconds }),
+    code: 'TOO_MANY_REQUESTS'
+  });
+}
+
+/**
+ * @param {Object} limits - { read, write }
+ * @returns {Object} - Лимиты с проверенными значениями; отсутствующий или нулевой лимит - null
+ */
+function normalizeLimits(limits = {}) {
+  const normalized = {};
+  ['read', 'write'].forEach(kind => {
+    const rule = limits[kind];
+    if (!rule || rule.limit === 0) {
+      normalized[kind] = null;
+      return;
+    }
+    if (!(Number.isInteger(rule.limit) && rule.limit > 0) || !(rule.windowMs > 0)) {
+      throw new Error(`Некорректный лимит ${kind}: нужны целый limit > 0 и windowMs > 0`);
+    }
+    normalized[kind] = { limit: rule.limit, windowMs: rule.windowMs };
+  });
+  return normalized;
+}
+
+/**
+ * @param {string|Array|Function} keyBy - Части ключа или функция
+ * @returns {Function} - (req) => ключ клиента
+ */
+function createKeyGenerator(keyBy) {
+  if (typeof keyBy === 'function') {
+    return keyBy;
+  }
+  const parts = [].concat(keyBy);
+  parts.forEach(part => {
+    if (!KEY_PARTS[part]) {
+      throw new Error(`Неизвестная часть ключа ограничения: ${part}. Доступны: ${Object.keys(KEY_PARTS).join(', ')}`);
+    }
+  });
+  return req => parts.map(part => KEY_PARTS[part](req)).join('|');
+}
+
+module.exports = RateLimiter;
+module.exports.RateLimiter = RateLimiter;
+module.exports.ALGORITHMS = ALGORITHMS;
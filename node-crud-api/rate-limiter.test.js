@@ -0,0 +1,196 @@
+const express = require('express');
+const request = require('supertest');
+const RateLimiter = require('./rate-limiter');
+
+describe('RateLimiter', () => {
+  const limiters = [];
+  const createLimiter = (options) => {
+    const limiter = new RateLimiter(options);
+    limiters.push(limiter);
+    return limiter;
+  };
+
+  afterAll(() => {
+    limiters.forEach(limiter => limiter.close());
+  });
+
+  const rule = { limit: 3, windowMs: 1000 };
+  // Серия запросов в заданные моменты времени: признаки допуска
+  const allowedAt = (limiter, times, key = 'client') => (
+    times.map(now => limiter.consume(key, rule, now).allowed)
+  );
+
+  describe('fixed-window', () => {
+    it('должен пропускать не более limit запросов в окне', () => {
+      const limiter = createLimiter({ algorithm: 'fixed-window' });
+
+      expect(allowedAt(limiter, [0, 100, 200, 300, 999])).toEqual([true, true, true, false, false]);
+      expect(limiter.consume('client', rule, 1000)).toMatchObject({ allowed: true, remaining: 2, resetMs: 1000 });
+    });
+
+    it('должен сообщать остаток и время до конца окна', () => {
+      const limiter = createLimiter({ algorithm: 'fixed-window' });
+
+      expect(limiter.consume('client', rule, 250)).toEqual({
+        allowed: true, limit: 3, remaining: 2, resetMs: 750, retryMs: 0
+      });
+      limiter.consume('client', rule, 300);
+      limiter.consume('client', rule, 400);
+      expect(limiter.consume('client', rule, 600)).toMatchObject({ allowed: false, remaining: 0, retryMs: 400 });
+    });
+
+    it('должен вести отдельные счетчики для разных ключей', () => {
+      const limiter = createLimiter({ algorithm: 'fixed-window' });
+
+      allowedAt(limiter, [0, 1, 2], 'a');
+      expect(limiter.consume('a', rule, 3).allowed).toBe(false);
+      expect(limiter.consume('b', rule, 3).allowed).toBe(true);
+    });
+  });
+
+  describe('sliding-window', () => {
+    it('должен учитывать долю предыдущего окна', () => {
+      const limiter = createLimiter({ algorithm: 'sliding-window' });
+
+      expect(allowedAt(limiter, [900, 950, 990])).toEqual([true, true, true]);
+      // В начале следующего окна предыдущее учитывается почти полностью
+      expect(limiter.consume('client', rule, 1100)).toMatchObject({ allowed: false, retryMs: 234 });
+      // Через треть окна его доля - 2 запроса из 3
+      expect(limiter.consume('client', rule, 1334).allowed).toBe(true);
+      expect(limiter.consume('client', rule, 1400).allowed).toBe(false);
+    });
+
+    it('не должен пропускать всплеск на границе окон', () => {
+      const fixed = createLimiter({ algorithm: 'fixed-window' });
+      const sliding = createLimiter({ algorithm: 'sliding-window' });
+      const burst = [997, 998, 999, 1000, 1001, 1002];
+
+      expect(allowedAt(fixed, burst).filter(Boolean)).toHaveLength(6);
+      expect(allowedAt(sliding, burst).filter(Boolean)).toHaveLength(3);
+    });
+
+    it('должен ждать окончания окна, если текущее окно исчерпано', () => {
+      const limiter = createLimiter({ algorithm: 'sliding-window' });
+
+      allowedAt(limiter, [0, 0, 0]);
+      expect(limiter.consume('client', rule, 500)).toMatchObject({ allowed: false, retryMs: 834 });
+      expect(limiter.consume('client', rule, 1333).allowed).toBe(false);
+      expect(limiter.consume('client', rule, 1334).allowed).toBe(true);
+    });
+  });
+
+  describe('token-bucket', () => {
+    it('должен пополнять корзину равномерно', () => {
+      const limiter = createLimiter({ algorithm: 'token-bucket' });
+
+      expect(allowedAt(limiter, [0, 0, 0, 0])).toEqual([true, true, true, false]);
+      expect(limiter.consume('client', rule, 100)).toMatchObject({ allowed: false, retryMs: 234 });
+      expect(limiter.consume('client', rule, 334)).toMatchObject({ allowed: true, remaining: 0 });
+      expect(limiter.consume('client', rule, 5000)).toMatchObject({ allowed: true, remaining: 2 });
+    });
+  });
+
+  it('должен отклонять неизвестный алгоритм, часть ключа и некорректный лимит', () => {
+    expect(() => new RateLimiter({ algorithm: 'leaky' })).toThrow('Неизвестный алгоритм ограничения');
+    expect(() => new RateLimiter({ keyBy: 'cookie' })).toThrow('Неизвестная часть ключа');
+    expect(() => new RateLimiter({ limits: { read: { limit: 1.5, windowMs: 1000 } } })).toThrow('Некорректный лимит read');
+    expect(() => new RateLimiter({ limits: { write: { limit: NaN, windowMs: 1000 } } })).toThrow('Некорректный лимит write');
+  });
+
+  describe('middleware', () => {
+    const createTestApp = (options, overrides) => {
+      const limiter = createLimiter(options);
+      const app = express();
+      app.use((req, res, next) => {
+        req.user = req.get('X-User') ? { id: req.get('X-User') } : null;
+        next();
+      });
+      app.use(limiter.middleware(overrides));
+      app.get('/items', (req, res) => res.json({ ok: true }));
+      app.post('/items', (req, res) => res.status(201).json({ ok: true }));
+      return app;
+    };
+
+    it('должен отправлять заголовки RateLimit и отвечать 429 с Retry-After', async () => {
+      const app = createTestApp({ limits: { read: { limit: 2, windowMs: 60000 } } });
+
+      const first = await request(app).get('/items').expect(200);
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThan(0);
+      expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+
+      await request(app).get('/items').expect(200);
+      const limited = await request(app).get('/items').expect(429);
+      expect(limited.headers['retry-after']).toBe(limited.headers['ratelimit-reset']);
+      expect(limited.body).toEqual({
+        error: `Слишком много запросов, повторите через ${limited.headers['retry-after']} с`,
+        code: 'TOO_MANY_REQUESTS'
+      });
+
+      const english = await request(app).get('/items').set('Accept-Language', 'en').expect(429);
+      expect(english.body.error).toMatch(/^Too many requests/);
+    });
+
+    it('должен ограничивать чтение и изменение раздельно', async () => {
+      const app = createTestApp({
+        limits: { read: { limit: 1, windowMs: 60000 }, write: { limit: 2, windowMs: 60000 } }
+      });
+
+      await request(app).get('/items').expect(200);
+      await request(app).get('/items').expect(429);
+      await request(app).post('/items').expect(201);
+      await request(app).post('/items').expect(201);
+      await request(app).post('/items').expect(429);
+    });
+
+    it('должен пропускать запросы без лимита для их вида', async () => {
+      const app = createTestApp({ limits: { write: { limit: 1, windowMs: 60000 } } });
+
+      const response = await request(app).get('/items').expect(200);
+      expect(response.headers['ratelimit-limit']).toBeUndefined();
+    });
+
+    it('должен различать клиентов по API-ключу и адресу', async () => {
+      const app = createTestApp({ keyBy: 'apiKey', limits: { read: { limit: 1, windowMs: 60000 } } });
+
+      await request(app).get('/items').set('X-User', 'key:1').expect(200);
+      await request(app).get('/items').set('X-User', 'key:1').expect(429);
+      await request(app).get('/items').set('X-User', 'key:2').expect(200);
+      // Анонимные запросы учитываются по адресу
+      await request(app).get('/items').expect(200);
+      await request(app).get('/items').expect(429);
+    });
+
+    it('должен отклонять адрес с исчерпанным лимитом неудач до аутентификации', async () => {
+      const limiter = createLimiter({ limits: { read: { limit: 2, windowMs: 60000 } } });
+      const authenticate = jest.fn((req, res) => {
+        limiter.recordFailure(req);
+        res.status(401).json({ code: 'UNAUTHORIZED' });
+      });
+      const app = express();
+      app.use(limiter.failureGuard());
+      app.get('/items', authenticate);
+
+      await request(app).get('/items').expect(401);
+      await request(app).get('/items').expect(401);
+      const limited = await request(app).get('/items').expect(429);
+      expect(limited.body.code).toBe('TOO_MANY_REQUESTS');
+      expect(limited.headers['retry-after']).toBeDefined();
+      expect(authenticate).toHaveBeenCalledTimes(2);
+
+      // Проверка не расходует лимит: счетчик клиента на месте
+      expect(limiter.check('rate:auth:read:ip:other', { limit: 2, windowMs: 60000 }).remaining).toBe(1);
+      expect(limiter.consume('rate:auth:read:ip:other', { limit: 2, windowMs: 60000 }).remaining).toBe(1);
+    });
+
+    it('должен учитывать маршрут в ключе', async () => {
+      const app = createTestApp({ keyBy: ['ip', 'route'], limits: { read: { limit: 1, windowMs: 60000 } } });
+      app.get('/other', (req, res) => res.json({ ok: true }));
+
+      await request(app).get('/items').expect(200);
+      await request(app).get('/items').expect(429);
+      await request(app).get('/other').expect(200);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { promisifyDb } = require('../migrator');
+const { toPostgresPlaceholders } = require('./postgres');
+
+const LIST_SQL = 'SELECT id, name, prefix, role, created_at, revoked_at FROM api_keys ORDER BY id';
+const FIND_SQL = 'SELECT id, name, prefix, role FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL';
+const REVOKE_SQL = 'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL';
+
+/**
+ * Хранилище API-ключей в SQLite
+ * Ключ в открытом виде не сохраняется: поиск идет по его SHA-256 (см. auth.js)
+ */
+class SqliteApiKeyRepository {
+  /**
+   * @param {Object} db - Подключение из createDatabase (таблица api_keys создается миграцией)
+   */
+  constructor(db) {
+    this.db = promisifyDb(db);
+  }
+
+  /**
+   * @param {Object} key - { name, prefix, keyHash, role }
+   * @returns {Promise<number>} - ID ключа
+   */
+  async create({ name, prefix, keyHash, role }) {
+    const result = await this.db.run(
+      'INSERT INTO api_keys (name, prefix, key_hash, role) VALUES (?, ?, ?, ?)',
+      [name, prefix, keyHash, role]
+    );
+    return result.lastID;
+  }
+
+  /**
+   * Действующий (не отозванный) ключ по хэшу
+   * @param {string} keyHash - SHA-256 ключа
+   * @returns {Promise<Object|undefined>} - { id, name, prefix, role }
+   */
+  findActiveByHash(keyHash) {
+    return this.db.get(FIND_SQL, [keyHash]);
+  }
+
+  /**
+   * @returns {Promise<Array>} - Все ключи без хэшей
+   */
+  list() {
+    return this.db.all(LIST_SQL);
+  }
+
+  /**
+   * @param {number} id - ID ключа
+   * @returns {Promise<number>} - Количество отозванных ключей (0, если ключа нет или он уже отозван)
+   */
+  async revoke(id) {
+    const result = await this.db.run(REVOKE_SQL, [id]);
+    return result.changes;
+  }
+}
+
+/**
+ * Хранилище API-ключей в PostgreSQL (таблица создается миграциями репозитория товаров)
+ */
+class PostgresApiKeyRepository {
+  /**
+   * @param {Object} pool - pg.Pool или совместимый клиент
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  query(sql, params = []) {
+    return this.pool.query(toPostgresPlaceholders(sql), params);
+  }
+
+  async create({ name, prefix, keyHash, role }) {
+    const { rows } = await this.query(
+      'INSERT INTO api_keys (name, prefix, key_hash, role) VALUES (?, ?, ?, ?) RETURNING id',
+      [name, prefix, keyHash, role]
+    );
+    return rows[0].id;
+  }
+
+  async findActiveByHash(keyHash) {
+    const { rows } = await this.query(FIND_SQL, [keyHash]);
+    return rows[0];
+  }
+
+  async list() {
+    const { rows } = await this.query(LIST_SQL);
+    return rows;
+  }
+
+  async revoke(id) {
+    const result = await this.query(REVOKE_SQL, [id]);
+    return result.rowCount;
+  }
+}
+
+/**
+ * Хранилище API-ключей в той же базе, что и товары
+ * @param {SqliteProductRepository|PostgresProductRepository} products - Репозиторий товаров
+ * @returns {SqliteApiKeyRepository|PostgresApiKeyRepository} - Хранилище ключей
+ */
+function createApiKeyRepository(products) {
+  return products.client === 'postgres'
+    ? new PostgresApiKeyRepository(products.pool)
+    : new SqliteApiKeyRepository(products.rawDb);
+}
+
+module.exports = {
+  createApiKeyRepository,
+  SqliteApiKeyRepository,
+  PostgresApiKeyRepository
+};
@@ -0,0 +1,101 @@
+/**
+ * Выполнение пакета операций внутри открытой транзакции
+ *
+ * Общая часть репозиториев: адаптер открывает транзакцию и передает
+ * набор функций для работы с ней, а по результату фиксирует или откатывает ее.
+ *
+ * Операция пакета:
+ *   { op: 'create', product }
+ *   { op: 'update', id, product, version }
+ *   { op: 'delete', id, version } - перемещение в корзину
+ * version необязательна; при несовпадении операция не выполняется.
+ * Каждая выполненная операция записывается в журнал изменений в той же транзакции.
+ *
+ * В режиме bestEffort каждая операция выполняется в точке сохранения (SAVEPOINT):
+ * ошибка базы откатывает только изменения этой операции.
+ *
+ * Результат операции - { status, row, id }, где status:
+ *   created, updated, deleted - операция выполнена
+ *   notFound - товара нет или он в корзине
+ *   conflict - версия товара не совпадает с переданной
+ *   insufficient - новый остаток меньше зарезервированного количества
+ *   failed - ошибка базы при выполнении (только bestEffort), error - ее сообщение
+ */
+
+const SUCCESS_STATUSES = ['created', 'updated', 'deleted'];
+
+// Товар вне корзины
+const live = row => (row && row.deleted_at == null ? row : undefined);
+
+async function executeOperation(tx, { op, id, product, version }) {
+  if (op === 'create') {
+    const newId = await tx.insert(product);
+    const row = await tx.find(newId);
+    await tx.audit('create', undefined, row);
+    return { status: 'created', id: newId, row };
+  }
+
+  const before = live(await tx.find(id));
+  const changes = op === 'update'
+    ? await tx.update(id, product, version)
+    : await tx.softDelete(id, version);
+  if (changes === 0) {
+    if (!before) {
+      return { status: 'notFound', id };
+    }
+    // Товар на месте - значит, остаток меньше резерва или не совпала версия
+    return op === 'update' && product.quantity < before.reserved
+      ? { status: 'insufficient', id, reserved: before.reserved }
+      : { status: 'conflict', id };
+  }
+
+  const row = await tx.find(id);
+  await tx.audit(op, before, row);
+  return op === 'update'
+    ? { status: 'updated', id, row }
+    : { status: 'deleted', id };
+}
+
+// Операция в точке сохранения: при ошибке откатываются только ее изменения
+async function executeIsolated(tx, operation) {
+  await tx.exec('SAVEPOINT bulk_operation');
+  try {
+    const result = await executeOperation(tx, operation);
+    await tx.exec('RELEASE SAVEPOINT bulk_operation');
+    return result;
+  } catch (err) {
+    await tx.exec('ROLLBACK TO SAVEPOINT bulk_operation');
+    await tx.exec('RELEASE SAVEPOINT bulk_operation');
+    return { status: 'failed', id: operation.id, error: err.message };
+  }
+}
+
+/**
+ * Последовательное выполнение операций
+ * В атомарном режиме выполнение прекращается на первой неудачной операции,
+ * ошибка базы откатывает весь пакет
+ * @param {Array} operations - Операции пакета
+ * @param {Object} options - { atomic } - все или ничего
+ * @param {Object} tx - Функции транзакции: insert(product), update(id, product, version),
+ *   softDelete(id, version), find(id) - товар, в том числе в корзине,
+ *   audit(action, before, after) - запись журнала изменений и истории цен (см. audit-log.js),
+ *   exec(sql) - служебная команда (точки сохранения)
+ * @returns {Promise<Object>} - { commit, results }: commit - нужно ли фиксировать транзакцию,
+ *   results - результаты выполненных операций по порядку
+ */
+async function executeBulk(operations, { atomic }, tx) {
+  const results = [];
+  for (const operation of operations) {
+    const result = atomic ? await executeOperation(tx, operation) : await executeIsolated(tx, operation);
+    results.push(result);
+    if (atomic && !SUCCESS_STATUSES.includes(result.status)) {
+      return { commit: false, results };
+    }
+  }
+  return { commit: true, results };
+}
+
+module.exports = {
+  SUCCESS_STATUSES,
+  executeBulk
+};
@@ -0,0 +1,91 @@
+/**
+ * Метаданные изображений товаров (таблица product_images)
+ *
+ * Общая часть репозиториев: функции получают набор tx (см. repositories/stock.js).
+ * Файлы изображений хранятся отдельно (см. storage.js) и удаляются маршрутами
+ * после успешного удаления записи.
+ *
+ * Результат изменения - { status, image }, где status:
+ *   created, deleted - операция выполнена
+ *   notFound         - нет товара (или он в корзине) либо изображения
+ */
+
+const live = row => (row && row.deleted_at == null ? row : undefined);
+
+// Изображение с разобранным списком уменьшенных копий
+const toImage = row => (row ? { ...row, thumbnails: JSON.parse(row.thumbnails) } : row);
+
+/**
+ * Изображения товара в порядке загрузки
+ * @param {Object} tx - Функции запросов
+ * @param {number} productId - ID товара
+ * @returns {Promise<Array>} - Изображения
+ */
+async function listImages(tx, productId) {
+  const rows = await tx.all('SELECT * FROM product_images WHERE product_id = ? ORDER BY id', [productId]);
+  return rows.map(toImage);
+}
+
+/**
+ * @param {Object} tx - Функции запросов
+ * @param {number} productId - ID товара
+ * @param {number} id - ID изображения
+ * @returns {Promise<Object|undefined>} - Изображение
+ */
+async function findImage(tx, productId, id) {
+  return toImage(await tx.get('SELECT * FROM product_images WHERE id = ? AND product_id = ?', [id, productId]));
+}
+
+/**
+ * Добавление изображения к товару
+ * @param {Object} tx - Функции транзакции
+ * @param {number} productId - ID товара
+ * @param {Object} image - { key, contentType, size, width, height, originalName, thumbnails }
+ * @returns {Promise<Object>} - { status: 'created', image } | notFound
+ */
+async function addImage(tx, productId, { key, contentType, size, width, height, originalName, thumbnails }) {
+  if (!live(await tx.get('SELECT * FROM products WHERE id = ?', [productId]))) {
+    return { status: 'notFound' };
+  }
+  const id = await tx.insert(
+    `INSERT INTO product_images (product_id, storage_key, content_type, size, width, height, original_name, thumbnails)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, key, contentType, size, width, height, originalName, JSON.stringify(thumbnails)]
+  );
+  return { status: 'created', image: await findImage(tx, productId, id) };
+}
+
+/**
+ * @param {Object} tx - Функции транзакции
+ * @param {number} productId - ID товара
+ * @param {number} id - ID изображения
+ * @returns {Promise<Object>} - { status: 'deleted', image } | notFound
+ */
+async function deleteImage(tx, productId, id) {
+  const image = await findImage(tx, productId, id);
+  if (!image) {
+    return { status: 'notFound' };
+  }
+  await tx.run('DELETE FROM product_images WHERE id = ?', [id]);
+  return { status: 'deleted', image };
+}
+
+/**
+ * Удаление записей изображений окончательно удаленного товара
+ * @param {Object} tx - Функции транзакции
+ * @param {number} productId - ID товара
+ * @returns {Promise<Array>} - Удаленные изображения (для удаления файлов)
+ */
+async function deleteProductImages(tx, productId) {
+  const images = await listImages(tx, productId);
+  await tx.run('DELETE FROM product_images WHERE product_id = ?', [productId]);
+  return images;
+}
+
+module.exports = {
+  listImages,
+  findImage,
+  addImage,
+  deleteImage,
+  deleteProductImages
+};
@@ -0,0 +1,42 @@
+const { createDatabase } = require('../db');
+const SqliteProductRepository = require('./sqlite');
+const PostgresProductRepository = require('./postgres');
+const { createApiKeyRepository } = require('./api-keys');
+
+/**
+ * Создание репозитория товаров по конфигурации
+ *
+ * Клиент выбирается параметром config.client или переменной DB_CLIENT:
+ *   sqlite   - переданный config.db или новая база createDatabase({ filename, seed }) (по умолчанию)
+ *   postgres - config.pool или новый pg.Pool по config.connectionString / DATABASE_URL
+ *
+ * @param {Object} config - Настройки
+ * @returns {SqliteProductRepository|PostgresProductRepository} - Репозиторий
+ */
+function createProductRepository(config = {}) {
+  const client = config.client || process.env.DB_CLIENT || 'sqlite';
+
+  switch (client) {
+    case 'sqlite':
+      return new SqliteProductRepository(
+        config.db || createDatabase({ filename: config.filename, seed: config.seed })
+      );
+    case 'postgres': {
+      let pool = config.pool;
+      if (!pool) {
+        const { Pool } = require('pg');
+        pool = new Pool({ connectionString: config.connectionString || process.env.DATABASE_URL });
+      }
+      return new PostgresProductRepository(pool);
+    }
+    default:
+      throw new Error(`Неизвестный клиент базы данных: ${client}. Доступны: sqlite, postgres`);
+  }
+}
+
+module.exports = {
+  createProductRepository,
+  createApiKeyRepository,
+  SqliteProductRepository,
+  PostgresProductRepository
+};
@@ -0,0 +1,422 @@
+const path = require('path');
+const Migrator = require('../migrator');
+const { buildListQuery, buildSearchQuery, highlightTerms } = require('../products-query');
+const { executeBulk } = require('./bulk');
+const stock = require('./stock');
+const taxonomy = require('./taxonomy');
+const images = require('./images');
+const { AUDIT_INSERT_SQL, auditParams, buildAuditQuery, parseAuditRow } = require('../audit-log');
+const { PRICE_HISTORY_INSERT_SQL, priceChanged, priceHistoryParams, buildPriceHistoryQuery } = require('../price-history');
+
+// Миграции схемы PostgreSQL. Версии совпадают с миграциями SQLite в migrations/;
+// у полнотекстового индекса FTS5 (002) и перевода текста в исходный вид (005) пары нет
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'postgres');
+
+/**
+ * Замена плейсхолдеров '?' на нумерованные $1, $2, ... вне строковых литералов
+ * @param {string} sql - SQL с плейсхолдерами '?'
+ * @returns {string} - SQL для PostgreSQL
+ */
+function toPostgresPlaceholders(sql) {
+  let index = 0;
+  let inString = false;
+  let result = '';
+
+  for (const char of sql) {
+    if (char === "'") {
+      inString = !inString;
+    }
+    result += char === '?' && !inString ? `$${++index}` : char;
+  }
+  return result;
+}
+
+// Товар по ID, в том числе в корзине, через query транзакции
+async function findAny(query, id) {
+  const { rows } = await query('SELECT * FROM products WHERE id = ?', [id]);
+  return rows[0];
+}
+
+// Запись журнала изменений и, если изменилась цена, истории цен через query транзакции
+async function audit(query, action, before, after, context) {
+  await query(AUDIT_INSERT_SQL, auditParams(action, before, after, context));
+  if (priceChanged(before, after)) {
+    await query(PRICE_HISTORY_INSERT_SQL, priceHistoryParams(after, context));
+  }
+}
+
+/**
+ * Обертка над подключением PostgreSQL с методами run/get/all/exec для миграций (см. migrator.js)
+ * @param {Object} client - Подключение из pool.connect()
+ * @returns {Object} - { run, get, all, exec }
+ */
+function promisifyClient(client) {
+  const query = (sql, params = []) => client.query(toPostgresPlaceholders(sql), params);
+  return {
+    run: async (sql, params) => ({ changes: (await query(sql, params)).rowCount }),
+    get: async (sql, params) => (await query(sql, params)).rows[0],
+    all: async (sql, params) => (await query(sql, params)).rows,
+    exec: async (sql) => {
+      await client.query(sql);
+    }
+  };
+}
+
+/**
+ * Миграции схемы PostgreSQL на подключении client; версии записываются в schema_migrations
+ * @param {Object} client - Подключение из pool.connect()
+ * @param {Object} options - Настройки Migrator (logger)
+ * @returns {Migrator} - Миграции
+ */
+function createMigrator(client, options = {}) {
+  return new Migrator(promisifyClient(client), { ...options, directory: MIGRATIONS_DIR });
+}
+
+/**
+ * Репозиторий товаров для PostgreSQL
+ * Принимает pg.Pool или совместимый объект с методами query(text, params) и connect(),
+ * например адаптер pg-mem в тестах.
+ * Каждое изменение вместе с записью журнала (см. audit-log.js) и истории цен
+ * (см. price-history.js) выполняется в одной транзакции
+ */
+class PostgresProductRepository {
+  /**
+   * @param {Object} pool - pg.Pool или совместимый клиент
+   */
+  constructor(pool) {
+    this.client = 'postgres';
+    this.pool = pool;
+  }
+
+  /**
+   * Применение ожидающих миграций схемы (migrations/postgres/)
+   * @returns {Promise}
+   */
+  async init() {
+    const client = await this.pool.connect();
+    try {
+      await createMigrator(client).up();
+    } finally {
+      client.release();
+    }
+  }
+
+  async query(sql, params = []) {
+    return this.pool.query(toPostgresPlaceholders(sql), params);
+  }
+
+  // Транзакция на выделенном подключении; task получает функцию query этого подключения
+  async _transaction(task) {
+    const client = await this.pool.connect();
+    const query = (sql, params = []) => client.query(toPostgresPlaceholders(sql), params);
+    try {
+      await client.query('BEGIN');
+      let result;
+      try {
+        result = await task(query);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      }
+      await client.query('COMMIT');
+      return result;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Набор функций tx для repositories/stock.js и repositories/taxonomy.js
+  // поверх query транзакции или пула (по умолчанию)
+  _tx(query = (sql, params) => this.query(sql, params), context) {
+    return {
+      get: async (sql, params) => (await query(sql, params)).rows[0],
+      all: async (sql, params) => (await query(sql, params)).rows,
+      run: async (sql, params) => (await query(sql, params)).rowCount,
+      insert: async (sql, params) => (await query(`${sql} RETURNING id`, params)).rows[0].id,
+      audit: (action, before, after) => audit(query, action, before, after, context)
+    };
+  }
+
+  // Транзакция с набором функций tx
+  _withTx(task, context) {
+    return this._transaction(query => task(this._tx(query, context)));
+  }
+
+  async list(listQuery) {
+    const { countSql, countParams, sql, params } = buildListQuery(listQuery, 'postgres');
+    const countResult = await this.query(countSql, countParams);
+    const { rows } = await this.query(sql, params);
+    // COUNT(*) в PostgreSQL имеет тип bigint и приходит строкой
+    return { rows, total: Number(countResult.rows[0].total) };
+  }
+
+  async search(searchQuery) {
+    const { countSql, countParams, sql, params } = buildSearchQuery(searchQuery, 'postgres');
+    const countResult = await this.query(countSql, countParams);
+    const { rows } = await this.query(sql, params);
+
+    return {
+      rows: rows.map(row => ({
+        ...row,
+        name_snippet: highlightTerms(row.name, searchQuery.terms),
+        description_snippet: highlightTerms(row.description, searchQuery.terms)
+      })),
+      total: Number(countResult.rows[0].total)
+    };
+  }
+
+  // Чтение товаров вне корзины порциями по ID, без загрузки всей таблицы
+  async *stream({ batchSize = 500 } = {}) {
+    let lastId = 0;
+    for (;;) {
+      const { rows } = await this.query(
+        'SELECT * FROM products WHERE deleted_at IS NULL AND id > ? ORDER BY id LIMIT ?',
+        [lastId, batchSize]
+      );
+      yield* rows;
+      if (rows.length < batchSize) {
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  async findById(id, { includeDeleted = false } = {}) {
+    const { rows } = await this.query(
+      `SELECT * FROM products WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+      [id]
+    );
+    return rows[0];
+  }
+
+  create({ name, description, price_minor, currency, quantity }, context) {
+    return this._transaction(async (query) => {
+      const { rows } = await query(
+        `INSERT INTO products (name, description, price_minor, currency, quantity)
+         VALUES (?, ?, ?, ?, ?)
+         RETURNING *`,
+        [name, description, price_minor, currency, quantity]
+      );
+      await audit(query, 'create', undefined, rows[0], context);
+      return rows[0].id;
+    });
+  }
+
+  update(id, { name, description, price_minor, currency, quantity }, version, context = {}) {
+    return this._transaction(async (query) => {
+      const before = await findAny(query, id);
+      const result = await query(
+        `UPDATE products SET name = ?, description = ?, price_minor = ?, currency = ?, quantity = ?,
+         version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND ? >= reserved${version !== undefined ? ' AND version = ?' : ''}
+         RETURNING *`,
+        [name, description, price_minor, currency, quantity, id, quantity, ...(version !== undefined ? [version] : [])]
+      );
+      if (result.rowCount > 0) {
+        await audit(query, context.action || 'update', before, result.rows[0], context);
+      }
+      return result.rowCount;
+    });
+  }
+
+  setDeleted(id, deleted, version, context) {
+    return this._transaction(async (query) => {
+      const before = await findAny(query, id);
+      const result = await query(
+        `UPDATE products SET deleted_at = ${deleted ? 'CURRENT_TIMESTAMP' : 'NULL'},
+         version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS ${deleted ? 'NULL' : 'NOT NULL'}${version !== undefined ? ' AND version = ?' : ''}
+         RETURNING *`,
+        [id, ...(version !== undefined ? [version] : [])]
+      );
+      if (result.rowCount > 0) {
+        await audit(query, deleted ? 'delete' : 'restore', before, result.rows[0], context);
+      }
+      return result.rowCount;
+    });
+  }
+
+  delete(id, version, context) {
+    return this._transaction(async (query) => {
+      const result = await query(
+        `DELETE FROM products WHERE id = ?${version !== undefined ? ' AND version = ?' : ''} RETURNING *`,
+        [id, ...(version !== undefined ? [version] : [])]
+      );
+      if (result.rowCount > 0) {
+        await taxonomy.deleteProductLinks(this._tx(query, context), id);
+        await images.deleteProductImages(this._tx(query, context), id);
+        await audit(query, 'purge', result.rows[0], undefined, context);
+      }
+      return result.rowCount;
+    });
+  }
+
+  // Пакет операций в одной транзакции на выделенном подключении пула
+  async bulk(operations, { atomic = true, context } = {}) {
+    const client = await this.pool.connect();
+    const query = (sql, params = []) => client.query(toPostgresPlaceholders(sql), params);
+    const versionCondition = version => (version !== undefined ? ' AND version = ?' : '');
+    const versionParams = version => (version !== undefined ? [version] : []);
+    const tx = {
+      insert: async ({ name, description, price_minor, currency, quantity }) => {
+        const { rows } = await query(
+          'INSERT INTO products (name, description, price_minor, currency, quantity) VALUES (?, ?, ?, ?, ?) RETURNING id',
+          [name, description, price_minor, currency, quantity]
+        );
+        return rows[0].id;
+      },
+      update: async (id, { name, description, price_minor, currency, quantity }, version) => {
+        const result = await query(
+          `UPDATE products SET name = ?, description = ?, price_minor = ?, currency = ?, quantity = ?,
+           version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND deleted_at IS NULL AND ? >= reserved${versionCondition(version)}`,
+          [name, description, price_minor, currency, quantity, id, quantity, ...versionParams(version)]
+        );
+        return result.rowCount;
+      },
+      softDelete: async (id, version) => {
+        const result = await query(
+          `UPDATE products SET deleted_at = CURRENT_TIMESTAMP,
+           version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND deleted_at IS NULL${versionCondition(version)}`,
+          [id, ...versionParams(version)]
+        );
+        return result.rowCount;
+      },
+      find: id => findAny(query, id),
+      audit: (action, before, after) => audit(query, action, before, after, context),
+      exec: sql => query(sql)
+    };
+
+    try {
+      await client.query('BEGIN');
+      let outcome;
+      try {
+        outcome = await executeBulk(operations, { atomic }, tx);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      }
+      await client.query(outcome.commit ? 'COMMIT' : 'ROLLBACK');
+      return { committed: outcome.commit, results: outcome.results };
+    } finally {
+      client.release();
+    }
+  }
+
+  adjustStock(id, delta, context) {
+    return this._withTx(tx => stock.adjustStock(tx, id, delta, new Date()), context);
+  }
+
+  reserveStock(productId, { quantity, expiresAt }, context = {}) {
+    return this._withTx(tx => stock.reserveStock(
+      tx,
+      { productId, quantity, expiresAt, actor: context.actor },
+      new Date()
+    ), context);
+  }
+
+  commitReservation(id, context) {
+    return this._withTx(tx => stock.finishReservation(tx, id, 'committed', new Date()), context);
+  }
+
+  releaseReservation(id, context) {
+    return this._withTx(tx => stock.finishReservation(tx, id, 'released', new Date()), context);
+  }
+
+  releaseExpiredReservations(now = new Date()) {
+    return this._withTx(tx => stock.releaseExpired(tx, now), {});
+  }
+
+  async findReservation(id) {
+    const { rows } = await this.query('SELECT * FROM stock_reservations WHERE id = ?', [id]);
+    return rows[0];
+  }
+
+  attachTaxonomy(rows) {
+    return taxonomy.attachTaxonomy(this._tx(), rows);
+  }
+
+  listCategories() {
+    return taxonomy.listCategories(this._tx());
+  }
+
+  async findCategory(id) {
+    const { rows } = await this.query('SELECT * FROM categories WHERE id = ?', [id]);
+    return rows[0];
+  }
+
+  createCategory(category) {
+    return this._withTx(tx => taxonomy.createCategory(tx, category));
+  }
+
+  updateCategory(id, category) {
+    return this._withTx(tx => taxonomy.updateCategory(tx, id, category));
+  }
+
+  deleteCategory(id) {
+    return this._withTx(tx => taxonomy.deleteCategory(tx, id));
+  }
+
+  listTags() {
+    return taxonomy.listTags(this._tx());
+  }
+
+  createTag(name) {
+    return this._withTx(tx => taxonomy.createTag(tx, name));
+  }
+
+  renameTag(id, name) {
+    return this._withTx(tx => taxonomy.renameTag(tx, id, name));
+  }
+
+  deleteTag(id) {
+    return this._withTx(tx => taxonomy.deleteTag(tx, id));
+  }
+
+  setProductCategories(productId, categoryIds, version, context) {
+    return this._withTx(tx => taxonomy.setProductCategories(tx, productId, categoryIds, version), context);
+  }
+
+  setProductTags(productId, names, version, context) {
+    return this._withTx(tx => taxonomy.setProductTags(tx, productId, names, version), context);
+  }
+
+  listImages(productId) {
+    return images.listImages(this._tx(), productId);
+  }
+
+  findImage(productId, id) {
+    return images.findImage(this._tx(), productId, id);
+  }
+
+  addImage(productId, image) {
+    return this._withTx(tx => images.addImage(tx, productId, image));
+  }
+
+  deleteImage(productId, id) {
+    return this._withTx(tx => images.deleteImage(tx, productId, id));
+  }
+
+  async auditLog(filters) {
+    const { countSql, countParams, sql, params } = buildAuditQuery(filters);
+    const countResult = await this.query(countSql, countParams);
+    const { rows } = await this.query(sql, params);
+    return { rows: rows.map(parseAuditRow), total: Number(countResult.rows[0].total) };
+  }
+
+  async priceHistory(filters) {
+    const { countSql, countParams, sql, params } = buildPriceHistoryQuery(filters);
+    const countResult = await this.query(countSql, countParams);
+    const { rows } = await this.query(sql, params);
+    return { rows, total: Number(countResult.rows[0].total) };
+  }
+
+  close() {
+    return typeof this.pool.end === 'function' ? this.pool.end() : Promise.resolve();
+  }
+}
+
+module.exports = PostgresProductRepository;
+module.exports.toPostgresPlaceholders = toPostgresPlaceholders;
+module.exports.createMigrator = createMigrator;
@@ -0,0 +1,381 @@
+const { createProductRepository, SqliteProductRepository, PostgresProductRepository } = require('./index');
+const { toPostgresPlaceholders } = require('./postgres');
+const stock = require('./stock');
+const { createDatabase } = require('../db');
+const { parseListQuery } = require('../products-query');
+
+describe('Репозитории товаров', () => {
+  describe('toPostgresPlaceholders', () => {
+    it('должен нумеровать плейсхолдеры по порядку', () => {
+      expect(toPostgresPlaceholders('SELECT * FROM products WHERE price >= ? AND price <= ? LIMIT ?'))
+        .toBe('SELECT * FROM products WHERE price >= $1 AND price <= $2 LIMIT $3');
+    });
+
+    it('не должен заменять знак вопроса внутри строковых литералов', () => {
+      expect(toPostgresPlaceholders("SELECT '?' AS mark, name FROM products WHERE id = ?"))
+        .toBe("SELECT '?' AS mark, name FROM products WHERE id = $1");
+    });
+  });
+
+  describe('createProductRepository', () => {
+    it('должен создавать репозиторий SQLite для переданной базы', () => {
+      const db = {};
+      const repository = createProductRepository({ client: 'sqlite', db });
+
+      expect(repository).toBeInstanceOf(SqliteProductRepository);
+      expect(repository.client).toBe('sqlite');
+    });
+
+    it('должен создавать репозиторий PostgreSQL для переданного пула', () => {
+      const pool = { query: jest.fn() };
+      const repository = createProductRepository({ client: 'postgres', pool });
+
+      expect(repository).toBeInstanceOf(PostgresProductRepository);
+      expect(repository.client).toBe('postgres');
+    });
+
+    it('должен выбрасывать ошибку для неизвестного клиента', () => {
+      expect(() => createProductRepository({ client: 'oracle' }))
+        .toThrow('Неизвестный клиент базы данных: oracle');
+    });
+  });
+
+  describe('Оптимистичная блокировка', () => {
+    let repository;
+
+    beforeEach(async () => {
+      repository = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+      await repository.init();
+    });
+
+    afterEach(() => repository.close());
+
+    it('должен увеличивать версию и не перезаписывать товар по устаревшей версии', async () => {
+      const id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 });
+      const product = { name: 'Товар', description: '', price_minor: 2000, currency: 'USD', quantity: 1 };
+
+      expect(await repository.update(id, product, 1)).toBe(1);
+      expect(await repository.update(id, { ...product, price_minor: 3000 }, 1)).toBe(0);
+
+      const row = await repository.findById(id);
+      expect(row).toMatchObject({ price_minor: 2000, version: 2 });
+      expect(row.updated_at).toEqual(expect.any(String));
+    });
+
+    it('не должен удалять товар по устаревшей версии', async () => {
+      const id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 });
+
+      expect(await repository.delete(id, 2)).toBe(0);
+      expect(await repository.delete(id, 1)).toBe(1);
+    });
+
+    it('должен перемещать товар в корзину и восстанавливать его только из корзины', async () => {
+      const id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 });
+
+      expect(await repository.setDeleted(id, false)).toBe(0);
+      expect(await repository.setDeleted(id, true, 2)).toBe(0);
+      expect(await repository.setDeleted(id, true, 1)).toBe(1);
+
+      expect(await repository.findById(id)).toBeUndefined();
+      const deleted = await repository.findById(id, { includeDeleted: true });
+      expect(deleted).toMatchObject({ version: 2, deleted_at: expect.any(String) });
+
+      expect(await repository.setDeleted(id, false, 2)).toBe(1);
+      expect(await repository.findById(id)).toMatchObject({ version: 3, deleted_at: null });
+    });
+
+    it('должен записывать в журнал только выполненные изменения', async () => {
+      const context = { actor: 'key:1', requestId: 'r-1' };
+      const id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 }, context);
+
+      await repository.update(id, { name: 'Товар', description: '', price_minor: 2000, currency: 'USD', quantity: 1 }, 5, context);
+      await repository.update(id, { name: 'Товар', description: '', price_minor: 2000, currency: 'USD', quantity: 1 }, 1, context);
+      await repository.setDeleted(id, true, undefined, context);
+      await repository.delete(id, undefined, context);
+
+      const { rows, total } = await repository.auditLog({ productId: id });
+      expect(total).toBe(4);
+      expect(rows.map(row => [row.action, row.version, row.actor, row.request_id])).toEqual([
+        ['purge', null, 'key:1', 'r-1'],
+        ['delete', 3, 'key:1', 'r-1'],
+        ['update', 2, 'key:1', 'r-1'],
+        ['create', 1, 'key:1', 'r-1']
+      ]);
+      expect(rows[2].changes).toEqual({ price_minor: { before: 1000, after: 2000 } });
+    });
+
+    it('должен откатывать изменение вместе с записью журнала', async () => {
+      const id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 });
+
+      // Ошибка на записи журнала отменяет и изменение товара
+      await repository.db.run('DROP TABLE audit_log');
+      await expect(repository.update(id, { name: 'Товар', description: '', price_minor: 9900, currency: 'USD', quantity: 1 }))
+        .rejects.toThrow('no such table: audit_log');
+      expect(await repository.findById(id)).toMatchObject({ price_minor: 1000, version: 1 });
+    });
+  });
+
+  describe('Пакетные операции', () => {
+    let repository;
+
+    beforeEach(async () => {
+      repository = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+      await repository.init();
+    });
+
+    afterEach(() => repository.close());
+
+    it('не должен показывать чтениям незафиксированные строки откатываемого пакета', async () => {
+      const operations = Array.from({ length: 42 }, (_, index) => ({
+        op: 'create',
+        product: { name: `Товар ${index}`, description: '', price_minor: 100, currency: 'USD', quantity: 1 }
+      }));
+      operations.push({ op: 'delete', id: 999999 });
+
+      let finished = false;
+      const pending = repository.bulk(operations, { atomic: true }).finally(() => {
+        finished = true;
+      });
+      const totals = [];
+      do {
+        totals.push((await repository.list(parseListQuery({}))).total);
+      } while (!finished);
+
+      expect((await pending).committed).toBe(false);
+      expect(totals.every(total => total === 0)).toBe(true);
+      expect(await repository.findById(1)).toBeUndefined();
+    });
+  });
+
+  describe('История цен', () => {
+    it('должен записывать цену при создании и изменении цены или валюты', async () => {
+      const repository = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+      await repository.init();
+      const product = { name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 };
+      const id = await repository.create(product, { actor: 'key:1', requestId: 'r-1' });
+
+      await repository.update(id, { ...product, quantity: 5 });
+      await repository.update(id, { ...product, quantity: 5, currency: 'EUR' }, undefined, { requestId: 'r-2' });
+
+      const { rows, total } = await repository.priceHistory({ productId: id, limit: 10 });
+      expect(total).toBe(2);
+      expect(rows.map(row => [row.price_minor, row.currency, row.actor, row.request_id])).toEqual([
+        [1000, 'EUR', null, 'r-2'],
+        [1000, 'USD', 'key:1', 'r-1']
+      ]);
+      await repository.close();
+    });
+  });
+
+  describe('Остатки и резервы', () => {
+    let repository;
+    let id;
+    const inMinute = () => new Date(Date.now() + 60000);
+
+    beforeEach(async () => {
+      repository = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+      await repository.init();
+      id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 10 });
+    });
+
+    afterEach(() => repository.close());
+
+    it('не должен уменьшать остаток ниже зарезервированного количества', async () => {
+      await repository.reserveStock(id, { quantity: 4, expiresAt: inMinute() });
+
+      expect(await repository.adjustStock(id, -7)).toMatchObject({ status: 'insufficient', row: { quantity: 10 } });
+      expect(await repository.adjustStock(id, -6)).toMatchObject({
+        status: 'adjusted',
+        row: { quantity: 4, reserved: 4 }
+      });
+      expect(await repository.adjustStock(id + 1, 5)).toEqual({ status: 'notFound' });
+    });
+
+    it('не должен резервировать больше доступного при параллельных запросах', async () => {
+      const results = await Promise.all([1, 2, 3].map(() => (
+        repository.reserveStock(id, { quantity: 4, expiresAt: inMinute() })
+      )));
+
+      expect(results.map(result => result.status).sort()).toEqual(['insufficient', 'reserved', 'reserved']);
+      expect(await repository.findById(id)).toMatchObject({ quantity: 10, reserved: 8, version: 3 });
+    });
+
+    it('должен списывать подтвержденный резерв и возвращать снятый', async () => {
+      const first = await repository.reserveStock(id, { quantity: 3, expiresAt: inMinute() }, { actor: 'key:1' });
+      const second = await repository.reserveStock(id, { quantity: 2, expiresAt: inMinute() });
+      expect(first.reservation).toMatchObject({ product_id: id, quantity: 3, status: 'active', actor: 'key:1' });
+
+      expect(await repository.commitReservation(first.reservation.id)).toMatchObject({
+        status: 'committed',
+        reservation: { status: 'committed' },
+        row: { quantity: 7, reserved: 2 }
+      });
+      expect(await repository.releaseReservation(second.reservation.id)).toMatchObject({
+        status: 'released',
+        row: { quantity: 7, reserved: 0 }
+      });
+      expect(await repository.releaseReservation(first.reservation.id)).toMatchObject({ status: 'closed' });
+
+      const { rows } = await repository.auditLog({ productId: id });
+      expect(rows.map(row => row.action)).toEqual(['release', 'commit', 'reserve', 'reserve', 'create']);
+    });
+
+    it('не должен списывать остаток дважды при повторном закрытии резерва', async () => {
+      const { reservation } = await repository.reserveStock(id, { quantity: 3, expiresAt: inMinute() });
+      await repository.commitReservation(reservation.id);
+
+      // Второй запрос прочитал резерв активным до того, как первый его закрыл
+      const finishStale = status => repository._withTx((tx) => {
+        let stale = true;
+        const get = (sql, params) => {
+          if (stale && sql.includes('FROM stock_reservations')) {
+            stale = false;
+            return reservation;
+          }
+          return tx.get(sql, params);
+        };
+        return stock.finishReservation({ ...tx, get }, reservation.id, status, new Date());
+      }, {});
+
+      expect(await finishStale('committed')).toMatchObject({ status: 'closed', reservation: { status: 'committed' } });
+      expect(await finishStale('released')).toMatchObject({ status: 'closed' });
+      expect(await repository.findById(id)).toMatchObject({ quantity: 7, reserved: 0 });
+
+      const { rows } = await repository.auditLog({ productId: id });
+      expect(rows.map(row => row.action)).toEqual(['commit', 'reserve', 'create']);
+    });
+
+    it('должен снимать истекшие резервы и не подтверждать их', async () => {
+      const expired = await repository.reserveStock(id, { quantity: 5, expiresAt: inMinute() });
+      await repository.reserveStock(id, { quantity: 1, expiresAt: new Date(Date.now() + 3600000) });
+
+      const inTwoMinutes = new Date(Date.now() + 120000);
+      expect(await repository.releaseExpiredReservations(inTwoMinutes)).toBe(1);
+      expect(await repository.releaseExpiredReservations(inTwoMinutes)).toBe(0);
+      expect(await repository.findById(id)).toMatchObject({ reserved: 1 });
+      expect(await repository.commitReservation(expired.reservation.id)).toMatchObject({
+        status: 'expired',
+        reservation: { status: 'expired' }
+      });
+    });
+
+    it('должен снимать истекшие резервы товара перед новым резервом', async () => {
+      await repository.reserveStock(id, { quantity: 10, expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await repository.reserveStock(id, { quantity: 10, expiresAt: inMinute() })).toMatchObject({
+        status: 'reserved',
+        row: { reserved: 10 }
+      });
+    });
+  });
+
+  describe('Категории и теги', () => {
+    let repository;
+    let id;
+
+    beforeEach(async () => {
+      repository = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+      await repository.init();
+      id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 });
+    });
+
+    afterEach(() => repository.close());
+
+    it('не должен вкладывать категорию в ее подкатегорию', async () => {
+      const { category: root } = await repository.createCategory({ name: 'Электроника' });
+      const { category: child } = await repository.createCategory({ name: 'Ноутбуки', parentId: root.id });
+
+      expect(await repository.updateCategory(root.id, { name: 'Электроника', parentId: child.id }))
+        .toEqual({ status: 'cycle' });
+      expect(await repository.updateCategory(root.id, { name: 'Электроника', parentId: root.id }))
+        .toEqual({ status: 'cycle' });
+      expect(await repository.createCategory({ name: 'Планшеты', parentId: 999 }))
+        .toEqual({ status: 'parentNotFound' });
+      expect(await repository.deleteCategory(root.id)).toEqual({ status: 'notEmpty' });
+    });
+
+    it('должен заменять категории и теги товара с увеличением версии', async () => {
+      const { category } = await repository.createCategory({ name: 'Ноутбуки' });
+
+      expect(await repository.setProductCategories(id, [category.id, 999], 1))
+        .toEqual({ status: 'unknownCategories', ids: [999] });
+      expect(await repository.setProductCategories(id, [category.id], 1, { actor: 'key:1' }))
+        .toMatchObject({ status: 'updated', row: { version: 2 } });
+      expect(await repository.setProductTags(id, ['новинка'], 1)).toEqual({ status: 'conflict' });
+      expect(await repository.setProductTags(id, ['новинка', 'скидка', 'новинка'], 2))
+        .toMatchObject({ status: 'updated', row: { version: 3 } });
+
+      const [product] = await repository.attachTaxonomy([await repository.findById(id)]);
+      expect(product).toMatchObject({ categories: [{ id: category.id, name: 'Ноутбуки' }], tags: ['новинка', 'скидка'] });
+      expect(await repository.listTags()).toMatchObject([{ name: 'новинка', products: 1 }, { name: 'скидка', products: 1 }]);
+
+      const { rows } = await repository.auditLog({ productId: id });
+      expect(rows[1]).toMatchObject({
+        action: 'update',
+        actor: 'key:1',
+        changes: { categories: { before: [], after: [category.id] } }
+      });
+    });
+
+    it('должен удалять связи вместе с категорией, тегом и товаром', async () => {
+      const { category } = await repository.createCategory({ name: 'Ноутбуки' });
+      await repository.setProductCategories(id, [category.id]);
+      await repository.setProductTags(id, ['новинка']);
+      const [tag] = await repository.listTags();
+
+      expect(await repository.deleteCategory(category.id)).toEqual({ status: 'deleted' });
+      expect(await repository.renameTag(tag.id, 'хит')).toMatchObject({ status: 'updated', tag: { name: 'хит' } });
+      expect((await repository.attachTaxonomy([await repository.findById(id)]))[0])
+        .toMatchObject({ categories: [], tags: ['хит'] });
+
+      await repository.delete(id);
+      expect(await repository.listTags()).toMatchObject([{ name: 'хит', products: 0 }]);
+      expect(await repository.deleteTag(tag.id)).toEqual({ status: 'deleted' });
+      expect(await repository.deleteTag(tag.id)).toEqual({ status: 'notFound' });
+    });
+  });
+
+  describe('Изображения', () => {
+    let repository;
+    let id;
+    const image = {
+      key: 'products/1/a.png',
+      contentType: 'image/png',
+      size: 100,
+      width: 40,
+      height: 20,
+      originalName: 'a.png',
+      thumbnails: [{ size: 16, width: 16, height: 8, key: 'products/1/a_16.png' }]
+    };
+
+    beforeEach(async () => {
+      repository = new SqliteProductRepository(createDatabase({ filename: ':memory:', logger: null }));
+      await repository.init();
+      id = await repository.create({ name: 'Товар', description: '', price_minor: 1000, currency: 'USD', quantity: 1 });
+    });
+
+    afterEach(() => repository.close());
+
+    it('должен сохранять метаданные изображения только для товара вне корзины', async () => {
+      const { status, image: saved } = await repository.addImage(id, image);
+      expect(status).toBe('created');
+      expect(saved).toMatchObject({ product_id: id, storage_key: 'products/1/a.png', thumbnails: image.thumbnails });
+      expect(await repository.findImage(id + 1, saved.id)).toBeUndefined();
+
+      await repository.setDeleted(id, true);
+      expect(await repository.addImage(id, image)).toEqual({ status: 'notFound' });
+      expect(await repository.listImages(id)).toHaveLength(1);
+    });
+
+    it('должен удалять изображения вместе с товаром', async () => {
+      const { image: saved } = await repository.addImage(id, image);
+      await repository.addImage(id, { ...image, key: 'products/1/b.png' });
+
+      expect(await repository.deleteImage(id, saved.id)).toMatchObject({ status: 'deleted', image: { id: saved.id } });
+      expect(await repository.deleteImage(id, saved.id)).toEqual({ status: 'notFound' });
+
+      await repository.delete(id);
+      expect(await repository.listImages(id)).toEqual([]);
+    });
+  });
+});
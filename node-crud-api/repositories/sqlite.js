@@ -0,0 +1,542 @@
+const { promisifyDb, prepareStatement } = require('../migrator');
+const { buildListQuery, buildSearchQuery } = require('../products-query');
+const { executeBulk } = require('./bulk');
+const stock = require('./stock');
+const taxonomy = require('./taxonomy');
+const images = require('./images');
+const { AUDIT_INSERT_SQL, auditParams, buildAuditQuery, parseAuditRow } = require('../audit-log');
+const { PRICE_HISTORY_INSERT_SQL, priceChanged, priceHistoryParams, buildPriceHistoryQuery } = require('../price-history');
+
+// Размер порции строк при выгрузке каталога (stream)
+const STREAM_BATCH_SIZE = 500;
+
+const INSERT_SQL = `INSERT INTO products (name, description, price_minor, currency, quantity, updated_at) 
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+
+/**
+ * Репозиторий товаров поверх sqlite3
+ * Все методы возвращают промисы; SQL использует плейсхолдеры '?'
+ *
+ * Запросы выполняются по очереди: транзакция занимает общее подключение,
+ * и изменение, отправленное в это время, попало бы внутрь нее, а чтение
+ * увидело бы ее незафиксированные строки. Поэтому чтения тоже идут через очередь.
+ * Каждое изменение вместе с записью журнала (см. audit-log.js) и истории цен
+ * (см. price-history.js) выполняется в одной транзакции
+ */
+class SqliteProductRepository {
+  /**
+   * @param {Object} db - Подключение из createDatabase (с промисом готовности db.ready)
+   */
+  constructor(db) {
+    this.client = 'sqlite';
+    this.rawDb = db;
+    this.db = promisifyDb(db);
+    this.queue = Promise.resolve();
+  }
+
+  // Постановка запроса в очередь подключения; ошибка одного запроса не останавливает очередь
+  _exclusive(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Транзакция в очереди записей: при ошибке задачи изменения откатываются
+  _transaction(task) {
+    return this._exclusive(async () => {
+      await this.db.run('BEGIN IMMEDIATE');
+      let result;
+      try {
+        result = await task();
+      } catch (err) {
+        await this.db.run('ROLLBACK');
+        throw err;
+      }
+      await this.db.run('COMMIT');
+      return result;
+    });
+  }
+
+  async _audit(action, before, after, context) {
+    await this.db.run(AUDIT_INSERT_SQL, auditParams(action, before, after, context));
+    if (priceChanged(before, after)) {
+      await this.db.run(PRICE_HISTORY_INSERT_SQL, priceHistoryParams(after, context));
+    }
+  }
+
+  // Набор функций tx для repositories/stock.js и repositories/taxonomy.js
+  _tx(context) {
+    return {
+      get: (sql, params) => this.db.get(sql, params),
+      all: (sql, params) => this.db.all(sql, params),
+      run: async (sql, params) => (await this.db.run(sql, params)).changes,
+      insert: async (sql, params) => (await this.db.run(sql, params)).lastID,
+      audit: (action, before, after) => this._audit(action, before, after, context)
+    };
+  }
+
+  // Транзакция с набором функций tx
+  _withTx(task, context) {
+    return this._transaction(() => task(this._tx(context)));
+  }
+
+  /**
+   * Ожидание готовности базы (миграции применены)
+   * @returns {Promise}
+   */
+  init() {
+    return Promise.resolve(this.rawDb.ready);
+  }
+
+  /**
+   * Страница списка товаров
+   * @param {Object} listQuery - Результат parseListQuery
+   * @returns {Promise<Object>} - { rows, total }, rows содержит на одну запись больше limit,
+   *   если есть следующая страница
+   */
+  list(listQuery) {
+    const { countSql, countParams, sql, params } = buildListQuery(listQuery, 'sqlite');
+    return this._page(countSql, countParams, sql, params);
+  }
+
+  /**
+   * Полнотекстовый поиск по индексу FTS5
+   * @param {Object} searchQuery - Результат parseSearchQuery
+   * @returns {Promise<Object>} - { rows, total }, строки содержат rank, name_snippet, description_snippet
+   */
+  search(searchQuery) {
+    const { countSql, countParams, sql, params } = buildSearchQuery(searchQuery, 'sqlite');
+    return this._page(countSql, countParams, sql, params);
+  }
+
+  // Количество и строки страницы одним заданием очереди
+  _page(countSql, countParams, sql, params) {
+    return this._exclusive(async () => {
+      const countRow = await this.db.get(countSql, countParams);
+      const rows = await this.db.all(sql, params);
+      return { rows, total: countRow.total };
+    });
+  }
+
+  /**
+   * Построчное чтение товаров вне корзины в порядке ID
+   * Строки читаются порциями по STREAM_BATCH_SIZE, таблица в память не загружается.
+   * Каждая порция - отдельное задание очереди, поэтому выгрузка не задерживает записи
+   * @returns {AsyncGenerator<Object>} - Записи товаров
+   */
+  async *stream() {
+    let lastId = 0;
+    for (;;) {
+      const rows = await this._exclusive(() => this.db.all(
+        'SELECT * FROM products WHERE deleted_at IS NULL AND id > ? ORDER BY id LIMIT ?',
+        [lastId, STREAM_BATCH_SIZE]
+      ));
+      yield* rows;
+      if (rows.length < STREAM_BATCH_SIZE) {
+        return;
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  /**
+   * @param {number} id - ID товара
+   * @param {Object} options - { includeDeleted } - искать также в корзине
+   * @returns {Promise<Object|undefined>} - Товар
+   */
+  findById(id, options) {
+    return this._exclusive(() => this._findById(id, options));
+  }
+
+  // Чтение товара без очереди - для заданий, которые уже в ней
+  _findById(id, { includeDeleted = false } = {}) {
+    return this.db.get(
+      `SELECT * FROM products WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+      [id]
+    );
+  }
+
+  /**
+   * @param {Object} product - { name, description, price_minor, currency, quantity }
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<number>} - ID созданного товара
+   */
+  create({ name, description, price_minor, currency, quantity }, context) {
+    return this._transaction(async () => {
+      const result = await this.db.run(INSERT_SQL, [name, description, price_minor, currency, quantity]);
+      await this._audit('create', undefined, await this._findById(result.lastID), context);
+      return result.lastID;
+    });
+  }
+
+  /**
+   * Замена всех полей товара с увеличением версии
+   * Остаток меньше зарезервированного количества не записывается (строка не меняется)
+   * @param {number} id - ID товара
+   * @param {Object} fields - { name, description, price_minor, currency, quantity }
+   * @param {number} version - Ожидаемая версия (опционально); при несовпадении строка не меняется
+   * @param {Object} context - { actor, requestId, action } - action в журнале, по умолчанию 'update'
+   * @returns {Promise<number>} - Количество измененных строк
+   */
+  update(id, { name, description, price_minor, currency, quantity }, version, context = {}) {
+    return this._transaction(async () => {
+      const before = await this._findById(id, { includeDeleted: true });
+      const result = await this.db.run(
+        `UPDATE products SET name = ?, description = ?, price_minor = ?, currency = ?, quantity = ?,
+         version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND ? >= reserved${version !== undefined ? ' AND version = ?' : ''}`,
+        [name, description, price_minor, currency, quantity, id, quantity, ...(version !== undefined ? [version] : [])]
+      );
+      if (result.changes > 0) {
+        const after = await this._findById(id, { includeDeleted: true });
+        await this._audit(context.action || 'update', before, after, context);
+      }
+      return result.changes;
+    });
+  }
+
+  /**
+   * Перемещение в корзину (deleted_at) или восстановление из нее
+   * @param {number} id - ID товара
+   * @param {boolean} deleted - true - в корзину, false - восстановить
+   * @param {number} version - Ожидаемая версия (опционально)
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<number>} - Количество измененных строк
+   */
+  setDeleted(id, deleted, version, context) {
+    return this._transaction(async () => {
+      const before = await this._findById(id, { includeDeleted: true });
+      const result = await this.db.run(
+        `UPDATE products SET deleted_at = ${deleted ? 'CURRENT_TIMESTAMP' : 'NULL'},
+         version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS ${deleted ? 'NULL' : 'NOT NULL'}${version !== undefined ? ' AND version = ?' : ''}`,
+        [id, ...(version !== undefined ? [version] : [])]
+      );
+      if (result.changes > 0) {
+        const after = await this._findById(id, { includeDeleted: true });
+        await this._audit(deleted ? 'delete' : 'restore', before, after, context);
+      }
+      return result.changes;
+    });
+  }
+
+  /**
+   * Окончательное удаление, в том числе из корзины
+   * @param {number} id - ID товара
+   * @param {number} version - Ожидаемая версия (опционально)
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<number>} - Количество удаленных строк
+   */
+  delete(id, version, context) {
+    return this._transaction(async () => {
+      const before = await this._findById(id, { includeDeleted: true });
+      const result = await this.db.run(
+        `DELETE FROM products WHERE id = ?${version !== undefined ? ' AND version = ?' : ''}`,
+        [id, ...(version !== undefined ? [version] : [])]
+      );
+      if (result.changes > 0) {
+        await taxonomy.deleteProductLinks(this._tx(context), id);
+        await images.deleteProductImages(this._tx(context), id);
+        await this._audit('purge', before, undefined, context);
+      }
+      return result.changes;
+    });
+  }
+
+  /**
+   * Пакет операций в одной транзакции (см. repositories/bulk.js)
+   * Каждый вид запроса подготавливается один раз и выполняется для всех операций пакета
+   * @param {Array} operations - Операции { op, id, product, version }
+   * @param {Object} options - { atomic } - откатить весь пакет при первой неудаче,
+   *   { context } - автор изменений для журнала
+   * @returns {Promise<Object>} - { committed, results }
+   */
+  bulk(operations, { atomic = true, context } = {}) {
+    return this._exclusive(async () => {
+      // NULL вместо версии отключает ее проверку
+      const statements = {
+        insert: prepareStatement(this.rawDb, INSERT_SQL),
+        update: prepareStatement(this.rawDb,
+          `UPDATE products SET name = ?, description = ?, price_minor = ?, currency = ?, quantity = ?,
+           version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND deleted_at IS NULL AND ? >= reserved AND (? IS NULL OR version = ?)`),
+        softDelete: prepareStatement(this.rawDb,
+          `UPDATE products SET deleted_at = CURRENT_TIMESTAMP,
+           version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND deleted_at IS NULL AND (? IS NULL OR version = ?)`),
+        find: prepareStatement(this.rawDb, 'SELECT * FROM products WHERE id = ?'),
+        audit: prepareStatement(this.rawDb, AUDIT_INSERT_SQL),
+        price: prepareStatement(this.rawDb, PRICE_HISTORY_INSERT_SQL)
+      };
+      const tx = {
+        insert: async ({ name, description, price_minor, currency, quantity }) => (
+          (await statements.insert.run([name, description, price_minor, currency, quantity])).lastID
+        ),
+        update: async (id, { name, description, price_minor, currency, quantity }, version = null) => (
+          (await statements.update.run([name, description, price_minor, currency, quantity, id, quantity, version, version])).changes
+        ),
+        softDelete: async (id, version = null) => (
+          (await statements.softDelete.run([id, version, version])).changes
+        ),
+        find: id => statements.find.get([id]),
+        exec: sql => this.db.run(sql),
+        audit: async (action, before, after) => {
+          await statements.audit.run(auditParams(action, before, after, context));
+          if (priceChanged(before, after)) {
+            await statements.price.run(priceHistoryParams(after, context));
+          }
+        }
+      };
+
+      try {
+        await this.db.run('BEGIN IMMEDIATE');
+        let outcome;
+        try {
+          outcome = await executeBulk(operations, { atomic }, tx);
+        } catch (err) {
+          await this.db.run('ROLLBACK');
+          throw err;
+        }
+        await this.db.run(outcome.commit ? 'COMMIT' : 'ROLLBACK');
+        return { committed: outcome.commit, results: outcome.results };
+      } finally {
+        await Promise.all(Object.values(statements).map(statement => statement.finalize()));
+      }
+    });
+  }
+
+  /**
+   * Изменение остатка на величину в одном UPDATE (см. repositories/stock.js)
+   * @param {number} id - ID товара
+   * @param {number} delta - Приход (> 0) или расход (< 0)
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<Object>} - { status, row }: adjusted, notFound или insufficient
+   */
+  adjustStock(id, delta, context) {
+    return this._withTx(tx => stock.adjustStock(tx, id, delta, new Date()), context);
+  }
+
+  /**
+   * Резервирование количества товара
+   * @param {number} productId - ID товара
+   * @param {Object} reservation - { quantity, expiresAt }
+   * @param {Object} context - Автор резерва: { actor, requestId }
+   * @returns {Promise<Object>} - { status, reservation, row }: reserved, notFound или insufficient
+   */
+  reserveStock(productId, { quantity, expiresAt }, context = {}) {
+    return this._withTx(tx => stock.reserveStock(
+      tx,
+      { productId, quantity, expiresAt, actor: context.actor },
+      new Date()
+    ), context);
+  }
+
+  /**
+   * Подтверждение резерва: количество списывается со склада
+   * @param {number} id - ID резерва
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<Object>} - { status, reservation, row }: committed, notFound, expired или closed
+   */
+  commitReservation(id, context) {
+    return this._withTx(tx => stock.finishReservation(tx, id, 'committed', new Date()), context);
+  }
+
+  /**
+   * Снятие резерва: количество снова доступно
+   * @param {number} id - ID резерва
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<Object>} - { status, reservation, row }: released, notFound или closed
+   */
+  releaseReservation(id, context) {
+    return this._withTx(tx => stock.finishReservation(tx, id, 'released', new Date()), context);
+  }
+
+  /**
+   * Снятие всех резервов, истекших к моменту now (фоновая очистка, см. stock.js)
+   * @param {Date} now - Текущее время
+   * @returns {Promise<number>} - Количество снятых резервов
+   */
+  releaseExpiredReservations(now = new Date()) {
+    return this._withTx(tx => stock.releaseExpired(tx, now), {});
+  }
+
+  /**
+   * @param {number} id - ID резерва
+   * @returns {Promise<Object|undefined>} - Резерв
+   */
+  findReservation(id) {
+    return this._exclusive(() => this.db.get('SELECT * FROM stock_reservations WHERE id = ?', [id]));
+  }
+
+  /**
+   * Категории и теги к строкам товаров (см. repositories/taxonomy.js)
+   * @param {Array} rows - Строки товаров
+   * @returns {Promise<Array>} - Товары с categories и tags
+   */
+  attachTaxonomy(rows) {
+    return this._exclusive(() => taxonomy.attachTaxonomy(this._tx(), rows));
+  }
+
+  /**
+   * @returns {Promise<Array>} - Все категории по названию
+   */
+  listCategories() {
+    return this._exclusive(() => taxonomy.listCategories(this._tx()));
+  }
+
+  /**
+   * @param {number} id - ID категории
+   * @returns {Promise<Object|undefined>} - Категория
+   */
+  findCategory(id) {
+    return this._exclusive(() => this.db.get('SELECT * FROM categories WHERE id = ?', [id]));
+  }
+
+  /**
+   * @param {Object} category - { name, parentId }
+   * @returns {Promise<Object>} - { status, category }: created или parentNotFound
+   */
+  createCategory(category) {
+    return this._withTx(tx => taxonomy.createCategory(tx, category));
+  }
+
+  /**
+   * @param {number} id - ID категории
+   * @param {Object} category - { name, parentId }
+   * @returns {Promise<Object>} - { status, category }: updated, notFound, parentNotFound или cycle
+   */
+  updateCategory(id, category) {
+    return this._withTx(tx => taxonomy.updateCategory(tx, id, category));
+  }
+
+  /**
+   * @param {number} id - ID категории
+   * @returns {Promise<Object>} - { status }: deleted, notFound или notEmpty
+   */
+  deleteCategory(id) {
+    return this._withTx(tx => taxonomy.deleteCategory(tx, id));
+  }
+
+  /**
+   * @returns {Promise<Array>} - Все теги по имени с количеством товаров
+   */
+  listTags() {
+    return this._exclusive(() => taxonomy.listTags(this._tx()));
+  }
+
+  /**
+   * @param {string} name - Тег
+   * @returns {Promise<Object>} - { status, tag }: created или exists
+   */
+  createTag(name) {
+    return this._withTx(tx => taxonomy.createTag(tx, name));
+  }
+
+  /**
+   * @param {number} id - ID тега
+   * @param {string} name - Новое имя
+   * @returns {Promise<Object>} - { status, tag }: updated, notFound или exists
+   */
+  renameTag(id, name) {
+    return this._withTx(tx => taxonomy.renameTag(tx, id, name));
+  }
+
+  /**
+   * @param {number} id - ID тега
+   * @returns {Promise<Object>} - { status }: deleted или notFound
+   */
+  deleteTag(id) {
+    return this._withTx(tx => taxonomy.deleteTag(tx, id));
+  }
+
+  /**
+   * Замена категорий товара с увеличением версии
+   * @param {number} productId - ID товара
+   * @param {number[]} categoryIds - ID категорий
+   * @param {number} version - Ожидаемая версия (опционально)
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<Object>} - { status, row, ids }: updated, notFound, conflict или unknownCategories
+   */
+  setProductCategories(productId, categoryIds, version, context) {
+    return this._withTx(tx => taxonomy.setProductCategories(tx, productId, categoryIds, version), context);
+  }
+
+  /**
+   * Замена тегов товара с увеличением версии
+   * @param {number} productId - ID товара
+   * @param {string[]} names - Теги
+   * @param {number} version - Ожидаемая версия (опционально)
+   * @param {Object} context - Автор изменения для журнала: { actor, requestId }
+   * @returns {Promise<Object>} - { status, row }: updated, notFound или conflict
+   */
+  setProductTags(productId, names, version, context) {
+    return this._withTx(tx => taxonomy.setProductTags(tx, productId, names, version), context);
+  }
+
+  /**
+   * @param {number} productId - ID товара
+   * @returns {Promise<Array>} - Изображения товара в порядке загрузки
+   */
+  listImages(productId) {
+    return this._exclusive(() => images.listImages(this._tx(), productId));
+  }
+
+  /**
+   * @param {number} productId - ID товара
+   * @param {number} id - ID изображения
+   * @returns {Promise<Object|undefined>} - Изображение
+   */
+  findImage(productId, id) {
+    return this._exclusive(() => images.findImage(this._tx(), productId, id));
+  }
+
+  /**
+   * Метаданные загруженного изображения (файлы уже в хранилище)
+   * @param {number} productId - ID товара
+   * @param {Object} image - { key, contentType, size, width, height, originalName, thumbnails }
+   * @returns {Promise<Object>} - { status, image }: created или notFound
+   */
+  addImage(productId, image) {
+    return this._withTx(tx => images.addImage(tx, productId, image));
+  }
+
+  /**
+   * @param {number} productId - ID товара
+   * @param {number} id - ID изображения
+   * @returns {Promise<Object>} - { status, image }: deleted или notFound
+   */
+  deleteImage(productId, id) {
+    return this._withTx(tx => images.deleteImage(tx, productId, id));
+  }
+
+  /**
+   * Записи журнала изменений, новые первыми
+   * @param {Object} filters - Фильтры и страница (см. audit-log.js buildAuditQuery)
+   * @returns {Promise<Object>} - { rows, total }
+   */
+  async auditLog(filters) {
+    const { countSql, countParams, sql, params } = buildAuditQuery(filters);
+    const { rows, total } = await this._page(countSql, countParams, sql, params);
+    return { rows: rows.map(parseAuditRow), total };
+  }
+
+  /**
+   * История цен товара, новые цены первыми
+   * @param {Object} filters - { productId, limit, offset }
+   * @returns {Promise<Object>} - { rows, total }
+   */
+  priceHistory(filters) {
+    const { countSql, countParams, sql, params } = buildPriceHistoryQuery(filters);
+    return this._page(countSql, countParams, sql, params);
+  }
+
+  /**
+   * Закрытие подключения (промисный close() из createDatabase)
+   * @returns {Promise}
+   */
+  close() {
+    return this.rawDb.close();
+  }
+}
+
+module.exports = SqliteProductRepository;
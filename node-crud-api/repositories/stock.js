@@ -0,0 +1,192 @@
+/**
+ * Изменение остатков и резервов внутри открытой транзакции
+ *
+ * Общая часть репозиториев, как repositories/bulk.js: адаптер открывает транзакцию
+ * и передает набор функций для работы с ней (tx):
+ *   get(sql, params)    - первая строка результата
+ *   all(sql, params)    - все строки
+ *   run(sql, params)    - количество измененных строк
+ *   insert(sql, params) - ID добавленной строки
+ *   audit(action, before, after) - запись журнала изменений (см. audit-log.js)
+ *
+ * Проверки выполняются в условиях UPDATE, поэтому параллельные запросы
+ * не могут увести остаток или доступное количество ниже нуля.
+ * Перед изменением товара его истекшие резервы снимаются, чтобы они не занимали остаток.
+ *
+ * Результат - { status, row, reservation }, где status:
+ *   adjusted, reserved, committed, released - операция выполнена
+ *   notFound     - товара или резерва нет (товар в корзине не изменяется)
+ *   insufficient - не хватает доступного количества
+ *   expired      - резерв истек, подтверждать нечего
+ *   closed       - резерв уже подтвержден, снят или истек
+ */
+
+const { toTimestamp } = require('../audit-log');
+
+const ADJUST_SQL = `UPDATE products SET quantity = quantity + ?,
+  version = version + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND deleted_at IS NULL AND quantity + ? >= reserved`;
+
+const RESERVE_SQL = `UPDATE products SET reserved = reserved + ?,
+  version = version + 1, updated_at = CURRENT_TIMESTAMP
+  WHERE id = ? AND deleted_at IS NULL AND quantity - reserved >= ?`;
+
+// Подтвержденный резерв списывается со склада, снятый - возвращается в доступное количество.
+// CAST у вычитаемого параметра: без него pg-mem меняет операнды местами
+const CLOSE_SQL = {
+  committed: `UPDATE products SET quantity = quantity - CAST(? AS INTEGER), reserved = reserved - CAST(? AS INTEGER),
+    version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+  released: `UPDATE products SET reserved = reserved - CAST(? AS INTEGER),
+    version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
+};
+CLOSE_SQL.expired = CLOSE_SQL.released;
+
+const CLOSE_ACTIONS = { committed: 'commit', released: 'release', expired: 'expire' };
+
+const INSERT_RESERVATION_SQL = `INSERT INTO stock_reservations (product_id, quantity, actor, expires_at)
+  VALUES (?, ?, ?, ?)`;
+
+const findProduct = (tx, id) => tx.get('SELECT * FROM products WHERE id = ?', [id]);
+const findReservation = (tx, id) => tx.get('SELECT * FROM stock_reservations WHERE id = ?', [id]);
+const live = row => (row && row.deleted_at == null ? row : undefined);
+
+// Результат для резерва, который уже не активен: истекший резерв подтвердить нельзя
+const inactive = (reservation, status) => ({
+  status: reservation.status === 'expired' && status === 'committed' ? 'expired' : 'closed',
+  reservation
+});
+
+// Закрытие активного резерва с возвратом или списанием остатка товара.
+// Резерв, закрытый параллельным запросом или фоновой очисткой после чтения, не изменяется:
+// условие status = 'active' в UPDATE не дает списать остаток дважды, результат - null
+async function closeReservation(tx, reservation, status) {
+  const changed = await tx.run(
+    `UPDATE stock_reservations SET status = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'active'`,
+    [status, reservation.id]
+  );
+  if (changed === 0) {
+    return null;
+  }
+
+  // Окончательно удаленный товар не изменяется, резерв просто закрывается
+  const before = await findProduct(tx, reservation.product_id);
+  let row;
+  if (before) {
+    const { quantity, product_id: productId } = reservation;
+    await tx.run(CLOSE_SQL[status], status === 'committed' ? [quantity, quantity, productId] : [quantity, productId]);
+    row = await findProduct(tx, productId);
+    await tx.audit(CLOSE_ACTIONS[status], before, row);
+  }
+  return { reservation: await findReservation(tx, reservation.id), row };
+}
+
+/**
+ * Снятие активных резервов, истекших к моменту now
+ * @param {Object} tx - Функции транзакции
+ * @param {Date} now - Текущее время
+ * @param {Object} scope - { productId } или { reservationId } - только резервы товара или один резерв
+ * @returns {Promise<number>} - Количество снятых резервов
+ */
+async function releaseExpired(tx, now, { productId, reservationId } = {}) {
+  const conditions = ["status = 'active'", 'expires_at <= ?'];
+  const params = [toTimestamp(now)];
+  if (productId !== undefined) {
+    conditions.push('product_id = ?');
+    params.push(productId);
+  }
+  if (reservationId !== undefined) {
+    conditions.push('id = ?');
+    params.push(reservationId);
+  }
+
+  const expired = await tx.all(
+    `SELECT * FROM stock_reservations WHERE ${conditions.join(' AND ')} ORDER BY id`,
+    params
+  );
+  let released = 0;
+  for (const reservation of expired) {
+    if (await closeReservation(tx, reservation, 'expired')) {
+      released++;
+    }
+  }
+  return released;
+}
+
+/**
+ * Изменение остатка на delta
+ * @param {Object} tx - Функции транзакции
+ * @param {number} id - ID товара
+ * @param {number} delta - Приход (> 0) или расход (< 0)
+ * @param {Date} now - Текущее время
+ * @returns {Promise<Object>} - { status: 'adjusted', row } | notFound | insufficient с текущим row
+ */
+async function adjustStock(tx, id, delta, now) {
+  await releaseExpired(tx, now, { productId: id });
+  const before = live(await findProduct(tx, id));
+  if (!before) {
+    return { status: 'notFound' };
+  }
+
+  // Остаток не может стать меньше зарезервированного количества
+  if (await tx.run(ADJUST_SQL, [delta, id, delta]) === 0) {
+    return { status: 'insufficient', row: before };
+  }
+  const row = await findProduct(tx, id);
+  await tx.audit('adjust', before, row);
+  return { status: 'adjusted', row };
+}
+
+/**
+ * Резервирование количества товара до expiresAt
+ * @param {Object} tx - Функции транзакции
+ * @param {Object} reservation - { productId, quantity, expiresAt, actor }
+ * @param {Date} now - Текущее время
+ * @returns {Promise<Object>} - { status: 'reserved', reservation, row } | notFound | insufficient
+ */
+async function reserveStock(tx, { productId, quantity, expiresAt, actor = null }, now) {
+  await releaseExpired(tx, now, { productId });
+  const before = live(await findProduct(tx, productId));
+  if (!before) {
+    return { status: 'notFound' };
+  }
+
+  if (await tx.run(RESERVE_SQL, [quantity, productId, quantity]) === 0) {
+    return { status: 'insufficient', row: before };
+  }
+  const id = await tx.insert(INSERT_RESERVATION_SQL, [productId, quantity, actor, toTimestamp(expiresAt)]);
+  const row = await findProduct(tx, productId);
+  await tx.audit('reserve', before, row);
+  return { status: 'reserved', reservation: await findReservation(tx, id), row };
+}
+
+/**
+ * Подтверждение (status = 'committed') или снятие (status = 'released') резерва
+ * Истекший резерв подтвердить нельзя: он снимается, а результат - expired
+ * @param {Object} tx - Функции транзакции
+ * @param {number} id - ID резерва
+ * @param {string} status - 'committed' или 'released'
+ * @param {Date} now - Текущее время
+ * @returns {Promise<Object>} - { status, reservation, row }
+ */
+async function finishReservation(tx, id, status, now) {
+  if (status === 'committed') {
+    await releaseExpired(tx, now, { reservationId: id });
+  }
+  const reservation = await findReservation(tx, id);
+  if (!reservation) {
+    return { status: 'notFound' };
+  }
+  if (reservation.status !== 'active') {
+    return inactive(reservation, status);
+  }
+  const closed = await closeReservation(tx, reservation, status);
+  return closed ? { status, ...closed } : inactive(await findReservation(tx, id), status);
+}
+
+module.exports = {
+  releaseExpired,
+  adjustStock,
+  reserveStock,
+  finishReservation
+};
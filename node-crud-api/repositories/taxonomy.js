@@ -0,0 +1,304 @@
+/**
+ * Категории, теги и связи с товарами
+ *
+ * Общая часть репозиториев: функции получают набор tx (см. repositories/stock.js) -
+ * на транзакции для изменений или на обычном подключении для чтения.
+ *
+ * Назначение категорий или тегов заменяет набор товара целиком, увеличивает его версию
+ * и записывается в журнал изменений как update с полями categories (ID) и tags.
+ *
+ * Результат изменения - { status, ... }, где status:
+ *   created, updated, deleted - операция выполнена
+ *   notFound          - категории, тега или товара нет (товар в корзине не изменяется)
+ *   parentNotFound    - нет родительской категории
+ *   cycle             - категория оказалась бы вложена в саму себя
+ *   notEmpty          - у категории есть подкатегории
+ *   exists            - тег с таким именем уже есть
+ *   unknownCategories - часть назначаемых категорий не найдена (ids)
+ *   conflict          - версия товара не совпадает с переданной
+ */
+
+const { categorySubtree } = require('../taxonomy');
+
+const placeholders = values => values.map(() => '?').join(', ');
+const live = row => (row && row.deleted_at == null ? row : undefined);
+
+const findCategory = (tx, id) => tx.get('SELECT * FROM categories WHERE id = ?', [id]);
+const findTag = (tx, id) => tx.get('SELECT * FROM tags WHERE id = ?', [id]);
+const findProduct = (tx, id) => tx.get('SELECT * FROM products WHERE id = ?', [id]);
+
+/**
+ * Все категории по названию
+ * @param {Object} tx - Функции запросов
+ * @returns {Promise<Array>} - Категории
+ */
+function listCategories(tx) {
+  return tx.all('SELECT * FROM categories ORDER BY name, id');
+}
+
+/**
+ * Все теги по имени с количеством товаров
+ * @param {Object} tx - Функции запросов
+ * @returns {Promise<Array>} - Теги { id, name, created_at, products }
+ */
+async function listTags(tx) {
+  const rows = await tx.all(
+    `SELECT t.id, t.name, t.created_at, COUNT(pt.product_id) AS products
+     FROM tags t LEFT JOIN product_tags pt ON pt.tag_id = t.id
+     GROUP BY t.id, t.name, t.created_at
+     ORDER BY t.name`
+  );
+  // COUNT в PostgreSQL имеет тип bigint и приходит строкой
+  return rows.map(row => ({ ...row, products: Number(row.products) }));
+}
+
+/**
+ * Добавление категорий и тегов к строкам товаров
+ * @param {Object} tx - Функции запросов
+ * @param {Array} rows - Строки товаров
+ * @returns {Promise<Array>} - Товары с categories: [{ id, name }] и tags: [имя]
+ */
+async function attachTaxonomy(tx, rows) {
+  const ids = [...new Set(rows.map(row => row.id))];
+  if (ids.length === 0) {
+    return rows;
+  }
+
+  const categoryLinks = await tx.all(
+    `SELECT pc.product_id, c.id, c.name FROM product_categories pc
+     JOIN categories c ON c.id = pc.category_id
+     WHERE pc.product_id IN (${placeholders(ids)})
+     ORDER BY c.name, c.id`,
+    ids
+  );
+  const tagLinks = await tx.all(
+    `SELECT pt.product_id, t.name FROM product_tags pt
+     JOIN tags t ON t.id = pt.tag_id
+     WHERE pt.product_id IN (${placeholders(ids)})
+     ORDER BY t.name`,
+    ids
+  );
+
+  return rows.map(row => ({
+    ...row,
+    categories: categoryLinks
+      .filter(link => link.product_id === row.id)
+      .map(({ id, name }) => ({ id, name })),
+    tags: tagLinks.filter(link => link.product_id === row.id).map(link => link.name)
+  }));
+}
+
+// Товар с набором категорий (ID) и тегов для журнала изменений
+async function linkedState(tx, row) {
+  const [product] = await attachTaxonomy(tx, [row]);
+  return { ...product, categories: product.categories.map(category => category.id) };
+}
+
+/**
+ * @param {Object} tx - Функции транзакции
+ * @param {Object} category - { name, parentId }
+ * @returns {Promise<Object>} - { status: 'created', category } | parentNotFound
+ */
+async function createCategory(tx, { name, parentId = null }) {
+  if (parentId !== null && !(await findCategory(tx, parentId))) {
+    return { status: 'parentNotFound' };
+  }
+  const id = await tx.insert('INSERT INTO categories (name, parent_id) VALUES (?, ?)', [name, parentId]);
+  return { status: 'created', category: await findCategory(tx, id) };
+}
+
+/**
+ * Переименование и перенос категории
+ * @param {Object} tx - Функции транзакции
+ * @param {number} id - ID категории
+ * @param {Object} category - { name, parentId } (parentId null - верхний уровень)
+ * @returns {Promise<Object>} - { status: 'updated', category } | notFound | parentNotFound | cycle
+ */
+async function updateCategory(tx, id, { name, parentId = null }) {
+  if (!(await findCategory(tx, id))) {
+    return { status: 'notFound' };
+  }
+  if (parentId !== null) {
+    if (!(await findCategory(tx, parentId))) {
+      return { status: 'parentNotFound' };
+    }
+    if (categorySubtree(await listCategories(tx), id).includes(parentId)) {
+      return { status: 'cycle' };
+    }
+  }
+
+  await tx.run(
+    'UPDATE categories SET name = ?, parent_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, parentId, id]
+  );
+  return { status: 'updated', category: await findCategory(tx, id) };
+}
+
+/**
+ * Удаление категории без подкатегорий; товары из нее исключаются
+ * @param {Object} tx - Функции транзакции
+ * @param {number} id - ID категории
+ * @returns {Promise<Object>} - { status: 'deleted' } | notFound | notEmpty
+ */
+async function deleteCategory(tx, id) {
+  if (!(await findCategory(tx, id))) {
+    return { status: 'notFound' };
+  }
+  if (await tx.get('SELECT id FROM categories WHERE parent_id = ? LIMIT 1', [id])) {
+    return { status: 'notEmpty' };
+  }
+  await tx.run('DELETE FROM product_categories WHERE category_id = ?', [id]);
+  await tx.run('DELETE FROM categories WHERE id = ?', [id]);
+  return { status: 'deleted' };
+}
+
+/**
+ * @param {Object} tx - Функции транзакции
+ * @param {string} name - Тег (см. taxonomy.js normalizeTag)
+ * @returns {Promise<Object>} - { status: 'created', tag } | { status: 'exists', tag }
+ */
+async function createTag(tx, name) {
+  const existing = await tx.get('SELECT * FROM tags WHERE name = ?', [name]);
+  if (existing) {
+    return { status: 'exists', tag: existing };
+  }
+  const id = await tx.insert('INSERT INTO tags (name) VALUES (?)', [name]);
+  return { status: 'created', tag: await findTag(tx, id) };
+}
+
+/**
+ * Переименование тега у всех товаров
+ * @param {Object} tx - Функции транзакции
+ * @param {number} id - ID тега
+ * @param {string} name - Новое имя
+ * @returns {Promise<Object>} - { status: 'updated', tag } | notFound | exists
+ */
+async function renameTag(tx, id, name) {
+  if (!(await findTag(tx, id))) {
+    return { status: 'notFound' };
+  }
+  const existing = await tx.get('SELECT * FROM tags WHERE name = ? AND id <> ?', [name, id]);
+  if (existing) {
+    return { status: 'exists', tag: existing };
+  }
+  await tx.run('UPDATE tags SET name = ? WHERE id = ?', [name, id]);
+  return { status: 'updated', tag: await findTag(tx, id) };
+}
+
+/**
+ * Удаление тега у всех товаров
+ * @param {Object} tx - Функции транзакции
+ * @param {number} id - ID тега
+ * @returns {Promise<Object>} - { status: 'deleted' } | notFound
+ */
+async function deleteTag(tx, id) {
+  if (!(await findTag(tx, id))) {
+    return { status: 'notFound' };
+  }
+  await tx.run('DELETE FROM product_tags WHERE tag_id = ?', [id]);
+  await tx.run('DELETE FROM tags WHERE id = ?', [id]);
+  return { status: 'deleted' };
+}
+
+// Общая часть назначения: проверка товара и версии, замена связей, журнал.
+// resolveIds вызывается после проверки версии и возвращает ID связываемых записей
+async function replaceLinks(tx, productId, version, { table, column, resolveIds }) {
+  const before = live(await findProduct(tx, productId));
+  if (!before) {
+    return { status: 'notFound' };
+  }
+  const changes = await tx.run(
+    `UPDATE products SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND deleted_at IS NULL${version !== undefined ? ' AND version = ?' : ''}`,
+    [productId, ...(version !== undefined ? [version] : [])]
+  );
+  if (changes === 0) {
+    return { status: 'conflict' };
+  }
+
+  const beforeState = await linkedState(tx, before);
+  await tx.run(`DELETE FROM ${table} WHERE product_id = ?`, [productId]);
+  for (const id of await resolveIds()) {
+    await tx.run(`INSERT INTO ${table} (product_id, ${column}) VALUES (?, ?)`, [productId, id]);
+  }
+  const row = await findProduct(tx, productId);
+  await tx.audit('update', beforeState, await linkedState(tx, row));
+  return { status: 'updated', row };
+}
+
+/**
+ * Замена категорий товара
+ * @param {Object} tx - Функции транзакции
+ * @param {number} productId - ID товара
+ * @param {number[]} categoryIds - ID категорий
+ * @param {number} version - Ожидаемая версия товара (опционально)
+ * @returns {Promise<Object>} - { status: 'updated', row } | notFound | conflict | { status: 'unknownCategories', ids }
+ */
+async function setProductCategories(tx, productId, categoryIds, version) {
+  const ids = [...new Set(categoryIds)];
+  if (ids.length > 0) {
+    const found = (await tx.all(`SELECT id FROM categories WHERE id IN (${placeholders(ids)})`, ids))
+      .map(category => category.id);
+    const missing = ids.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+      return { status: 'unknownCategories', ids: missing };
+    }
+  }
+  return replaceLinks(tx, productId, version, {
+    table: 'product_categories',
+    column: 'category_id',
+    resolveIds: async () => ids
+  });
+}
+
+/**
+ * Замена тегов товара; новые теги создаются
+ * @param {Object} tx - Функции транзакции
+ * @param {number} productId - ID товара
+ * @param {string[]} names - Теги (см. taxonomy.js normalizeTag)
+ * @param {number} version - Ожидаемая версия товара (опционально)
+ * @returns {Promise<Object>} - { status: 'updated', row } | notFound | conflict
+ */
+async function setProductTags(tx, productId, names, version) {
+  const unique = [...new Set(names)];
+  return replaceLinks(tx, productId, version, {
+    table: 'product_tags',
+    column: 'tag_id',
+    resolveIds: async () => {
+      if (unique.length === 0) {
+        return [];
+      }
+      for (const name of unique) {
+        await tx.run('INSERT INTO tags (name) VALUES (?) ON CONFLICT (name) DO NOTHING', [name]);
+      }
+      const tags = await tx.all(`SELECT id FROM tags WHERE name IN (${placeholders(unique)})`, unique);
+      return tags.map(tag => tag.id);
+    }
+  });
+}
+
+/**
+ * Удаление связей окончательно удаленного товара
+ * @param {Object} tx - Функции транзакции
+ * @param {number} productId - ID товара
+ * @returns {Promise}
+ */
+async function deleteProductLinks(tx, productId) {
+  await tx.run('DELETE FROM product_categories WHERE product_id = ?', [productId]);
+  await tx.run('DELETE FROM product_tags WHERE product_id = ?', [productId]);
+}
+
+module.exports = {
+  listCategories,
+  listTags,
+  attachTaxonomy,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createTag,
+  renameTag,
+  deleteTag,
+  setProductCategories,
+  setProductTags,
+  deleteProductLinks
+};
@@ -1,183 +1,1666 @@
 const express = require('express');
-const router = express.Router();
-const db = require('./db');
-
-// Функция экранирования HTML-символов для защиты от XSS
-function escapeHtml(text) {
-  if (typeof text !== 'string') return text;
-  return text
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
-
-
-// GET /products - Получить все товары
-router.get('/products', (req, res) => {
-  const sql = 'SELECT * FROM products ORDER BY created_at DESC';
-  
-  db.all(sql, [], (err, rows) => {
-    if (err) {
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const defaultCache = require('./cache-middleware');
+const {
+  parseListQuery,
+  encodeCursor,
+  parseSearchQuery,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  QueryError,
+  DEFAULT_LIMIT
+} = require('./products-query');
+const { validate, validateLocation, validationErrorBody, sendValidationError } = require('./validation');
+const { translate, resolveLocale } = require('./validation-messages');
+const schemas = require('./product-schemas');
+const {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  PatchError,
+  applyMergePatch,
+  applyJsonPatch
+} = require('./json-patch');
+const { productETag, checkIfMatch, writeConflict } = require('./conditional-requests');
+const { hasRole, requireRole } = require('./auth');
+const { escapeHtml } = require('./serialization');
+const { revertFields } = require('./audit-log');
+const { DEFAULT_RESERVATION_TTL, withAvailable } = require('./stock');
+const {
+  DEFAULT_CURRENCY,
+  MAX_PRICE_MINOR,
+  currencyExponent,
+  toMinorUnits,
+  fromMinorUnits,
+  withPrice,
+  exchangeRate,
+  convertPrice
+} = require('./currency');
+const { normalizeTag, categorySubtree, buildCategoryTree } = require('./taxonomy');
+const {
+  DEFAULT_MAX_IMAGE_SIZE,
+  DEFAULT_THUMBNAIL_SIZES,
+  UploadError,
+  readImageUpload,
+  processImage,
+  imageKeys,
+  imageFileKeys
+} = require('./images');
+const { createStorage } = require('./storage');
+const {
+  EXPORT_FORMATS,
+  CSV_TYPE,
+  IMPORT_MEDIA_TYPES,
+  serializeProducts,
+  parseCsv,
+  parseCsvField,
+  parseNdjson
+} = require('./products-io');
+
+// Типы тела PATCH; application/json обрабатывается как merge-patch
+const PATCH_MEDIA_TYPES = [MERGE_PATCH_TYPE, JSON_PATCH_TYPE, 'application/json'];
+const EDITABLE_FIELDS = Object.keys(schemas.patchedProduct);
+
+// Импорт: предельный размер файла и обязательные колонки CSV
+const IMPORT_BODY_LIMIT = '10mb';
+const REQUIRED_IMPORT_COLUMNS = Object.keys(schemas.createProduct.body)
+  .filter(field => schemas.createProduct.body[field].required);
+
+// Ключи кэша: списки кэшируются с учетом query-параметров,
+// поэтому инвалидируются целиком по префиксу
+const LIST_CACHE_PREFIX = 'products:list:';
+const itemCacheKey = (id) => `products:item:${id}`;
+// Все ответы с товарами: списки и отдельные записи
+const PRODUCTS_CACHE_PREFIX = 'products:';
+
+// Запас на заголовки и разделители multipart сверх предельного размера файла
+const MULTIPART_OVERHEAD = 64 * 1024;
+// Файл изображения не меняется: новая загрузка получает новый ID
+const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Формирование ссылки на страницу списка с измененными параметрами
+function pageUrl(req, overrides) {
+  const params = new URLSearchParams();
+  Object.entries({ ...req.query, ...overrides }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      params.set(key, String(value));
+    }
+  });
+  return `${req.baseUrl}${req.path}?${params.toString()}`;
+}
+
+// Заголовок Link (RFC 8288) со ссылками на соседние страницы
+function buildLinkHeader(req, { limit, offset, cursor, total, nextCursor }) {
+  const links = [];
+
+  if (nextCursor) {
+    links.push(`<${pageUrl(req, { cursor: nextCursor, offset: undefined })}>; rel="next"`);
+  }
+
+  if (!cursor) {
+    const lastOffset = Math.max(0, Math.floor((total - 1) / limit) * limit);
+    links.push(`<${pageUrl(req, { offset: 0 })}>; rel="first"`);
+    if (offset > 0) {
+      links.push(`<${pageUrl(req, { offset: Math.max(0, offset - limit) })}>; rel="prev"`);
+    }
+    links.push(`<${pageUrl(req, { offset: lastOffset })}>; rel="last"`);
+  }
+
+  return links.join(', ');
+}
+
+// Экранирование фрагмента с подсветкой: текст экранируется как обычно,
+// затем маркеры совпадений заменяются на <mark>
+function highlightSnippet(snippet) {
+  return escapeHtml(String(snippet || ''))
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+// Значения для записи в базу: текст хранится в исходном виде
+// (экранирование - при выводе, см. serialization.js), описание обрезается,
+// очищенное описание (null) хранится пустой строкой, цена - в минимальных единицах валюты.
+// Цена должна быть предварительно проверена priceErrors
+function toStoredProduct({ name, description, price, currency, quantity }) {
+  return {
+    name,
+    description: typeof description === 'string' ? description.substring(0, 1000) : '',
+    price_minor: toMinorUnits(price, currency),
+    currency,
+    quantity
+  };
+}
+
+// Ошибки цены, которые зависят от валюты: лишние знаки после запятой
+// или сумма больше хранимой (см. currency.js). field - путь поля цены в ответе
+function priceErrors({ price, currency }, location, locale, field = 'price') {
+  if (price === undefined || toMinorUnits(price, currency) !== null) {
+    return [];
+  }
+  const digits = currencyExponent(currency);
+  return [{
+    location,
+    field,
+    code: 'precision',
+    message: translate(locale, 'product.pricePrecision', { currency, digits, max: fromMinorUnits(MAX_PRICE_MINOR, currency) })
+  }];
+}
+
+// Товар в формате ответа: цена в основных единицах и доступное количество
+const productResponse = row => withPrice(withAvailable(row));
+
+// Ошибка патча в общем формате ошибок валидации, на языке запроса
+function sendPatchError(req, res, err) {
+  return res.status(err.status).json(validationErrorBody([{
+    location: 'body',
+    field: err.path,
+    code: 'patch',
+    message: translate(resolveLocale(req), err.key, err.params)
+  }]));
+}
+
+// Ошибка условного запроса; текущий ETag помогает клиенту перечитать товар
+function sendPreconditionError(req, res, { status, code, key }, etag) {
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  return res.status(status).json({ error: translate(resolveLocale(req), key), code });
+}
+
+// Записи файла импорта в виде объектов полей товара
+// Возвращает { records } или { error } для файла, который нельзя разобрать целиком
+function readImportRecords(text, isCsv) {
+  if (!isCsv) {
+    return { records: parseNdjson(text) };
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { records: [] };
+  }
+  const columns = (header.values || []).map(column => column.trim());
+  if (REQUIRED_IMPORT_COLUMNS.some(column => !columns.includes(column))) {
+    return { error: { key: 'import.header', params: { columns: REQUIRED_IMPORT_COLUMNS.join(', ') } } };
+  }
+
+  return {
+    records: rows.map(({ line, values, error }) => {
+      if (error) {
+        return { line, error };
+      }
+      if (values.length !== columns.length) {
+        return { line, error: 'import.columns', params: { count: values.length, expected: columns.length } };
+      }
+      return { line, value: Object.fromEntries(columns.map((column, index) => [column, parseCsvField(values[index])])) };
+    })
+  };
+}
+
+// Проверка операции пакета по схемам одиночных маршрутов
+// Возвращает { operation } для репозитория или { errors } с путями полей внутри операции
+function prepareBulkOperation(item, index, locale, defaultCurrency) {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+    return {
+      errors: [{ location: 'body', field: null, code: 'type', message: translate(locale, 'bulk.item', { index }) }]
+    };
+  }
+
+  const { value, errors } = validateLocation(item, schemas.bulkOperation, 'body', locale);
+  const { op, id, version, data } = value;
+  const required = field => ({
+    location: 'body',
+    field,
+    code: 'required',
+    message: translate(locale, 'required', { field })
+  });
+
+  if (op !== undefined && op !== 'create' && id === undefined && item.id === undefined) {
+    errors.push(required('id'));
+  }
+  if (op !== undefined && op !== 'delete' && item.data === undefined) {
+    errors.push(required('data'));
+  }
+
+  let product;
+  if (data !== undefined && op !== 'delete') {
+    const fields = validateLocation(data, schemas.createProduct.body, 'body', locale);
+    product = { ...fields.value, currency: fields.value.currency || defaultCurrency };
+    const fieldErrors = fields.errors.length > 0 ? fields.errors : priceErrors(product, 'body', locale);
+    errors.push(...fieldErrors.map(error => ({ ...error, field: `data.${error.field}` })));
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  if (op === 'delete') {
+    return { operation: { op, id, version } };
+  }
+  // Значения по умолчанию - как у POST (создание) и PUT (замена)
+  const { name, description, price, currency, quantity } = product;
+  return {
+    operation: {
+      op,
+      id,
+      version,
+      product: toStoredProduct({
+        name,
+        description: op === 'create' ? description || '' : (description === undefined ? '' : description),
+        price,
+        currency,
+        quantity: quantity === undefined ? 0 : quantity
+      })
+    }
+  };
+}
+
+// Результат выполненной операции пакета в формате ответа
+function bulkResult(req, index, op, { status, id, row, reserved, error }) {
+  const locale = resolveLocale(req);
+  switch (status) {
+    case 'created':
+    case 'updated':
+      return {
+        index,
+        op,
+        status: status === 'created' ? 201 : 200,
+        id,
+        etag: productETag(row),
+        data: productResponse(row)
+      };
+    case 'deleted':
+      return { index, op, status: 200, id };
+    case 'notFound':
+      return { index, op, status: 404, id, error: translate(locale, 'product.notFound'), code: 'NOT_FOUND' };
+    case 'insufficient':
+      return {
+        index,
+        op,
+        status: 409,
+        id,
+        error: translate(locale, 'stock.belowReserved', { reserved }),
+        code: 'INSUFFICIENT_STOCK'
+      };
+    case 'failed':
+      return { index, op, status: 500, id, error, code: 'OPERATION_FAILED' };
+    default:
+      return {
+        index,
+        op,
+        status: 412,
+        id,
+        error: translate(locale, 'precondition.failed'),
+        code: 'PRECONDITION_FAILED'
+      };
+  }
+}
+
+// Автор изменения для журнала: пользователь (см. auth.js) и ID запроса
+function auditContext(req) {
+  return { actor: req.user ? req.user.id : null, requestId: req.id || null };
+}
+
+// Страница журнала изменений или истории цен в формате ответа
+function sendHistoryPage(res, { rows, total }, { limit, offset }) {
+  res.set('X-Total-Count', String(total));
+  res.json({
+    message: 'success',
+    data: rows,
+    pagination: { total, limit, offset, hasMore: offset + rows.length < total }
+  });
+}
+
+// Отказ изменения остатка или резерва (см. repositories/stock.js): 409 с причиной
+function sendStockConflict(req, res, { status, row, reservation }) {
+  const locale = resolveLocale(req);
+  if (status === 'insufficient') {
+    const { available } = withAvailable(row);
+    return res.status(409).json({
+      error: translate(locale, 'stock.insufficient', { available }),
+      code: 'INSUFFICIENT_STOCK',
+      available
+    });
+  }
+  return res.status(409).json(status === 'expired'
+    ? { error: translate(locale, 'stock.reservationExpired'), code: 'RESERVATION_EXPIRED', data: reservation }
+    : {
+      error: translate(locale, 'stock.reservationClosed', { status: reservation.status }),
+      code: 'RESERVATION_CLOSED',
+      data: reservation
+    });
+}
+
+// Отказ записи товара, не изменившей строку: остаток меньше зарезервированного
+// количества (409) или товар успели изменить параллельно (412/409)
+async function sendWriteRejected(req, res, products, id, quantity) {
+  const current = await products.findById(id, { includeDeleted: true });
+  if (current && quantity < current.reserved) {
+    return res.status(409).json({
+      error: translate(resolveLocale(req), 'stock.belowReserved', { reserved: current.reserved }),
+      code: 'INSUFFICIENT_STOCK',
+      available: withAvailable(current).available
+    });
+  }
+  return sendPreconditionError(req, res, writeConflict(req));
+}
+
+// Товар не найден
+function sendProductNotFound(req, res) {
+  return res.status(404).json({ message: translate(resolveLocale(req), 'product.notFound') });
+}
+
+// Резерв не найден
+function sendReservationNotFound(req, res) {
+  return res.status(404).json({
+    error: translate(resolveLocale(req), 'stock.reservationNotFound'),
+    code: 'RESERVATION_NOT_FOUND'
+  });
+}
+
+// Отказ изменения категории или тега (см. repositories/taxonomy.js): [HTTP-статус, сообщение, код]
+const TAXONOMY_ERRORS = {
+  categoryNotFound: [404, 'category.notFound', 'CATEGORY_NOT_FOUND'],
+  parentNotFound: [404, 'category.parentNotFound', 'PARENT_NOT_FOUND'],
+  cycle: [409, 'category.cycle', 'CATEGORY_CYCLE'],
+  notEmpty: [409, 'category.notEmpty', 'CATEGORY_NOT_EMPTY'],
+  unknownCategories: [404, 'category.unknown', 'CATEGORY_NOT_FOUND'],
+  tagNotFound: [404, 'tag.notFound', 'TAG_NOT_FOUND'],
+  exists: [409, 'tag.exists', 'TAG_EXISTS']
+};
+
+function sendTaxonomyError(req, res, entity, { status, ids, tag }, params = {}) {
+  const [httpStatus, key, code] = TAXONOMY_ERRORS[status === 'notFound' ? `${entity}NotFound` : status];
+  return res.status(httpStatus).json({
+    error: translate(resolveLocale(req), key, { ...params, ids: ids && ids.join(', '), name: tag && tag.name }),
+    code,
+    ...(ids ? { ids } : {}),
+    ...(tag ? { data: tag } : {})
+  });
+}
+
+// Проверка элементов массива из тела правилом rule; ошибки указывают поле с индексом (tags[1])
+function validateItems(items, field, rule, locale) {
+  const values = [];
+  const errors = [];
+  items.forEach((item, index) => {
+    const name = `${field}[${index}]`;
+    const result = validateLocation({ [name]: item }, { [name]: { ...rule, required: true } }, 'body', locale);
+    values.push(result.value[name]);
+    errors.push(...result.errors);
+  });
+  return { values, errors };
+}
+
+// Изображение в формате ответа: ссылки на оригинал и уменьшенные копии вместо ключей хранилища
+function imageResponse(req, { storage_key, thumbnails, ...image }) {
+  const url = `${req.baseUrl}/products/${image.product_id}/images/${image.id}`;
+  return {
+    ...image,
+    url,
+    thumbnails: thumbnails.map(({ size, width, height }) => ({ size, width, height, url: `${url}?size=${size}` }))
+  };
+}
+
+// Ошибка загрузки изображения на языке запроса
+function sendUploadError(req, res, err) {
+  return res.status(err.status).json({
+    error: translate(resolveLocale(req), err.key, err.params),
+    code: 'INVALID_IMAGE'
+  });
+}
+
+// Изображение (или его уменьшенная копия) не найдено
+function sendImageNotFound(req, res, key = 'image.notFound', params = {}) {
+  return res.status(404).json({
+    error: translate(resolveLocale(req), key, params),
+    code: 'IMAGE_NOT_FOUND'
+  });
+}
+
+// Ошибка разбора параметров в общем формате ошибок валидации, на языке запроса
+function sendQueryError(req, res, err) {
+  return sendValidationError(res, [{
+    location: 'query',
+    field: err.field,
+    code: 'invalid',
+    message: translate(resolveLocale(req), err.key, err.params)
+  }]);
+}
+
+/**
+ * Создание роутера товаров
+ * @param {Object} options - Зависимости
+ * @param {Object} options.products - Репозиторий товаров (см. repositories/)
+ * @param {CacheMiddleware} options.cache - Кэш ответов (по умолчанию общий экземпляр)
+ * @param {boolean} options.requireIfMatch - Требовать If-Match для PUT/PATCH/DELETE (428 без него)
+ * @param {boolean} options.publicReads - Чтение без аутентификации (иначе нужна роль viewer)
+ * @param {Object} options.storage - Хранилище файлов изображений (см. storage.js)
+ * @param {Object} options.images - { maxSize, thumbnailSizes } - предельный размер файла в байтах
+ *   и размеры уменьшенных копий (см. images.js)
+ * @param {Object} options.currency - { default, rates } - валюта цен, для которых она не указана,
+ *   и курсы пересчета относительно нее (см. currency.js)
+ * @returns {express.Router} - Роутер
+ */
+function createProductsRouter({
+  products,
+  cache = defaultCache,
+  requireIfMatch = false,
+  publicReads = true,
+  storage = createStorage(),
+  images = {},
+  currency: { default: defaultCurrency = DEFAULT_CURRENCY, rates = {} } = {}
+}) {
+  const router = express.Router();
+  const { maxSize = DEFAULT_MAX_IMAGE_SIZE, thumbnailSizes = DEFAULT_THUMBNAIL_SIZES } = images;
+  const exchange = { base: defaultCurrency, rates };
+
+  // Роли маршрутов (см. auth.js): чтение - viewer, если оно не открыто всем,
+  // изменение - editor, окончательное удаление - admin
+  const canRead = publicReads ? [] : [requireRole('viewer')];
+  const canWrite = requireRole('editor');
+
+  // Инвалидация списка и записи затронутого товара после успешного изменения.
+  // ID - проверенное целое число, как в ключе GET /products/:id: /products/01 и /products/1 - один товар
+  const invalidateProducts = cache.invalidateCache((req, body) => {
+    const params = (req.validated && req.validated.params) || {};
+    const id = params.id !== undefined ? params.id : body && body.data && body.data.id;
+    return [`${LIST_CACHE_PREFIX}*`, id !== undefined ? itemCacheKey(id) : null];
+  });
+
+  // Товары в формате ответа: с категориями, тегами, ценой и доступным количеством
+  const present = async rows => (await products.attachTaxonomy(rows)).map(productResponse);
+  const presentOne = async row => (await present([row]))[0];
+
+  // Валюта пересчета из параметра currency; без курса - ошибка 400, ответ уже отправлен
+  const targetCurrency = (req, res) => {
+    const target = req.validated.query.currency;
+    if (target !== undefined && exchangeRate(defaultCurrency, target, exchange) === null) {
+      sendValidationError(res, [{
+        location: 'query',
+        field: 'currency',
+        code: 'invalid',
+        message: translate(resolveLocale(req), 'query.noRate', { currency: target })
+      }]);
+      return null;
+    }
+    return target;
+  };
+
+  // Цена, пересчитанная в валюту target; converted - null, если для валюты цены нет курса
+  const withConverted = (item, target) => (target === undefined ? item : {
+    ...item,
+    converted: convertPrice(item.price_minor, item.currency, target, exchange)
+  });
+
+  // Страница списка товаров; deleted - 'only' для корзины,
+  // иначе определяется параметром includeDeleted
+  const sendProductList = async (req, res, deleted) => {
+    const target = targetCurrency(req, res);
+    if (target === null) {
+      return;
+    }
+    let listQuery;
+    try {
+      listQuery = parseListQuery(req.query);
+      if (deleted) {
+        listQuery.filters.deleted = deleted;
+      }
+    } catch (err) {
+      if (err instanceof QueryError) {
+        return sendQueryError(req, res, err);
+      }
+      throw err;
+    }
+
+    const { limit, offset, cursor, sort, filters } = listQuery;
+    let result;
+    let data;
+    try {
+      // Фильтр по категории включает ее подкатегории
+      if (filters.category !== undefined) {
+        filters.categoryIds = categorySubtree(await products.listCategories(), filters.category);
+      }
+      result = await products.list(listQuery);
+      data = (await present(result.rows.slice(0, limit))).map(item => withConverted(item, target));
+    } catch (err) {
       return res.status(500).json({ error: err.message });
     }
+
+    const { rows, total } = result;
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore ? encodeCursor(sort, pageRows[pageRows.length - 1]) : null;
+
+    res.set('Link', buildLinkHeader(req, { limit, offset, cursor, total, nextCursor }));
+    res.set('X-Total-Count', String(total));
     
-    // Экранирование данных для защиты от XSS
-    const safeRows = rows.map(row => ({
-      ...row,
-      name: escapeHtml(String(row.name || '')),
-      description: escapeHtml(String(row.description || ''))
+    res.json({
+      message: 'success',
+      data,
+      pagination: {
+        total,
+        limit,
+        offset: cursor ? null : offset,
+        sort: sort.value,
+        hasMore,
+        nextCursor
+      }
+    });
+  };
+
+  // GET /products - Получить товары с пагинацией, сортировкой и фильтрами
+  // Параметры: limit, offset, cursor, sort (name|price|quantity|created_at, '-' - по убыванию),
+  // minPrice, maxPrice, inStock, q (подстрока в названии или описании),
+  // category (ID категории вместе с подкатегориями), tag,
+  // includeDeleted (показать также товары из корзины),
+  // currency (пересчет цен по настроенным курсам в поле converted).
+  // Сортировка и фильтры по цене сравнивают суммы в валютах товаров без пересчета
+  router.get('/products', ...canRead, validate(schemas.listProducts), cache.cacheGet(LIST_CACHE_PREFIX), (req, res) => (
+    sendProductList(req, res)
+  ));
+
+  // GET /products/trash - Товары в корзине, параметры те же, что у списка
+  router.get('/products/trash', ...canRead, validate(schemas.listTrash), cache.cacheGet(LIST_CACHE_PREFIX), (req, res) => (
+    sendProductList(req, res, 'only')
+  ));
+
+  // GET /products/search - Полнотекстовый поиск по названию и описанию
+  // Параметры: q (обязательный), limit, offset
+  router.get('/products/search', ...canRead, validate(schemas.searchProducts), cache.cacheGet(LIST_CACHE_PREFIX), async (req, res) => {
+    let searchQuery;
+    try {
+      searchQuery = parseSearchQuery(req.query);
+    } catch (err) {
+      if (err instanceof QueryError) {
+        return sendQueryError(req, res, err);
+      }
+      throw err;
+    }
+
+    let rows;
+    let total;
+    try {
+      ({ rows, total } = await products.search(searchQuery));
+      rows = await products.attachTaxonomy(rows);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    const { limit, offset } = searchQuery;
+    const results = rows.map(({ name_snippet, description_snippet, ...row }) => ({
+      ...productResponse(row),
+      highlights: {
+        name: highlightSnippet(name_snippet),
+        description: highlightSnippet(description_snippet)
+      }
     }));
-    
+
     res.json({
       message: 'success',
-      data: safeRows
+      data: results,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + rows.length < total
+      }
     });
   });
-});
 
-// GET /products/:id - Получить товар по ID
-router.get('/products/:id', (req, res) => {
-  const id = req.params.id;
-  const sql = 'SELECT * FROM products WHERE id = ?';
-  
-  db.get(sql, [id], (err, row) => {
-    if (err) {
+  // GET /products/export - Выгрузка каталога (format: csv, ndjson, json)
+  // Строки передаются клиенту по мере чтения из базы; текст выгружается без HTML-экранирования
+  router.get('/products/export', ...canRead, validate(schemas.exportProducts), async (req, res) => {
+    const { format = 'csv' } = req.validated.query;
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="products.${extension}"`);
+
+    try {
+      await pipeline(Readable.from(serializeProducts(products.stream(), format)), res);
+    } catch (err) {
+      // Заголовки уже отправлены: pipeline обрывает ответ, клиент получает неполный файл
+      console.error('Ошибка экспорта товаров:', err.message);
+    }
+  });
+
+  // POST /products/import - Загрузка товаров из CSV (text/csv) или NDJSON (application/x-ndjson)
+  // Каждая строка проверяется правилами POST /products; dryRun=true - только проверка.
+  // Корректные строки добавляются независимо друг от друга (bestEffort, см. repositories/bulk.js):
+  // строка, которую не приняла база, отклоняется с кодом IMPORT_FAILED, остальные сохраняются.
+  // Отклоненные строки перечисляются с номерами
+  router.post(
+    '/products/import',
+    canWrite,
+    validate(schemas.importProducts),
+    express.text({ type: IMPORT_MEDIA_TYPES, limit: IMPORT_BODY_LIMIT }),
+    invalidateProducts,
+    async (req, res) => {
+      const locale = resolveLocale(req);
+      const dryRun = req.validated.query.dryRun === true;
+
+      const mediaType = req.is(IMPORT_MEDIA_TYPES);
+      if (!mediaType) {
+        return res.status(415).json({ error: translate(locale, 'import.mediaType', { types: IMPORT_MEDIA_TYPES.join(', ') }) });
+      }
+      const isCsv = mediaType === CSV_TYPE;
+
+      const { records, error } = readImportRecords(typeof req.body === 'string' ? req.body : '', isCsv);
+      if (error || records.length === 0) {
+        const { key, params } = error || { key: 'import.empty' };
+        return res.status(400).json({ error: translate(locale, key, params), code: 'INVALID_IMPORT' });
+      }
+
+      const accepted = [];
+      const rejected = [];
+      records.forEach((record) => {
+        if (record.error) {
+          rejected.push({ line: record.line, error: translate(locale, record.error, record.params), code: 'INVALID_LINE' });
+          return;
+        }
+        // Значения CSV приходят строками и приводятся к типам, как параметры запроса
+        const location = isCsv ? 'csv' : 'body';
+        const { value, errors } = validateLocation(record.value, schemas.createProduct.body, location, locale);
+        const product = { ...value, currency: value.currency || defaultCurrency };
+        errors.push(...(errors.length === 0 ? priceErrors(product, location, locale) : []));
+        if (errors.length > 0) {
+          rejected.push({ line: record.line, ...validationErrorBody(errors) });
+        } else {
+          accepted.push({ line: record.line, product });
+        }
+      });
+
+      let ids;
+      if (!dryRun && accepted.length > 0) {
+        try {
+          const { results } = await products.bulk(accepted.map(({ product: { name, description, price, currency, quantity } }) => ({
+            op: 'create',
+            product: toStoredProduct({
+              name,
+              description: description || '',
+              price,
+              currency,
+              quantity: quantity === undefined ? 0 : quantity
+            })
+          })), { atomic: false, context: auditContext(req) });
+          // Строка, не записанная из-за ошибки базы, отклоняется, остальные сохраняются
+          ids = [];
+          results.forEach((result, position) => {
+            if (result.status === 'created') {
+              ids.push(result.id);
+            } else {
+              rejected.push({ line: accepted[position].line, error: result.error, code: 'IMPORT_FAILED' });
+            }
+          });
+          rejected.sort((a, b) => a.line - b.line);
+        } catch (err) {
+          return res.status(500).json({ error: err.message });
+        }
+      }
+
+      res.json({
+        message: dryRun ? 'Проверка импорта выполнена' : 'Импорт выполнен',
+        dryRun,
+        summary: { total: records.length, accepted: records.length - rejected.length, rejected: rejected.length },
+        ...(dryRun ? {} : { ids: ids || [] }),
+        rejected
+      });
+    }
+  );
+
+  // GET /products/:id - Получить товар по ID
+  router.get('/products/:id', ...canRead, validate(schemas.productById), cache.cacheGet(req => itemCacheKey(req.validated.params.id)), async (req, res) => {
+    const { id } = req.validated.params;
+
+    let row;
+    let data;
+    try {
+      row = await products.findById(id);
+      data = row && await presentOne(row);
+    } catch (err) {
       return res.status(500).json({ error: err.message });
     }
     if (!row) {
-      return res.status(404).json({ message: 'Товар не найден' });
+      return sendProductNotFound(req, res);
     }
     
-    // Экранирование данных для защиты от XSS
-    const safeRow = {
-      ...row,
-      name: escapeHtml(String(row.name || '')),
-      description: escapeHtml(String(row.description || ''))
-    };
-    
+    // ETag кэшируется вместе с ответом; If-None-Match → 304 обрабатывает Express
+    res.set('ETag', productETag(row));
     res.json({
       message: 'success',
-      data: safeRow
+      data
     });
   });
-});
 
-// POST /products - Создать новый товар
-router.post('/products', (req, res) => {
-  const { name, description, price, quantity } = req.body;
-  
-  // Валидация типов и форматов данных
-  if (typeof name !== 'string' || name.trim().length === 0) {
-    return res.status(400).json({ error: 'Имя должно быть непустой строкой' });
-  }
-
-  if (typeof price !== 'number' || price <= 0) {
-    return res.status(400).json({ error: 'Цена должна быть положительным числом' });
-  }
+  // POST /products - Создать новый товар
+  router.post('/products', canWrite, validate(schemas.createProduct), invalidateProducts, async (req, res) => {
+    // Тело уже проверено схемой createProduct, name обрезан
+    const { name, description, price, currency = defaultCurrency, quantity } = req.validated.body;
 
-  if (quantity !== undefined && (typeof quantity !== 'number' || quantity < 0)) {
-    return res.status(400).json({ error: 'Количество должно быть неотрицательным числом' });
-  }
-
-  // Экранирование name и description
-  const safeName = escapeHtml(name.trim());
-  const safeDescription = description ? escapeHtml(String(description).substring(0, 1000)) : '';
-  
-  const sql = `INSERT INTO products (name, description, price, quantity) 
-               VALUES (?, ?, ?, ?)`;
-  
-  db.run(sql, [safeName, safeDescription, price, quantity || 0], function(err) {
-    if (err) {
+    const errors = priceErrors({ price, currency }, 'body', resolveLocale(req));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const product = toStoredProduct({
+      name,
+      description: description || '',
+      price,
+      currency,
+      quantity: quantity || 0
+    });
+    
+    let id;
+    try {
+      id = await products.create(product, auditContext(req));
+    } catch (err) {
       console.error('Database error:', err);
       return res.status(500).json({ error: 'Ошибка сервера' });
     }
+
+    // Новая запись создается с версией 1
+    res.set('ETag', productETag({ id, version: 1 }));
     res.status(201).json({
       message: 'Товар успешно создан',
-      data: {
-        id: this.lastID,
-        name: safeName,
-        description: safeDescription,
-        price,
-        quantity: quantity || 0
-      }
+      data: productResponse({ id, ...product, reserved: 0, categories: [], tags: [] })
     });
   });
-});
 
-// PUT /products/:id - Обновить товар
-router.put('/products/:id', (req, res) => {
-  const id = req.params.id;
-  const { name, description, price, quantity } = req.body;
-  
-  // Проверяем существует ли товар
-  db.get('SELECT * FROM products WHERE id = ?', [id], (err, row) => {
-    if (err) {
+  // Инвалидация списка и всех товаров, затронутых пакетом
+  const invalidateBulk = cache.invalidateCache((req, body) => [
+    `${LIST_CACHE_PREFIX}*`,
+    ...((body && body.results) || [])
+      .filter(result => result.id !== undefined && result.status < 300)
+      .map(result => itemCacheKey(result.id))
+  ]);
+
+  // POST /products/bulk - Пакет операций create/update/delete в одной транзакции
+  // mode: atomic (по умолчанию) - все или ничего, bestEffort - выполняются все корректные операции.
+  // Каждая операция проверяется по правилам одиночных маршрутов, ответ содержит результат по каждой
+  router.post('/products/bulk', canWrite, validate(schemas.bulkProducts), invalidateBulk, async (req, res) => {
+    const { mode = 'atomic', operations } = req.validated.body;
+    const atomic = mode === 'atomic';
+    const locale = resolveLocale(req);
+
+    const results = new Array(operations.length);
+    const pending = [];
+    operations.forEach((item, index) => {
+      const op = item && typeof item === 'object' ? item.op : undefined;
+      const { operation, errors } = prepareBulkOperation(item, index, locale, defaultCurrency);
+      if (errors) {
+        results[index] = { index, op, status: 400, ...validationErrorBody(errors) };
+      } else {
+        pending.push({ index, operation });
+      }
+    });
+
+    // Ответ по пакету, который не был применен: неудачная операция
+    // сохраняет свою ошибку, остальные отменяются вместе с ней
+    const sendRejected = (failed) => {
+      const rejected = operations.map((item, index) => results[index] && results[index].status >= 300
+        ? results[index]
+        : {
+          index,
+          op: item && typeof item === 'object' ? item.op : undefined,
+          status: 424,
+          error: translate(locale, 'bulk.rolledBack', { index: failed.index }),
+          code: 'FAILED_DEPENDENCY'
+        });
+      return res.status(failed.status).json({
+        message: 'Пакет отменен',
+        error: failed.error,
+        mode,
+        committed: false,
+        summary: { total: operations.length, succeeded: 0, failed: operations.length },
+        results: rejected
+      });
+    };
+
+    const firstInvalid = results.find(Boolean);
+    if (atomic && firstInvalid) {
+      return sendRejected(firstInvalid);
+    }
+
+    let outcome;
+    let written;
+    try {
+      outcome = await products.bulk(pending.map(({ operation }) => operation), {
+        atomic,
+        context: auditContext(req)
+      });
+      // Категории и теги записанных товаров
+      written = await products.attachTaxonomy(outcome.results.filter(result => result.row).map(result => result.row));
+    } catch (err) {
       return res.status(500).json({ error: err.message });
     }
-    if (!row) {
-      return res.status(404).json({ message: 'Товар не найден' });
+
+    outcome.results.forEach((result, position) => {
+      const { index, operation } = pending[position];
+      results[index] = bulkResult(req, index, operation.op, result.row ? { ...result, row: written.shift() } : result);
+    });
+    if (!outcome.committed) {
+      return sendRejected(results[pending[outcome.results.length - 1].index]);
+    }
+
+    const succeeded = results.filter(result => result.status < 300).length;
+    res.json({
+      message: 'Пакет выполнен',
+      mode,
+      committed: true,
+      summary: { total: operations.length, succeeded, failed: operations.length - succeeded },
+      results
+    });
+  });
+
+  // Сохранение товара и ответ с записью, перечитанной из базы
+  // Запись выполняется только для прочитанной версии: если товар успели
+  // изменить параллельно, изменения не теряются, а клиент получает 412/409
+  const saveAndRespond = async (req, res, row, product) => {
+    const changes = await products.update(row.id, product, row.version, auditContext(req));
+    if (changes === 0) {
+      return sendWriteRejected(req, res, products, row.id, product.quantity);
+    }
+    const saved = await products.findById(row.id);
+    res.set('ETag', productETag(saved));
+    res.json({
+      message: 'Товар успешно обновлен',
+      data: await presentOne(saved)
+    });
+  };
+
+  // Проверка If-Match для прочитанного товара; true - ответ уже отправлен
+  const rejectPrecondition = (req, res, row) => {
+    const etag = productETag(row);
+    const failure = checkIfMatch(req, etag, { required: requireIfMatch });
+    if (failure) {
+      sendPreconditionError(req, res, failure, etag);
+      return true;
+    }
+    return false;
+  };
+
+  // PUT /products/:id - Заменить товар целиком
+  router.put('/products/:id', canWrite, validate(schemas.replaceProduct), invalidateProducts, async (req, res) => {
+    const { id } = req.validated.params;
+    const { name, description, price, currency = defaultCurrency, quantity } = req.validated.body;
+
+    const errors = priceErrors({ price, currency }, 'body', resolveLocale(req));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
     }
     
-    // Экранирование новых значений
-    const safeName = name ? escapeHtml(String(name).trim()) : null;
-    const safeDescription = description ? escapeHtml(String(description).substring(0, 1000)) : null;
-    
-    // Обновляем товар
-    const sql = `UPDATE products SET 
-                 name = COALESCE(?, name),
-                 description = COALESCE(?, description),
-                 price = COALESCE(?, price),
-                 quantity = COALESCE(?, quantity)
-                 WHERE id = ?`;
-    
-    db.run(sql, [safeName, safeDescription, price, quantity, id], function(err) {
-      if (err) {
-        return res.status(500).json({ error: err.message });
+    try {
+      // Проверяем существует ли товар
+      const row = await products.findById(id);
+      if (!row) {
+        return sendProductNotFound(req, res);
       }
-      
-      // Формируем безопасный ответ
-      const responseData = {
-        id,
-        name: safeName || row.name,
-        description: safeDescription || row.description,
-        price: price || row.price,
-        quantity: quantity || row.quantity
-      };
-      
+      if (rejectPrecondition(req, res, row)) {
+        return;
+      }
+
+      // Отсутствующие необязательные поля сбрасываются к значениям по умолчанию
+      await saveAndRespond(req, res, row, toStoredProduct({
+        name,
+        description: description === undefined ? '' : description,
+        price,
+        currency,
+        quantity: quantity === undefined ? 0 : quantity
+      }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // PATCH /products/:id - Частично обновить товар
+  // application/merge-patch+json (RFC 7396): переданные поля заменяются, null очищает description
+  // application/json-patch+json (RFC 6902): операции add, remove, replace, move, copy, test
+  router.patch(
+    '/products/:id',
+    canWrite,
+    validate(schemas.patchProduct),
+    express.json({ type: PATCH_MEDIA_TYPES }),
+    invalidateProducts,
+    async (req, res) => {
+      const { id } = req.validated.params;
+      const locale = resolveLocale(req);
+
+      const mediaType = req.is(PATCH_MEDIA_TYPES);
+      if (!mediaType) {
+        return res.status(415).json({ error: translate(locale, 'patch.mediaType', { types: PATCH_MEDIA_TYPES.join(', ') }) });
+      }
+      const isJsonPatch = mediaType === JSON_PATCH_TYPE;
+
+      try {
+        const row = await products.findById(id);
+        if (!row) {
+          return sendProductNotFound(req, res);
+        }
+        if (rejectPrecondition(req, res, row)) {
+          return;
+        }
+
+        const current = {
+          name: row.name,
+          description: row.description,
+          price: fromMinorUnits(row.price_minor, row.currency),
+          currency: row.currency,
+          quantity: row.quantity
+        };
+
+        let patched;
+        try {
+          if (!isJsonPatch && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+            throw new PatchError('patch.mergePatchBody');
+          }
+          patched = isJsonPatch ? applyJsonPatch(current, req.body) : applyMergePatch(current, req.body);
+        } catch (err) {
+          if (err instanceof PatchError) {
+            return sendPatchError(req, res, err);
+          }
+          throw err;
+        }
+
+        // Удаленное поле (null в merge-patch, remove в JSON Patch) становится null;
+        // для обязательных полей это ошибка валидации
+        const errors = [];
+        if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+          patched = {};
+        }
+        Object.keys(patched)
+          .filter(field => !EDITABLE_FIELDS.includes(field))
+          .forEach((field) => {
+            errors.push({
+              location: 'body',
+              field,
+              code: 'unknown',
+              message: translate(locale, 'patch.unknownField', { field })
+            });
+          });
+        EDITABLE_FIELDS.forEach((field) => {
+          if (schemas.patchedProduct[field].nullable && patched[field] === undefined) {
+            patched[field] = null;
+          }
+        });
+
+        const result = validateLocation(patched, schemas.patchedProduct, 'body', locale);
+        errors.push(...result.errors);
+        if (errors.length === 0) {
+          // Смена валюты без изменения цены тоже проверяется: у валюты может быть меньше знаков
+          errors.push(...priceErrors(result.value, 'body', locale));
+        }
+        if (errors.length > 0) {
+          // Патч корректен, но приводит товар в недопустимое состояние
+          return res.status(422).json(validationErrorBody(errors));
+        }
+
+        await saveAndRespond(req, res, row, toStoredProduct(result.value));
+      } catch (err) {
+        res.status(500).json({ error: err.message });
+      }
+    }
+  );
+
+  // POST /products/:id/restore - Восстановить товар из корзины
+  router.post('/products/:id/restore', canWrite, validate(schemas.productById), invalidateProducts, async (req, res) => {
+    const { id } = req.validated.params;
+
+    try {
+      const row = await products.findById(id, { includeDeleted: true });
+      if (!row) {
+        return sendProductNotFound(req, res);
+      }
+      if (row.deleted_at === null) {
+        return res.status(409).json({
+          error: translate(resolveLocale(req), 'product.notInTrash'),
+          code: 'NOT_IN_TRASH'
+        });
+      }
+      if (rejectPrecondition(req, res, row)) {
+        return;
+      }
+
+      const changes = await products.setDeleted(id, false, row.version, auditContext(req));
+      if (changes === 0) {
+        return sendPreconditionError(req, res, writeConflict(req));
+      }
+      const restored = await products.findById(id);
+      res.set('ETag', productETag(restored));
       res.json({
-        message: 'Товар успешно обновлен',
-        data: responseData
+        message: 'Товар восстановлен',
+        data: await presentOne(restored)
       });
-    });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /products/:id/history - Журнал изменений товара, новые записи первыми
+  // История остается доступной и после окончательного удаления товара
+  router.get('/products/:id/history', ...canRead, validate(schemas.productHistory), async (req, res) => {
+    const { id } = req.validated.params;
+    const { limit = DEFAULT_LIMIT, offset = 0 } = req.validated.query;
+
+    try {
+      const page = await products.auditLog({ productId: id, limit, offset });
+      if (page.total === 0 && !(await products.findById(id, { includeDeleted: true }))) {
+        return sendProductNotFound(req, res);
+      }
+      sendHistoryPage(res, page, { limit, offset });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /products/:id/prices - История цен товара, новые цены первыми
+  // Параметры: limit, offset, currency (пересчет по текущему курсу в поле converted).
+  // История товара в корзине тоже доступна
+  router.get('/products/:id/prices', ...canRead, validate(schemas.productPrices), async (req, res) => {
+    const { id } = req.validated.params;
+    const { limit = DEFAULT_LIMIT, offset = 0 } = req.validated.query;
+    const target = targetCurrency(req, res);
+    if (target === null) {
+      return;
+    }
+
+    try {
+      if (!(await products.findById(id, { includeDeleted: true }))) {
+        return sendProductNotFound(req, res);
+      }
+      const { rows, total } = await products.priceHistory({ productId: id, limit, offset });
+      const data = rows.map(row => withConverted(withPrice(row), target));
+      sendHistoryPage(res, { rows: data, total }, { limit, offset });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /products/:id/revert - Вернуть поля товара к состоянию после записи журнала historyId
+  // Откат сам записывается в журнал (action: revert) и проверяет If-Match, как PUT
+  router.post('/products/:id/revert', canWrite, validate(schemas.revertProduct), invalidateProducts, async (req, res) => {
+    const { id } = req.validated.params;
+    const { historyId } = req.validated.body;
+
+    try {
+      const row = await products.findById(id);
+      if (!row) {
+        return sendProductNotFound(req, res);
+      }
+      if (rejectPrecondition(req, res, row)) {
+        return;
+      }
+
+      // Целевая запись и все более поздние, от новых к старым
+      const { rows: entries } = await products.auditLog({ productId: id, sinceId: historyId });
+      if (entries.length === 0 || entries[entries.length - 1].id !== historyId) {
+        return res.status(404).json({
+          error: translate(resolveLocale(req), 'audit.entryNotFound', { historyId }),
+          code: 'HISTORY_NOT_FOUND'
+        });
+      }
+
+      const fields = revertFields(row, entries);
+      const changes = await products.update(id, fields, row.version, {
+        ...auditContext(req),
+        action: 'revert'
+      });
+      if (changes === 0) {
+        return sendWriteRejected(req, res, products, id, fields.quantity);
+      }
+      const reverted = await products.findById(id);
+      res.set('ETag', productETag(reverted));
+      res.json({
+        message: 'Товар возвращен к состоянию из журнала',
+        historyId,
+        data: await presentOne(reverted)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /products/:id/stock/adjust - Изменить остаток на delta: приход (> 0) или расход (< 0)
+  // Изменение выполняется одним UPDATE с проверкой, что остаток не станет меньше
+  // зарезервированного количества, поэтому If-Match не нужен
+  router.post('/products/:id/stock/adjust', canWrite, validate(schemas.adjustStock), invalidateProducts, async (req, res) => {
+    const { id } = req.validated.params;
+    const { delta } = req.validated.body;
+
+    if (delta === 0) {
+      return sendValidationError(res, [{
+        location: 'body',
+        field: 'delta',
+        code: 'invalid',
+        message: translate(resolveLocale(req), 'stock.delta')
+      }]);
+    }
+
+    try {
+      const result = await products.adjustStock(id, delta, auditContext(req));
+      if (result.status === 'notFound') {
+        return sendProductNotFound(req, res);
+      }
+      if (result.status !== 'adjusted') {
+        return sendStockConflict(req, res, result);
+      }
+      res.set('ETag', productETag(result.row));
+      res.json({
+        message: 'Остаток изменен',
+        data: await presentOne(result.row)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   });
-});
 
-// DELETE /products/:id - Удалить товар
-router.delete('/products/:id', (req, res) => {
-  const id = req.params.id;
-  
-  db.get('SELECT * FROM products WHERE id = ?', [id], (err, row) => {
-    if (err) {
+  // POST /products/:id/reservations - Зарезервировать quantity на expiresIn секунд
+  // (по умолчанию 15 минут); истекший резерв снимается фоновой очисткой (см. stock.js)
+  router.post('/products/:id/reservations', canWrite, validate(schemas.reserveStock), invalidateProducts, async (req, res) => {
+    const { id } = req.validated.params;
+    const { quantity, expiresIn = DEFAULT_RESERVATION_TTL } = req.validated.body;
+
+    try {
+      const result = await products.reserveStock(id, {
+        quantity,
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+      }, auditContext(req));
+      if (result.status === 'notFound') {
+        return sendProductNotFound(req, res);
+      }
+      if (result.status !== 'reserved') {
+        return sendStockConflict(req, res, result);
+      }
+      res.set('Location', `${req.baseUrl}/reservations/${result.reservation.id}`);
+      res.status(201).json({
+        message: 'Товар зарезервирован',
+        data: result.reservation,
+        product: await presentOne(result.row)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /reservations/:id - Получить резерв
+  router.get('/reservations/:id', ...canRead, validate(schemas.reservationById), async (req, res) => {
+    const { id } = req.validated.params;
+
+    try {
+      const reservation = await products.findReservation(id);
+      if (!reservation) {
+        return sendReservationNotFound(req, res);
+      }
+      res.json({
+        message: 'success',
+        data: reservation
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Инвалидация списка и товара резерва: ID товара известен только из ответа
+  const invalidateReservation = cache.invalidateCache((req, body) => [
+    `${LIST_CACHE_PREFIX}*`,
+    body && body.product ? itemCacheKey(body.product.id) : null
+  ]);
+
+  // Закрытие резерва методом репозитория commitReservation или releaseReservation
+  const finishReservation = (method, message) => async (req, res) => {
+    const { id } = req.validated.params;
+
+    try {
+      const result = await products[method](id, auditContext(req));
+      if (result.status === 'notFound') {
+        return sendReservationNotFound(req, res);
+      }
+      if (result.status !== 'committed' && result.status !== 'released') {
+        return sendStockConflict(req, res, result);
+      }
+      res.json({
+        message,
+        data: result.reservation,
+        product: await presentOne(result.row)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  // POST /reservations/:id/commit - Подтвердить резерв: количество списывается со склада
+  router.post(
+    '/reservations/:id/commit',
+    canWrite,
+    validate(schemas.reservationById),
+    invalidateReservation,
+    finishReservation('commitReservation', 'Резерв подтвержден')
+  );
+
+  // POST /reservations/:id/release - Снять резерв: количество снова доступно
+  router.post(
+    '/reservations/:id/release',
+    canWrite,
+    validate(schemas.reservationById),
+    invalidateReservation,
+    finishReservation('releaseReservation', 'Резерв снят')
+  );
+
+  // Замена категорий или тегов товара с проверкой If-Match, как у PUT
+  // assign(version) вызывает метод репозитория setProductCategories или setProductTags
+  const assignTaxonomy = async (req, res, message, assign) => {
+    try {
+      const row = await products.findById(req.validated.params.id);
+      if (!row) {
+        return sendProductNotFound(req, res);
+      }
+      if (rejectPrecondition(req, res, row)) {
+        return;
+      }
+
+      const result = await assign(row.version);
+      if (result.status === 'notFound') {
+        return sendProductNotFound(req, res);
+      }
+      if (result.status === 'conflict') {
+        return sendPreconditionError(req, res, writeConflict(req));
+      }
+      if (result.status !== 'updated') {
+        return sendTaxonomyError(req, res, 'category', result);
+      }
+      res.set('ETag', productETag(result.row));
+      res.json({
+        message,
+        data: await presentOne(result.row)
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  // PUT /products/:id/categories - Заменить категории товара ({ categoryIds: [1, 2] })
+  router.put('/products/:id/categories', canWrite, validate(schemas.setProductCategories), invalidateProducts, (req, res) => {
+    const { id } = req.validated.params;
+    const { values, errors } = validateItems(
+      req.validated.body.categoryIds,
+      'categoryIds',
+      schemas.categoryId,
+      resolveLocale(req)
+    );
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    return assignTaxonomy(req, res, 'Категории товара обновлены', version => (
+      products.setProductCategories(id, values, version, auditContext(req))
+    ));
+  });
+
+  // PUT /products/:id/tags - Заменить теги товара ({ tags: ['новинка'] }); новые теги создаются
+  router.put('/products/:id/tags', canWrite, validate(schemas.setProductTags), invalidateProducts, (req, res) => {
+    const { id } = req.validated.params;
+    const { values, errors } = validateItems(req.validated.body.tags, 'tags', schemas.tagName, resolveLocale(req));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    return assignTaxonomy(req, res, 'Теги товара обновлены', version => (
+      products.setProductTags(id, values.map(normalizeTag), version, auditContext(req))
+    ));
+  });
+
+  // Создание, переименование, перенос и удаление категорий и тегов меняют товары в ответах
+  // и результаты фильтров (в том числе ответ 400 на фильтр по еще не созданной категории),
+  // поэтому сбрасываются все закэшированные товары
+  const invalidateTaxonomy = cache.invalidateCache(() => [`${PRODUCTS_CACHE_PREFIX}*`]);
+
+  // GET /categories - Все категории; tree=true - дерево с вложенными children
+  router.get('/categories', ...canRead, validate(schemas.listCategories), async (req, res) => {
+    try {
+      const categories = await products.listCategories();
+      res.json({
+        message: 'success',
+        data: req.validated.query.tree ? buildCategoryTree(categories) : categories
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /categories - Создать категорию ({ name, parentId })
+  router.post('/categories', canWrite, validate(schemas.createCategory), invalidateTaxonomy, async (req, res) => {
+    const { name, parentId = null } = req.validated.body;
+
+    try {
+      const result = await products.createCategory({ name, parentId });
+      if (result.status !== 'created') {
+        return sendTaxonomyError(req, res, 'category', result, { parentId });
+      }
+      res.set('Location', `${req.baseUrl}/categories/${result.category.id}`);
+      res.status(201).json({
+        message: 'Категория создана',
+        data: result.category
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /categories/:id - Получить категорию
+  router.get('/categories/:id', ...canRead, validate(schemas.categoryById), async (req, res) => {
+    try {
+      const category = await products.findCategory(req.validated.params.id);
+      if (!category) {
+        return sendTaxonomyError(req, res, 'category', { status: 'notFound' });
+      }
+      res.json({
+        message: 'success',
+        data: category
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // PUT /categories/:id - Переименовать или перенести категорию (parentId null - верхний уровень)
+  router.put('/categories/:id', canWrite, validate(schemas.updateCategory), invalidateTaxonomy, async (req, res) => {
+    const { id } = req.validated.params;
+    const { name, parentId = null } = req.validated.body;
+
+    try {
+      const result = await products.updateCategory(id, { name, parentId });
+      if (result.status !== 'updated') {
+        return sendTaxonomyError(req, res, 'category', result, { parentId });
+      }
+      res.json({
+        message: 'Категория обновлена',
+        data: result.category
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE /categories/:id - Удалить категорию без подкатегорий; товары остаются без нее
+  router.delete('/categories/:id', canWrite, validate(schemas.categoryById), invalidateTaxonomy, async (req, res) => {
+    const { id } = req.validated.params;
+
+    try {
+      const result = await products.deleteCategory(id);
+      if (result.status !== 'deleted') {
+        return sendTaxonomyError(req, res, 'category', result);
+      }
+      res.json({
+        message: 'Категория удалена',
+        id
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /tags - Все теги с количеством товаров
+  router.get('/tags', ...canRead, async (req, res) => {
+    try {
+      res.json({
+        message: 'success',
+        data: await products.listTags()
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST /tags - Создать тег ({ name })
+  router.post('/tags', canWrite, validate(schemas.createTag), invalidateTaxonomy, async (req, res) => {
+    try {
+      const result = await products.createTag(normalizeTag(req.validated.body.name));
+      if (result.status !== 'created') {
+        return sendTaxonomyError(req, res, 'tag', result);
+      }
+      res.status(201).json({
+        message: 'Тег создан',
+        data: result.tag
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // PUT /tags/:id - Переименовать тег у всех товаров ({ name })
+  router.put('/tags/:id', canWrite, validate(schemas.renameTag), invalidateTaxonomy, async (req, res) => {
+    const { id } = req.validated.params;
+
+    try {
+      const result = await products.renameTag(id, normalizeTag(req.validated.body.name));
+      if (result.status !== 'updated') {
+        return sendTaxonomyError(req, res, 'tag', result);
+      }
+      res.json({
+        message: 'Тег переименован',
+        data: result.tag
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE /tags/:id - Удалить тег у всех товаров
+  router.delete('/tags/:id', canWrite, validate(schemas.tagById), invalidateTaxonomy, async (req, res) => {
+    const { id } = req.validated.params;
+
+    try {
+      const result = await products.deleteTag(id);
+      if (result.status !== 'deleted') {
+        return sendTaxonomyError(req, res, 'tag', result);
+      }
+      res.json({
+        message: 'Тег удален',
+        id
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Удаление файлов изображений; ошибка хранилища журналируется, а не возвращается клиенту:
+  // запись уже удалена, оставшийся файл недоступен через API
+  const removeImageFiles = async (keys) => {
+    const results = await Promise.allSettled(keys.map(key => storage.delete(key)));
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Ошибка удаления файла изображения:', result.reason.message));
+  };
+
+  // Тело multipart читается целиком с запасом на заголовки частей;
+  // превышение предела - 413 в общем формате ошибок загрузки
+  const readMultipart = express.raw({ type: 'multipart/form-data', limit: maxSize + MULTIPART_OVERHEAD });
+  const parseImageUpload = (req, res, next) => readMultipart(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return sendUploadError(req, res, new UploadError('image.tooLarge', { max: maxSize }, 413));
+    }
+    next(err);
+  });
+
+  // POST /products/:id/images - Загрузить изображение (multipart/form-data, поле image)
+  // Допустимы JPEG, PNG, WebP и GIF; уменьшенные копии создаются сразу
+  router.post('/products/:id/images', canWrite, validate(schemas.productImages), parseImageUpload, async (req, res) => {
+    const { id } = req.validated.params;
+
+    if (!req.is('multipart/form-data')) {
+      return res.status(415).json({ error: translate(resolveLocale(req), 'image.mediaType') });
+    }
+
+    let upload;
+    let processed;
+    try {
+      upload = readImageUpload(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), req.get('Content-Type'), maxSize);
+      if (!(await products.findById(id))) {
+        return sendProductNotFound(req, res);
+      }
+      processed = await processImage(upload.data, thumbnailSizes);
+    } catch (err) {
+      if (err instanceof UploadError) {
+        return sendUploadError(req, res, err);
+      }
       return res.status(500).json({ error: err.message });
     }
-    if (!row) {
-      return res.status(404).json({ message: 'Товар не найден' });
+
+    const { key, thumbnailKey } = imageKeys(id, upload.type);
+    const thumbnails = processed.thumbnails.map(({ size, width, height }) => ({ size, width, height, key: thumbnailKey(size) }));
+    const keys = [key, ...thumbnails.map(thumbnail => thumbnail.key)];
+    try {
+      await storage.put(key, upload.data);
+      for (const [index, thumbnail] of processed.thumbnails.entries()) {
+        await storage.put(thumbnails[index].key, thumbnail.data);
+      }
+      const result = await products.addImage(id, {
+        key,
+        contentType: upload.type,
+        size: upload.data.length,
+        width: processed.width,
+        height: processed.height,
+        originalName: upload.filename,
+        thumbnails
+      });
+      if (result.status === 'notFound') {
+        // Товар удалили во время загрузки
+        await removeImageFiles(keys);
+        return sendProductNotFound(req, res);
+      }
+
+      const image = imageResponse(req, result.image);
+      res.set('Location', image.url);
+      res.status(201).json({
+        message: 'Изображение загружено',
+        data: image
+      });
+    } catch (err) {
+      await removeImageFiles(keys);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /products/:id/images - Изображения товара в порядке загрузки
+  router.get('/products/:id/images', ...canRead, validate(schemas.productImages), async (req, res) => {
+    const { id } = req.validated.params;
+
+    try {
+      if (!(await products.findById(id))) {
+        return sendProductNotFound(req, res);
+      }
+      const list = await products.listImages(id);
+      res.json({
+        message: 'success',
+        data: list.map(image => imageResponse(req, image))
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /products/:id/images/:imageId - Файл изображения; size - уменьшенная копия
+  // Файлы неизменяемы, поэтому кэшируются клиентами и прокси на год; If-None-Match → 304
+  router.get('/products/:id/images/:imageId', ...canRead, validate(schemas.getImage), async (req, res) => {
+    const { id, imageId } = req.validated.params;
+    const { size } = req.validated.query;
+
+    try {
+      // Изображения товара в корзине недоступны, как и сам товар
+      if (!(await products.findById(id))) {
+        return sendProductNotFound(req, res);
+      }
+      const image = await products.findImage(id, imageId);
+      if (!image) {
+        return sendImageNotFound(req, res);
+      }
+      const thumbnail = size !== undefined ? image.thumbnails.find(item => item.size === size) : null;
+      if (thumbnail === undefined) {
+        return sendImageNotFound(req, res, 'image.thumbnailNotFound', { size });
+      }
+
+      const data = await storage.get(thumbnail ? thumbnail.key : image.storage_key);
+      if (!data) {
+        return sendImageNotFound(req, res);
+      }
+      res.set({
+        'Content-Type': image.content_type,
+        'Cache-Control': IMAGE_CACHE_CONTROL,
+        'ETag': `"image-${image.id}-${thumbnail ? thumbnail.size : 'original'}"`,
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE /products/:id/images/:imageId - Удалить изображение вместе с уменьшенными копиями
+  router.delete('/products/:id/images/:imageId', canWrite, validate(schemas.deleteImage), async (req, res) => {
+    const { id, imageId } = req.validated.params;
+
+    try {
+      const result = await products.deleteImage(id, imageId);
+      if (result.status === 'notFound') {
+        return sendImageNotFound(req, res);
+      }
+      await removeImageFiles(imageFileKeys(result.image));
+      res.json({
+        message: 'Изображение удалено',
+        id: imageId
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /audit - Журнал изменений всех товаров с фильтрами (только администратор)
+  router.get('/audit', requireRole('admin'), validate(schemas.auditLog), async (req, res) => {
+    const { limit = DEFAULT_LIMIT, offset = 0, ...filters } = req.validated.query;
+
+    try {
+      sendHistoryPage(res, await products.auditLog({ ...filters, limit, offset }), { limit, offset });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE /products/:id - Переместить товар в корзину
+  // ?hard=true - удалить окончательно, в том числе из корзины (только администратор)
+  router.delete('/products/:id', canWrite, validate(schemas.deleteProduct), invalidateProducts, async (req, res) => {
+    const { id } = req.validated.params;
+    const hard = req.validated.query.hard === true;
+
+    if (hard && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({
+        error: translate(resolveLocale(req), 'auth.adminOnly'),
+        code: 'FORBIDDEN'
+      });
     }
     
-    const sql = 'DELETE FROM products WHERE id = ?';
-    
-    db.run(sql, [id], function(err) {
-      if (err) {
-        return res.status(500).json({ error: err.message });
+    try {
+      const row = await products.findById(id, { includeDeleted: hard });
+      if (!row) {
+        return sendProductNotFound(req, res);
+      }
+      if (rejectPrecondition(req, res, row)) {
+        return;
       }
+      
+      // Файлы изображений удаляются только вместе с товаром: из корзины его можно восстановить
+      const productImages = hard ? await products.listImages(id) : [];
+      const changes = hard
+        ? await products.delete(id, row.version, auditContext(req))
+        : await products.setDeleted(id, true, row.version, auditContext(req));
+      if (changes === 0) {
+        return sendPreconditionError(req, res, writeConflict(req));
+      }
+      await removeImageFiles(productImages.flatMap(imageFileKeys));
       res.json({
-        message: 'Товар успешно удален',
-        id: id
+        message: hard ? 'Товар удален окончательно' : 'Товар успешно удален',
+        id: req.params.id
       });
-    });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   });
-});
 
-module.exports = router;
+  return router;
+}
+
+module.exports = createProductsRouter;
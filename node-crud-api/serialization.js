@@ -0,0 +1,82 @@
+/**
+ * Экранирование при выводе
+ *
+ * База хранит исходный текст товаров, а экранирование зависит от формата ответа,
+ * согласованного по заголовку Accept (см. negotiateSerialization):
+ *   JSON - символы < > & передаются как \u003c \u003e \u0026 (настройка Express 'json escape'):
+ *          после разбора клиент получает исходный текст, а сам ответ безопасно встраивать в HTML
+ *   HTML - только ресурсы товаров (/products): документ ответа выводится страницей,
+ *          весь текст экранируется escapeHtml; фрагменты с разметкой (подсветка поиска)
+ *          экранируются escapeHtml до вставки <mark>
+ *   CSV  - правила RFC 4180 и обезвреживание формул (см. products-io.js)
+ */
+
+// Форматы ответов res.json в порядке предпочтения: без Accept или с */* ответ - JSON
+const RESPONSE_FORMATS = ['json', 'html'];
+
+// Маршруты, ответы которых выводятся страницей по Accept: text/html. Остальные
+// (спецификация OpenAPI, главная страница) всегда отвечают JSON
+const NEGOTIATED_ROUTES = '/products';
+
+/**
+ * Экранирование HTML-символов для вставки текста в разметку
+ * @param {string} text - Исходный текст
+ * @returns {string} - Экранированный текст
+ */
+function escapeHtml(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+/**
+ * HTML-страница с документом ответа
+ * @param {*} body - Тело ответа
+ * @returns {string} - Разметка, в которой весь текст документа экранирован
+ */
+function renderHtml(body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"></head>
+<body><pre>${escapeHtml(JSON.stringify(body, null, 2) ?? '')}</pre></body>
+</html>
+`;
+}
+
+/**
+ * Выбор формата ответов res.json по заголовку Accept
+ * Клиент, предпочитающий text/html, получает страницу с экранированным документом;
+ * остальные (в том числе без подходящего формата) - JSON. Ошибки всегда передаются в JSON.
+ * Заголовок Vary: Accept не дает кэшам отдать один формат вместо другого
+ */
+function negotiateSerialization(req, res, next) {
+  res.vary('Accept');
+  const json = res.json;
+  res.json = function (body) {
+    if (this.statusCode >= 400 || req.accepts(RESPONSE_FORMATS) !== 'html') {
+      return json.call(this, body);
+    }
+    return this.type('html').send(renderHtml(body));
+  };
+  next();
+}
+
+/**
+ * Настройка сериализации ответов приложения
+ * @param {express.Application} app - Приложение
+ */
+function configureSerialization(app) {
+  app.set('json escape', true);
+  app.use(NEGOTIATED_ROUTES, negotiateSerialization);
+}
+
+module.exports = {
+  escapeHtml,
+  renderHtml,
+  negotiateSerialization,
+  configureSerialization
+};
@@ -0,0 +1,114 @@
+/**
+ * Остатки товаров и резервирование
+ *
+ * quantity - остаток на складе, reserved - сумма активных резервов,
+ * доступно (available) - quantity - reserved. Изменения остатка и резервов
+ * выполняются в SQL одной транзакцией с журналом изменений (см. repositories/stock.js).
+ *
+ * Резерв (stock_reservations):
+ *   active    - товар отложен до expires_at
+ *   committed - подтвержден: списан со склада вместе с резервом
+ *   released  - снят клиентом
+ *   expired   - истек и снят фоновой очисткой (ReservationSweeper)
+ */
+
+const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+
+// Срок резерва в секундах: по умолчанию 15 минут, не больше недели
+const DEFAULT_RESERVATION_TTL = 15 * 60;
+const MAX_RESERVATION_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Товар в ответе API с доступным количеством
+ * @param {Object|undefined} row - Строка products
+ * @returns {Object|undefined} - Товар с полем available
+ */
+function withAvailable(row) {
+  if (!row) {
+    return row;
+  }
+  return { ...row, available: row.quantity - (row.reserved || 0) };
+}
+
+class ReservationSweeper {
+  /**
+   * Фоновое снятие истекших резервов
+   * @param {Object} options - Настройки
+   * @param {Object} options.products - Репозиторий товаров (см. repositories/)
+   * @param {number} options.intervalMs - Период проверки в миллисекундах (по умолчанию 60000)
+   * @param {Function} options.onRelease - Вызывается с количеством снятых резервов, если они были
+   *   (например, для сброса кэша ответов)
+   * @param {Object} options.logger - Журнал сообщений (по умолчанию console, null - без сообщений)
+   */
+  constructor({ products, intervalMs = 60000, onRelease = null, logger = console }) {
+    this.products = products;
+    this.intervalMs = intervalMs;
+    this.onRelease = onRelease;
+    this.logger = logger;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Запуск периодической проверки; таймер не удерживает процесс
+   * @returns {ReservationSweeper} - this
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.sweep(), this.intervalMs);
+      this.timer.unref();
+    }
+    return this;
+  }
+
+  /**
+   * Снятие резервов, истекших к моменту now
+   * Проверка не запускается повторно, пока не завершилась предыдущая
+   * @param {Date} now - Текущее время
+   * @returns {Promise<number>} - Количество снятых резервов
+   */
+  sweep(now = new Date()) {
+    if (!this.running) {
+      this.running = this.products.releaseExpiredReservations(now)
+        .then((count) => {
+          if (count > 0) {
+            if (this.onRelease) {
+              this.onRelease(count);
+            }
+            if (this.logger) {
+              this.logger.log(`Снято истекших резервов: ${count}`);
+            }
+          }
+          return count;
+        })
+        .catch((err) => {
+          if (this.logger) {
+            this.logger.error('Ошибка снятия истекших резервов:', err.message);
+          }
+          return 0;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Остановка периодической проверки
+   * @returns {Promise} - Завершение текущей проверки
+   */
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return Promise.resolve(this.running);
+  }
+}
+
+module.exports = {
+  RESERVATION_STATUSES,
+  DEFAULT_RESERVATION_TTL,
+  MAX_RESERVATION_TTL,
+  withAvailable,
+  ReservationSweeper
+};
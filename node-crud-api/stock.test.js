@@ -0,0 +1,61 @@
+const { withAvailable, ReservationSweeper } = require('./stock');
+
+describe('Остатки', () => {
+  it('должен добавлять доступное количество к товару', () => {
+    expect(withAvailable({ id: 1, quantity: 10, reserved: 4 })).toEqual({ id: 1, quantity: 10, reserved: 4, available: 6 });
+    expect(withAvailable({ id: 1, quantity: 3 }).available).toBe(3);
+    expect(withAvailable(undefined)).toBeUndefined();
+  });
+
+  describe('ReservationSweeper', () => {
+    const logger = { log: jest.fn(), error: jest.fn() };
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.clearAllMocks();
+    });
+
+    it('должен снимать резервы по таймеру и сообщать о снятых', async () => {
+      jest.useFakeTimers();
+      const products = { releaseExpiredReservations: jest.fn().mockResolvedValue(2) };
+      const onRelease = jest.fn();
+      const sweeper = new ReservationSweeper({ products, intervalMs: 1000, onRelease, logger }).start();
+
+      await jest.advanceTimersByTimeAsync(2500);
+      expect(products.releaseExpiredReservations).toHaveBeenCalledTimes(2);
+      expect(products.releaseExpiredReservations.mock.calls[0][0]).toBeInstanceOf(Date);
+      expect(onRelease).toHaveBeenCalledWith(2);
+
+      await sweeper.close();
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(products.releaseExpiredReservations).toHaveBeenCalledTimes(2);
+    });
+
+    it('не должен запускать проверку, пока не завершилась предыдущая', async () => {
+      let finish;
+      const products = {
+        releaseExpiredReservations: jest.fn(() => new Promise((resolve) => { finish = resolve; }))
+      };
+      const sweeper = new ReservationSweeper({ products, logger });
+
+      const first = sweeper.sweep();
+      expect(sweeper.sweep()).toBe(first);
+      finish(0);
+
+      expect(await first).toBe(0);
+      expect(products.releaseExpiredReservations).toHaveBeenCalledTimes(1);
+      expect(logger.log).not.toHaveBeenCalled();
+    });
+
+    it('должен журналировать ошибку и продолжать работу', async () => {
+      const products = { releaseExpiredReservations: jest.fn().mockRejectedValueOnce(new Error('database is locked')) };
+      const sweeper = new ReservationSweeper({ products, logger });
+
+      expect(await sweeper.sweep()).toBe(0);
+      expect(logger.error).toHaveBeenCalledWith('Ошибка снятия истекших резервов:', 'database is locked');
+
+      products.releaseExpiredReservations.mockResolvedValueOnce(1);
+      expect(await sweeper.sweep()).toBe(1);
+    });
+  });
+});
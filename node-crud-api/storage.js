@@ -0,0 +1,104 @@
+/**
+ * Хранилище файлов (изображения товаров)
+ *
+ * Драйвер хранилища реализует интерфейс:
+ *   put(key, data)  - сохранить Buffer под ключом, существующий файл заменяется
+ *   get(key)        - Buffer или null, если файла нет
+ *   delete(key)     - удалить файл; отсутствующий файл не считается ошибкой
+ *
+ * Ключ - относительный путь через '/', например products/1/<uuid>.jpg.
+ * Новый драйвер (например, S3) добавляется в createStorage.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Каталог файлов по умолчанию
+const DEFAULT_STORAGE_PATH = path.join(__dirname, 'uploads');
+
+// Ключ: сегменты из букв, цифр, '.', '_' и '-' через '/', без '..'
+const KEY_PATTERN = /^(?!.*(^|\/)\.\.?(\/|$))[\w.-]+(\/[\w.-]+)*$/;
+
+class LocalDiskStorage {
+  /**
+   * Файлы на локальном диске
+   * @param {Object} options - Настройки
+   * @param {string} options.root - Каталог файлов (создается при первой записи)
+   */
+  constructor({ root = DEFAULT_STORAGE_PATH } = {}) {
+    this.root = path.resolve(root);
+  }
+
+  // Путь файла внутри root; ключ с выходом за пределы каталога отклоняется
+  _path(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw new Error(`Недопустимый ключ файла: ${key}`);
+    }
+    return path.join(this.root, ...key.split('/'));
+  }
+
+  /**
+   * @param {string} key - Ключ файла
+   * @param {Buffer} data - Содержимое
+   * @returns {Promise}
+   */
+  async put(key, data) {
+    const file = this._path(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Запись во временный файл и переименование: читатель не увидит файл записанным наполовину
+    const temp = `${file}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, file);
+    } catch (err) {
+      await fs.rm(temp, { force: true });
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} key - Ключ файла
+   * @returns {Promise<Buffer|null>} - Содержимое или null
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this._path(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} key - Ключ файла
+   * @returns {Promise}
+   */
+  async delete(key) {
+    await fs.rm(this._path(key), { force: true });
+  }
+}
+
+/**
+ * Создание хранилища файлов по конфигурации
+ * @param {Object} config - { driver: 'local' (по умолчанию), path - каталог файлов }
+ * @returns {LocalDiskStorage} - Драйвер хранилища
+ */
+function createStorage(config = {}) {
+  const driver = config.driver || 'local';
+
+  switch (driver) {
+    case 'local':
+      return new LocalDiskStorage({ root: config.path || DEFAULT_STORAGE_PATH });
+    default:
+      throw new Error(`Неизвестный драйвер хранилища: ${driver}. Доступны: local`);
+  }
+}
+
+module.exports = {
+  DEFAULT_STORAGE_PATH,
+  LocalDiskStorage,
+  createStorage
+};
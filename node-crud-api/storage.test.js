@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalDiskStorage, createStorage } = require('./storage');
+
+describe('Хранилище файлов', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = new LocalDiskStorage({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('должен сохранять, читать и удалять файлы по ключу', async () => {
+    await storage.put('products/1/photo.jpg', Buffer.from('first'));
+    await storage.put('products/1/photo.jpg', Buffer.from('second'));
+
+    expect((await storage.get('products/1/photo.jpg')).toString()).toBe('second');
+    expect(fs.readdirSync(path.join(root, 'products', '1'))).toEqual(['photo.jpg']);
+
+    await storage.delete('products/1/photo.jpg');
+    await storage.delete('products/1/photo.jpg');
+    expect(await storage.get('products/1/photo.jpg')).toBeNull();
+  });
+
+  it('должен отклонять ключи за пределами каталога', async () => {
+    await expect(storage.put('../outside.txt', Buffer.from('x'))).rejects.toThrow('Недопустимый ключ файла: ../outside.txt');
+    await expect(storage.get('products/../../etc/passwd')).rejects.toThrow('Недопустимый ключ файла');
+    await expect(storage.delete('/etc/passwd')).rejects.toThrow('Недопустимый ключ файла');
+  });
+
+  it('должен создавать драйвер по конфигурации', () => {
+    expect(createStorage({ path: root })).toBeInstanceOf(LocalDiskStorage);
+    expect(createStorage({ path: root }).root).toBe(root);
+    expect(() => createStorage({ driver: 's3' })).toThrow('Неизвестный драйвер хранилища: s3. Доступны: local');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Категории и теги товаров
+ *
+ * Категории образуют дерево (parent_id; null - верхний уровень), товар может входить
+ * в несколько категорий. Фильтр списка по категории включает все ее подкатегории.
+ * Теги - свободные метки: хранятся в нижнем регистре без пробелов по краям
+ * и создаются при первом назначении товару.
+ *
+ * В ответах товар содержит categories: [{ id, name }] и tags: ['метка', ...].
+ */
+
+const MAX_CATEGORY_NAME_LENGTH = 100;
+const MAX_TAG_LENGTH = 50;
+// Предельное количество категорий и тегов одного товара
+const MAX_PRODUCT_LINKS = 50;
+
+/**
+ * Приведение тега к виду хранения
+ * @param {string} name - Тег
+ * @returns {string} - Тег без пробелов по краям в нижнем регистре
+ */
+function normalizeTag(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * ID категории и всех ее подкатегорий
+ * @param {Array} categories - Все категории { id, parent_id }
+ * @param {number} id - ID корня поддерева
+ * @returns {number[]} - ID поддерева, корень первым
+ */
+function categorySubtree(categories, id) {
+  const ids = [id];
+  // Обход в ширину; посещенные ID защищают от циклов в данных
+  for (let index = 0; index < ids.length; index++) {
+    categories
+      .filter(category => category.parent_id === ids[index] && !ids.includes(category.id))
+      .forEach(category => ids.push(category.id));
+  }
+  return ids;
+}
+
+/**
+ * Дерево категорий для навигации
+ * @param {Array} categories - Все категории
+ * @returns {Array} - Категории верхнего уровня с вложенными children
+ */
+function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent_id !== null ? nodes.get(node.parent_id) : undefined;
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+}
+
+module.exports = {
+  MAX_CATEGORY_NAME_LENGTH,
+  MAX_TAG_LENGTH,
+  MAX_PRODUCT_LINKS,
+  normalizeTag,
+  categorySubtree,
+  buildCategoryTree
+};
@@ -0,0 +1,35 @@
+const { normalizeTag, categorySubtree, buildCategoryTree } = require('./taxonomy');
+
+describe('Категории и теги', () => {
+  const categories = [
+    { id: 1, name: 'Электроника', parent_id: null },
+    { id: 2, name: 'Ноутбуки', parent_id: 1 },
+    { id: 3, name: 'Игровые', parent_id: 2 },
+    { id: 4, name: 'Книги', parent_id: null }
+  ];
+
+  it('должен приводить тег к нижнему регистру без пробелов по краям', () => {
+    expect(normalizeTag('  Новинка ')).toBe('новинка');
+  });
+
+  it('должен возвращать категорию вместе со всеми подкатегориями', () => {
+    expect(categorySubtree(categories, 1)).toEqual([1, 2, 3]);
+    expect(categorySubtree(categories, 4)).toEqual([4]);
+    expect(categorySubtree(categories, 99)).toEqual([99]);
+  });
+
+  it('не должен зацикливаться на циклических данных', () => {
+    const looped = [{ id: 1, parent_id: 2 }, { id: 2, parent_id: 1 }];
+    expect(categorySubtree(looped, 1)).toEqual([1, 2]);
+  });
+
+  it('должен строить дерево категорий', () => {
+    expect(buildCategoryTree(categories)).toEqual([
+      {
+        ...categories[0],
+        children: [{ ...categories[1], children: [{ ...categories[2], children: [] }] }]
+      },
+      { ...categories[3], children: [] }
+    ]);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Сообщения об ошибках API
+ *
+ * Каталог разбит по локалям, русская - по умолчанию.
+ * Ключ - код сообщения, значение - шаблон с подстановками {имя}.
+ */
+
+const DEFAULT_LOCALE = 'ru';
+
+const MESSAGES = {
+  ru: {
+    // Общие правила
+    required: 'Поле {field} обязательно',
+    type: 'Поле {field} должно иметь тип {type}',
+    min: 'Поле {field} должно быть не меньше {min}',
+    exclusiveMin: 'Поле {field} должно быть больше {exclusiveMin}',
+    max: 'Поле {field} должно быть не больше {max}',
+    minLength: 'Поле {field} должно содержать не менее {minLength} символов',
+    maxLength: 'Поле {field} должно содержать не более {maxLength} символов',
+    enum: 'Поле {field} должно принимать одно из значений: {enum}',
+    body: 'Тело запроса должно быть JSON-объектом',
+
+    // Товары
+    'product.id': 'ID товара должен быть положительным целым числом',
+    'product.name': 'Имя должно быть непустой строкой',
+    'product.description': 'Описание должно быть строкой',
+    'product.price': 'Цена должна быть положительным числом',
+    'product.pricePrecision': 'Цена в {currency} должна иметь не более {digits} знаков после запятой и быть не больше {max}',
+    'product.currency': 'Валюта должна быть трехбуквенным кодом ISO 4217, например USD',
+    'product.quantity': 'Количество должно быть неотрицательным числом',
+    'product.notInTrash': 'Товар не находится в корзине',
+    'product.notFound': 'Товар не найден',
+
+    // Параметры запроса
+    'query.repeated': 'Параметр {field} должен быть указан один раз',
+    'query.integerRange': 'Параметр {field} должен быть целым числом от {min} до {max}',
+    'query.integerMin': 'Параметр {field} должен быть целым числом не меньше {min}',
+    'query.nonNegative': 'Параметр {field} должен быть неотрицательным числом',
+    'query.boolean': 'Параметр {field} должен быть true или false',
+    'query.sort': 'Сортировка возможна только по полям: {columns}',
+    'query.cursor': 'Некорректный курсор',
+    'query.cursorSort': 'Курсор не соответствует параметру sort',
+    'query.cursorOffset': 'Параметры cursor и offset нельзя использовать вместе',
+    'query.priceRange': 'Параметр minPrice не может быть больше maxPrice',
+    'query.qRequired': 'Параметр q обязателен',
+    'query.qWords': 'Параметр q должен содержать хотя бы одно слово',
+    'query.date': 'Параметр {field} должен быть датой ISO 8601, например 2024-05-01 или 2024-05-01T10:00:00Z',
+    'query.currency': 'Параметр {field} должен быть трехбуквенным кодом валюты ISO 4217, например EUR',
+    'query.noRate': 'Курс валюты {currency} не настроен',
+
+    // Патчи
+    'patch.mediaType': 'Поддерживаются типы содержимого: {types}',
+    'patch.mergePatchBody': 'Документ merge-patch должен быть JSON-объектом',
+    'patch.jsonPatchBody': 'Документ JSON Patch должен быть массивом операций',
+    'patch.operation': 'Некорректная операция JSON Patch №{index}',
+    'patch.path': 'Некорректный путь {path}',
+    'patch.pathNotFound': 'Путь {path} не найден',
+    'patch.moveIntoChild': 'Нельзя переместить {from} внутрь самого себя',
+    'patch.testFailed': 'Проверка значения по пути {path} не пройдена',
+    'patch.unknownField': 'Поле {field} нельзя изменить',
+
+    // Пакетные операции
+    'bulk.operations': 'Поле operations должно быть массивом из {minLength}-{maxLength} операций',
+    'bulk.item': 'Операция №{index} должна быть JSON-объектом',
+    'bulk.version': 'Версия товара должна быть положительным целым числом',
+    'bulk.data': 'Поле data должно быть JSON-объектом с полями товара',
+    'bulk.rolledBack': 'Операция отменена из-за ошибки в операции №{index}',
+
+    // Импорт
+    'import.mediaType': 'Импорт поддерживает типы содержимого: {types}',
+    'import.empty': 'Файл импорта не содержит записей',
+    'import.header': 'Заголовок CSV должен содержать колонки: {columns}',
+    'import.quote': 'Незакрытая кавычка в поле CSV',
+    'import.columns': 'Количество значений ({count}) не совпадает с заголовком ({expected})',
+    'import.json': 'Строка должна быть JSON-объектом',
+
+    // Условные запросы
+    'precondition.failed': 'Товар был изменен: ETag не совпадает с If-Match',
+    'precondition.required': 'Требуется заголовок If-Match с ETag товара',
+    'conflict.concurrent': 'Товар был изменен другим запросом, повторите попытку',
+
+    // Аутентификация и права доступа
+    'auth.required': 'Требуется аутентификация: заголовок X-API-Key или Authorization: Bearer',
+    'auth.invalidKey': 'API-ключ недействителен или отозван',
+    'auth.invalidToken': 'Токен недействителен или просрочен',
+    'auth.forbidden': 'Недостаточно прав: требуется роль {role}',
+    'auth.adminOnly': 'Операция доступна только администраторам',
+
+    // Журнал изменений
+    'audit.historyId': 'Поле historyId должно быть положительным целым числом',
+    'audit.entryNotFound': 'Запись журнала {historyId} не найдена в истории товара',
+
+    // Остатки и резервы
+    'stock.delta': 'Поле delta должно быть ненулевым целым числом',
+    'stock.quantity': 'Количество резерва должно быть положительным целым числом',
+    'stock.expiresIn': 'Срок резерва expiresIn - целое число секунд от 1 до {max}',
+    'stock.reservationId': 'ID резерва должен быть положительным целым числом',
+    'stock.insufficient': 'Недостаточно товара: доступно {available}',
+    'stock.belowReserved': 'Остаток не может быть меньше зарезервированного количества ({reserved})',
+    'stock.reservationNotFound': 'Резерв не найден',
+    'stock.reservationExpired': 'Срок резерва истек',
+    'stock.reservationClosed': 'Резерв уже закрыт (статус {status})',
+
+    // Категории и теги
+    'category.id': 'ID категории должен быть положительным целым числом',
+    'category.name': 'Название категории - непустая строка не длиннее {max} символов',
+    'category.parentId': 'Поле parentId должно быть положительным целым числом или null',
+    'category.ids': 'Поле categoryIds - массив ID категорий (не больше {max})',
+    'category.notFound': 'Категория не найдена',
+    'category.parentNotFound': 'Родительская категория {parentId} не найдена',
+    'category.cycle': 'Категорию нельзя вложить в саму себя или в ее подкатегорию',
+    'category.notEmpty': 'У категории есть подкатегории',
+    'category.unknown': 'Категории не найдены: {ids}',
+    'tag.id': 'ID тега должен быть положительным целым числом',
+    'tag.name': 'Тег - непустая строка не длиннее {max} символов',
+    'tag.list': 'Поле tags - массив тегов (не больше {max})',
+    'tag.notFound': 'Тег не найден',
+    'tag.exists': 'Тег {name} уже существует',
+
+    // Изображения товаров
+    'image.id': 'ID изображения должен быть положительным целым числом',
+    'image.size': 'Параметр size должен быть положительным целым числом',
+    'image.mediaType': 'Изображение загружается в формате multipart/form-data',
+    'image.multipart': 'Некорректное тело multipart/form-data',
+    'image.missing': 'Файл изображения не передан в поле {field}',
+    'image.tooLarge': 'Файл изображения больше {max} байт',
+    'image.type': 'Недопустимый тип изображения, разрешены: {types}',
+    'image.invalid': 'Файл не удалось прочитать как изображение',
+    'image.notFound': 'Изображение не найдено',
+    'image.thumbnailNotFound': 'Нет уменьшенной копии размера {size}',
+
+    // Ограничение частоты запросов
+    'rateLimit.exceeded': 'Слишком много запросов, повторите через {seconds} с'
+  },
+  en: {
+    required: 'Field {field} is required',
+    type: 'Field {field} must be of type {type}',
+    min: 'Field {field} must be at least {min}',
+    exclusiveMin: 'Field {field} must be greater than {exclusiveMin}',
+    max: 'Field {field} must be at most {max}',
+    minLength: 'Field {field} must contain at least {minLength} characters',
+    maxLength: 'Field {field} must contain at most {maxLength} characters',
+    enum: 'Field {field} must be one of: {enum}',
+    body: 'Request body must be a JSON object',
+
+    'product.id': 'Product ID must be a positive integer',
+    'product.name': 'Name must be a non-empty string',
+    'product.description': 'Description must be a string',
+    'product.price': 'Price must be a positive number',
+    'product.pricePrecision': 'Price in {currency} must have at most {digits} decimal places and not exceed {max}',
+    'product.currency': 'Currency must be a three-letter ISO 4217 code, e.g. USD',
+    'product.quantity': 'Quantity must be a non-negative number',
+    'product.notInTrash': 'Product is not in the trash',
+    'product.notFound': 'Product not found',
+
+    'query.repeated': 'Parameter {field} must be specified once',
+    'query.integerRange': 'Parameter {field} must be an integer from {min} to {max}',
+    'query.integerMin': 'Parameter {field} must be an integer not less than {min}',
+    'query.nonNegative': 'Parameter {field} must be a non-negative number',
+    'query.boolean': 'Parameter {field} must be true or false',
+    'query.sort': 'Sorting is only possible by fields: {columns}',
+    'query.cursor': 'Invalid cursor',
+    'query.cursorSort': 'Cursor does not match the sort parameter',
+    'query.cursorOffset': 'Parameters cursor and offset cannot be used together',
+    'query.priceRange': 'Parameter minPrice cannot be greater than maxPrice',
+    'query.qRequired': 'Parameter q is required',
+    'query.qWords': 'Parameter q must contain at least one word',
+    'query.date': 'Parameter {field} must be an ISO 8601 date, e.g. 2024-05-01 or 2024-05-01T10:00:00Z',
+    'query.currency': 'Parameter {field} must be a three-letter ISO 4217 currency code, e.g. EUR',
+    'query.noRate': 'No exchange rate is configured for {currency}',
+
+    'patch.mediaType': 'Supported content types: {types}',
+    'patch.mergePatchBody': 'Merge patch document must be a JSON object',
+    'patch.jsonPatchBody': 'JSON Patch document must be an array of operations',
+    'patch.operation': 'Invalid JSON Patch operation #{index}',
+    'patch.path': 'Invalid path {path}',
+    'patch.pathNotFound': 'Path {path} not found',
+    'patch.moveIntoChild': 'Cannot move {from} into itself',
+    'patch.testFailed': 'Test of value at path {path} failed',
+    'patch.unknownField': 'Field {field} cannot be modified',
+
+    'bulk.operations': 'Field operations must be an array of {minLength}-{maxLength} operations',
+    'bulk.item': 'Operation #{index} must be a JSON object',
+    'bulk.version': 'Product version must be a positive integer',
+    'bulk.data': 'Field data must be a JSON object with product fields',
+    'bulk.rolledBack': 'Operation cancelled due to an error in operation #{index}',
+
+    'import.mediaType': 'Import supports content types: {types}',
+    'import.empty': 'Import file contains no records',
+    'import.header': 'CSV header must contain columns: {columns}',
+    'import.quote': 'Unterminated quote in CSV field',
+    'import.columns': 'Number of values ({count}) does not match the header ({expected})',
+    'import.json': 'Line must be a JSON object',
+
+    'precondition.failed': 'Product has been modified: ETag does not match If-Match',
+    'precondition.required': 'If-Match header with the product ETag is required',
+    'conflict.concurrent': 'Product was modified by another request, please retry',
+
+    'auth.required': 'Authentication required: X-API-Key or Authorization: Bearer header',
+    'auth.invalidKey': 'API key is invalid or revoked',
+    'auth.invalidToken': 'Token is invalid or expired',
+    'auth.forbidden': 'Insufficient permissions: role {role} is required',
+    'auth.adminOnly': 'Operation is available to administrators only',
+
+    'audit.historyId': 'Field historyId must be a positive integer',
+    'audit.entryNotFound': 'History entry {historyId} not found for this product',
+
+    'stock.delta': 'Field delta must be a non-zero integer',
+    'stock.quantity': 'Reservation quantity must be a positive integer',
+    'stock.expiresIn': 'Reservation expiresIn must be an integer number of seconds from 1 to {max}',
+    'stock.reservationId': 'Reservation ID must be a positive integer',
+    'stock.insufficient': 'Insufficient stock: {available} available',
+    'stock.belowReserved': 'Quantity cannot be less than the reserved amount ({reserved})',
+    'stock.reservationNotFound': 'Reservation not found',
+    'stock.reservationExpired': 'Reservation has expired',
+    'stock.reservationClosed': 'Reservation is already closed (status {status})',
+
+    'category.id': 'Category ID must be a positive integer',
+    'category.name': 'Category name must be a non-empty string of at most {max} characters',
+    'category.parentId': 'Field parentId must be a positive integer or null',
+    'category.ids': 'Field categoryIds must be an array of category IDs (at most {max})',
+    'category.notFound': 'Category not found',
+    'category.parentNotFound': 'Parent category {parentId} not found',
+    'category.cycle': 'A category cannot be nested in itself or in its subcategory',
+    'category.notEmpty': 'Category has subcategories',
+    'category.unknown': 'Categories not found: {ids}',
+    'tag.id': 'Tag ID must be a positive integer',
+    'tag.name': 'Tag must be a non-empty string of at most {max} characters',
+    'tag.list': 'Field tags must be an array of tags (at most {max})',
+    'tag.notFound': 'Tag not found',
+    'tag.exists': 'Tag {name} already exists',
+
+    'image.id': 'Image ID must be a positive integer',
+    'image.size': 'Parameter size must be a positive integer',
+    'image.mediaType': 'Images must be uploaded as multipart/form-data',
+    'image.multipart': 'Malformed multipart/form-data body',
+    'image.missing': 'No image file in field {field}',
+    'image.tooLarge': 'Image file is larger than {max} bytes',
+    'image.type': 'Unsupported image type, allowed: {types}',
+    'image.invalid': 'File could not be read as an image',
+    'image.notFound': 'Image not found',
+    'image.thumbnailNotFound': 'No thumbnail of size {size}',
+
+    'rateLimit.exceeded': 'Too many requests, retry in {seconds} s'
+  }
+};
+
+const LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Текст сообщения на нужном языке
+ * Отсутствующий в локали ключ берется из локали по умолчанию
+ * @param {string} locale - Локаль ('ru', 'en')
+ * @param {string} key - Код сообщения
+ * @param {Object} params - Подстановки
+ * @returns {string} - Сообщение
+ */
+function translate(locale, key, params = {}) {
+  const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const template = catalog[key] || MESSAGES[DEFAULT_LOCALE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Локаль запроса по заголовку Accept-Language
+ * Без заголовка выбирается первая локаль каталога - русская
+ * @param {Object} req - Запрос Express
+ * @returns {string} - Локаль
+ */
+function resolveLocale(req) {
+  return (req && typeof req.acceptsLanguages === 'function' && req.acceptsLanguages(...LOCALES))
+    || DEFAULT_LOCALE;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  MESSAGES,
+  translate,
+  resolveLocale
+};
@@ -0,0 +1,251 @@
+/**
+ * Декларативная валидация запросов
+ *
+ * Схема маршрута описывает поля по частям запроса:
+ *   { params: { id: {...} }, query: { limit: {...} }, body: { name: {...} } }
+ *
+ * Правило поля:
+ *   type          - 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'
+ *                   | 'date' (дата или дата и время ISO 8601, приводится к Date)
+ *   required      - Поле обязательно
+ *   nullable      - Допускается null
+ *   trim          - Обрезать пробелы у строки перед проверками
+ *   min, max, exclusiveMin   - Границы числа
+ *   minLength, maxLength     - Границы длины строки или массива
+ *   enum          - Допустимые значения
+ *   message       - Код сообщения для любой ошибки поля (см. validation-messages.js)
+ *   messageParams - Дополнительные подстановки в сообщение
+ *
+ * Значения params, query и полей CSV приходят строками и приводятся к типу правила.
+ * Проверяются все поля сразу, ответ содержит полный список ошибок.
+ */
+
+const { translate, resolveLocale } = require('./validation-messages');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Дата (2024-05-01) или дата и время (2024-05-01T10:00:00Z, 2024-05-01T10:00:00+03:00)
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+class ValidationError extends Error {
+  /**
+   * @param {Array} errors - Ошибки полей: { location, field, code, message }
+   */
+  constructor(errors) {
+    super(errors.map(error => error.message).join('; '));
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Приведение строкового значения из params/query к типу правила
+function coerce(value, type) {
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return value.trim() === '' ? NaN : Number(value);
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    case 'date':
+      return ISO_DATE_PATTERN.test(value) ? new Date(value) : value;
+    default:
+      return value;
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'date':
+      return value instanceof Date && !Number.isNaN(value.getTime());
+    default:
+      return true;
+  }
+}
+
+/**
+ * Проверка значения по правилу
+ * @returns {Object} - { value } или { code } при ошибке
+ */
+function checkValue(raw, rule, location) {
+  const fromString = location !== 'body';
+  // Пустой параметр строки запроса равнозначен отсутствующему
+  let value = fromString && raw === '' ? undefined : raw;
+
+  if (value === undefined) {
+    return rule.required ? { code: 'required' } : { value };
+  }
+  if (value === null) {
+    return rule.nullable ? { value } : { code: 'type' };
+  }
+  if (fromString && typeof value === 'string') {
+    value = coerce(value, rule.type);
+  }
+  if (rule.trim && typeof value === 'string') {
+    value = value.trim();
+  }
+  if (!matchesType(value, rule.type)) {
+    return { code: 'type' };
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) return { code: 'enum' };
+  if (rule.min !== undefined && value < rule.min) return { code: 'min' };
+  if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) return { code: 'exclusiveMin' };
+  if (rule.max !== undefined && value > rule.max) return { code: 'max' };
+  if (rule.minLength !== undefined && value.length < rule.minLength) return { code: 'minLength' };
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) return { code: 'maxLength' };
+
+  return { value };
+}
+
+function ruleMessageParams(field, rule) {
+  return {
+    field,
+    type: rule.type,
+    min: rule.min,
+    max: rule.max,
+    exclusiveMin: rule.exclusiveMin,
+    minLength: rule.minLength,
+    maxLength: rule.maxLength,
+    enum: rule.enum && rule.enum.join(', '),
+    ...rule.messageParams
+  };
+}
+
+/**
+ * Проверка одной части запроса
+ * @param {Object} source - req.params, req.query, req.body или строка импорта
+ * @param {Object} fields - Правила полей
+ * @param {string} location - 'params' | 'query' | 'body' | 'csv'
+ * @param {string} locale - Локаль сообщений
+ * @returns {Object} - { value, errors }, value содержит только описанные в схеме поля
+ */
+function validateLocation(source, fields, location, locale) {
+  if (location === 'body' && source !== undefined
+    && (source === null || typeof source !== 'object' || Array.isArray(source))) {
+    return {
+      value: {},
+      errors: [{ location, field: null, code: 'type', message: translate(locale, 'body') }]
+    };
+  }
+
+  const input = source || {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    const raw = input[field];
+
+    // Повторяющиеся параметры (?limit=1&limit=2) не допускаются
+    if (location === 'query' && Array.isArray(raw)) {
+      errors.push({
+        location,
+        field,
+        code: 'repeated',
+        message: translate(locale, 'query.repeated', { field })
+      });
+      return;
+    }
+
+    const result = checkValue(raw, rule, location);
+    if (result.code) {
+      errors.push({
+        location,
+        field,
+        code: result.code,
+        message: translate(locale, rule.message || result.code, ruleMessageParams(field, rule))
+      });
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, errors };
+}
+
+/**
+ * Проверка запроса по схеме без отправки ответа
+ * @param {Object} req - Запрос Express
+ * @param {Object} schema - Схема { params, query, body }
+ * @returns {Object} - { value: { params, query, body }, errors }
+ */
+function validateRequest(req, schema) {
+  const locale = resolveLocale(req);
+  const value = {};
+  const errors = [];
+
+  LOCATIONS.forEach((location) => {
+    if (!schema[location]) {
+      return;
+    }
+    const result = validateLocation(req[location], schema[location], location, locale);
+    value[location] = result.value;
+    errors.push(...result.errors);
+  });
+
+  return { value, errors };
+}
+
+/**
+ * Тело ответа с ошибками валидации
+ * error - все сообщения через '; ', errors - список ошибок по полям
+ * @param {Array} errors - Ошибки полей
+ * @returns {Object} - Тело ответа
+ */
+function validationErrorBody(errors) {
+  return {
+    error: new ValidationError(errors).message,
+    code: 'VALIDATION_ERROR',
+    errors
+  };
+}
+
+/**
+ * Отправка ответа 400 с ошибками валидации
+ * @param {Object} res - Ответ Express
+ * @param {Array} errors - Ошибки полей
+ */
+function sendValidationError(res, errors) {
+  return res.status(400).json(validationErrorBody(errors));
+}
+
+/**
+ * Middleware валидации по схеме
+ * Проверенные и приведенные к типам значения сохраняются в req.validated,
+ * исходные req.params/req.query/req.body не изменяются
+ * @param {Object} schema - Схема { params, query, body }
+ * @returns {Function} - Express middleware
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validateRequest(req, schema);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    req.validated = value;
+    next();
+  };
+}
+
+module.exports = {
+  ISO_DATE_PATTERN,
+  ValidationError,
+  validate,
+  validateLocation,
+  validateRequest,
+  validationErrorBody,
+  sendValidationError
+};
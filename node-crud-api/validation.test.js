@@ -0,0 +1,102 @@
+const { validate, validateRequest, validateLocation } = require('./validation');
+const { translate } = require('./validation-messages');
+
+describe('Валидация запросов', () => {
+  const schema = {
+    params: { id: { type: 'integer', required: true, min: 1 } },
+    query: { inStock: { type: 'boolean' }, limit: { type: 'integer', max: 10 } },
+    body: {
+      name: { type: 'string', required: true, trim: true, minLength: 1 },
+      note: { type: 'string', nullable: true }
+    }
+  };
+
+  it('должен приводить строковые params и query к типам схемы', () => {
+    const { value, errors } = validateRequest({
+      params: { id: '7' },
+      query: { inStock: '0', limit: '' },
+      body: { name: '  Товар  ', note: null, extra: true }
+    }, schema);
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      params: { id: 7 },
+      query: { inStock: false },
+      body: { name: 'Товар', note: null }
+    });
+  });
+
+  it('не должен приводить типы в теле запроса', () => {
+    const { errors } = validateRequest({ params: { id: '1' }, query: {}, body: { name: 5 } }, schema);
+
+    expect(errors).toEqual([
+      { location: 'body', field: 'name', code: 'type', message: 'Поле name должно иметь тип string' }
+    ]);
+  });
+
+  it('должен собирать ошибки всех частей запроса', () => {
+    const { errors } = validateRequest({ params: { id: '0' }, query: { limit: '11' } }, schema);
+
+    expect(errors.map(error => `${error.location}.${error.field}:${error.code}`)).toEqual([
+      'params.id:min',
+      'query.limit:max',
+      'body.name:required'
+    ]);
+  });
+
+  it('должен сохранять проверенные значения в req.validated', () => {
+    const req = { params: { id: '3' }, query: {}, body: { name: 'Товар' } };
+    const next = jest.fn();
+
+    validate(schema)(req, {}, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.validated.params.id).toBe(3);
+    expect(req.params.id).toBe('3');
+  });
+
+  it('должен отвечать 400 со списком ошибок', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    validate(schema)({ params: {}, query: {}, body: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      error: 'Поле id обязательно; Поле name обязательно'
+    });
+  });
+
+  it('должен проверять массивы и объекты', () => {
+    const fields = {
+      items: { type: 'array', required: true, minLength: 1, maxLength: 2 },
+      data: { type: 'object' }
+    };
+
+    expect(validateLocation({ items: [1], data: {} }, fields, 'body', 'ru').errors).toEqual([]);
+    expect(validateLocation({ items: [], data: [] }, fields, 'body', 'ru').errors.map(e => e.code))
+      .toEqual(['minLength', 'type']);
+    expect(validateLocation({ items: [1, 2, 3], data: 'x' }, fields, 'body', 'ru').errors.map(e => e.code))
+      .toEqual(['maxLength', 'type']);
+  });
+
+  it('должен приводить даты ISO 8601 из строки запроса к Date', () => {
+    const fields = { from: { type: 'date' }, to: { type: 'date' } };
+
+    const { value, errors } = validateLocation({ from: '2024-05-01', to: '2024-05-01T10:00:00+03:00' }, fields, 'query', 'ru');
+    expect(errors).toEqual([]);
+    expect(value.from.toISOString()).toBe('2024-05-01T00:00:00.000Z');
+    expect(value.to.toISOString()).toBe('2024-05-01T07:00:00.000Z');
+
+    expect(validateLocation({ from: 'вчера', to: '2024-13-45' }, fields, 'query', 'ru').errors.map(e => e.code))
+      .toEqual(['type', 'type']);
+  });
+
+  it('должен брать сообщение из русской локали, если перевода нет', () => {
+    expect(translate('de', 'product.price')).toBe('Цена должна быть положительным числом');
+    expect(translate('en', 'query.integerRange', { field: 'limit', min: 1, max: 100 }))
+      .toBe('Parameter limit must be an integer from 1 to 100');
+  });
+});